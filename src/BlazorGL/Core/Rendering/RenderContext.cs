@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
 using System;
 using System.Numerics;
+using System.Text;
 using BlazorGL.Core.Textures;
 using BlazorGL.Core.Geometries;
 using BlazorGL.Core.WebGL;
@@ -52,11 +53,20 @@ public class RenderContext : IDisposable
     private HashSet<RenderTarget> _initializedRenderTargets = new();
 
     /// <summary>
-    /// Initializes the WebGL context
+    /// Initializes the WebGL context. Worker mode (<see cref="GLContextOptions.Worker"/>) is not supported: the
+    /// renderer reads shader and framebuffer status synchronously, which a worker context cannot deliver.
     /// </summary>
-    public async Task InitializeAsync(IJSRuntime jsRuntime, ElementReference canvas)
+    public async Task InitializeAsync(IJSRuntime jsRuntime, ElementReference canvas, GLContextOptions? options = null)
     {
-        _gl = await GL.CreateAsync(jsRuntime, canvas);
+        _gl = await GL.CreateAsync(jsRuntime, canvas, options);
+        if (_gl.IsWorker)
+        {
+            await _gl.DisposeAsync();
+            throw new NotSupportedException(
+                "The renderer cannot run on a worker context: it compiles shaders and checks framebuffers synchronously. " +
+                "Create the context without GLContextOptions.Worker, or drive a worker GL directly with " +
+                "Shader.CompileAsync and the async exports.");
+        }
 
         // Enable basic features
         _gl.Enable(EnableCap.DepthTest);
@@ -336,8 +346,39 @@ public class RenderContext : IDisposable
     /// </summary>
     private void UploadCompressedTexture(CompressedTexture texture)
     {
+        // Uncompressed formats are plain texImage2D uploads of the raw level bytes, named either by the
+        // loader (e.g. the plain KTX2 formats CompressionFormat has no member for) or by the format
+        if (GetUploadFormat(texture) is { } upload)
+        {
+            var (internalFormat, pixelFormat, pixelType) = upload;
+            // Level rows are tightly packed, which the default alignment of 4 misreads for e.g. RGB565 at odd widths
+            int previousAlignment = _gl.GetPixelStore(PixelStoreParameter.UnpackAlignment);
+            _gl.PixelStore(PixelStoreParameter.UnpackAlignment, 1);
+            try
+            {
+                foreach (var mip in texture.Mipmaps)
+                {
+                    _gl.TexImage2D(
+                        TextureTarget.Texture2D,
+                        mip.Level,
+                        internalFormat,
+                        (uint)mip.Width,
+                        (uint)mip.Height,
+                        pixelFormat,
+                        pixelType,
+                        mip.Data
+                    );
+                }
+            }
+            finally
+            {
+                _gl.PixelStore(PixelStoreParameter.UnpackAlignment, previousAlignment);
+            }
+            return;
+        }
+
         // Map compression format to WebGL constant name
-        string formatName = GetWebGLCompressedFormat(texture.CompressionFormat);
+        string formatName = texture.InternalFormatName ?? GetWebGLCompressedFormat(texture.CompressionFormat);
 
         // Upload each mipmap level
         foreach (var mip in texture.Mipmaps)
@@ -414,8 +455,8 @@ public class RenderContext : IDisposable
             CompressedTextureFormat.BC3 => "COMPRESSED_RGBA_S3TC_DXT5_EXT",
             CompressedTextureFormat.BC4 => "COMPRESSED_RED_RGTC1_EXT",
             CompressedTextureFormat.BC5 => "COMPRESSED_RED_GREEN_RGTC2_EXT",
-            CompressedTextureFormat.BC6H => "COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_ARB",
-            CompressedTextureFormat.BC7 => "COMPRESSED_RGBA_BPTC_UNORM_ARB",
+            CompressedTextureFormat.BC6H => "COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT",
+            CompressedTextureFormat.BC7 => "COMPRESSED_RGBA_BPTC_UNORM_EXT",
             CompressedTextureFormat.ETC1 => "COMPRESSED_RGB_ETC1_WEBGL",
             CompressedTextureFormat.ETC2_RGB => "COMPRESSED_RGB8_ETC2",
             CompressedTextureFormat.ETC2_RGBA => "COMPRESSED_RGBA8_ETC2_EAC",
@@ -424,11 +465,64 @@ public class RenderContext : IDisposable
             CompressedTextureFormat.ASTC_8x8 => "COMPRESSED_RGBA_ASTC_8x8_KHR",
             CompressedTextureFormat.PVRTC_RGBA_4BPP => "COMPRESSED_RGBA_PVRTC_4BPPV1_IMG",
             CompressedTextureFormat.PVRTC_RGBA_2BPP => "COMPRESSED_RGBA_PVRTC_2BPPV1_IMG",
-            CompressedTextureFormat.RGB565 => "RGB565",
             _ => throw new NotSupportedException($"Compression format {format} not supported")
         };
     }
 
+    /// <summary>
+    /// The bridge's spelling of a WebGL constant name, e.g. "R11F_G11F_B10F" to "R11FG11FB10F" and "HALF_FLOAT" to
+    /// "HalfFloat"
+    /// </summary>
+    private static string GetBridgeConstantName(string glName)
+    {
+        var name = new StringBuilder(glName.Length);
+        foreach (var word in glName.Split('_'))
+        {
+            for (int i = 0; i < word.Length; i++)
+            {
+                // Words start upper case, and so does the F of a float size such as 16F
+                bool upper = i == 0 || (word[i] == 'F' && char.IsDigit(word[i - 1]));
+                name.Append(upper ? char.ToUpperInvariant(word[i]) : char.ToLowerInvariant(word[i]));
+            }
+        }
+        return name.ToString();
+    }
+
+    /// <summary>
+    /// Bridge constant names of an uncompressed texture's internal format, pixel format and pixel type;
+    /// null for block-compressed textures
+    /// </summary>
+    private static (string, string, string)? GetUploadFormat(CompressedTexture texture)
+    {
+        if (texture.InternalFormatName != null && texture.PixelFormatName != null && texture.PixelTypeName != null)
+        {
+            return (
+                GetBridgeConstantName(texture.InternalFormatName),
+                GetBridgeConstantName(texture.PixelFormatName),
+                GetBridgeConstantName(texture.PixelTypeName));
+        }
+        if (texture.InternalFormatName == null && GetUncompressedFormat(texture.CompressionFormat) is { } format)
+        {
+            var (internalFormat, pixelFormat, pixelType) = format;
+            return (internalFormat.ToString(), pixelFormat.ToString(), pixelType.ToString());
+        }
+        return null;
+    }
+
+    /// <summary>
+    /// Formats for the uncompressed members of CompressedTextureFormat; null for block-compressed ones
+    /// </summary>
+    private static (InternalFormat, PixelFormat, PixelType)? GetUncompressedFormat(CompressedTextureFormat format)
+    {
+        return format switch
+        {
+            CompressedTextureFormat.RGB565 => (InternalFormat.Rgb565, PixelFormat.Rgb, PixelType.UnsignedShort565),
+            CompressedTextureFormat.RGBA32 => (InternalFormat.Rgba8, PixelFormat.Rgba, PixelType.UnsignedByte),
+            CompressedTextureFormat.RGBA16F => (InternalFormat.Rgba16F, PixelFormat.Rgba, PixelType.HalfFloat),
+            _ => null
+        };
+    }
+
     /// <summary>
     /// Map texture format to WebGL constant
     /// </summary>
@@ -56,7 +56,7 @@ public class Renderer : IDisposable
     /// <summary>
     /// Initializes the renderer with a canvas element
     /// </summary>
-    public async Task InitializeAsync(ElementReference canvas, IJSRuntime? jsRuntime = null)
+    public async Task InitializeAsync(ElementReference canvas, IJSRuntime? jsRuntime = null, GLContextOptions? options = null)
     {
         if (jsRuntime == null)
         {
@@ -67,7 +67,7 @@ public class Renderer : IDisposable
 
         _jsRuntime = jsRuntime;
         _context = new RenderContext();
-        await _context.InitializeAsync(_jsRuntime, canvas);
+        await _context.InitializeAsync(_jsRuntime, canvas, options);
     }
 
     /// <summary>
@@ -46,11 +46,14 @@ public class Shader : IDisposable
     }
 
     /// <summary>
-    /// Compiles the shader program
+    /// Compiles the shader program. Not available on a worker context (<see cref="GL.IsWorker"/>), which cannot
+    /// report compile status synchronously; use <see cref="CompileAsync"/> there.
     /// </summary>
     public void Compile(GL gl)
     {
         if (IsCompiled) return;
+        if (gl.IsWorker)
+            throw new NotSupportedException("Shader.Compile reads compile status synchronously, which a worker context cannot deliver; use CompileAsync.");
 
         // Compile vertex shader
         uint vertexShader = gl.CreateShader(ShaderType.VertexShader);
@@ -100,6 +103,35 @@ public class Shader : IDisposable
         CacheLocations(gl);
     }
 
+    /// <summary>
+    /// Compiles the shader program in one call that completes without blocking, taking the locations from the
+    /// program's reflection. Works on every context, including worker ones.
+    /// </summary>
+    public async Task CompileAsync(GL gl)
+    {
+        if (IsCompiled) return;
+
+        var build = await gl.CreateProgramFromSourcesAsync(VertexSource, FragmentSource);
+        if (!build.Success)
+        {
+            // A failed build has no program left to delete
+            if (!build.VertexCompiled)
+                throw new Exception($"Vertex shader compilation failed: {build.VertexLog}");
+            if (!build.FragmentCompiled)
+                throw new Exception($"Fragment shader compilation failed: {build.FragmentLog}");
+            throw new Exception($"Shader program linking failed: {build.ProgramLog}");
+        }
+
+        ProgramId = build.Program;
+        IsCompiled = true;
+
+        // Uniform block members have no location of their own
+        foreach (var uniform in build.Uniforms.Where(u => u.Location >= 0))
+            Uniforms[uniform.Name] = uniform.Location;
+        foreach (var attribute in build.Attributes)
+            Attributes[attribute.Name] = attribute.Location;
+    }
+
     /// <summary>
     /// Caches all uniform and attribute locations
     /// </summary>
@@ -15,6 +15,19 @@ public class CompressedTexture : Texture
     /// </summary>
     public CompressedTextureFormat CompressionFormat { get; set; }
 
+    /// <summary>
+    /// WebGL internal format name of the levels, e.g. "COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR" or "RG16F"; when set it
+    /// is uploaded with instead of the format CompressionFormat implies, which only covers the common formats
+    /// </summary>
+    public string? InternalFormatName { get; set; }
+
+    /// <summary>
+    /// WebGL format and type names of uncompressed levels with an InternalFormatName, e.g. "RG" and "HALF_FLOAT";
+    /// null for block-compressed formats
+    /// </summary>
+    public string? PixelFormatName { get; set; }
+    public string? PixelTypeName { get; set; }
+
     /// <summary>
     /// Whether this is a cubemap texture
     /// </summary>
@@ -154,5 +167,20 @@ public enum CompressedTextureFormat
     /// <summary>
     /// RGB565 - Uncompressed 16-bit fallback
     /// </summary>
-    RGB565
+    RGB565,
+
+    /// <summary>
+    /// RGBA32 - Uncompressed 32-bit fallback for textures with alpha
+    /// </summary>
+    RGBA32,
+
+    /// <summary>
+    /// RGBA16F - Uncompressed half float RGBA, e.g. HDR data from KTX2 files
+    /// </summary>
+    RGBA16F,
+
+    /// <summary>
+    /// A format with no member of its own; CompressedTexture.InternalFormatName names it
+    /// </summary>
+    Other
 }
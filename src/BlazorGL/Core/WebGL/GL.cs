@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
 using System.Numerics;
 using System.Linq;
+using System.Text.Json.Serialization;
 
 namespace BlazorGL.Core.WebGL;
 
@@ -12,29 +13,195 @@ public sealed class GL : IAsyncDisposable, IDisposable
 {
     private readonly IJSInProcessObjectReference _module;
     private readonly int _ctxId;
+    private DotNetObjectReference<GL>? _dotNetRef;
+    private Action<double, double>? _renderFrame;
     private bool _disposed;
 
-    private GL(IJSInProcessObjectReference module, int ctxId)
+    /// <summary>
+    /// Raised when the browser loses the WebGL context. Every handle issued so far is invalid.
+    /// </summary>
+    public event Action? ContextLost;
+
+    /// <summary>
+    /// Raised when the browser restores the WebGL context. GPU resources must be recreated.
+    /// </summary>
+    public event Action? ContextRestored;
+
+    /// <summary>
+    /// Raised in worker mode each time the worker has run a batch of calls, i.e. after every synchronous run of
+    /// GL calls such as one frame. Carries the batch number.
+    /// </summary>
+    public event Action<int>? FrameCompleted;
+
+    /// <summary>
+    /// Raised when the canvas changes CSS size or moves to a screen with another pixel ratio, while
+    /// <see cref="ObserveCanvasSize"/> is on (always in worker mode). The drawing buffer has already been resized
+    /// to match; update the viewport, camera aspect and screen-sized render targets.
+    /// </summary>
+    public event Action<CanvasSize>? CanvasResized;
+
+    /// <summary>
+    /// Raised in worker mode when a queued call fails in the worker, since the caller has already returned.
+    /// Carries "export: message".
+    /// </summary>
+    public event Action<string>? WorkerError;
+
+    private GL(IJSInProcessObjectReference module, int ctxId, bool isWorker, GLCapabilities capabilities)
     {
         _module = module;
         _ctxId = ctxId;
+        IsWorker = isWorker;
+        Capabilities = capabilities;
     }
 
-    public static async Task<GL> CreateAsync(IJSRuntime jsRuntime, ElementReference canvas)
+    /// <summary>
+    /// Whether rendering runs in a worker (see <see cref="GLContextOptions.Worker"/>). False when the browser
+    /// lacks OffscreenCanvas and the context fell back to the main thread.
+    /// </summary>
+    public bool IsWorker { get; }
+
+    /// <summary>
+    /// The WebGL version, granted attributes, limits, extensions and compressed texture formats of this context,
+    /// as reported when it was created
+    /// </summary>
+    public GLCapabilities Capabilities { get; }
+
+    /// <summary>
+    /// The bridge module (or its worker proxy) and context id, for JavaScript modules that upload to this context
+    /// themselves, such as the KTX2 loader
+    /// </summary>
+    internal IJSInProcessObjectReference Module => _module;
+    internal int ContextId => _ctxId;
+
+    public static async Task<GL> CreateAsync(IJSRuntime jsRuntime, ElementReference canvas, GLContextOptions? options = null)
     {
         if (jsRuntime is not IJSInProcessRuntime inProcess)
         {
             throw new InvalidOperationException("BlazorGL requires IJSInProcessRuntime (WebAssembly) for synchronous WebGL calls.");
         }
 
-        var module = await jsRuntime.InvokeAsync<IJSInProcessObjectReference>(
-            "import",
-            "./_content/BlazorGL/blazorgl.webgl.js");
+        IJSInProcessObjectReference module;
+        bool isWorker = false;
+        if (options?.Worker == true)
+        {
+            // The worker bridge has the same exports as the module, so the rest of GL does not care which it talks to.
+            var offscreen = await jsRuntime.InvokeAsync<IJSInProcessObjectReference>(
+                "import",
+                "./_content/BlazorGL/blazorgl.webgl.offscreen.js");
+            isWorker = offscreen.Invoke<bool>("isWorkerRenderingSupported");
+            module = offscreen.Invoke<IJSInProcessObjectReference>("createWorkerBridge");
+            await offscreen.DisposeAsync();
+        }
+        else
+        {
+            module = await jsRuntime.InvokeAsync<IJSInProcessObjectReference>(
+                "import",
+                "./_content/BlazorGL/blazorgl.webgl.js");
+        }
+
+        // A worker context is ready once the worker has created it, so this is awaited in both modes.
+        int ctxId = await module.InvokeAsync<int>("createContext", canvas, options);
+        var gl = new GL(module, ctxId, isWorker, module.Invoke<GLCapabilities>("getCapabilities", ctxId));
+        gl._dotNetRef = DotNetObjectReference.Create(gl);
+        module.InvokeVoid("registerContextCallbacks", ctxId, gl._dotNetRef);
+        if (options?.AutoResize == true)
+        {
+            gl.ObserveCanvasSize(options.MaxPixelRatio);
+        }
+        return gl;
+    }
+
+    public bool IsContextLost() => _module.Invoke<bool>("isContextLost", _ctxId);
+
+    /// <summary>
+    /// The most recent GL calls, oldest first, when the context was created with <see cref="GLContextOptions.Debug"/>.
+    /// Useful to log when a call throws a <see cref="JSException"/>.
+    /// </summary>
+    public string[] GetCallTrace() => _module.Invoke<string[]>("getCallTrace", _ctxId);
+
+    /// <summary>
+    /// Starts recording every GL call with its arguments and uploaded data. Objects created earlier replay as empty
+    /// objects, so set <see cref="GLContextOptions.Capture"/> to include resource creation.
+    /// </summary>
+    public void StartCapture() => _module.InvokeVoid("startCapture", _ctxId);
+
+    /// <summary>
+    /// Marks the end of a frame in the running capture
+    /// </summary>
+    public void MarkCaptureFrame() => _module.InvokeVoid("markCaptureFrame", _ctxId);
+
+    public GLCapture StopCapture() => _module.Invoke<GLCapture>("stopCapture", _ctxId);
+
+    /// <summary>
+    /// Runs a capture against this context, normally a freshly created one. <paramref name="untilCall"/> stops
+    /// before that call index; -1 replays everything. Failing calls are reported and replay continues.
+    /// </summary>
+    public GLReplayResult ReplayCapture(GLCapture capture, int untilCall = -1) =>
+        _module.Invoke<GLReplayResult>("replayCapture", _ctxId, capture.Manifest, capture.Data, untilCall);
+
+    /// <summary>
+    /// Formats a capture as text, one call per line, for diffing two captures
+    /// </summary>
+    public string DumpCapture(GLCapture capture) => _module.Invoke<string>("dumpCapture", capture.Manifest, capture.Data);
+
+    /// <summary>
+    /// Keeps the drawing buffer at the canvas's CSS size times devicePixelRatio, capped at <paramref name="maxPixelRatio"/>,
+    /// and raises <see cref="CanvasResized"/> on every change. Calling it again replaces the cap.
+    /// </summary>
+    public void ObserveCanvasSize(double? maxPixelRatio = null) => _module.InvokeVoid("observeCanvasSize", _ctxId, maxPixelRatio);
 
-        int ctxId = module.Invoke<int>("createContext", canvas);
-        return new GL(module, ctxId);
+    /// <summary>
+    /// Stops following the canvas size; the drawing buffer keeps its current size
+    /// </summary>
+    public void UnobserveCanvasSize() => _module.InvokeVoid("unobserveCanvasSize", _ctxId);
+
+    /// <summary>
+    /// Calls <paramref name="onFrame"/> from requestAnimationFrame with the frame timestamp and the milliseconds since
+    /// the previous frame (0 after a pause). Pauses while the tab is hidden, the canvas is out of view or the context
+    /// is lost. Replaces a loop already running.
+    /// </summary>
+    public void StartRenderLoop(Action<double, double> onFrame, RenderLoopOptions? options = null)
+    {
+        _renderFrame = onFrame;
+        _module.InvokeVoid("startRenderLoop", _ctxId, _dotNetRef, options ?? new RenderLoopOptions());
+    }
+
+    public void StopRenderLoop()
+    {
+        _module.InvokeVoid("stopRenderLoop", _ctxId);
+        _renderFrame = null;
     }
 
+    /// <summary>
+    /// Requests a frame from a <see cref="RenderLoopOptions.OnDemand"/> loop; several calls before it runs render once
+    /// </summary>
+    public void Invalidate() => _module.InvokeVoid("invalidate", _ctxId);
+
+    [JSInvokable]
+    public void OnContextLost() => ContextLost?.Invoke();
+
+    [JSInvokable]
+    public void OnContextRestored() => ContextRestored?.Invoke();
+
+    [JSInvokable]
+    public void OnFrameCompleted(int frame) => FrameCompleted?.Invoke(frame);
+
+    [JSInvokable]
+    public void OnRenderFrame(double timestamp, double delta) => _renderFrame?.Invoke(timestamp, delta);
+
+    [JSInvokable]
+    public void OnCanvasResized(double cssWidth, double cssHeight, int pixelWidth, int pixelHeight) =>
+        CanvasResized?.Invoke(new CanvasSize(cssWidth, cssHeight, pixelWidth, pixelHeight));
+
+    [JSInvokable]
+    public void OnWorkerError(string export, string message) => WorkerError?.Invoke($"{export}: {message}");
+
+    /// <summary>
+    /// Resizes the drawing buffer. In worker mode this is the only way to do it, as the canvas element's
+    /// width and height can no longer change. The viewport is not touched.
+    /// </summary>
+    public void SetDrawingBufferSize(int width, int height) => _module.InvokeVoid("setDrawingBufferSize", _ctxId, width, height);
+
     public void Enable(EnableCap cap) => _module.InvokeVoid("enable", _ctxId, cap.ToString());
     public void Disable(EnableCap cap) => _module.InvokeVoid("disable", _ctxId, cap.ToString());
     public void CullFace(CullFaceMode mode) => _module.InvokeVoid("cullFace", _ctxId, mode.ToString());
@@ -45,14 +212,27 @@ public sealed class GL : IAsyncDisposable, IDisposable
     public void BlendEquation(BlendEquationMode mode) => _module.InvokeVoid("blendEquation", _ctxId, mode.ToString());
     public void BlendEquationSeparate(BlendEquationMode modeRGB, BlendEquationMode modeAlpha) =>
         _module.InvokeVoid("blendEquationSeparate", _ctxId, modeRGB.ToString(), modeAlpha.ToString());
+    public void BlendColor(float r, float g, float b, float a) => _module.InvokeVoid("blendColor", _ctxId, r, g, b, a);
+    public void DepthFunc(DepthFunction func) => _module.InvokeVoid("depthFunc", _ctxId, func.ToString());
+    public void DepthRange(float zNear, float zFar) => _module.InvokeVoid("depthRange", _ctxId, zNear, zFar);
     public void PolygonOffset(float factor, float units) => _module.InvokeVoid("polygonOffset", _ctxId, factor, units);
     public void StencilFunc(StencilFunction func, int reference, uint mask) =>
         _module.InvokeVoid("stencilFunc", _ctxId, func.ToString(), reference, mask);
+    public void StencilFuncSeparate(StencilFaceDirection face, StencilFunction func, int reference, uint mask) =>
+        _module.InvokeVoid("stencilFuncSeparate", _ctxId, face.ToString(), func.ToString(), reference, mask);
     public void StencilOp(StencilOperation fail, StencilOperation zfail, StencilOperation zpass) =>
         _module.InvokeVoid("stencilOp", _ctxId, fail.ToString(), zfail.ToString(), zpass.ToString());
+    public void StencilOpSeparate(StencilFaceDirection face, StencilOperation fail, StencilOperation zfail, StencilOperation zpass) =>
+        _module.InvokeVoid("stencilOpSeparate", _ctxId, face.ToString(), fail.ToString(), zfail.ToString(), zpass.ToString());
     public void StencilMask(uint mask) => _module.InvokeVoid("stencilMask", _ctxId, mask);
+    public void StencilMaskSeparate(StencilFaceDirection face, uint mask) => _module.InvokeVoid("stencilMaskSeparate", _ctxId, face.ToString(), mask);
+    public void Scissor(int x, int y, uint w, uint h) => _module.InvokeVoid("scissor", _ctxId, x, y, w, h);
+    public void ColorMask(bool red, bool green, bool blue, bool alpha) => _module.InvokeVoid("colorMask", _ctxId, red, green, blue, alpha);
+    public void LineWidth(float width) => _module.InvokeVoid("lineWidth", _ctxId, width);
     public void Viewport(int x, int y, uint w, uint h) => _module.InvokeVoid("viewport", _ctxId, x, y, w, h);
     public void ClearColor(float r, float g, float b, float a) => _module.InvokeVoid("clearColor", _ctxId, r, g, b, a);
+    public void ClearDepth(float depth) => _module.InvokeVoid("clearDepth", _ctxId, depth);
+    public void ClearStencil(int s) => _module.InvokeVoid("clearStencil", _ctxId, s);
     public void Clear(params ClearBufferMask[] masks)
     {
         var names = masks.Select(m => m.ToString()).ToArray();
@@ -65,19 +245,113 @@ public sealed class GL : IAsyncDisposable, IDisposable
     public void BindBuffer(BufferTargetARB target, uint buffer) => _module.InvokeVoid("bindBuffer", _ctxId, target.ToString(), buffer);
     public void BufferData(BufferTargetARB target, float[] data, BufferUsageARB usage) => _module.InvokeVoid("bufferDataFloat", _ctxId, target.ToString(), data, usage.ToString());
     public void BufferData(BufferTargetARB target, uint[] data, BufferUsageARB usage) => _module.InvokeVoid("bufferDataUInt", _ctxId, target.ToString(), data, usage.ToString());
+    public void BufferData(BufferTargetARB target, ushort[] data, BufferUsageARB usage) => _module.InvokeVoid("bufferDataTyped", _ctxId, target.ToString(), data, "Uint16", usage.ToString());
+    public void BufferData(BufferTargetARB target, short[] data, BufferUsageARB usage) => _module.InvokeVoid("bufferDataTyped", _ctxId, target.ToString(), data, "Int16", usage.ToString());
+    public void BufferData(BufferTargetARB target, byte[] data, BufferUsageARB usage) => _module.InvokeVoid("bufferDataTyped", _ctxId, target.ToString(), data, "Uint8", usage.ToString());
+    public void BufferData(BufferTargetARB target, int sizeBytes, BufferUsageARB usage) => _module.InvokeVoid("bufferDataSize", _ctxId, target.ToString(), sizeBytes, usage.ToString());
+
+    /// <summary>
+    /// Uploads raw bytes (transferred as a Uint8Array, no per-element marshalling) reinterpreted as <paramref name="elementType"/>
+    /// (Int8, Uint8, Int16, Uint16, Int32, Uint32 or Float32).
+    /// </summary>
+    public void BufferSubData(BufferTargetARB target, int dstByteOffset, byte[] data, string elementType = "Uint8") =>
+        _module.InvokeVoid("bufferSubData", _ctxId, target.ToString(), dstByteOffset, data, elementType);
+    public void BufferSubData(BufferTargetARB target, int dstByteOffset, float[] data) =>
+        _module.InvokeVoid("bufferSubData", _ctxId, target.ToString(), dstByteOffset, data, "Float32");
+    public void BufferSubData(BufferTargetARB target, int dstByteOffset, ushort[] data) =>
+        _module.InvokeVoid("bufferSubData", _ctxId, target.ToString(), dstByteOffset, data, "Uint16");
+    public void BufferSubData(BufferTargetARB target, int dstByteOffset, short[] data) =>
+        _module.InvokeVoid("bufferSubData", _ctxId, target.ToString(), dstByteOffset, data, "Int16");
+    public void BufferSubData(BufferTargetARB target, int dstByteOffset, sbyte[] data) =>
+        _module.InvokeVoid("bufferSubData", _ctxId, target.ToString(), dstByteOffset, data, "Int8");
+    public void CopyBufferSubData(BufferTargetARB readTarget, BufferTargetARB writeTarget, int readOffset, int writeOffset, int size) =>
+        _module.InvokeVoid("copyBufferSubData", _ctxId, readTarget.ToString(), writeTarget.ToString(), readOffset, writeOffset, size);
+    public void BindBufferBase(BufferTargetARB target, uint index, uint buffer) =>
+        _module.InvokeVoid("bindBufferBase", _ctxId, target.ToString(), index, buffer);
+    public void BindBufferRange(BufferTargetARB target, uint index, uint buffer, int offset, int size) =>
+        _module.InvokeVoid("bindBufferRange", _ctxId, target.ToString(), index, buffer, offset, size);
+
+    public uint CreateTransformFeedback() => _module.Invoke<uint>("createTransformFeedback", _ctxId);
+    public void BindTransformFeedback(TransformFeedbackTarget target, uint transformFeedback) =>
+        _module.InvokeVoid("bindTransformFeedback", _ctxId, target.ToString(), transformFeedback);
+    public void DeleteTransformFeedback(uint transformFeedback) => _module.InvokeVoid("deleteTransformFeedback", _ctxId, transformFeedback);
+    public void TransformFeedbackVaryings(uint program, string[] varyings, TransformFeedbackBufferMode bufferMode) =>
+        _module.InvokeVoid("transformFeedbackVaryings", _ctxId, program, varyings, bufferMode.ToString());
+    public void BeginTransformFeedback(PrimitiveType primitiveMode) => _module.InvokeVoid("beginTransformFeedback", _ctxId, primitiveMode.ToString());
+    public void EndTransformFeedback() => _module.InvokeVoid("endTransformFeedback", _ctxId);
+    public void PauseTransformFeedback() => _module.InvokeVoid("pauseTransformFeedback", _ctxId);
+    public void ResumeTransformFeedback() => _module.InvokeVoid("resumeTransformFeedback", _ctxId);
 
     public uint CreateTexture() => _module.Invoke<uint>("createTexture", _ctxId);
     public void BindTexture(TextureTarget target, uint tex) => _module.InvokeVoid("bindTexture", _ctxId, target.ToString(), tex);
     public void TexImage2D(TextureTarget target, int level, InternalFormat internalFormat, uint width, uint height, PixelFormat format, PixelType type, byte[]? data) =>
         _module.InvokeVoid("texImage2D", _ctxId, target.ToString(), level, internalFormat.ToString(), width, height, format.ToString(), type.ToString(), data);
+    public void TexImage2D(TextureTarget target, int level, string internalFormat, uint width, uint height, string format, string type, byte[]? data) =>
+        _module.InvokeVoid("texImage2D", _ctxId, target.ToString(), level, internalFormat, width, height, format, type, data);
     public void TexImage2DFloat(TextureTarget target, int level, string internalFormat, uint width, uint height, string format, string type, float[] data) =>
         _module.InvokeVoid("texImage2DFloat", _ctxId, target.ToString(), level, internalFormat, width, height, format, type, data);
     public void TexImage2DInt(TextureTarget target, int level, string internalFormat, uint width, uint height, string format, string type, int[] data) =>
         _module.InvokeVoid("texImage2DInt", _ctxId, target.ToString(), level, internalFormat, width, height, format, type, data);
     public void CompressedTexImage2D(TextureTarget target, int level, string internalFormat, uint width, uint height, byte[] data) =>
         _module.InvokeVoid("compressedTexImage2D", _ctxId, target.ToString(), level, internalFormat, width, height, data);
+    public void CompressedTexSubImage2D(TextureTarget target, int level, int xoffset, int yoffset, uint width, uint height, string format, byte[] data) =>
+        _module.InvokeVoid("compressedTexSubImage2D", _ctxId, target.ToString(), level, xoffset, yoffset, width, height, format, data);
     public void TexParameterI(TextureTarget target, TextureParameterName pname, string value) =>
         _module.InvokeVoid("texParameter", _ctxId, target.ToString(), pname.ToString(), value);
+    public void TexParameterI(TextureTarget target, TextureParameterName pname, int value) =>
+        _module.InvokeVoid("texParameterInt", _ctxId, target.ToString(), pname.ToString(), value);
+    public void TexParameterF(TextureTarget target, TextureParameterName pname, float value) =>
+        _module.InvokeVoid("texParameterFloat", _ctxId, target.ToString(), pname.ToString(), value);
+    public float GetMaxAnisotropy() => _module.Invoke<float>("getMaxAnisotropy", _ctxId);
+    public void PixelStore(PixelStoreParameter pname, int value) => _module.InvokeVoid("pixelStorei", _ctxId, pname.ToString(), value);
+    public void PixelStore(PixelStoreParameter pname, bool value) => _module.InvokeVoid("pixelStorei", _ctxId, pname.ToString(), value);
+    public int GetPixelStore(PixelStoreParameter pname) => _module.Invoke<int>("getPixelStore", _ctxId, pname.ToString());
+    public void TexSubImage2D(TextureTarget target, int level, int xoffset, int yoffset, uint width, uint height, PixelFormat format, PixelType type, byte[] data) =>
+        _module.InvokeVoid("texSubImage2D", _ctxId, target.ToString(), level, xoffset, yoffset, width, height, format.ToString(), type.ToString(), data);
+    public void TexSubImage2D(TextureTarget target, int level, int xoffset, int yoffset, uint width, uint height, PixelFormat format, PixelType type, float[] data) =>
+        _module.InvokeVoid("texSubImage2D", _ctxId, target.ToString(), level, xoffset, yoffset, width, height, format.ToString(), type.ToString(), data);
+    public void TexImage3D(TextureTarget target, int level, InternalFormat internalFormat, uint width, uint height, uint depth, PixelFormat format, PixelType type, byte[]? data) =>
+        _module.InvokeVoid("texImage3D", _ctxId, target.ToString(), level, internalFormat.ToString(), width, height, depth, format.ToString(), type.ToString(), data);
+    public void TexSubImage3D(TextureTarget target, int level, int xoffset, int yoffset, int zoffset, uint width, uint height, uint depth, PixelFormat format, PixelType type, byte[] data) =>
+        _module.InvokeVoid("texSubImage3D", _ctxId, target.ToString(), level, xoffset, yoffset, zoffset, width, height, depth, format.ToString(), type.ToString(), data);
+    public void TexStorage2D(TextureTarget target, int levels, InternalFormat internalFormat, uint width, uint height) =>
+        _module.InvokeVoid("texStorage2D", _ctxId, target.ToString(), levels, internalFormat.ToString(), width, height);
+    public void TexStorage3D(TextureTarget target, int levels, InternalFormat internalFormat, uint width, uint height, uint depth) =>
+        _module.InvokeVoid("texStorage3D", _ctxId, target.ToString(), levels, internalFormat.ToString(), width, height, depth);
+
+    /// <summary>
+    /// Fetches and decodes an image in the browser (off the main thread where createImageBitmap exists) and uploads it
+    /// directly into <paramref name="tex"/>, without marshalling pixels through .NET. Throws a JSException when loading fails.
+    /// </summary>
+    public ValueTask<TextureSourceInfo> LoadTextureFromUrlAsync(uint tex, string url, TextureUploadOptions? options = null) =>
+        _module.InvokeAsync<TextureSourceInfo>("loadTextureFromUrl", _ctxId, tex, url, options);
+
+    /// <summary>
+    /// Uploads an &lt;img&gt;, &lt;canvas&gt; or &lt;video&gt; element straight into <paramref name="tex"/>.
+    /// </summary>
+    public TextureSourceInfo TexImageFromElement(uint tex, ElementReference element, TextureUploadOptions? options = null) =>
+        _module.Invoke<TextureSourceInfo>("texImageFromSource", _ctxId, tex, element, options);
+
+    /// <summary>
+    /// Binds a video element to <paramref name="tex"/>; <see cref="StartRenderLoop"/>'s loop uploads each new frame before
+    /// calling back, and an on-demand loop is invalidated by new frames. See <see cref="UpdateVideoTextures"/>.
+    /// </summary>
+    public ValueTask<TextureSourceInfo> AttachVideoTextureAsync(uint tex, ElementReference video, TextureUploadOptions? options = null) =>
+        _module.InvokeAsync<TextureSourceInfo>("attachVideoTexture", _ctxId, tex, video, options);
+
+    /// <summary>
+    /// Plays the video at <paramref name="url"/> muted and looped, and binds it to <paramref name="tex"/>.
+    /// </summary>
+    public ValueTask<TextureSourceInfo> AttachVideoTextureAsync(uint tex, string url, TextureUploadOptions? options = null) =>
+        _module.InvokeAsync<TextureSourceInfo>("attachVideoTexture", _ctxId, tex, url, options);
+
+    /// <summary>
+    /// Uploads a new frame for every attached video that has one. Returns the number of textures updated.
+    /// <see cref="StartRenderLoop"/>'s loop does this before each frame; call it once per frame when drawing without it.
+    /// </summary>
+    public int UpdateVideoTextures() => _module.Invoke<int>("updateVideoTextures", _ctxId);
+    public void DetachVideoTexture(uint tex) => _module.InvokeVoid("detachVideoTexture", _ctxId, tex);
+
     public void GenerateMipmap(TextureTarget target) => _module.InvokeVoid("generateMipmap", _ctxId, target.ToString());
 
     public uint CreateFramebuffer() => _module.Invoke<uint>("createFramebuffer", _ctxId);
@@ -85,14 +359,45 @@ public sealed class GL : IAsyncDisposable, IDisposable
     public void FramebufferTexture2D(FramebufferTarget target, FramebufferAttachment attachment, TextureTarget texTarget, uint tex, int level) =>
         _module.InvokeVoid("framebufferTexture2D", _ctxId, target.ToString(), attachment.ToString(), texTarget.ToString(), tex, level);
 
+    public void FramebufferTextureLayer(FramebufferTarget target, FramebufferAttachment attachment, uint tex, int level, int layer) =>
+        _module.InvokeVoid("framebufferTextureLayer", _ctxId, target.ToString(), attachment.ToString(), tex, level, layer);
+
     public uint CreateRenderbuffer() => _module.Invoke<uint>("createRenderbuffer", _ctxId);
     public void BindRenderbuffer(RenderbufferTarget target, uint renderbuffer) => _module.InvokeVoid("bindRenderbuffer", _ctxId, target.ToString(), renderbuffer);
     public void RenderbufferStorage(RenderbufferTarget target, InternalFormat format, uint width, uint height) =>
         _module.InvokeVoid("renderbufferStorage", _ctxId, target.ToString(), format.ToString(), width, height);
+    public void RenderbufferStorageMultisample(RenderbufferTarget target, int samples, InternalFormat format, uint width, uint height) =>
+        _module.InvokeVoid("renderbufferStorageMultisample", _ctxId, target.ToString(), samples, format.ToString(), width, height);
+    public void DrawBuffers(params DrawBufferMode[] buffers) =>
+        _module.InvokeVoid("drawBuffers", _ctxId, buffers.Select(b => b.ToString()).ToArray());
+    public void ReadBuffer(DrawBufferMode source) => _module.InvokeVoid("readBuffer", _ctxId, source.ToString());
+    public void BlitFramebuffer(int srcX0, int srcY0, int srcX1, int srcY1, int dstX0, int dstY0, int dstX1, int dstY1, ClearBufferMask[] masks, BlitFramebufferFilter filter) =>
+        _module.InvokeVoid("blitFramebuffer", _ctxId, srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, masks.Select(m => m.ToString()).ToArray(), filter.ToString());
+    public RenderTargetSupport GetRenderTargetSupport() => _module.Invoke<RenderTargetSupport>("getRenderTargetSupport", _ctxId);
     public void FramebufferRenderbuffer(FramebufferTarget target, FramebufferAttachment attachment, RenderbufferTarget renderbufferTarget, uint renderbuffer) =>
         _module.InvokeVoid("framebufferRenderbuffer", _ctxId, target.ToString(), attachment.ToString(), renderbufferTarget.ToString(), renderbuffer);
     public GLEnum CheckFramebufferStatus(FramebufferTarget target) => _module.Invoke<GLEnum>("checkFramebufferStatus", _ctxId, target.ToString());
 
+    /// <summary>
+    /// Reads pixels from the bound read framebuffer. The result is the raw bytes for the requested type
+    /// (e.g. 4 bytes per float for <see cref="PixelType.Float"/>); reinterpret with MemoryMarshal.Cast when needed.
+    /// </summary>
+    public byte[] ReadPixels(int x, int y, uint width, uint height, PixelFormat format, PixelType type) =>
+        _module.Invoke<byte[]>("readPixels", _ctxId, x, y, width, height, format.ToString(), type.ToString());
+
+    /// <summary>
+    /// Non-blocking <see cref="ReadPixels"/> through a pixel-pack buffer and fence (WebGL2); synchronous on WebGL1.
+    /// </summary>
+    public ValueTask<byte[]> ReadPixelsAsync(int x, int y, uint width, uint height, PixelFormat format, PixelType type) =>
+        _module.InvokeAsync<byte[]>("readPixelsAsync", _ctxId, x, y, width, height, format.ToString(), type.ToString());
+
+    /// <summary>
+    /// Decodes the color-ID (r | g &lt;&lt; 8 | b &lt;&lt; 16) under a canvas position in CSS pixels from a picking framebuffer
+    /// the size of the drawing buffer. Returns 0 for background; with <paramref name="radius"/> the nearest ID in the region wins.
+    /// </summary>
+    public int PickObjectId(uint framebuffer, double canvasX, double canvasY, int radius = 0) =>
+        _module.Invoke<int>("pickObjectId", _ctxId, framebuffer, canvasX, canvasY, radius);
+
     public void DeleteTexture(uint tex) => _module.InvokeVoid("deleteTexture", _ctxId, tex);
     public void DeleteFramebuffer(uint fb) => _module.InvokeVoid("deleteFramebuffer", _ctxId, fb);
     public void DeleteRenderbuffer(uint rb) => _module.InvokeVoid("deleteRenderbuffer", _ctxId, rb);
@@ -106,6 +411,65 @@ public sealed class GL : IAsyncDisposable, IDisposable
         _module.InvokeVoid("drawElementsInstanced", _ctxId, mode.ToString(), count, type.ToString(), offset, instanceCount);
     public void DrawArrays(PrimitiveType mode, int first, uint count) =>
         _module.InvokeVoid("drawArrays", _ctxId, mode.ToString(), first, count);
+    public void DrawArraysInstanced(PrimitiveType mode, int first, uint count, uint instanceCount) =>
+        _module.InvokeVoid("drawArraysInstanced", _ctxId, mode.ToString(), first, count, instanceCount);
+    /// <summary>DrawElements with the range of index values used; a plain DrawElements on WebGL1.</summary>
+    public void DrawRangeElements(PrimitiveType mode, uint start, uint end, uint count, DrawElementsType type, int offset) =>
+        _module.InvokeVoid("drawRangeElements", _ctxId, mode.ToString(), start, end, count, type.ToString(), offset);
+
+    // Multi-draw: one WEBGL_multi_draw call where the extension exists, a loop of draws otherwise.
+    // The arrays must all have one entry per draw.
+    public void MultiDrawArrays(PrimitiveType mode, int[] firsts, int[] counts) =>
+        _module.InvokeVoid("multiDrawArrays", _ctxId, mode.ToString(), firsts, counts);
+    public void MultiDrawArraysInstanced(PrimitiveType mode, int[] firsts, int[] counts, int[] instanceCounts) =>
+        _module.InvokeVoid("multiDrawArraysInstanced", _ctxId, mode.ToString(), firsts, counts, instanceCounts);
+    public void MultiDrawElements(PrimitiveType mode, int[] counts, DrawElementsType type, int[] offsets) =>
+        _module.InvokeVoid("multiDrawElements", _ctxId, mode.ToString(), counts, type.ToString(), offsets);
+    public void MultiDrawElementsInstanced(PrimitiveType mode, int[] counts, DrawElementsType type, int[] offsets, int[] instanceCounts) =>
+        _module.InvokeVoid("multiDrawElementsInstanced", _ctxId, mode.ToString(), counts, type.ToString(), offsets, instanceCounts);
+
+    public uint CreateQuery() => _module.Invoke<uint>("createQuery", _ctxId);
+    public void DeleteQuery(uint query) => _module.InvokeVoid("deleteQuery", _ctxId, query);
+    public void BeginQuery(QueryTarget target, uint query) => _module.InvokeVoid("beginQuery", _ctxId, target.ToString(), query);
+    public void EndQuery(QueryTarget target) => _module.InvokeVoid("endQuery", _ctxId, target.ToString());
+
+    /// <summary>
+    /// Polls a query without stalling; results become available on a later frame.
+    /// </summary>
+    public QueryResult GetQueryResult(uint query) => _module.Invoke<QueryResult>("getQueryResult", _ctxId, query);
+
+    /// <summary>
+    /// Whether EXT_disjoint_timer_query_webgl2 is available for <see cref="BeginTimerScope"/>
+    /// </summary>
+    public bool IsTimerQuerySupported() => _module.Invoke<bool>("isTimerQuerySupported", _ctxId);
+
+    /// <summary>
+    /// Starts timing the GPU work issued until <see cref="EndTimerScope"/>. Scopes cannot nest.
+    /// </summary>
+    public void BeginTimerScope(string label) => _module.InvokeVoid("beginTimerScope", _ctxId, label);
+    public void EndTimerScope() => _module.InvokeVoid("endTimerScope", _ctxId);
+
+    /// <summary>
+    /// Returns the timer scopes whose results have arrived since the last call, in submission order
+    /// </summary>
+    public GpuTimerResult[] CollectTimerResults() => _module.Invoke<GpuTimerResult[]>("collectTimerResults", _ctxId);
+
+    /// <summary>
+    /// Draw, primitive and state-change counters since the last <see cref="ResetStats"/>, plus allocation totals and live handle counts.
+    /// </summary>
+    public GLStats GetStats() => _module.Invoke<GLStats>("getStats", _ctxId);
+    public void ResetStats() => _module.InvokeVoid("resetStats", _ctxId);
+
+    /// <summary>
+    /// Enables a shadow copy of bindings, capabilities and blend/depth/stencil/cull/viewport/scissor/color-mask
+    /// state so calls that change nothing are skipped. Skipped calls are counted in <see cref="GLStats.SkippedStateChanges"/>.
+    /// </summary>
+    public void SetStateCacheEnabled(bool enabled) => _module.InvokeVoid("setStateCacheEnabled", _ctxId, enabled);
+
+    /// <summary>
+    /// Forgets the cached state; call after other JS code has changed GL state on this context.
+    /// </summary>
+    public void InvalidateStateCache() => _module.InvokeVoid("invalidateStateCache", _ctxId);
 
     public void VertexAttribPointer(uint index, int size, VertexAttribPointerType type, bool normalized, int stride, int offset) =>
         _module.InvokeVoid("vertexAttribPointer", _ctxId, index, size, type.ToString(), normalized, stride, offset);
@@ -121,6 +485,19 @@ public sealed class GL : IAsyncDisposable, IDisposable
     public void AttachShader(uint program, uint shader) => _module.InvokeVoid("attachShader", _ctxId, program, shader);
     public void LinkProgram(uint program) => _module.InvokeVoid("linkProgram", _ctxId, program);
     public string GetProgramInfoLog(uint program) => _module.Invoke<string>("getProgramInfoLog", _ctxId, program);
+
+    /// <summary>
+    /// Compiles, links and reflects a program in a single interop call. <paramref name="defines"/> are injected after #version.
+    /// </summary>
+    public ProgramBuildResult CreateProgramFromSources(string vertexSource, string fragmentSource, IReadOnlyDictionary<string, string>? defines = null) =>
+        _module.Invoke<ProgramBuildResult>("createProgramFromSources", _ctxId, vertexSource, fragmentSource, defines);
+
+    /// <summary>
+    /// Like <see cref="CreateProgramFromSources"/>, but completes without blocking when KHR_parallel_shader_compile is available.
+    /// </summary>
+    public ValueTask<ProgramBuildResult> CreateProgramFromSourcesAsync(string vertexSource, string fragmentSource, IReadOnlyDictionary<string, string>? defines = null) =>
+        _module.InvokeAsync<ProgramBuildResult>("createProgramFromSourcesAsync", _ctxId, vertexSource, fragmentSource, defines);
+
     public void DeleteShader(uint shader) => _module.InvokeVoid("deleteShader", _ctxId, shader);
     public void DeleteProgram(uint program) => _module.InvokeVoid("deleteProgram", _ctxId, program);
     public void UseProgram(uint program) => _module.InvokeVoid("useProgram", _ctxId, program);
@@ -132,6 +509,11 @@ public sealed class GL : IAsyncDisposable, IDisposable
         type = result.Type;
         return result.Name;
     }
+    /// <summary>
+    /// -1 when the program has no such uniform. In worker mode the handle is issued before the worker looks, so a
+    /// missing uniform gets one too; it acts as -1 does, and the reflection of
+    /// <see cref="CreateProgramFromSourcesAsync"/> tells which uniforms exist.
+    /// </summary>
     public int GetUniformLocation(uint program, string name) => _module.Invoke<int>("getUniformLocation", _ctxId, program, name);
     public string GetActiveAttrib(uint program, uint index, out int size, out int type)
     {
@@ -141,6 +523,9 @@ public sealed class GL : IAsyncDisposable, IDisposable
         return result.Name;
     }
     public int GetAttribLocation(uint program, string name) => _module.Invoke<int>("getAttribLocation", _ctxId, program, name);
+    public int GetUniformBlockIndex(uint program, string name) => _module.Invoke<int>("getUniformBlockIndex", _ctxId, program, name);
+    public void UniformBlockBinding(uint program, uint blockIndex, uint binding) =>
+        _module.InvokeVoid("uniformBlockBinding", _ctxId, program, blockIndex, binding);
 
     public void Uniform1(int location, int value) => _module.InvokeVoid("uniform1i", _ctxId, location, value);
     public void Uniform1(int location, float value) => _module.InvokeVoid("uniform1f", _ctxId, location, value);
@@ -149,13 +534,69 @@ public sealed class GL : IAsyncDisposable, IDisposable
     public void Uniform4(int location, float x, float y, float z, float w) => _module.InvokeVoid("uniform4f", _ctxId, location, x, y, z, w);
     public void UniformMatrix4(int location, bool transpose, float[] values) =>
         _module.InvokeVoid("uniformMatrix4fv", _ctxId, location, transpose, values);
+    public void Uniform1(int location, float[] values) => _module.InvokeVoid("uniform1fv", _ctxId, location, values);
+    public void Uniform2(int location, float[] values) => _module.InvokeVoid("uniform2fv", _ctxId, location, values);
+    public void Uniform3(int location, float[] values) => _module.InvokeVoid("uniform3fv", _ctxId, location, values);
+    public void Uniform4(int location, float[] values) => _module.InvokeVoid("uniform4fv", _ctxId, location, values);
+    public void Uniform1(int location, int[] values) => _module.InvokeVoid("uniform1iv", _ctxId, location, values);
+    public void Uniform2(int location, int[] values) => _module.InvokeVoid("uniform2iv", _ctxId, location, values);
+    public void Uniform3(int location, int[] values) => _module.InvokeVoid("uniform3iv", _ctxId, location, values);
+    public void Uniform4(int location, int[] values) => _module.InvokeVoid("uniform4iv", _ctxId, location, values);
+    public void Uniform1(int location, uint[] values) => _module.InvokeVoid("uniform1uiv", _ctxId, location, values);
+    public void Uniform2(int location, uint[] values) => _module.InvokeVoid("uniform2uiv", _ctxId, location, values);
+    public void Uniform3(int location, uint[] values) => _module.InvokeVoid("uniform3uiv", _ctxId, location, values);
+    public void Uniform4(int location, uint[] values) => _module.InvokeVoid("uniform4uiv", _ctxId, location, values);
+    public void UniformMatrix2(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix2fv", _ctxId, location, transpose, values);
+    public void UniformMatrix3(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix3fv", _ctxId, location, transpose, values);
+    public void UniformMatrix2x3(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix2x3fv", _ctxId, location, transpose, values);
+    public void UniformMatrix2x4(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix2x4fv", _ctxId, location, transpose, values);
+    public void UniformMatrix3x2(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix3x2fv", _ctxId, location, transpose, values);
+    public void UniformMatrix3x4(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix3x4fv", _ctxId, location, transpose, values);
+    public void UniformMatrix4x2(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix4x2fv", _ctxId, location, transpose, values);
+    public void UniformMatrix4x3(int location, bool transpose, float[] values) =>
+        _module.InvokeVoid("uniformMatrix4x3fv", _ctxId, location, transpose, values);
+
+    /// <summary>
+    /// Makes <paramref name="program"/> current and sets every uniform in <paramref name="layout"/> in one interop call.
+    /// Float, vector and matrix uniforms read from <paramref name="floats"/>; int, bool, sampler and uint uniforms read from <paramref name="ints"/>.
+    /// </summary>
+    public void SetUniforms(uint program, UniformLayoutEntry[] layout, float[]? floats, int[]? ints) =>
+        _module.InvokeVoid("setUniforms", _ctxId, program, layout, floats, ints);
 
     public void DepthMask(bool flag) => _module.InvokeVoid("depthMask", _ctxId, flag);
 
+    /// <summary>
+    /// Symbolic constant name to GL enum value table for this context, used to pre-resolve enums in a <see cref="GLCommandBuffer"/>.
+    /// </summary>
+    public IReadOnlyDictionary<string, int> GetConstants() => _module.Invoke<Dictionary<string, int>>("getConstants", _ctxId);
+
+    /// <summary>
+    /// Runs every command recorded in <paramref name="commands"/> in one interop call and returns the commands that failed.
+    /// Not available in worker mode; use <see cref="SubmitCommandsAsync"/> there.
+    /// </summary>
+    public GLCommandError[] SubmitCommands(GLCommandBuffer commands) =>
+        _module.Invoke<GLCommandError[]>("submitCommands", _ctxId, commands.ToArray());
+
+    /// <summary>
+    /// Like <see cref="SubmitCommands"/>, but the failed commands arrive once the commands have run, which works in worker
+    /// mode too. The commands run in order with the calls made before and after it.
+    /// </summary>
+    public ValueTask<GLCommandError[]> SubmitCommandsAsync(GLCommandBuffer commands) =>
+        _module.InvokeAsync<GLCommandError[]>("submitCommandsAsync", _ctxId, commands.ToArray());
+
     public async ValueTask DisposeAsync()
     {
         if (_disposed) return;
         _disposed = true;
+        _module.InvokeVoid("disposeContext", _ctxId);
+        _dotNetRef?.Dispose();
         await _module.DisposeAsync();
     }
 
@@ -167,3 +608,220 @@ public sealed class GL : IAsyncDisposable, IDisposable
 
     private record ActiveInfo(string Name, int Size, int Type);
 }
+
+/// <summary>
+/// Options for <see cref="GL.CreateAsync"/>
+/// </summary>
+public sealed record GLContextOptions
+{
+    /// <summary>
+    /// Checks gl.getError after every call and rejects unknown or mistyped handles, throwing errors that name
+    /// the export, the GL call and the GL error. Adds a sync point per call, so leave it off in production.
+    /// </summary>
+    public bool Debug { get; init; }
+
+    /// <summary>
+    /// Number of recent GL calls kept for <see cref="GL.GetCallTrace"/> in debug mode
+    /// </summary>
+    public int TraceLength { get; init; } = 64;
+
+    /// <summary>
+    /// Starts a frame capture as soon as the context exists, so resource creation and uploads are recorded
+    /// </summary>
+    public bool Capture { get; init; }
+
+    /// <summary>
+    /// Moves the canvas to a dedicated worker with transferControlToOffscreen and renders there, so heavy frames
+    /// do not block the UI. Calls are batched and sent once per synchronous run; handles are still returned right away.
+    /// Calls that return other values (GetShaderInfoLog, GetProgram, ReadPixels, GetStats, ...) throw, so use
+    /// <see cref="GL.CreateProgramFromSourcesAsync"/> and <see cref="GL.ReadPixelsAsync"/>. Element uploads and
+    /// video textures are unavailable, and so is the Renderer; compile shaders with Shader.CompileAsync. Falls back to
+    /// the main thread where OffscreenCanvas is missing; see <see cref="GL.IsWorker"/>.
+    /// </summary>
+    public bool Worker { get; init; }
+
+    /// <summary>
+    /// Follows the canvas size from creation on; see <see cref="GL.ObserveCanvasSize"/>. Worker mode always does.
+    /// </summary>
+    public bool AutoResize { get; init; }
+
+    /// <summary>
+    /// Upper bound for the device pixel ratio used to size the drawing buffer, e.g. 2 to limit fill cost on
+    /// high-density phones. Null uses the full ratio.
+    /// </summary>
+    public double? MaxPixelRatio { get; init; }
+
+    /// <summary>
+    /// 1 or 2 to create only that WebGL version; null tries WebGL2 first and falls back to WebGL1
+    /// </summary>
+    public int? Version { get; init; }
+
+    // Context attributes; null leaves the browser default. Capabilities.Attributes reports what was granted.
+    public bool? Alpha { get; init; }
+    public bool? Antialias { get; init; }
+    public bool? Depth { get; init; }
+    public bool? Stencil { get; init; }
+    public bool? PremultipliedAlpha { get; init; }
+    public bool? PreserveDrawingBuffer { get; init; }
+    /// <summary>
+    /// Lets the canvas bypass the compositor for lower latency, where the browser supports it
+    /// </summary>
+    public bool? Desynchronized { get; init; }
+    /// <summary>
+    /// Fails creation instead of returning a software-rendered context
+    /// </summary>
+    public bool? FailIfMajorPerformanceCaveat { get; init; }
+    public GLPowerPreference? PowerPreference { get; init; }
+}
+
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum GLPowerPreference
+{
+    Default,
+    LowPower,
+    HighPerformance
+}
+
+/// <summary>
+/// What a context supports, from <see cref="GL.Capabilities"/>. <see cref="CompressedFormats"/> lists texture
+/// families: s3tc, s3tc_srgb, rgtc, bptc, etc, etc1, astc, pvrtc. <see cref="MaxSamples"/> is 0 on WebGL1.
+/// </summary>
+public sealed record GLCapabilities(
+    int Version,
+    GLContextAttributes Attributes,
+    int MaxTextureSize,
+    int MaxCubeMapTextureSize,
+    int MaxRenderbufferSize,
+    int MaxTextureUnits,
+    int MaxCombinedTextureUnits,
+    int MaxVertexAttribs,
+    int MaxVertexUniformVectors,
+    int MaxFragmentUniformVectors,
+    int MaxSamples,
+    string[] Extensions,
+    string[] CompressedFormats);
+
+/// <summary>
+/// Attributes the browser granted, which may differ from the requested ones. PowerPreference uses the WebGL
+/// spelling ("default", "low-power", "high-performance").
+/// </summary>
+public sealed record GLContextAttributes(
+    bool Alpha,
+    bool Antialias,
+    bool Depth,
+    bool Stencil,
+    bool PremultipliedAlpha,
+    bool PreserveDrawingBuffer,
+    bool Desynchronized,
+    bool FailIfMajorPerformanceCaveat,
+    string? PowerPreference);
+
+/// <summary>
+/// Options for <see cref="GL.StartRenderLoop"/>
+/// </summary>
+public sealed record RenderLoopOptions
+{
+    /// <summary>
+    /// Frames per second the loop renders at most; null follows the display's refresh rate
+    /// </summary>
+    public double? MaxFps { get; init; }
+
+    /// <summary>
+    /// Renders once at the start and then only after <see cref="GL.Invalidate"/>, so a viewer idles at no cost
+    /// while nothing changes
+    /// </summary>
+    public bool OnDemand { get; init; }
+
+    public bool PauseWhenHidden { get; init; } = true;
+    public bool PauseWhenOffscreen { get; init; } = true;
+}
+
+/// <summary>
+/// Canvas size reported by <see cref="GL.CanvasResized"/>: CSS pixels and the matching drawing-buffer pixels
+/// </summary>
+public sealed record CanvasSize(double CssWidth, double CssHeight, int PixelWidth, int PixelHeight);
+
+/// <summary>
+/// A recorded call sequence: a JSON manifest of the calls plus the buffer/texture data they uploaded
+/// </summary>
+public sealed record GLCapture(string Manifest, byte[] Data);
+
+public sealed record GLReplayError(int Index, string Fn, string Message);
+
+public sealed record GLReplayResult(int Calls, GLReplayError[] Errors);
+
+/// <summary>
+/// One uniform in a <see cref="GL.SetUniforms"/> layout: its location, GL type (as reported by GetActiveUniform) and array size.
+/// </summary>
+public sealed record UniformLayoutEntry(int Location, int Type, int Size);
+
+/// <summary>
+/// Dimensions of an image or video uploaded from the browser
+/// </summary>
+public sealed record TextureSourceInfo(int Width, int Height);
+
+/// <summary>
+/// How an image/video source is uploaded. Enum-valued members use the same names as <see cref="TextureTarget"/>,
+/// <see cref="InternalFormat"/>, <see cref="PixelFormat"/> and <see cref="PixelType"/>.
+/// </summary>
+public sealed record TextureUploadOptions
+{
+    public string Target { get; init; } = "Texture2D";
+    public int Level { get; init; }
+    public string InternalFormat { get; init; } = "Rgba";
+    public string Format { get; init; } = "Rgba";
+    public string Type { get; init; } = "UnsignedByte";
+    public bool FlipY { get; init; }
+    public bool PremultiplyAlpha { get; init; }
+    public bool GenerateMipmap { get; init; }
+    public string? CrossOrigin { get; init; } = "anonymous";
+
+    /// <summary>
+    /// Fetch mode of <see cref="GL.LoadTextureFromUrlAsync"/>: "cors", or "same-origin" to refuse other origins.
+    /// "no-cors" responses are opaque and cannot be decoded.
+    /// </summary>
+    public string Mode { get; init; } = "cors";
+}
+
+/// <summary>
+/// Render-target features available in a context (MRT, float/half-float color buffers, MSAA, depth textures).
+/// </summary>
+public sealed record RenderTargetSupport(
+    bool DrawBuffers,
+    int MaxDrawBuffers,
+    int MaxSamples,
+    bool ColorBufferFloat,
+    bool ColorBufferHalfFloat,
+    bool FloatTextures,
+    bool HalfFloatTextures,
+    bool FloatLinearFiltering,
+    bool DepthTextures,
+    bool Srgb);
+
+/// <summary>
+/// Result of <see cref="GL.GetQueryResult"/>: 0/1 for occlusion queries, nanoseconds for TimeElapsed.
+/// </summary>
+public sealed record QueryResult(bool Available, long Result);
+
+/// <summary>
+/// GPU time of one labelled timer scope
+/// </summary>
+public sealed record GpuTimerResult(string Label, double Milliseconds);
+
+/// <summary>
+/// Per-frame counters and resource totals kept by the WebGL bridge. Byte counts are estimates from the sizes
+/// passed to bufferData/texImage/texStorage; <see cref="Handles"/> is keyed by resource table name (buffers, textures, ...).
+/// </summary>
+public sealed record GLStats(
+    int DrawCalls,
+    long Instances,
+    long Vertices,
+    long Triangles,
+    long Lines,
+    long Points,
+    IReadOnlyDictionary<string, long> PrimitivesByMode,
+    int StateChanges,
+    int SkippedStateChanges,
+    long BufferBytes,
+    long TextureBytes,
+    IReadOnlyDictionary<string, int> Handles);
@@ -0,0 +1,170 @@
+using System.Buffers.Binary;
+
+namespace BlazorGL.Core.WebGL;
+
+/// <summary>
+/// Packs GL calls into the binary stream consumed by <see cref="GL.SubmitCommands"/>,
+/// so a whole frame can be sent to JS in a single interop call.
+/// </summary>
+public sealed class GLCommandBuffer
+{
+    private readonly IReadOnlyDictionary<string, int> _constants;
+    private byte[] _data = new byte[4096];
+    private int _length;
+
+    /// <summary>
+    /// Creates a command buffer that resolves enum names with the given constant table
+    /// (see <see cref="GL.GetConstants"/>).
+    /// </summary>
+    public GLCommandBuffer(IReadOnlyDictionary<string, int> constants)
+    {
+        _constants = constants;
+    }
+
+    /// <summary>
+    /// Number of commands recorded since the last <see cref="Reset"/>
+    /// </summary>
+    public int Count { get; private set; }
+
+    /// <summary>
+    /// Clears all recorded commands, keeping the allocated storage
+    /// </summary>
+    public void Reset()
+    {
+        _length = 0;
+        Count = 0;
+    }
+
+    /// <summary>
+    /// Returns a copy of the packed command stream
+    /// </summary>
+    public byte[] ToArray() => _data.AsSpan(0, _length).ToArray();
+
+    public void Enable(EnableCap cap) => Op(CommandOp.Enable).Int(Const(cap));
+    public void Disable(EnableCap cap) => Op(CommandOp.Disable).Int(Const(cap));
+    public void CullFace(CullFaceMode mode) => Op(CommandOp.CullFace).Int(Const(mode));
+    public void FrontFace(FrontFaceDirection dir) => Op(CommandOp.FrontFace).Int(Const(dir));
+    public void BlendFunc(BlendingFactor src, BlendingFactor dst) => Op(CommandOp.BlendFunc).Int(Const(src)).Int(Const(dst));
+    public void DepthMask(bool flag) => Op(CommandOp.DepthMask).Int(flag ? 1 : 0);
+    public void Viewport(int x, int y, uint w, uint h) => Op(CommandOp.Viewport).Int(x).Int(y).Int((int)w).Int((int)h);
+    public void ClearColor(float r, float g, float b, float a) => Op(CommandOp.ClearColor).Float(r).Float(g).Float(b).Float(a);
+    public void Clear(params ClearBufferMask[] masks)
+    {
+        int mask = 0;
+        foreach (var m in masks) mask |= Const(m);
+        Op(CommandOp.Clear).Int(mask);
+    }
+
+    public void UseProgram(uint program) => Op(CommandOp.UseProgram).Int((int)program);
+    public void BindVertexArray(uint vao) => Op(CommandOp.BindVertexArray).Int((int)vao);
+    public void BindBuffer(BufferTargetARB target, uint buffer) => Op(CommandOp.BindBuffer).Int(Const(target)).Int((int)buffer);
+    public void BindTexture(TextureTarget target, uint tex) => Op(CommandOp.BindTexture).Int(Const(target)).Int((int)tex);
+    public void ActiveTexture(TextureUnit unit) => Op(CommandOp.ActiveTexture).Int((int)unit);
+    public void BindFramebuffer(FramebufferTarget target, uint framebuffer) => Op(CommandOp.BindFramebuffer).Int(Const(target)).Int((int)framebuffer);
+
+    public void Uniform1(int location, int value) => Op(CommandOp.Uniform1i).Int(location).Int(value);
+    public void Uniform1(int location, float value) => Op(CommandOp.Uniform1f).Int(location).Float(value);
+    public void Uniform2(int location, float x, float y) => Op(CommandOp.Uniform2f).Int(location).Float(x).Float(y);
+    public void Uniform3(int location, float x, float y, float z) => Op(CommandOp.Uniform3f).Int(location).Float(x).Float(y).Float(z);
+    public void Uniform4(int location, float x, float y, float z, float w) => Op(CommandOp.Uniform4f).Int(location).Float(x).Float(y).Float(z).Float(w);
+    public void UniformMatrix4(int location, bool transpose, ReadOnlySpan<float> values)
+    {
+        if (values.Length != 16) throw new ArgumentException("A 4x4 matrix needs exactly 16 values.", nameof(values));
+        Op(CommandOp.UniformMatrix4fv).Int(location).Int(transpose ? 1 : 0);
+        foreach (var v in values) Float(v);
+    }
+
+    public void VertexAttribPointer(uint index, int size, VertexAttribPointerType type, bool normalized, int stride, int offset) =>
+        Op(CommandOp.VertexAttribPointer).Int((int)index).Int(size).Int(Const(type)).Int(normalized ? 1 : 0).Int(stride).Int(offset);
+    public void EnableVertexAttribArray(uint index) => Op(CommandOp.EnableVertexAttribArray).Int((int)index);
+    public void VertexAttribDivisor(uint index, uint divisor) => Op(CommandOp.VertexAttribDivisor).Int((int)index).Int((int)divisor);
+
+    public void DrawArrays(PrimitiveType mode, int first, uint count) =>
+        Op(CommandOp.DrawArrays).Int(Const(mode)).Int(first).Int((int)count);
+    public void DrawElements(PrimitiveType mode, uint count, DrawElementsType type, int offset) =>
+        Op(CommandOp.DrawElements).Int(Const(mode)).Int((int)count).Int(Const(type)).Int(offset);
+    public void DrawElementsInstanced(PrimitiveType mode, uint count, DrawElementsType type, int offset, uint instanceCount) =>
+        Op(CommandOp.DrawElementsInstanced).Int(Const(mode)).Int((int)count).Int(Const(type)).Int(offset).Int((int)instanceCount);
+    public void DrawArraysInstanced(PrimitiveType mode, int first, uint count, uint instanceCount) =>
+        Op(CommandOp.DrawArraysInstanced).Int(Const(mode)).Int(first).Int((int)count).Int((int)instanceCount);
+    public void DrawRangeElements(PrimitiveType mode, uint start, uint end, uint count, DrawElementsType type, int offset) =>
+        Op(CommandOp.DrawRangeElements).Int(Const(mode)).Int((int)start).Int((int)end).Int((int)count).Int(Const(type)).Int(offset);
+
+    private int Const<T>(T name) where T : struct, Enum
+    {
+        var key = name.ToString();
+        if (!_constants.TryGetValue(key, out var value))
+        {
+            throw new InvalidOperationException($"Unknown GL constant '{key}'");
+        }
+        return value;
+    }
+
+    private GLCommandBuffer Op(CommandOp op)
+    {
+        Count++;
+        return Int((int)op);
+    }
+
+    private GLCommandBuffer Int(int value)
+    {
+        BinaryPrimitives.WriteInt32LittleEndian(Reserve(), value);
+        return this;
+    }
+
+    private GLCommandBuffer Float(float value)
+    {
+        BinaryPrimitives.WriteSingleLittleEndian(Reserve(), value);
+        return this;
+    }
+
+    private Span<byte> Reserve()
+    {
+        if (_length + 4 > _data.Length)
+        {
+            Array.Resize(ref _data, _data.Length * 2);
+        }
+        var span = _data.AsSpan(_length, 4);
+        _length += 4;
+        return span;
+    }
+
+    // Must stay in sync with CommandOp in blazorgl.webgl.ts
+    private enum CommandOp
+    {
+        Enable = 1,
+        Disable = 2,
+        CullFace = 3,
+        FrontFace = 4,
+        BlendFunc = 5,
+        DepthMask = 6,
+        Viewport = 7,
+        ClearColor = 8,
+        Clear = 9,
+        UseProgram = 10,
+        BindVertexArray = 11,
+        BindBuffer = 12,
+        BindTexture = 13,
+        ActiveTexture = 14,
+        BindFramebuffer = 15,
+        Uniform1i = 16,
+        Uniform1f = 17,
+        Uniform2f = 18,
+        Uniform3f = 19,
+        Uniform4f = 20,
+        UniformMatrix4fv = 21,
+        VertexAttribPointer = 22,
+        EnableVertexAttribArray = 23,
+        VertexAttribDivisor = 24,
+        DrawArrays = 25,
+        DrawElements = 26,
+        DrawElementsInstanced = 27,
+        DrawArraysInstanced = 28,
+        DrawRangeElements = 29
+    }
+}
+
+/// <summary>
+/// A command from a <see cref="GLCommandBuffer"/> that failed in JS
+/// </summary>
+public sealed record GLCommandError(int Index, int Op, string Message);
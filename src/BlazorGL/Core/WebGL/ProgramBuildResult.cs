@@ -0,0 +1,45 @@
+namespace BlazorGL.Core.WebGL;
+
+/// <summary>
+/// Outcome of <see cref="GL.CreateProgramFromSources"/>: compile/link status, parsed diagnostics and program reflection.
+/// <see cref="Program"/> is 0 when the build failed.
+/// </summary>
+public sealed record ProgramBuildResult(
+    uint Program,
+    bool VertexCompiled,
+    bool FragmentCompiled,
+    bool Linked,
+    ShaderDiagnostic[] Diagnostics,
+    string VertexLog,
+    string FragmentLog,
+    string ProgramLog,
+    ActiveVariable[] Attributes,
+    UniformReflection[] Uniforms,
+    UniformBlockReflection[] UniformBlocks,
+    ActiveVariable[] Samplers)
+{
+    public bool Success => Linked && Program != 0;
+}
+
+/// <summary>
+/// A compiler or linker message. <see cref="Line"/> refers to the original source (before injected defines)
+/// and is null when the driver gave no line or the message points into an injected #define.
+/// </summary>
+/// <param name="Stage">"vertex", "fragment" or "link"</param>
+/// <param name="Severity">"error" or "warning"</param>
+public sealed record ShaderDiagnostic(string Stage, int? Line, string Severity, string Message);
+
+/// <summary>
+/// An active attribute or sampler with its resolved location (-1 when it has none)
+/// </summary>
+public sealed record ActiveVariable(string Name, int Size, int Type, int Location);
+
+/// <summary>
+/// An active uniform. Members of a uniform block have Location -1 and a BlockIndex/Offset into the block.
+/// </summary>
+public sealed record UniformReflection(string Name, int Size, int Type, int Location, int BlockIndex, int Offset);
+
+/// <summary>
+/// An active uniform block (WebGL2 only)
+/// </summary>
+public sealed record UniformBlockReflection(string Name, int Index, int DataSize, int Binding, int[] UniformIndices);
@@ -10,7 +10,12 @@ public enum EnableCap
     CullFace,
     Blend,
     PolygonOffsetFill,
-    StencilTest
+    StencilTest,
+    RasterizerDiscard,
+    ScissorTest,
+    SampleAlphaToCoverage,
+    SampleCoverage,
+    Dither
 }
 
 public enum CullFaceMode
@@ -22,7 +27,8 @@ public enum CullFaceMode
 
 public enum FrontFaceDirection
 {
-    Ccw
+    Ccw,
+    Cw
 }
 
 public enum BlendingFactor
@@ -65,6 +71,25 @@ public enum StencilFunction
     Always
 }
 
+public enum StencilFaceDirection
+{
+    Front,
+    Back,
+    FrontAndBack
+}
+
+public enum DepthFunction
+{
+    Never,
+    Less,
+    Equal,
+    LessEqual,
+    Greater,
+    NotEqual,
+    GreaterEqual,
+    Always
+}
+
 public enum StencilOperation
 {
     Keep,
@@ -87,18 +112,51 @@ public enum ClearBufferMask
 public enum BufferTargetARB
 {
     ArrayBuffer,
-    ElementArrayBuffer
+    ElementArrayBuffer,
+    UniformBuffer,
+    CopyReadBuffer,
+    CopyWriteBuffer,
+    TransformFeedbackBuffer,
+    PixelPackBuffer,
+    PixelUnpackBuffer
 }
 
 public enum BufferUsageARB
 {
     StaticDraw,
-    DynamicDraw
+    DynamicDraw,
+    StreamDraw,
+    StaticRead,
+    DynamicRead,
+    StreamRead,
+    StaticCopy,
+    DynamicCopy,
+    StreamCopy
+}
+
+public enum TransformFeedbackTarget
+{
+    TransformFeedback
+}
+
+public enum TransformFeedbackBufferMode
+{
+    InterleavedAttribs,
+    SeparateAttribs
 }
 
 public enum TextureTarget
 {
-    Texture2D
+    Texture2D,
+    TextureCubeMap,
+    TextureCubeMapPositiveX,
+    TextureCubeMapNegativeX,
+    TextureCubeMapPositiveY,
+    TextureCubeMapNegativeY,
+    TextureCubeMapPositiveZ,
+    TextureCubeMapNegativeZ,
+    Texture3D,
+    Texture2DArray
 }
 
 public enum TextureUnit
@@ -111,34 +169,146 @@ public enum TextureParameterName
     TextureWrapS,
     TextureWrapT,
     TextureMinFilter,
-    TextureMagFilter
+    TextureMagFilter,
+    TextureWrapR,
+    TextureBaseLevel,
+    TextureMaxLevel,
+    TextureMinLod,
+    TextureMaxLod,
+    TextureCompareMode,
+    TextureCompareFunc,
+    TextureMaxAnisotropy
+}
+
+public enum PixelStoreParameter
+{
+    UnpackFlipY,
+    UnpackPremultiplyAlpha,
+    UnpackColorspaceConversion,
+    UnpackAlignment,
+    PackAlignment,
+    UnpackRowLength,
+    UnpackImageHeight,
+    UnpackSkipPixels,
+    UnpackSkipRows,
+    UnpackSkipImages
 }
 
 public enum InternalFormat
 {
     Rgba,
-    DepthComponent16
+    Rgb,
+    DepthComponent,
+    DepthStencil,
+    DepthComponent16,
+    DepthComponent24,
+    DepthComponent32F,
+    Depth24Stencil8,
+    Depth32FStencil8,
+    StencilIndex8,
+    Rgba8,
+    Rgb8,
+    Rg8,
+    R8,
+    Rgba4,
+    Rgb565,
+    Rgba16F,
+    Rgba32F,
+    Rg16F,
+    Rg32F,
+    R16F,
+    R32F,
+    R11FG11FB10F,
+    Srgb8Alpha8
 }
 
 public enum PixelFormat
 {
-    Rgba
+    Rgba,
+    Rgb,
+    Rg,
+    Red,
+    Alpha,
+    RgbaInteger,
+    RgInteger,
+    RedInteger,
+    DepthComponent,
+    DepthStencil
 }
 
 public enum PixelType
 {
-    UnsignedByte
+    UnsignedByte,
+    UnsignedShort,
+    UnsignedShort565,
+    UnsignedInt,
+    Int,
+    Float,
+    HalfFloat,
+    UnsignedInt248,
+    Float32UnsignedInt248Rev,
+    UnsignedInt10F11F11FRev
 }
 
 public enum FramebufferTarget
 {
-    Framebuffer
+    Framebuffer,
+    ReadFramebuffer,
+    DrawFramebuffer
 }
 
 public enum FramebufferAttachment
 {
     ColorAttachment0,
-    DepthAttachment
+    ColorAttachment1,
+    ColorAttachment2,
+    ColorAttachment3,
+    ColorAttachment4,
+    ColorAttachment5,
+    ColorAttachment6,
+    ColorAttachment7,
+    ColorAttachment8,
+    ColorAttachment9,
+    ColorAttachment10,
+    ColorAttachment11,
+    ColorAttachment12,
+    ColorAttachment13,
+    ColorAttachment14,
+    ColorAttachment15,
+    DepthAttachment,
+    StencilAttachment,
+    DepthStencilAttachment
+}
+
+/// <summary>
+/// Color outputs selectable with DrawBuffers/ReadBuffer
+/// </summary>
+public enum DrawBufferMode
+{
+    None,
+    Back,
+    ColorAttachment0,
+    ColorAttachment1,
+    ColorAttachment2,
+    ColorAttachment3,
+    ColorAttachment4,
+    ColorAttachment5,
+    ColorAttachment6,
+    ColorAttachment7,
+    ColorAttachment8,
+    ColorAttachment9,
+    ColorAttachment10,
+    ColorAttachment11,
+    ColorAttachment12,
+    ColorAttachment13,
+    ColorAttachment14,
+    ColorAttachment15
+}
+
+public enum BlitFramebufferFilter
+{
+    Nearest,
+    Linear
 }
 
 public enum RenderbufferTarget
@@ -146,9 +316,18 @@ public enum RenderbufferTarget
     Renderbuffer
 }
 
+public enum QueryTarget
+{
+    AnySamplesPassed,
+    AnySamplesPassedConservative,
+    TimeElapsed
+}
+
 public enum PrimitiveType
 {
     Triangles,
+    TriangleStrip,
+    TriangleFan,
     LineStrip,
     Lines,
     LineLoop,
@@ -157,7 +336,10 @@ public enum PrimitiveType
 
 public enum DrawElementsType
 {
-    UnsignedInt
+    /// <summary>32-bit indices; WebGL1 needs OES_element_index_uint for these.</summary>
+    UnsignedInt,
+    UnsignedShort,
+    UnsignedByte
 }
 
 public enum VertexAttribPointerType
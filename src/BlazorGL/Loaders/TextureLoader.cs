@@ -1,4 +1,5 @@
 using BlazorGL.Core.Textures;
+using BlazorGL.Core.WebGL;
 using SixLabors.ImageSharp;
 using SixLabors.ImageSharp.PixelFormats;
 using SixLabors.ImageSharp.Processing;
@@ -32,6 +33,51 @@ public static class TextureLoader
         return texture;
     }
 
+    /// <summary>
+    /// Plays the video at <paramref name="url"/> muted and looped into a new texture of <paramref name="gl"/>'s context.
+    /// The frames never pass through .NET: the render loop (<see cref="GL.StartRenderLoop"/>) uploads each new one.
+    /// Not available in worker mode. Deleting the texture stops the video.
+    /// </summary>
+    public static async Task<Texture> LoadVideoAsync(GL gl, string url, TextureUploadOptions? options = null)
+    {
+        if (string.IsNullOrEmpty(url))
+            throw new ArgumentException("URL cannot be null or empty", nameof(url));
+        if (gl == null)
+            throw new ArgumentNullException(nameof(gl));
+
+        uint textureId = gl.CreateTexture();
+        try
+        {
+            var size = await gl.AttachVideoTextureAsync(textureId, url, options);
+
+            // Video frames have no mipmaps and are rarely a power of two in size
+            var texture = new Texture
+            {
+                Name = Path.GetFileName(url),
+                Width = size.Width,
+                Height = size.Height,
+                WrapS = TextureWrapMode.ClampToEdge,
+                WrapT = TextureWrapMode.ClampToEdge,
+                MinFilter = TextureMinFilter.Linear,
+                GenerateMipmaps = false,
+                NeedsUpdate = false,
+                TextureId = textureId
+            };
+            gl.BindTexture(TextureTarget.Texture2D, textureId);
+            gl.TexParameterI(TextureTarget.Texture2D, TextureParameterName.TextureWrapS, texture.WrapS.ToString());
+            gl.TexParameterI(TextureTarget.Texture2D, TextureParameterName.TextureWrapT, texture.WrapT.ToString());
+            gl.TexParameterI(TextureTarget.Texture2D, TextureParameterName.TextureMinFilter, texture.MinFilter.ToString());
+            gl.TexParameterI(TextureTarget.Texture2D, TextureParameterName.TextureMagFilter, texture.MagFilter.ToString());
+            gl.BindTexture(TextureTarget.Texture2D, 0);
+            return texture;
+        }
+        catch
+        {
+            gl.DeleteTexture(textureId);
+            throw;
+        }
+    }
+
     /// <summary>
     /// Loads a texture from byte array
     /// </summary>
@@ -1,31 +1,48 @@
 using BlazorGL.Core.Textures;
+using BlazorGL.Core.WebGL;
 using Microsoft.JSInterop;
 
 namespace BlazorGL.Loaders.Textures;
 
 /// <summary>
 /// Loader for KTX2 texture container format with Basis Universal supercompression
-/// Supports UASTC and ETC1S transcoding to GPU-native formats
+/// Supports UASTC and ETC1S transcoding to GPU-native formats, and plain formats
+/// (RGBA8, RGBA16F, BC7, ...) with or without Zstandard/ZLIB supercompression
 /// </summary>
 public class KTX2Loader : IAsyncDisposable
 {
     private readonly IJSRuntime _jsRuntime;
     private readonly HttpClient _httpClient;
+    private readonly string? _transcoderPath;
+    private readonly int? _workers;
+    private readonly int? _maxConcurrent;
     private IJSObjectReference? _module;
     private bool _isInitialized = false;
 
     /// <summary>
-    /// Create KTX2 loader
+    /// Create KTX2 loader. <paramref name="transcoderPath"/> is the folder, relative to the page, that serves
+    /// basis_transcoder.js and basis_transcoder.wasm from the Basis Universal release; null uses _content/BlazorGL/basis/.
+    /// <paramref name="workers"/> is how many Web Workers transcode off the main thread, each with its own transcoder;
+    /// null picks one less than the CPU cores (at most 4) and 0 transcodes on the main thread.
+    /// <paramref name="maxConcurrent"/> caps how many textures are transcoded at once; null allows one per worker.
     /// </summary>
-    public KTX2Loader(IJSRuntime jsRuntime, HttpClient httpClient)
+    public KTX2Loader(IJSRuntime jsRuntime, HttpClient httpClient, string? transcoderPath = null,
+        int? workers = null, int? maxConcurrent = null)
     {
         _jsRuntime = jsRuntime ?? throw new ArgumentNullException(nameof(jsRuntime));
         _httpClient = httpClient ?? throw new ArgumentNullException(nameof(httpClient));
+        if (workers < 0)
+            throw new ArgumentOutOfRangeException(nameof(workers), "Worker count cannot be negative");
+        if (maxConcurrent < 1)
+            throw new ArgumentOutOfRangeException(nameof(maxConcurrent), "At least one transcode must be allowed at a time");
+        _transcoderPath = transcoderPath;
+        _workers = workers;
+        _maxConcurrent = maxConcurrent;
     }
 
     /// <summary>
     /// Initialize the Basis Universal transcoder
-    /// Must be called before loading any textures
+    /// Must be called before loading Basis Universal (UASTC/ETC1S) textures
     /// </summary>
     public async Task InitializeAsync()
     {
@@ -34,10 +51,13 @@ public class KTX2Loader : IAsyncDisposable
 
         try
         {
-            _module = await _jsRuntime.InvokeAsync<IJSObjectReference>(
-                "import", "./_content/BlazorGL.Loaders/blazorgl.ktx2.js");
-
-            await _module.InvokeVoidAsync("initialize");
+            var module = await GetModuleAsync();
+            await module.InvokeVoidAsync("initialize", new
+            {
+                transcoderPath = _transcoderPath,
+                workers = _workers,
+                maxConcurrent = _maxConcurrent
+            });
             _isInitialized = true;
         }
         catch (Exception ex)
@@ -47,35 +67,155 @@ public class KTX2Loader : IAsyncDisposable
         }
     }
 
+    private async Task<IJSObjectReference> GetModuleAsync()
+    {
+        return _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>(
+            "import", "./_content/BlazorGL/blazorgl.ktx2.js");
+    }
+
     /// <summary>
-    /// Load KTX2 texture from URL
+    /// Load KTX2 texture from URL into .NET memory. Basis Universal files are transcoded and need InitializeAsync first;
+    /// with no context to ask, they are transcoded to uncompressed RGBA32 (RGB565 when opaque), so prefer
+    /// <see cref="LoadAsync(string, GL, CancellationToken)"/>. Files in a plain format are used as stored and need no
+    /// transcoder. Cancelling <paramref name="cancellationToken"/> abandons the download, or stops the transcode in
+    /// JavaScript and frees its worker.
     /// </summary>
-    public async Task<CompressedTexture> LoadAsync(string url)
+    public async Task<CompressedTexture> LoadAsync(string url, CancellationToken cancellationToken = default)
     {
+        if (string.IsNullOrEmpty(url))
+            throw new ArgumentException("URL cannot be null or empty", nameof(url));
+
+        var module = await GetModuleAsync();
+
+        // Download KTX2 file
+        byte[] data = await _httpClient.GetByteArrayAsync(url, cancellationToken);
+
+        // Parse KTX2 container in JavaScript (better performance for binary parsing)
+        var containerInfo = await module.InvokeAsync<KTX2ContainerInfo>("parseKTX2", data);
+
+        if (containerInfo.VkFormat != 0)
+            return await LoadPlainAsync(module, data, containerInfo, url, cancellationToken);
+
         if (!_isInitialized)
             throw new InvalidOperationException("KTX2Loader not initialized. Call InitializeAsync first.");
 
+        // Every GPU can sample these; the compressed targets depend on the context
+        var targetFormat = containerInfo.HasAlpha ? GPUTextureFormat.RGBA32 : GPUTextureFormat.RGB565;
+
+        // Transcode to target format in JavaScript, on a worker when the pool has them
+        var transcodedData = await RunJobAsync<List<TranscodedMipmap>>(
+            module, "transcode", cancellationToken, data, targetFormat.ToString());
+
+        return CreateTexture(transcodedData, MapToCompressedFormat(targetFormat), containerInfo, url);
+    }
+
+    /// <summary>
+    /// Load KTX2 texture from URL straight onto the GPU of <paramref name="gl"/>'s context. Basis Universal files are
+    /// transcoded to the best compressed format that context supports and need InitializeAsync first; plain formats
+    /// are uploaded as stored. JavaScript uploads every level itself, so the texture data never reaches .NET: the
+    /// returned texture has its TextureId set and no mipmaps. Cancelling <paramref name="cancellationToken"/>
+    /// abandons the download or the transcode, and deletes the texture.
+    /// </summary>
+    public async Task<CompressedTexture> LoadAsync(string url, GL gl, CancellationToken cancellationToken = default)
+    {
         if (string.IsNullOrEmpty(url))
             throw new ArgumentException("URL cannot be null or empty", nameof(url));
+        if (gl == null)
+            throw new ArgumentNullException(nameof(gl));
 
-        if (_module == null)
-            throw new InvalidOperationException("JavaScript module not loaded");
+        var module = await GetModuleAsync();
+        byte[] data = await _httpClient.GetByteArrayAsync(url, cancellationToken);
 
-        // Download KTX2 file
-        byte[] data = await _httpClient.GetByteArrayAsync(url);
+        uint textureId = gl.CreateTexture();
+        try
+        {
+            var upload = await RunJobAsync<KTX2UploadInfo>(
+                module, "uploadTexture", cancellationToken, gl.Module, gl.ContextId, textureId, data);
 
-        // Parse KTX2 container in JavaScript (better performance for binary parsing)
-        var containerInfo = await _module.InvokeAsync<KTX2ContainerInfo>("parseKTX2", data);
+            var format = upload.TranscodeTarget != null
+                ? MapToCompressedFormat(Enum.Parse<GPUTextureFormat>(upload.TranscodeTarget))
+                : MapVkFormat(upload.VkFormat);
+            var texture = new CompressedTexture(new List<MipmapData>(), format)
+            {
+                // What JavaScript actually uploaded, e.g. an sRGB variant or a format CompressionFormat cannot name
+                InternalFormatName = upload.InternalFormat,
+                Width = upload.Width,
+                Height = upload.Height,
+                IsCubemap = upload.Cubemap,
+                // A single level cannot be sampled with a mipmap filter
+                MinFilter = upload.Levels > 1 ? TextureMinFilter.LinearMipmapLinear : TextureMinFilter.Linear,
+                NeedsUpdate = false,
+                Name = Path.GetFileName(url),
+                TextureId = textureId
+            };
+            ApplySampling(gl, texture);
+            return texture;
+        }
+        catch
+        {
+            gl.DeleteTexture(textureId);
+            throw;
+        }
+    }
 
-        // Detect best GPU format for this device
-        var targetFormat = await DetectBestFormatAsync();
+    /// <summary>
+    /// Set wrap and filter modes on an uploaded texture; RenderContext only does so for textures it uploads itself
+    /// </summary>
+    private static void ApplySampling(GL gl, CompressedTexture texture)
+    {
+        var target = texture.IsCubemap ? TextureTarget.TextureCubeMap : TextureTarget.Texture2D;
+        gl.BindTexture(target, texture.TextureId);
+        gl.TexParameterI(target, TextureParameterName.TextureWrapS, texture.WrapS.ToString());
+        gl.TexParameterI(target, TextureParameterName.TextureWrapT, texture.WrapT.ToString());
+        gl.TexParameterI(target, TextureParameterName.TextureMinFilter, texture.MinFilter.ToString());
+        gl.TexParameterI(target, TextureParameterName.TextureMagFilter, texture.MagFilter.ToString());
+        gl.BindTexture(target, 0);
+    }
+
+    /// <summary>
+    /// Read a plain-format file's levels as stored; JavaScript undoes Zstandard or ZLIB supercompression
+    /// </summary>
+    private async Task<CompressedTexture> LoadPlainAsync(IJSObjectReference module, byte[] data,
+        KTX2ContainerInfo containerInfo, string url, CancellationToken cancellationToken)
+    {
+        var levels = await RunJobAsync<KTX2LevelData>(module, "readLevels", cancellationToken, data);
+        var texture = CreateTexture(levels.Mipmaps, MapVkFormat(levels.VkFormat), containerInfo, url);
+        texture.InternalFormatName = levels.InternalFormat;
+        texture.PixelFormatName = levels.Format;
+        texture.PixelTypeName = levels.Type;
+        return texture;
+    }
 
-        // Transcode to target format in JavaScript
-        var transcodedData = await _module.InvokeAsync<List<TranscodedMipmap>>(
-            "transcode", data, targetFormat);
+    /// <summary>
+    /// Call a JavaScript transcode or readLevels job under a job id, so a cancelled token can stop it there too
+    /// </summary>
+    private static async Task<T> RunJobAsync<T>(
+        IJSObjectReference module, string identifier, CancellationToken cancellationToken, params object[] args)
+    {
+        cancellationToken.ThrowIfCancellationRequested();
 
-        // Convert to MipmapData
-        var mipmaps = transcodedData.Select(m => new MipmapData
+        var jobId = Guid.NewGuid().ToString("N");
+        await using var registration = cancellationToken.Register(() => _ = CancelJobAsync(module, jobId));
+        return await module.InvokeAsync<T>(identifier, cancellationToken, args.Append(jobId).ToArray());
+    }
+
+    private static async Task CancelJobAsync(IJSObjectReference module, string jobId)
+    {
+        try
+        {
+            await module.InvokeAsync<bool>("cancel", jobId);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+            // The job finished or the circuit went away; nothing is left to stop
+        }
+    }
+
+    private static CompressedTexture CreateTexture(
+        List<TranscodedMipmap> images, CompressedTextureFormat format, KTX2ContainerInfo containerInfo, string url)
+    {
+        // Convert to MipmapData; CompressedTexture holds one 2D chain, so only layer 0, face 0 is kept
+        var mipmaps = images.Where(m => m.Layer == 0 && m.Face == 0).Select(m => new MipmapData
         {
             Data = m.Data,
             Width = m.Width,
@@ -84,7 +224,7 @@ public class KTX2Loader : IAsyncDisposable
         }).ToList();
 
         // Create compressed texture
-        var texture = new CompressedTexture(mipmaps, MapToCompressedFormat(targetFormat))
+        var texture = new CompressedTexture(mipmaps, format)
         {
             Width = containerInfo.Width,
             Height = containerInfo.Height,
@@ -95,37 +235,45 @@ public class KTX2Loader : IAsyncDisposable
         return texture;
     }
 
-    private async Task<GPUTextureFormat> DetectBestFormatAsync()
+    /// <summary>
+    /// The CompressedTextureFormat for a plain vkFormat; the KTX2 values are VK_FORMAT_* numbers. Formats without a
+    /// member, e.g. the sRGB variants, map to Other and are uploaded by the internal format JavaScript reports
+    /// </summary>
+    private static CompressedTextureFormat MapVkFormat(int vkFormat)
     {
-        if (_module == null)
-            throw new InvalidOperationException("JavaScript module not loaded");
-
-        // Query WebGL extensions via JavaScript
-        var capabilities = await _module.InvokeAsync<TextureCapabilities>("getCapabilities");
-
-        // Prefer in order: ASTC > BC7 > ETC2 > PVRTC > RGB565
-        if (capabilities.ASTC)
-            return GPUTextureFormat.ASTC_4x4;
-
-        if (capabilities.BC7)
-            return GPUTextureFormat.BC7_RGBA;
-
-        if (capabilities.ETC2)
-            return GPUTextureFormat.ETC2_RGBA8;
-
-        if (capabilities.PVRTC)
-            return GPUTextureFormat.PVRTC_RGBA_4BPP;
-
-        // Fallback to uncompressed
-        return GPUTextureFormat.RGB565;
+        return vkFormat switch
+        {
+            4 => CompressedTextureFormat.RGB565,      // R5G6B5_UNORM_PACK16
+            37 => CompressedTextureFormat.RGBA32,     // R8G8B8A8_UNORM
+            97 => CompressedTextureFormat.RGBA16F,    // R16G16B16A16_SFLOAT
+            131 => CompressedTextureFormat.BC1,       // BC1_RGB_UNORM_BLOCK
+            135 => CompressedTextureFormat.BC2,       // BC2_UNORM_BLOCK
+            137 => CompressedTextureFormat.BC3,       // BC3_UNORM_BLOCK
+            139 => CompressedTextureFormat.BC4,       // BC4_UNORM_BLOCK
+            141 => CompressedTextureFormat.BC5,       // BC5_UNORM_BLOCK
+            143 => CompressedTextureFormat.BC6H,      // BC6H_UFLOAT_BLOCK
+            145 => CompressedTextureFormat.BC7,       // BC7_UNORM_BLOCK
+            147 => CompressedTextureFormat.ETC2_RGB,  // ETC2_R8G8B8_UNORM_BLOCK
+            151 => CompressedTextureFormat.ETC2_RGBA, // ETC2_R8G8B8A8_UNORM_BLOCK
+            157 => CompressedTextureFormat.ASTC_4x4,  // ASTC_4x4_UNORM_BLOCK
+            165 => CompressedTextureFormat.ASTC_6x6,  // ASTC_6x6_UNORM_BLOCK
+            171 => CompressedTextureFormat.ASTC_8x8,  // ASTC_8x8_UNORM_BLOCK
+            1000054000 => CompressedTextureFormat.PVRTC_RGBA_2BPP,
+            1000054001 => CompressedTextureFormat.PVRTC_RGBA_4BPP,
+            _ => CompressedTextureFormat.Other
+        };
     }
 
-    private CompressedTextureFormat MapToCompressedFormat(GPUTextureFormat gpuFormat)
+    private static CompressedTextureFormat MapToCompressedFormat(GPUTextureFormat gpuFormat)
     {
         return gpuFormat switch
         {
             GPUTextureFormat.ASTC_4x4 => CompressedTextureFormat.ASTC_4x4,
             GPUTextureFormat.BC7_RGBA => CompressedTextureFormat.BC7,
+            GPUTextureFormat.BC3_RGBA => CompressedTextureFormat.BC3,
+            GPUTextureFormat.BC1_RGB => CompressedTextureFormat.BC1,
+            GPUTextureFormat.ETC1_RGB => CompressedTextureFormat.ETC1,
+            GPUTextureFormat.RGBA32 => CompressedTextureFormat.RGBA32,
             GPUTextureFormat.ETC2_RGBA8 => CompressedTextureFormat.ETC2_RGBA,
             GPUTextureFormat.PVRTC_RGBA_4BPP => CompressedTextureFormat.PVRTC_RGBA_4BPP,
             GPUTextureFormat.RGB565 => CompressedTextureFormat.RGB565,
@@ -137,6 +285,18 @@ public class KTX2Loader : IAsyncDisposable
     {
         if (_module != null)
         {
+            if (_isInitialized)
+            {
+                try
+                {
+                    // Stops the transcoding workers once no other loader still uses them
+                    await _module.InvokeVoidAsync("dispose");
+                }
+                catch (JSDisconnectedException)
+                {
+                    // The page is gone and its workers with it
+                }
+            }
             await _module.DisposeAsync();
             _module = null;
         }
@@ -154,19 +314,74 @@ public class KTX2ContainerInfo
     public int Height { get; set; }
     public int Levels { get; set; }
     public bool IsUASTC { get; set; }
+    public bool IsETC1S { get; set; }
     public bool HasAlpha { get; set; }
     public bool IsSRGB { get; set; }
+
+    /// <summary>
+    /// Vulkan format of the level data; 0 (undefined) for Basis Universal files
+    /// </summary>
+    public int VkFormat { get; set; }
+    public int Depth { get; set; }
+    public int LayerCount { get; set; }
+    public int FaceCount { get; set; }
+
+    /// <summary>
+    /// 0 none, 1 BasisLZ, 2 Zstandard, 3 ZLIB
+    /// </summary>
+    public int SupercompressionScheme { get; set; }
+
+    /// <summary>
+    /// KTXorientation, e.g. "rd" for x to the right and y down; null when the file does not say
+    /// </summary>
+    public string? Orientation { get; set; }
+
+    /// <summary>
+    /// KTXswizzle, e.g. "rgb1"; null when the file does not say
+    /// </summary>
+    public string? Swizzle { get; set; }
+
+    public List<KTX2LevelInfo> LevelIndex { get; set; } = new();
+}
+
+/// <summary>
+/// Where one mip level is stored in a KTX2 file
+/// </summary>
+public class KTX2LevelInfo
+{
+    public int Level { get; set; }
+    public long ByteOffset { get; set; }
+    public long ByteLength { get; set; }
+    public long UncompressedByteLength { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
 }
 
 /// <summary>
-/// GPU texture format capabilities
+/// What JavaScript uploadTexture put on the GPU
 /// </summary>
-public class TextureCapabilities
+public class KTX2UploadInfo
 {
-    public bool ASTC { get; set; }
-    public bool BC7 { get; set; }
-    public bool ETC2 { get; set; }
-    public bool PVRTC { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
+    public int Levels { get; set; }
+    public bool Cubemap { get; set; }
+
+    /// <summary>
+    /// Vulkan format of the file; 0 for Basis Universal files
+    /// </summary>
+    public int VkFormat { get; set; }
+
+    /// <summary>
+    /// WebGL internal format name the levels were uploaded with, e.g. "COMPRESSED_RGBA_ASTC_4x4_KHR" or "RGBA16F"
+    /// </summary>
+    public string InternalFormat { get; set; } = string.Empty;
+    public bool Compressed { get; set; }
+
+    /// <summary>
+    /// GPUTextureFormat name a Basis Universal file was transcoded to; null for plain formats
+    /// </summary>
+    public string? TranscodeTarget { get; set; }
 }
 
 /// <summary>
@@ -178,7 +393,37 @@ public enum GPUTextureFormat
     BC7_RGBA,
     ETC2_RGBA8,
     PVRTC_RGBA_4BPP,
-    RGB565
+    RGB565,
+    BC3_RGBA,
+    BC1_RGB,
+    ETC1_RGB,
+    RGBA32
+}
+
+/// <summary>
+/// Levels of a plain-format KTX2 file, read by JavaScript readLevels
+/// </summary>
+public class KTX2LevelData
+{
+    public int VkFormat { get; set; }
+
+    /// <summary>
+    /// WebGL 2 internal format name, e.g. "RGBA16F" or "COMPRESSED_RGBA_BPTC_UNORM_EXT"
+    /// </summary>
+    public string InternalFormat { get; set; } = string.Empty;
+
+    /// <summary>
+    /// WebGL format and type names for uncompressed data; null for block-compressed formats
+    /// </summary>
+    public string? Format { get; set; }
+    public string? Type { get; set; }
+    public bool Compressed { get; set; }
+
+    /// <summary>
+    /// WebGL extension the compressed format needs; null for uncompressed formats
+    /// </summary>
+    public string? Extension { get; set; }
+    public List<TranscodedMipmap> Mipmaps { get; set; } = new();
 }
 
 /// <summary>
@@ -190,4 +435,6 @@ public class TranscodedMipmap
     public int Width { get; set; }
     public int Height { get; set; }
     public int Level { get; set; }
+    public int Layer { get; set; }
+    public int Face { get; set; }
 }
@@ -0,0 +1,107 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { initOrbitControls, disposeOrbitControls } from "../wwwroot/blazorgl.controls.js";
+import {
+  initTrackballControls,
+  disposeTrackballControls,
+  initDragControls,
+  disposeDragControls
+} from "../wwwroot/blazorgl.controls.extended.js";
+
+const elements = new Map();
+globalThis.document = { getElementById: (id) => elements.get(id) ?? null };
+
+function createElement(id) {
+  const element = new EventTarget();
+  element.captured = new Set();
+  element.setPointerCapture = (pointerId) => element.captured.add(pointerId);
+  element.releasePointerCapture = (pointerId) => element.captured.delete(pointerId);
+  element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+  elements.set(id, element);
+  return element;
+}
+
+function createDotNetRef() {
+  const calls = [];
+  return { calls, invokeMethodAsync: (name, ...args) => calls.push([name, ...args]) };
+}
+
+function pointer(element, type, init) {
+  const event = new Event(type, { cancelable: true });
+  const position = { clientX: init.x ?? 0, clientY: init.y ?? 0, pageX: init.x ?? 0, pageY: init.y ?? 0 };
+  Object.assign(event, { pointerId: 1, pointerType: "mouse", button: 0, deltaX: 0, deltaY: 0, ...position, ...init });
+  element.dispatchEvent(event);
+  return event;
+}
+
+beforeEach(() => elements.clear());
+
+test("orbit controls rotate with the left mouse button and pan with the right", () => {
+  const element = createElement("orbit");
+  const dotNet = createDotNetRef();
+  initOrbitControls("orbit", dotNet);
+
+  pointer(element, "pointerdown", { x: 10, y: 10 });
+  pointer(element, "pointermove", { x: 30, y: 0 });
+  pointer(element, "pointerup", { x: 30, y: 0 });
+  pointer(element, "pointerdown", { x: 0, y: 0, button: 2 });
+  pointer(element, "pointermove", { x: 5, y: 5, button: 2 });
+  pointer(element, "pointerup", { x: 5, y: 5, button: 2 });
+
+  assert.deepEqual(dotNet.calls, [
+    ["OnRotate", 0.2, -0.1],
+    ["OnPan", 5, -5]
+  ]);
+  assert.equal(element.captured.size, 0);
+  disposeOrbitControls("orbit");
+});
+
+test("orbit controls zoom on wheel and stop listening once disposed", () => {
+  const element = createElement("orbit");
+  const dotNet = createDotNetRef();
+  initOrbitControls("orbit", dotNet);
+
+  const wheel = pointer(element, "wheel", { deltaY: 100 });
+  assert.equal(wheel.defaultPrevented, true);
+  disposeOrbitControls("orbit");
+  pointer(element, "wheel", { deltaY: 100 });
+
+  assert.deepEqual(dotNet.calls, [["OnZoom", 1]]);
+});
+
+test("missing elements are reported instead of throwing", (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  initOrbitControls("missing", createDotNetRef());
+  initTrackballControls("missing", createDotNetRef());
+  assert.equal(errors.mock.callCount(), 2);
+});
+
+test("trackball controls forward pointer positions", () => {
+  const element = createElement("trackball");
+  const dotNet = createDotNetRef();
+  initTrackballControls("trackball", dotNet);
+
+  pointer(element, "pointerdown", { x: 10, y: 20, button: 1 });
+  pointer(element, "pointermove", { x: 15, y: 25, button: 1 });
+  pointer(element, "pointerup", { x: 15, y: 25, button: 1 });
+
+  assert.deepEqual(dotNet.calls, [
+    ["OnZoomStart", 10, 20],
+    ["OnZoomMove", 15, 25]
+  ]);
+  disposeTrackballControls("trackball");
+});
+
+test("drag controls report normalized device coordinates", () => {
+  const element = createElement("drag");
+  const dotNet = createDotNetRef();
+  initDragControls("drag", dotNet);
+
+  pointer(element, "pointerdown", { x: 100, y: 50 });
+  pointer(element, "pointermove", { x: 200, y: 0 });
+  pointer(element, "pointerup", { x: 200, y: 0 });
+
+  assert.deepEqual(dotNet.calls, [["OnPointerDown", 0, 0], ["OnPointerMove", 1, 1], ["OnPointerUp"]]);
+  assert.equal(element.captured.size, 0);
+  disposeDragControls("drag");
+});
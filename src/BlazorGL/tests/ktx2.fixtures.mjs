@@ -0,0 +1,154 @@
+// Builds small KTX2 files for the tests: header, level index, DFD, key/value data, global data
+// and level data, laid out the way toktx writes them (levels smallest first).
+
+const identifier = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const align = (value, to) => Math.ceil(value / to) * to;
+
+/** A DFD with one basic block; samples list channel ids (and optional bit lengths). */
+export function basicDFD({ colorModel, transfer, primaries = 1, flags = 0, samples }) {
+  const blockSize = 24 + samples.length * 16;
+  const bytes = new Uint8Array(4 + blockSize);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, bytes.length, true);
+  view.setUint32(4, 0, true);
+  view.setUint32(8, 2 | (blockSize << 16), true);
+  bytes.set([colorModel, primaries, transfer, flags], 12);
+  bytes.set(colorModel >= 128 ? [3, 3, 0, 0] : [0, 0, 0, 0], 16);
+  samples.forEach(({ channel, bitLength = 8 }, i) => {
+    const at = 28 + i * 16;
+    view.setUint16(at, i * bitLength, true);
+    bytes[at + 2] = bitLength - 1;
+    bytes[at + 3] = channel;
+    view.setUint32(at + 12, 0xffffffff, true);
+  });
+  return bytes;
+}
+
+/** BasisLZ global data with empty image descriptors and 4-byte codebooks and tables. */
+export function basisGlobalData({ images }) {
+  const bytes = new Uint8Array(20 + images * 20 + 16);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 1, true);
+  view.setUint16(2, 1, true);
+  [4, 4, 4, 4].forEach((length, i) => view.setUint32(4 + i * 4, length, true));
+  return bytes;
+}
+
+function keyValueData(entries) {
+  const chunks = [];
+  for (const [key, value] of Object.entries(entries)) {
+    const valueBytes = typeof value === "string" ? new TextEncoder().encode(value) : value;
+    const keyBytes = new TextEncoder().encode(`${key}\0`);
+    const length = keyBytes.length + valueBytes.length;
+    const chunk = new Uint8Array(align(4 + length, 4));
+    new DataView(chunk.buffer).setUint32(0, length, true);
+    chunk.set(keyBytes, 4);
+    chunk.set(valueBytes, 4 + keyBytes.length);
+    chunks.push(chunk);
+  }
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let at = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, at);
+    at += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * levels holds the (already supercompressed) data of each level, level 0 first; uncompressed
+ * gives the uncompressedByteLength of each level and defaults to the data lengths.
+ */
+export function buildKTX2({
+  vkFormat = 0,
+  typeSize = 1,
+  width,
+  height,
+  depth = 0,
+  layers = 0,
+  faces = 1,
+  scheme = 0,
+  levels,
+  uncompressed = null,
+  dfd,
+  keyValue = {},
+  sgd = new Uint8Array(0),
+  corruptKeyValue = false
+}) {
+  const kvd = keyValueData(keyValue);
+  if (corruptKeyValue) new DataView(kvd.buffer).setUint32(0, kvd.length + 4, true);
+
+  const dfdOffset = 80 + levels.length * 24;
+  const kvdOffset = dfdOffset + dfd.length;
+  const sgdOffset = sgd.length ? align(kvdOffset + kvd.length, 8) : 0;
+  let end = sgd.length ? sgdOffset + sgd.length : kvdOffset + kvd.length;
+  const offsets = [];
+  for (let level = levels.length - 1; level >= 0; level--) {
+    offsets[level] = align(end, 8);
+    end = offsets[level] + levels[level].length;
+  }
+
+  const bytes = new Uint8Array(end);
+  const view = new DataView(bytes.buffer);
+  bytes.set(identifier);
+  [vkFormat, typeSize, width, height, depth, layers, faces, levels.length, scheme].forEach((value, i) =>
+    view.setUint32(12 + i * 4, value, true)
+  );
+  view.setUint32(48, dfd.length ? dfdOffset : 0, true);
+  view.setUint32(52, dfd.length, true);
+  view.setUint32(56, kvd.length ? kvdOffset : 0, true);
+  view.setUint32(60, kvd.length, true);
+  view.setBigUint64(64, BigInt(sgdOffset), true);
+  view.setBigUint64(72, BigInt(sgd.length), true);
+  levels.forEach((data, level) => {
+    const at = 80 + level * 24;
+    view.setBigUint64(at, BigInt(offsets[level]), true);
+    view.setBigUint64(at + 8, BigInt(data.length), true);
+    view.setBigUint64(at + 16, BigInt(uncompressed?.[level] ?? (scheme === 1 ? 0 : data.length)), true);
+    bytes.set(data, offsets[level]);
+  });
+  bytes.set(dfd, dfdOffset);
+  bytes.set(kvd, kvdOffset);
+  bytes.set(sgd, sgdOffset);
+  return bytes.buffer;
+}
+
+// Stands in for the Emscripten BASIS factory: each transcoded image is filled with its level
+// number, and every call is recorded.
+export function fakeBasisFactory(calls) {
+  class KTX2File {
+    constructor(data) {
+      calls.push(["open", new DataView(data.buffer, data.byteOffset).getUint32(44, true)]);
+    }
+    isValid() {
+      return true;
+    }
+    startTranscoding() {
+      return true;
+    }
+    // Sized like the real targets of an 8x4 image: RGBA32 and RGB565 per texel, ETC1 and BC1
+    // in 8-byte 4x4 blocks, the rest in 16-byte ones.
+    getImageTranscodedSizeInBytes(level, layer, face, format) {
+      const width = Math.max(1, 8 >> level);
+      const height = Math.max(1, 4 >> level);
+      if (format === 13 || format === 14) return (format === 13 ? 4 : 2) * width * height;
+      return (format === 0 || format === 2 ? 8 : 16) * Math.ceil(width / 4) * Math.ceil(height / 4);
+    }
+    transcodeImage(output, level, layer, face, format) {
+      calls.push(["transcode", level, layer, face, format]);
+      output.fill(level + 1);
+      return true;
+    }
+    getImageLevelInfo(level) {
+      return { origWidth: Math.max(1, 8 >> level), origHeight: Math.max(1, 4 >> level) };
+    }
+    close() {
+      calls.push(["close"]);
+    }
+    delete() {
+      calls.push(["delete"]);
+    }
+  }
+  return async () => ({ initializeBasis: () => calls.push(["initializeBasis"]), KTX2File });
+}
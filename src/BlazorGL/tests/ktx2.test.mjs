@@ -0,0 +1,471 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+import { dispose, initialize, parseKTX2, readLevels, transcode, transcodeTargetFor, uploadTexture } from "../wwwroot/blazorgl.ktx2.js";
+import * as webgl from "../wwwroot/blazorgl.webgl.js";
+import { createMockCanvas } from "../wwwroot/blazorgl.webgl.mock.js";
+import { buildKTX2, basicDFD, basisGlobalData, fakeBasisFactory } from "./ktx2.fixtures.mjs";
+import { zstdFrame } from "./zstd.fixtures.mjs";
+
+test("parseKTX2 reads the header, level index and data format descriptor", (t) => {
+  t.mock.method(console, "log", () => {});
+  const file = buildKTX2({
+    vkFormat: 0,
+    width: 8,
+    height: 4,
+    scheme: 2,
+    levels: [new Uint8Array(16), new Uint8Array(16), new Uint8Array(16), new Uint8Array(16)],
+    dfd: basicDFD({ colorModel: 166, transfer: 2, samples: [{ channel: 3, bitLength: 128 }] })
+  });
+  const info = parseKTX2(file);
+  assert.equal(info.width, 8);
+  assert.equal(info.height, 4);
+  assert.equal(info.levels, 4);
+  assert.equal(info.isUASTC, true);
+  assert.equal(info.isETC1S, false);
+  assert.equal(info.hasAlpha, true);
+  assert.equal(info.isSRGB, true);
+  assert.equal(info.supercompressionScheme, 2);
+  assert.deepEqual(
+    info.levelIndex.map(({ level, byteLength, width, height }) => [level, byteLength, width, height]),
+    [
+      [0, 16, 8, 4],
+      [1, 16, 4, 2],
+      [2, 16, 2, 1],
+      [3, 16, 1, 1]
+    ]
+  );
+  // Levels are stored smallest first, so level 0 ends the file.
+  assert.equal(info.levelIndex[0].byteOffset + 16, new Uint8Array(file).byteLength);
+  assert.equal(info.dfd.colorModel, "UASTC");
+  assert.equal(info.dfd.colorPrimaries, "BT709");
+  assert.deepEqual(info.dfd.texelBlockDimension, [4, 4, 1, 1]);
+  assert.equal(info.dfd.samples[0].channel, "RGBA");
+  assert.equal(info.dfd.samples[0].bitLength, 128);
+});
+
+test("parseKTX2 tells alpha and sRGB apart from the descriptor", (t) => {
+  t.mock.method(console, "log", () => {});
+  const rgb = parseKTX2(
+    buildKTX2({
+      vkFormat: 37,
+      width: 2,
+      height: 2,
+      levels: [new Uint8Array(12)],
+      dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [{ channel: 0 }, { channel: 1 }, { channel: 2 }] })
+    })
+  );
+  assert.equal(rgb.hasAlpha, false);
+  assert.equal(rgb.isSRGB, false);
+  assert.deepEqual(rgb.dfd.samples.map((sample) => sample.channel), ["R", "G", "B"]);
+
+  const etc1s = parseKTX2(
+    buildKTX2({
+      width: 4,
+      height: 4,
+      scheme: 1,
+      levels: [new Uint8Array(8)],
+      dfd: basicDFD({ colorModel: 163, transfer: 2, samples: [{ channel: 0 }, { channel: 15 }] }),
+      sgd: basisGlobalData({ images: 1 })
+    })
+  );
+  assert.equal(etc1s.isETC1S, true);
+  assert.equal(etc1s.hasAlpha, true);
+  assert.equal(etc1s.basisGlobalData.imageDescs.length, 1);
+  assert.equal(etc1s.basisGlobalData.endpointsByteLength, 4);
+});
+
+test("parseKTX2 reads key/value data", (t) => {
+  t.mock.method(console, "log", () => {});
+  const info = parseKTX2(
+    buildKTX2({
+      width: 1,
+      height: 1,
+      vkFormat: 37,
+      levels: [new Uint8Array(4)],
+      dfd: basicDFD({ colorModel: 1, transfer: 2, samples: [{ channel: 0 }, { channel: 15 }] }),
+      keyValue: { KTXorientation: "rd\0", KTXswizzle: "rgb1\0", KTXglFormat: new Uint8Array([1, 0x14, 0, 0]) }
+    })
+  );
+  assert.equal(info.orientation, "rd");
+  assert.equal(info.swizzle, "rgb1");
+  assert.deepEqual(info.keyValue.KTXglFormat, [1, 0x14, 0, 0]);
+});
+
+test("parseKTX2 rejects truncated and inconsistent files precisely", () => {
+  const options = {
+    width: 4,
+    height: 4,
+    vkFormat: 37,
+    levels: [new Uint8Array(64)],
+    dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [{ channel: 0 }] })
+  };
+  const bytes = new Uint8Array(buildKTX2(options));
+  assert.throws(() => parseKTX2(bytes.subarray(0, 40)), /truncated: the header needs 80 bytes but the file has 40/);
+  assert.throws(() => parseKTX2(bytes.subarray(0, bytes.length - 1)), /level 0 data at bytes \d+\.\.\d+ runs past the end of the \d+-byte file/);
+
+  const badIdentifier = bytes.slice();
+  badIdentifier[1] = 0;
+  assert.throws(() => parseKTX2(badIdentifier), /Not a valid KTX2 file/);
+
+  const badFaces = bytes.slice();
+  new DataView(badFaces.buffer).setUint32(36, 3, true);
+  assert.throws(() => parseKTX2(badFaces), /faceCount must be 1 or 6, got 3/);
+
+  assert.throws(() => parseKTX2(buildKTX2({ ...options, levels: Array(4).fill(new Uint8Array(4)) })), /levelCount 4 exceeds the 3 levels/);
+  assert.throws(() => parseKTX2(buildKTX2({ ...options, dfd: new Uint8Array(0) })), /no data format descriptor/);
+  assert.throws(() => parseKTX2(buildKTX2({ ...options, scheme: 1 })), /BasisLZ file has no supercompression global data/);
+  assert.throws(
+    () => parseKTX2(buildKTX2({ ...options, keyValue: { KTXorientation: "rd\0" }, corruptKeyValue: true })),
+    /key\/value entry at byte \d+ claims \d+ bytes but only \d+ remain/
+  );
+});
+
+// Level data as stored under each supercompression scheme.
+const supercompress = {
+  0: (bytes) => bytes,
+  2: (bytes) => zstdFrame([{ raw: bytes }]),
+  3: (bytes) => deflateSync(bytes)
+};
+
+const uastcLevels = [new Uint8Array(32).fill(7), new Uint8Array(16).fill(8)];
+
+// transfer 2 is sRGB, 1 linear.
+const uastcFile = (scheme = 0, transfer = 2) =>
+  buildKTX2({
+    width: 8,
+    height: 4,
+    scheme,
+    levels: uastcLevels.map(supercompress[scheme]),
+    uncompressed: uastcLevels.map((bytes) => bytes.length),
+    dfd: basicDFD({ colorModel: 166, transfer, samples: [{ channel: 3, bitLength: 128 }] })
+  });
+
+test("initialize reports a missing transcoder and transcode runs the Basis transcoder", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(globalThis, "fetch", async () => ({ ok: false, status: 404 }));
+  await assert.rejects(initialize({ transcoderPath: "http://localhost/assets/basis" }), (error) => {
+    assert.match(error.message, /http:\/\/localhost\/assets\/basis\/basis_transcoder\.(js|wasm) is missing \(HTTP 404\)/);
+    assert.match(error.message, /set transcoderPath/);
+    return true;
+  });
+  await assert.rejects(transcode(uastcFile(), "RGBA32"), /not initialized/);
+
+  const calls = [];
+  await initialize({ transcoderFactory: fakeBasisFactory(calls) });
+  t.after(dispose);
+  const mipmaps = await transcode(uastcFile(), "RGBA32");
+  assert.deepEqual(
+    mipmaps.map(({ level, width, height, data }) => [level, width, height, data.length, data[0]]),
+    [
+      [0, 8, 4, 128, 1],
+      [1, 4, 2, 32, 2]
+    ]
+  );
+  assert.deepEqual(calls.filter(([name]) => name === "transcode"), [
+    ["transcode", 0, 0, 0, 13],
+    ["transcode", 1, 0, 0, 13]
+  ]);
+  assert.deepEqual(calls.slice(-2), [["close"], ["delete"]], "the transcoder file is freed");
+
+  // Zstandard and ZLIB levels are inflated first; the transcoder sees scheme None.
+  for (const scheme of [2, 3]) {
+    calls.length = 0;
+    await transcode(uastcFile(scheme), "BC7_RGBA");
+    assert.deepEqual(calls[0], ["open", 0]);
+    assert.deepEqual(calls.at(-3), ["transcode", 1, 0, 0, 6]);
+  }
+});
+
+test("transcode rejects targets and files the Basis transcoder cannot handle", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await initialize({ transcoderFactory: fakeBasisFactory([]) });
+  t.after(dispose);
+  await assert.rejects(transcode(uastcFile(), "DXT9"), /Unknown transcode target 'DXT9'; expected one of ASTC_4x4, /);
+  const etc1sZstd = buildKTX2({
+    width: 4,
+    height: 4,
+    scheme: 2,
+    levels: [zstdFrame([{ raw: new Uint8Array(8) }])],
+    uncompressed: [8],
+    dfd: basicDFD({ colorModel: 163, transfer: 2, samples: [{ channel: 0 }] })
+  });
+  await assert.rejects(transcode(etc1sZstd, "BC7_RGBA"), /ETC1S data with supercompression scheme 2 is not supported/);
+
+  const rgba8 = buildKTX2({
+    vkFormat: 37,
+    width: 2,
+    height: 2,
+    levels: [new Uint8Array(16)],
+    dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [{ channel: 0 }, { channel: 1 }, { channel: 2 }, { channel: 15 }] })
+  });
+  await assert.rejects(transcode(rgba8, "BC7_RGBA"), /holds vkFormat 37 data, not Basis Universal/);
+
+  const npot = buildKTX2({
+    width: 6,
+    height: 4,
+    levels: [new Uint8Array(32)],
+    dfd: basicDFD({ colorModel: 166, transfer: 2, samples: [{ channel: 0, bitLength: 128 }] })
+  });
+  await assert.rejects(transcode(npot, "PVRTC_RGBA_4BPP"), /PVRTC needs power-of-two dimensions, got 6x4/);
+});
+
+const rgba16fDFD = basicDFD({
+  colorModel: 1,
+  transfer: 1,
+  samples: [0, 1, 2, 15].map((channel) => ({ channel, bitLength: 16 }))
+});
+
+test("readLevels inflates plain-format levels without the Basis transcoder", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const levels = [new Uint8Array(4 * 2 * 8).map((_, i) => i), new Uint8Array(2 * 1 * 8).fill(9)];
+  for (const scheme of [0, 2, 3]) {
+    const result = await readLevels(
+      buildKTX2({
+        vkFormat: 97,
+        typeSize: 2,
+        width: 4,
+        height: 2,
+        scheme,
+        levels: levels.map(supercompress[scheme]),
+        uncompressed: levels.map((bytes) => bytes.length),
+        dfd: rgba16fDFD
+      })
+    );
+    assert.deepEqual(
+      { ...result, mipmaps: undefined },
+      { vkFormat: 97, internalFormat: "RGBA16F", format: "RGBA", type: "HALF_FLOAT", compressed: false, extension: null, mipmaps: undefined }
+    );
+    assert.deepEqual(
+      result.mipmaps.map(({ data, width, height, level }) => [Uint8Array.from(data), width, height, level]),
+      [
+        [levels[0], 4, 2, 0],
+        [levels[1], 2, 1, 1]
+      ]
+    );
+  }
+});
+
+test("readLevels splits layers and faces and names compressed formats", async (t) => {
+  t.mock.method(console, "log", () => {});
+  // A BC7 cube map: one 16-byte block per face, faces in order within the level.
+  const faces = Uint8Array.from({ length: 6 * 16 }, (_, i) => i >> 4);
+  const cube = await readLevels(
+    buildKTX2({
+      vkFormat: 145,
+      width: 4,
+      height: 4,
+      faces: 6,
+      scheme: 2,
+      levels: [zstdFrame([{ raw: faces }])],
+      uncompressed: [faces.length],
+      dfd: basicDFD({ colorModel: 134, transfer: 1, samples: [{ channel: 0, bitLength: 128 }] })
+    })
+  );
+  assert.equal(cube.internalFormat, "COMPRESSED_RGBA_BPTC_UNORM_EXT");
+  assert.equal(cube.extension, "EXT_texture_compression_bptc");
+  assert.equal(cube.compressed, true);
+  assert.deepEqual(
+    cube.mipmaps.map(({ data, face, layer }) => [face, layer, data.length, data[0]]),
+    [0, 1, 2, 3, 4, 5].map((face) => [face, 0, 16, face])
+  );
+
+  const astc = await readLevels(
+    buildKTX2({
+      vkFormat: 172,
+      width: 8,
+      height: 8,
+      layers: 2,
+      levels: [new Uint8Array(32)],
+      dfd: basicDFD({ colorModel: 162, transfer: 2, samples: [{ channel: 0, bitLength: 128 }] })
+    })
+  );
+  assert.equal(astc.internalFormat, "COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR");
+  assert.deepEqual(astc.mipmaps.map(({ layer, data }) => [layer, data.length]), [[0, 16], [1, 16]]);
+});
+
+test("readLevels rejects Basis files, unknown formats and bad level data", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await assert.rejects(readLevels(uastcFile()), /holds Basis Universal UASTC data; transcode it instead/);
+
+  const plain = (options) =>
+    buildKTX2({ vkFormat: 97, typeSize: 2, width: 2, height: 2, dfd: rgba16fDFD, levels: [new Uint8Array(32)], ...options });
+  await assert.rejects(readLevels(plain({ vkFormat: 1000156000 })), /vkFormat 1000156000 has no WebGL equivalent/);
+  await assert.rejects(
+    readLevels(plain({ scheme: 2, levels: [Uint8Array.of(1, 2, 3, 4)], uncompressed: [32] })),
+    /level 0 could not be decompressed: Not a Zstandard frame/
+  );
+  await assert.rejects(
+    readLevels(plain({ scheme: 3, levels: [deflateSync(new Uint8Array(30))], uncompressed: [32] })),
+    /level 0 decompressed to 30 bytes but the level index says 32/
+  );
+  await assert.rejects(
+    readLevels(plain({ scheme: 3, levels: [Uint8Array.of(1, 2, 3)], uncompressed: [32] })),
+    /level 0 could not be decompressed/
+  );
+});
+
+// A bridge context on a mock canvas with one texture to upload into.
+function bridgeContext(options = {}, contextOptions = {}) {
+  const canvas = createMockCanvas(16, 16, options);
+  const ctxId = webgl.createContext(canvas, contextOptions);
+  return { ctxId, texture: webgl.createTexture(ctxId), mock: canvas.getContext(options.type ?? "webgl2") };
+}
+
+test("uploadTexture transcodes to the best format the bridge context supports", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await initialize({ transcoderFactory: fakeBasisFactory([]) });
+  t.after(dispose);
+
+  const astc = bridgeContext({ extensions: ["WEBGL_compressed_texture_astc", "WEBGL_compressed_texture_s3tc"] });
+  const info = await uploadTexture(webgl, astc.ctxId, astc.texture, uastcFile(0, 1));
+  assert.deepEqual(info, {
+    width: 8,
+    height: 4,
+    levels: 2,
+    cubemap: false,
+    vkFormat: 0,
+    internalFormat: "COMPRESSED_RGBA_ASTC_4x4_KHR",
+    compressed: true,
+    transcodeTarget: "ASTC_4x4"
+  });
+  assert.deepEqual(
+    astc.mock.callsTo("compressedTexImage2D").map(({ args }) => [args[1], args[2], args[3], args[4], args[6].length]),
+    [
+      [0, 0x93b0, 8, 4, 32],
+      [1, 0x93b0, 4, 2, 16]
+    ]
+  );
+  assert.deepEqual(astc.mock.callsTo("texParameteri").map(({ args }) => args.slice(1)), [[0x813d, 1]]);
+  assert.deepEqual(astc.mock.errors, []);
+
+  assert.equal(transcodeTargetFor({ compressedFormats: ["s3tc"] }, false, 8, 4), "BC1_RGB");
+  assert.equal(transcodeTargetFor({ compressedFormats: ["etc1"] }, true, 8, 4), "RGBA32");
+  assert.equal(transcodeTargetFor({ compressedFormats: ["pvrtc"] }, true, 12, 4), "RGBA32");
+  assert.equal(transcodeTargetFor({ compressedFormats: ["pvrtc"] }, true, 8, 4), "PVRTC_RGBA_4BPP");
+
+  // Without compressed formats the data goes up as tightly packed RGBA8.
+  const plain = bridgeContext();
+  const fallback = await uploadTexture(webgl, plain.ctxId, plain.texture, uastcFile(2, 1));
+  assert.equal(fallback.transcodeTarget, "RGBA32");
+  assert.equal(fallback.compressed, false);
+  assert.deepEqual(
+    plain.mock.callsTo("texImage2D").map(({ args }) => [args[1], args[2], args[3], args[4], args[8].length]),
+    [
+      [0, 0x8058, 8, 4, 128],
+      [1, 0x8058, 4, 2, 32]
+    ]
+  );
+  assert.deepEqual(plain.mock.callsTo("pixelStorei").map(({ args }) => args), [[0x0cf5, 1], [0x0cf5, 4]]);
+  assert.deepEqual(plain.mock.errors, []);
+});
+
+test("uploadTexture keeps sRGB data sRGB", async (t) => {
+  await initialize({ transcoderFactory: fakeBasisFactory([]) });
+  t.after(dispose);
+
+  const uploads = [
+    [["WEBGL_compressed_texture_astc"], "COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR", 0x93d0],
+    [["EXT_texture_compression_bptc"], "COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT", 0x8e8d],
+    [["WEBGL_compressed_texture_s3tc", "WEBGL_compressed_texture_s3tc_srgb"], "COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT", 0x8c4f],
+    [["WEBGL_compressed_texture_etc"], "COMPRESSED_SRGB8_ALPHA8_ETC2_EAC", 0x9279]
+  ];
+  for (const [extensions, internalFormat, glFormat] of uploads) {
+    const { ctxId, texture, mock } = bridgeContext({ extensions });
+    assert.equal((await uploadTexture(webgl, ctxId, texture, uastcFile())).internalFormat, internalFormat);
+    assert.deepEqual(mock.callsTo("compressedTexImage2D").map(({ args }) => args[2]), [glFormat, glFormat]);
+    assert.deepEqual(mock.errors, []);
+  }
+
+  // Linear-only formats are passed over for the uncompressed sRGB fallback.
+  const linear = bridgeContext({ extensions: ["WEBGL_compressed_texture_s3tc", "WEBGL_compressed_texture_etc1"] });
+  const fallback = await uploadTexture(webgl, linear.ctxId, linear.texture, uastcFile());
+  assert.equal(fallback.transcodeTarget, "RGBA32");
+  assert.equal(fallback.internalFormat, "SRGB8_ALPHA8");
+  assert.deepEqual(linear.mock.callsTo("texImage2D").map(({ args }) => args[2]), [0x8c43, 0x8c43]);
+  assert.deepEqual(linear.mock.errors, []);
+
+  assert.equal(transcodeTargetFor({ compressedFormats: ["s3tc"] }, false, 8, 4, true), "RGBA32");
+  assert.equal(transcodeTargetFor({ compressedFormats: ["s3tc", "s3tc_srgb"] }, false, 8, 4, true), "BC1_RGB");
+  assert.equal(transcodeTargetFor({ compressedFormats: ["etc1", "pvrtc"] }, false, 8, 4, true), "RGBA32");
+});
+
+test("uploadTexture uploads plain formats and cube faces as stored", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const faces = Uint8Array.from({ length: 6 * 4 }, (_, i) => i >> 2);
+  const cube = buildKTX2({
+    vkFormat: 37,
+    width: 1,
+    height: 1,
+    faces: 6,
+    levels: [faces],
+    dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [0, 1, 2, 15].map((channel) => ({ channel })) })
+  });
+
+  // WebGL1 takes the unsized format and has no TEXTURE_MAX_LEVEL.
+  const webgl1 = bridgeContext({ type: "webgl" });
+  const info = await uploadTexture(webgl, webgl1.ctxId, webgl1.texture, cube);
+  assert.equal(info.cubemap, true);
+  assert.equal(info.internalFormat, "RGBA");
+  assert.equal(info.transcodeTarget, null);
+  assert.deepEqual(
+    webgl1.mock.callsTo("texImage2D").map(({ args }) => [args[0] - 0x8515, args[2], args[8][0]]),
+    [0, 1, 2, 3, 4, 5].map((face) => [face, 0x1908, face])
+  );
+  assert.deepEqual(webgl1.mock.callsTo("bindTexture").map(({ args }) => args[0]), [0x8513, 0x8513]);
+  assert.equal(webgl1.mock.callsTo("texParameteri").length, 0);
+  assert.deepEqual(webgl1.mock.errors, []);
+
+  const bc7 = buildKTX2({
+    vkFormat: 145,
+    width: 4,
+    height: 4,
+    levels: [new Uint8Array(16)],
+    dfd: basicDFD({ colorModel: 134, transfer: 1, samples: [{ channel: 0, bitLength: 128 }] })
+  });
+  const bptc = bridgeContext({ extensions: ["EXT_texture_compression_bptc"] });
+  assert.equal((await uploadTexture(webgl, bptc.ctxId, bptc.texture, bc7)).internalFormat, "COMPRESSED_RGBA_BPTC_UNORM_EXT");
+  assert.deepEqual(bptc.mock.callsTo("compressedTexImage2D").map(({ args }) => args[2]), [0x8e8c]);
+
+  const plain = bridgeContext();
+  await assert.rejects(
+    uploadTexture(webgl, plain.ctxId, plain.texture, bc7),
+    new RegExp(`needs EXT_texture_compression_bptc, which WebGL context ${plain.ctxId} does not support`)
+  );
+  const volume = buildKTX2({
+    vkFormat: 37,
+    width: 1,
+    height: 1,
+    depth: 2,
+    levels: [new Uint8Array(8)],
+    dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [0, 1, 2, 15].map((channel) => ({ channel })) })
+  });
+  await assert.rejects(uploadTexture(webgl, plain.ctxId, plain.texture, volume), /1x1x2 3D texture/);
+  assert.equal(plain.mock.callsTo("texImage2D").length, 0);
+});
+
+test("uploadTexture leaves the caller's texture binding and unpack alignment alone", async () => {
+  const rgba8 = (width, height) =>
+    buildKTX2({
+      vkFormat: 37,
+      width,
+      height,
+      levels: [new Uint8Array(4 * width * height)],
+      dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [0, 1, 2, 15].map((channel) => ({ channel })) })
+    });
+  // Debug mode turns the GL error of an oversized level into an exception mid-upload.
+  const { ctxId, texture, mock } = bridgeContext({ maxTextureSize: 4 }, { debug: true });
+  const own = webgl.createTexture(ctxId);
+  webgl.bindTexture(ctxId, "Texture2D", own);
+  webgl.pixelStorei(ctxId, "UnpackAlignment", 2);
+  const bound = mock.getParameter(mock.TEXTURE_BINDING_2D);
+
+  await uploadTexture(webgl, ctxId, texture, rgba8(2, 2));
+  assert.equal(mock.getParameter(mock.TEXTURE_BINDING_2D), bound);
+  assert.equal(mock.getParameter(mock.UNPACK_ALIGNMENT), 2);
+
+  await assert.rejects(uploadTexture(webgl, ctxId, texture, rgba8(8, 8)), /^Error: texImageLevels: gl\.texImage2D\(.*\) raised INVALID_VALUE/);
+  assert.equal(mock.getParameter(mock.TEXTURE_BINDING_2D), bound);
+  assert.equal(mock.getParameter(mock.UNPACK_ALIGNMENT), 2);
+  webgl.disposeContext(ctxId);
+});
@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cancel, dispose, initialize, readLevels, transcode } from "../wwwroot/blazorgl.ktx2.js";
+import { hostTranscoder } from "../wwwroot/blazorgl.ktx2.worker.js";
+import { basicDFD, buildKTX2, fakeBasisFactory } from "./ktx2.fixtures.mjs";
+
+const uastcFile = () =>
+  buildKTX2({
+    width: 8,
+    height: 4,
+    levels: [new Uint8Array(32).fill(7), new Uint8Array(16).fill(8)],
+    dfd: basicDFD({ colorModel: 166, transfer: 2, samples: [{ channel: 3, bitLength: 128 }] })
+  });
+
+const rgba8File = () =>
+  buildKTX2({
+    vkFormat: 37,
+    width: 2,
+    height: 1,
+    levels: [Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8)],
+    dfd: basicDFD({ colorModel: 1, transfer: 1, samples: [0, 1, 2, 15].map((channel) => ({ channel })) })
+  });
+
+// The two ends of a MessageChannel stand in for each worker, which transcodes with the fake
+// BASIS factory. Node's MessagePort lacks terminate, so it closes both ends.
+function channelWorkers(calls) {
+  const spawned = [];
+  const factory = () => {
+    const { port1, port2 } = new MessageChannel();
+    port1.unref();
+    port2.unref();
+    hostTranscoder(port2, fakeBasisFactory(calls));
+    port1.terminate = () => {
+      calls.push(["terminate", spawned.indexOf(port1)]);
+      port1.close();
+      port2.close();
+    };
+    spawned.push(port1);
+    return port1;
+  };
+  return { spawned, factory };
+}
+
+// A worker that loads its transcoder but never finishes a job, so jobs stay running.
+function stalledWorkers() {
+  const spawned = [];
+  const factory = () => {
+    const worker = {
+      jobs: [],
+      terminated: false,
+      postMessage(message) {
+        if (message.type === "init") {
+          setImmediate(() => worker.onmessage({ data: { result: null } }));
+        } else {
+          worker.jobs.push(message.type);
+        }
+      },
+      terminate() {
+        worker.terminated = true;
+      }
+    };
+    spawned.push(worker);
+    return worker;
+  };
+  return { spawned, factory };
+}
+
+test("workers transcode with their own transcoders and transfer the buffers", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const calls = [];
+  const workers = channelWorkers(calls);
+  await initialize({ workers: 2, transcoderBase: "http://localhost/basis/", workerFactory: workers.factory });
+  assert.equal(workers.spawned.length, 1, "one worker loads its transcoder up front");
+  assert.deepEqual(calls, [["initializeBasis"]]);
+
+  const input = new Uint8Array(uastcFile());
+  const mipmaps = await transcode(input, "RGBA32");
+  assert.equal(input.byteLength, 0, "the file was transferred to the worker, not copied");
+  assert.ok(mipmaps.every(({ data }) => data instanceof Uint8Array));
+  assert.deepEqual(
+    mipmaps.map(({ level, width, height, data }) => [level, width, height, data.length, data[0]]),
+    [
+      [0, 8, 4, 128, 1],
+      [1, 4, 2, 32, 2]
+    ]
+  );
+
+  // A view into a larger buffer is copied, leaving the caller's buffer alone.
+  const file = new Uint8Array(rgba8File());
+  const padded = new Uint8Array(file.length + 8);
+  padded.set(file, 8);
+  const plain = await readLevels(padded.subarray(8));
+  assert.equal(padded.buffer.byteLength, file.length + 8);
+  assert.equal(plain.internalFormat, "RGBA8");
+  assert.deepEqual(plain.mipmaps[0].data, Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8));
+
+  // Two workers share three jobs; the second one starts on demand.
+  const results = await Promise.all([1, 2, 3].map(() => transcode(uastcFile(), "BC7_RGBA")));
+  assert.equal(results.length, 3);
+  assert.equal(workers.spawned.length, 2);
+  assert.equal(calls.filter(([name]) => name === "initializeBasis").length, 2);
+
+  dispose();
+  assert.deepEqual(calls.filter(([name]) => name === "terminate"), [["terminate", 0], ["terminate", 1]]);
+});
+
+test("maxConcurrent holds jobs back and cancel stops queued and running ones", async () => {
+  const workers = stalledWorkers();
+  await initialize({ workers: 3, maxConcurrent: 1, transcoderBase: "http://localhost/basis/", workerFactory: workers.factory });
+
+  const first = transcode(uastcFile(), "RGBA32", "first");
+  const second = transcode(uastcFile(), "RGBA32", "second");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(workers.spawned.length, 1, "the second job waits instead of starting a worker");
+  assert.deepEqual(workers.spawned[0].jobs, ["transcode"]);
+
+  assert.equal(cancel("second"), true);
+  await assert.rejects(second, /KTX2 transcode job was cancelled/);
+  assert.equal(workers.spawned[0].terminated, false, "cancelling a queued job leaves the workers alone");
+
+  assert.equal(cancel("first"), true);
+  await assert.rejects(first, /KTX2 transcode job was cancelled/);
+  assert.equal(workers.spawned[0].terminated, true, "a running job stops its worker");
+  assert.equal(cancel("first"), false);
+
+  // The pool replaces the stopped worker; dispose cancels what is still running.
+  const third = readLevels(rgba8File(), "third");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(workers.spawned.length, 2);
+  assert.deepEqual(workers.spawned[1].jobs, ["readLevels"]);
+  dispose();
+  await assert.rejects(third, /KTX2 readLevels job was cancelled/);
+  assert.equal(workers.spawned[1].terminated, true);
+});
+
+test("workers report transcoder and job errors", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const failing = () => {
+    const { port1, port2 } = new MessageChannel();
+    port1.unref();
+    port2.unref();
+    hostTranscoder(port2, async () => {
+      throw new Error("wasm failed to compile");
+    });
+    port1.terminate = () => port1.close();
+    return port1;
+  };
+  await assert.rejects(
+    initialize({ workers: 2, transcoderBase: "http://localhost/basis/", workerFactory: failing }),
+    /wasm failed to compile/
+  );
+  await assert.rejects(transcode(uastcFile(), "RGBA32"), /not initialized/);
+
+  const workers = channelWorkers([]);
+  await initialize({ workers: 1, transcoderBase: "http://localhost/basis/", workerFactory: workers.factory });
+  t.after(dispose);
+  await assert.rejects(transcode(rgba8File(), "BC7_RGBA"), /holds vkFormat 37 data, not Basis Universal/);
+  // The worker survives a failed job.
+  assert.equal((await transcode(uastcFile(), "RGBA32")).length, 2);
+  assert.equal(workers.spawned.length, 1);
+});
+
+test("a crashed worker fails its job and is replaced", async () => {
+  // Loads its transcoder, then dies on its first job the way a Worker reports an uncaught error,
+  // or with a reply that cannot be deserialized.
+  const spawned = [];
+  const factory = () => {
+    const worker = {
+      terminated: false,
+      postMessage(message) {
+        if (message.type === "init") {
+          setImmediate(() => worker.onmessage({ data: { result: null } }));
+        } else if (spawned.indexOf(worker) === 0) {
+          setImmediate(() => worker.onerror({ message: "Uncaught RangeError: out of memory", preventDefault() {} }));
+        } else {
+          setImmediate(() => worker.onmessageerror({}));
+        }
+      },
+      terminate() {
+        worker.terminated = true;
+      }
+    };
+    spawned.push(worker);
+    return worker;
+  };
+  await initialize({ workers: 1, transcoderBase: "http://localhost/basis/", workerFactory: factory });
+
+  await assert.rejects(transcode(uastcFile(), "RGBA32"), /KTX2 worker failed: Uncaught RangeError: out of memory/);
+  assert.equal(spawned[0].terminated, true);
+  await assert.rejects(readLevels(rgba8File()), /KTX2 worker sent a reply that could not be read/);
+  assert.equal(spawned.length, 2, "the next job gets a new worker");
+  assert.equal(spawned[1].terminated, true);
+  dispose();
+});
+
+test("cancel drops the result of a job on the main thread", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const job = readLevels(rgba8File(), "main");
+  assert.equal(cancel("main"), true);
+  await assert.rejects(job, /KTX2 readLevels job was cancelled/);
+  assert.equal((await readLevels(rgba8File())).mipmaps.length, 1);
+});
@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMockCanvas, createMockContext } from "../wwwroot/blazorgl.webgl.mock.js";
+
+function context(type = "webgl2") {
+  return createMockCanvas(8, 8, { type }).getContext(type);
+}
+
+test("getError reports the first error once", () => {
+  const gl = context();
+  gl.enable(0x1234);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, -1, gl.STATIC_DRAW);
+  assert.equal(gl.getError(), gl.INVALID_ENUM);
+  assert.equal(gl.getError(), gl.NO_ERROR);
+  assert.deepEqual(gl.errors.map((e) => e.message), [
+    "enable: INVALID_ENUM: invalid capability 0x1234",
+    "bufferData: INVALID_VALUE: size must not be negative"
+  ]);
+});
+
+test("objects are tied to their context and die when deleted", () => {
+  const gl = context();
+  const other = context();
+  const buffer = gl.createBuffer();
+  other.bindBuffer(other.ARRAY_BUFFER, buffer);
+  assert.equal(other.getError(), other.INVALID_OPERATION);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  assert.equal(gl.isBuffer(buffer), true);
+  gl.deleteBuffer(buffer);
+  assert.equal(gl.isBuffer(buffer), false);
+  assert.equal(gl.getParameter(gl.ARRAY_BUFFER_BINDING), null);
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+  assert.throws(() => gl.bindBuffer(gl.ARRAY_BUFFER, {}), TypeError);
+});
+
+test("element array buffers cannot be rebound as vertex buffers", () => {
+  const gl = context();
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+});
+
+test("draws validate the program and attribute ranges", () => {
+  const gl = context();
+  gl.drawArrays(gl.TRIANGLES, 0, 3);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+
+  const vs = gl.createShader(gl.VERTEX_SHADER);
+  gl.shaderSource(vs, "attribute vec2 p; void main() { gl_Position = vec4(p, 0.0, 1.0); }");
+  gl.compileShader(vs);
+  const fs = gl.createShader(gl.FRAGMENT_SHADER);
+  gl.shaderSource(fs, "void main() { gl_FragColor = vec4(1.0); }");
+  gl.compileShader(fs);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  assert.equal(gl.getProgramParameter(program, gl.LINK_STATUS), true);
+  gl.useProgram(program);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(6), gl.STATIC_DRAW);
+  gl.vertexAttribPointer(gl.getAttribLocation(program, "p"), 2, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(0);
+  gl.drawArrays(gl.TRIANGLES, 0, 3);
+  assert.equal(gl.getError(), gl.NO_ERROR);
+  gl.drawArrays(gl.TRIANGLES, 1, 3);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+});
+
+test("shader compile errors use the ANGLE log format", () => {
+  const gl = context("webgl");
+  const shader = gl.createShader(gl.FRAGMENT_SHADER);
+  gl.shaderSource(shader, "#version 300 es\nvoid main() {}");
+  gl.compileShader(shader);
+  assert.equal(gl.getShaderParameter(shader, gl.COMPILE_STATUS), false);
+  assert.equal(gl.getShaderInfoLog(shader), "ERROR: 0:1: '300' : version number not supported\n");
+});
+
+test("uniform writes are checked against the uniform type", () => {
+  const gl = context();
+  const vs = gl.createShader(gl.VERTEX_SHADER);
+  gl.shaderSource(vs, "#version 300 es\nuniform vec3 u_color;\nvoid main() { gl_Position = vec4(u_color, 1.0); }");
+  gl.compileShader(vs);
+  const fs = gl.createShader(gl.FRAGMENT_SHADER);
+  gl.shaderSource(fs, "#version 300 es\nprecision mediump float;\nout vec4 c;\nvoid main() { c = vec4(1.0); }");
+  gl.compileShader(fs);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  gl.useProgram(program);
+  const location = gl.getUniformLocation(program, "u_color");
+  gl.uniform3f(location, 1, 2, 3);
+  assert.deepEqual(Array.from(gl.getUniform(program, location)), [1, 2, 3]);
+  gl.uniform4f(location, 1, 2, 3, 4);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+  gl.uniform3f(null, 1, 2, 3);
+  assert.equal(gl.getError(), gl.NO_ERROR);
+});
+
+test("framebuffers report completeness and read back their clear color", () => {
+  const gl = context();
+  const fb = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+  assert.equal(gl.checkFramebufferStatus(gl.FRAMEBUFFER), gl.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT);
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, 4, 4);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  assert.equal(gl.checkFramebufferStatus(gl.FRAMEBUFFER), gl.FRAMEBUFFER_COMPLETE);
+
+  gl.clearColor(1, 0.5, 0, 1);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  const pixels = new Uint8Array(4 * 4 * 4);
+  gl.readPixels(0, 0, 4, 4, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  assert.deepEqual(Array.from(pixels.subarray(60)), [255, 128, 0, 255]);
+  gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, new Float32Array(4));
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+});
+
+test("immutable textures reject texImage2D", () => {
+  const gl = context();
+  gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+  gl.texStorage2D(gl.TEXTURE_2D, 3, gl.RGBA8, 4, 4);
+  assert.equal(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_IMMUTABLE_LEVELS), 3);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 4, 4, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  assert.equal(gl.getError(), gl.INVALID_OPERATION);
+  gl.texSubImage2D(gl.TEXTURE_2D, 2, 0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+  assert.equal(gl.getError(), gl.NO_ERROR);
+});
+
+test("WebGL1 contexts have no WebGL2 entry points and gate features behind extensions", () => {
+  const gl = context("webgl");
+  assert.equal("createVertexArray" in gl, false);
+  gl.blendEquation(0x8007);
+  assert.equal(gl.getError(), gl.INVALID_ENUM);
+  const minmax = gl.getExtension("EXT_blend_minmax");
+  gl.blendEquation(minmax.MIN_EXT);
+  assert.equal(gl.getError(), gl.NO_ERROR);
+  assert.equal(gl.getExtension("EXT_color_buffer_float"), null);
+});
+
+test("losing the context turns calls into no-ops until it is restored", () => {
+  const canvas = createMockCanvas(8, 8);
+  const gl = canvas.getContext("webgl2");
+  const buffer = gl.createBuffer();
+  canvas.addEventListener("webglcontextlost", (event) => event.preventDefault());
+  const lose = gl.getExtension("WEBGL_lose_context");
+  lose.loseContext();
+  assert.equal(gl.isContextLost(), true);
+  assert.equal(gl.getError(), gl.CONTEXT_LOST_WEBGL);
+  assert.equal(gl.getError(), gl.NO_ERROR);
+  assert.equal(gl.createBuffer(), null);
+  lose.restoreContext();
+  assert.equal(gl.isContextLost(), false);
+  assert.equal(gl.isBuffer(buffer), false);
+});
+
+test("a canvas hands out one context type", () => {
+  const canvas = createMockCanvas();
+  const gl = canvas.getContext("webgl2");
+  assert.equal(canvas.getContext("webgl2"), gl);
+  assert.equal(canvas.getContext("webgl"), null);
+  assert.equal(createMockContext(canvas, "webgl"), null);
+  assert.equal(createMockCanvas(1, 1, { type: "webgl" }).getContext("webgl2"), null);
+});
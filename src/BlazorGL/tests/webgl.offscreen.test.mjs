@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorkerBridge, isWorkerRenderingSupported } from "../wwwroot/blazorgl.webgl.offscreen.js";
+import { hostBridge } from "../wwwroot/blazorgl.webgl.worker.js";
+import { createMockCanvas } from "../wwwroot/blazorgl.webgl.mock.js";
+
+const vertexSource = `#version 300 es
+layout(location = 0) in vec3 position;
+uniform mat4 u_mvp;
+void main() { gl_Position = u_mvp * vec4(position, 1.0); }`;
+
+const fragmentSource = `#version 300 es
+precision mediump float;
+out vec4 color;
+void main() { color = vec4(1.0); }`;
+
+// The two ends of a MessageChannel stand in for the worker. Node has no OffscreenCanvas, so the
+// placeholder transfers an empty ArrayBuffer and the host side swaps in a mock canvas for it.
+// The proxy runs on the page, which resolves texture URLs against its base URI.
+globalThis.document = { baseURI: "https://example.com/app/index.html" };
+
+function setup(canvas = createMockCanvas(64, 32)) {
+  const { port1, port2 } = new MessageChannel();
+  // A failing test must not keep the process alive through an open channel.
+  port1.unref();
+  port2.unref();
+  hostBridge({
+    postMessage: (message, transfer) => port2.postMessage(message, transfer),
+    close: () => port2.close(),
+    set onmessage(handler) {
+      port2.onmessage = handler && ((event) => handler({ data: event.data.type === "init" ? { ...event.data, canvas } : event.data }));
+    }
+  });
+  const placeholder = { transferControlToOffscreen: () => new ArrayBuffer(0) };
+  return { bridge: createWorkerBridge(port1), placeholder, canvas, mock: canvas.getContext("webgl2") };
+}
+
+// Records the callbacks meant for .NET and lets a test wait for one.
+function recorder() {
+  const events = [];
+  const waiting = [];
+  return {
+    events,
+    invokeMethodAsync(method, ...args) {
+      events.push([method, ...args]);
+      for (const waiter of waiting.filter((entry) => entry.method === method)) {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve(args);
+      }
+      return Promise.resolve();
+    },
+    next(method) {
+      return new Promise((resolve) => waiting.push({ method, resolve }));
+    }
+  };
+}
+
+test("without OffscreenCanvas the main-thread bridge is used", async () => {
+  assert.equal(isWorkerRenderingSupported(), false);
+  const bridge = createWorkerBridge();
+  assert.equal(bridge, await import("../wwwroot/blazorgl.webgl.js"));
+});
+
+test("calls are batched per task and handles are issued without waiting for the worker", async () => {
+  const { bridge, placeholder, mock } = setup();
+  const ctxId = await bridge.createContext(placeholder, null);
+  const dotNet = recorder();
+  bridge.registerContextCallbacks(ctxId, dotNet);
+  assert.equal(bridge.getConstants(ctxId).Triangles, mock.TRIANGLES);
+  assert.equal(bridge.getCapabilities(ctxId).version, 2);
+
+  const buffer = bridge.createBuffer(ctxId);
+  bridge.bindBuffer(ctxId, "ArrayBuffer", buffer);
+  bridge.bufferDataFloat(ctxId, "ArrayBuffer", [0, 0, 0, 1, 0, 0, 0, 1, 0], "StaticDraw");
+  bridge.drawArrays(ctxId, "Triangles", 0, 3);
+  assert.ok(buffer >= 0x40000000);
+  assert.equal(mock.callsTo("drawArrays").length, 0);
+
+  const [frame] = await dotNet.next("OnFrameCompleted");
+  assert.equal(frame, 1);
+  assert.deepEqual(
+    mock.calls.map((call) => call.name).filter((name) => ["bindBuffer", "bufferData", "drawArrays"].includes(name)),
+    ["bindBuffer", "bufferData", "drawArrays"]
+  );
+  assert.equal(mock.liveObjects("WebGLBuffer").length, 1);
+  bridge.disposeContext(ctxId);
+});
+
+test("async exports resolve from the worker and value exports point to them", async () => {
+  const { bridge, placeholder } = setup();
+  const ctxId = await bridge.createContext(placeholder, { debug: true });
+  const dotNet = recorder();
+  bridge.registerContextCallbacks(ctxId, dotNet);
+
+  const build = await bridge.createProgramFromSourcesAsync(ctxId, vertexSource, fragmentSource, null);
+  assert.equal(build.linked, true);
+  assert.ok(build.uniforms.some((uniform) => uniform.name === "u_mvp"));
+  assert.throws(() => bridge.getProgramInfoLog(ctxId, build.program), /getProgramInfoLog returns a value.*use createProgramFromSourcesAsync/);
+  assert.throws(() => bridge.texImageFromSource(ctxId, 1, {}, null), /needs DOM elements/);
+
+  // A missing uniform still gets a handle up front, where the main thread returns -1; it acts as a
+  // null location, even in debug mode.
+  bridge.useProgram(ctxId, build.program);
+  const missing = bridge.getUniformLocation(ctxId, build.program, "u_missing");
+  assert.ok(missing >= 0x40000000);
+  bridge.uniform1f(ctxId, missing, 1);
+  await dotNet.next("OnFrameCompleted");
+  assert.equal(dotNet.events.some(([method]) => method === "OnWorkerError"), false);
+  bridge.disposeContext(ctxId);
+});
+
+test("a Shader compiles through the proxy the way Shader.CompileAsync does", async () => {
+  const { bridge, placeholder, mock } = setup();
+  const ctxId = await bridge.createContext(placeholder, { debug: true });
+  const dotNet = recorder();
+  bridge.registerContextCallbacks(ctxId, dotNet);
+
+  // Shader.Compile's first status read is a value export, so it fails right away instead of hanging.
+  const shader = bridge.createShader(ctxId, "VertexShader");
+  bridge.shaderSource(ctxId, shader, vertexSource);
+  bridge.compileShader(ctxId, shader);
+  assert.throws(() => bridge.getShaderInfoLog(ctxId, shader), /use createProgramFromSourcesAsync/);
+  bridge.deleteShader(ctxId, shader);
+
+  // CompileAsync takes the program and its locations from one reply and uses them straight away.
+  const build = await bridge.createProgramFromSourcesAsync(ctxId, vertexSource, fragmentSource, null);
+  assert.equal(build.linked, true);
+  const mvp = build.uniforms.find((uniform) => uniform.name === "u_mvp");
+  assert.deepEqual(build.attributes.map(({ name, location }) => [name, location]), [["position", 0]]);
+  bridge.useProgram(ctxId, build.program);
+  bridge.uniformMatrix4fv(ctxId, mvp.location, false, new Float32Array(16).fill(1));
+  await dotNet.next("OnFrameCompleted");
+  const [upload] = mock.callsTo("uniformMatrix4fv");
+  assert.notEqual(upload.args[0], null);
+  assert.equal(upload.args[2][0], 1);
+
+  // A failed build reports its log instead of a program.
+  const broken = await bridge.createProgramFromSourcesAsync(ctxId, "#version 300 es\nvoid mian() {}", fragmentSource, null);
+  assert.equal(broken.program, 0);
+  assert.equal(broken.vertexCompiled, false);
+  assert.match(broken.vertexLog, /function main\(\) not defined/);
+  assert.equal(dotNet.events.some(([method]) => method === "OnWorkerError"), false);
+  bridge.disposeContext(ctxId);
+});
+
+test("failures of queued calls are reported back and failed commands come back from submitCommandsAsync", async () => {
+  const { bridge, placeholder } = setup();
+  const ctxId = await bridge.createContext(placeholder, { debug: true });
+  const dotNet = recorder();
+  bridge.registerContextCallbacks(ctxId, dotNet);
+  const logged = [];
+  const consoleError = console.error;
+  console.error = (message) => logged.push(message);
+  try {
+    bridge.enable(ctxId, "Bogus");
+    const commands = new Uint8Array(new Int32Array([1, 0x1234]).buffer);
+    assert.throws(() => bridge.submitCommands(ctxId, commands), /use submitCommandsAsync/);
+    const failed = await bridge.submitCommandsAsync(ctxId, commands);
+    // Command streams move to the worker instead of being copied.
+    assert.equal(commands.byteLength, 0);
+    assert.deepEqual(failed.map(({ index, op }) => [index, op]), [[0, 1]]);
+    assert.match(failed[0].message, /0x1234|4660/);
+  } finally {
+    console.error = consoleError;
+  }
+
+  const errors = dotNet.events.filter(([method]) => method === "OnWorkerError");
+  assert.deepEqual(errors, [["OnWorkerError", "enable", "Unknown GL constant 'Bogus'"]]);
+  assert.equal(logged[0], "enable: Unknown GL constant 'Bogus'");
+  bridge.disposeContext(ctxId);
+});
+
+test("texture URLs are resolved against the page before they reach the worker", async (t) => {
+  const requests = [];
+  globalThis.createImageBitmap = async () => null;
+  t.after(() => delete globalThis.createImageBitmap);
+  t.mock.method(globalThis, "fetch", async (url) => {
+    requests.push(url);
+    return { ok: false, status: 404 };
+  });
+  const { bridge, placeholder } = setup();
+  const ctxId = await bridge.createContext(placeholder, null);
+
+  await assert.rejects(
+    bridge.loadTextureFromUrl(ctxId, bridge.createTexture(ctxId), "textures/wood.png", null),
+    /Failed to load image 'https:\/\/example\.com\/app\/textures\/wood\.png': HTTP 404/
+  );
+  await assert.rejects(bridge.loadTextureFromUrl(ctxId, bridge.createTexture(ctxId), "https://cdn.example.org/stone.png", null));
+  assert.deepEqual(requests, ["https://example.com/app/textures/wood.png", "https://cdn.example.org/stone.png"]);
+  bridge.disposeContext(ctxId);
+});
+
+test("context loss is forwarded and disposing closes the worker", async () => {
+  const { bridge, placeholder, mock } = setup();
+  const ctxId = await bridge.createContext(placeholder, null);
+  const dotNet = recorder();
+  bridge.registerContextCallbacks(ctxId, dotNet);
+
+  const loseContext = mock.getExtension("WEBGL_lose_context");
+  const lost = dotNet.next("OnContextLost");
+  loseContext.loseContext();
+  await lost;
+  assert.equal(bridge.isContextLost(ctxId), true);
+
+  const restored = dotNet.next("OnContextRestored");
+  loseContext.restoreContext();
+  await restored;
+  assert.equal(bridge.isContextLost(ctxId), false);
+
+  const texture = bridge.loadTextureFromUrl(ctxId, bridge.createTexture(ctxId), "missing.png", null);
+  bridge.disposeContext(ctxId);
+  await assert.rejects(texture, /render worker was closed/);
+  assert.throws(() => bridge.clear(ctxId, "ColorBufferBit"), /clear: the render worker has been closed/);
+});
+
+test("a context the worker cannot create rejects and closes the worker", async () => {
+  const { bridge, placeholder } = setup({ getContext: () => null, addEventListener() {} });
+  await assert.rejects(bridge.createContext(placeholder, null), /Unable to create WebGL context/);
+  assert.throws(() => bridge.createBuffer(1), /render worker has been closed/);
+});
@@ -0,0 +1,755 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as gl from "../wwwroot/blazorgl.webgl.js";
+import { createMockCanvas } from "../wwwroot/blazorgl.webgl.mock.js";
+
+const vertexSource = `#version 300 es
+layout(location = 0) in vec3 position;
+uniform mat4 u_mvp;
+uniform Camera { mat4 view; vec4 eye; };
+void main() { gl_Position = u_mvp * view * vec4(position, 1.0); }`;
+
+const fragmentSource = `#version 300 es
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec4 u_tint[2];
+out vec4 color;
+void main() { color = texture(u_texture, vec2(0.5)) * u_tint[0]; }`;
+
+function setup(options = {}, canvasOptions = {}) {
+  const canvas = createMockCanvas(64, 32, canvasOptions);
+  const ctxId = gl.createContext(canvas, options);
+  return { canvas, ctxId, mock: canvas.getContext(canvasOptions.type ?? "webgl2") };
+}
+
+function drawTriangle(ctxId) {
+  const build = gl.createProgramFromSources(ctxId, vertexSource, fragmentSource, null);
+  const buffer = gl.createBuffer(ctxId);
+  gl.bindBuffer(ctxId, "ArrayBuffer", buffer);
+  gl.bufferDataFloat(ctxId, "ArrayBuffer", [0, 0, 0, 1, 0, 0, 0, 1, 0], "StaticDraw");
+  gl.useProgram(ctxId, build.program);
+  gl.vertexAttribPointer(ctxId, 0, 3, "Float", false, 0, 0);
+  gl.enableVertexAttribArray(ctxId, 0);
+  gl.drawArrays(ctxId, "Triangles", 0, 3);
+  return build;
+}
+
+test("createContext prefers WebGL2 and falls back to WebGL1 through the context factory", () => {
+  const requested = [];
+  const canvas = createMockCanvas(16, 16, { type: "webgl" });
+  const ctxId = gl.createContext(canvas, {
+    contextFactory: (target, type) => {
+      requested.push(type);
+      return target.getContext(type);
+    }
+  });
+  assert.deepEqual(requested, ["webgl2", "webgl"]);
+  assert.equal(gl.getRenderTargetSupport(ctxId).drawBuffers, true);
+  gl.disposeContext(ctxId);
+
+  assert.throws(() => gl.createContext(canvas, { contextFactory: () => null }), /Unable to create WebGL context/);
+});
+
+test("createContext passes attributes, can force a version and reports capabilities", () => {
+  const requests = [];
+  const canvas = createMockCanvas(16, 16);
+  const ctxId = gl.createContext(canvas, {
+    version: 1,
+    antialias: false,
+    stencil: true,
+    alpha: null,
+    powerPreference: "HighPerformance",
+    contextFactory: (target, type, attributes) => {
+      requests.push([type, attributes]);
+      return target.getContext(type, attributes);
+    }
+  });
+  assert.deepEqual(requests, [["webgl", { antialias: false, stencil: true, powerPreference: "high-performance" }]]);
+
+  const caps = gl.getCapabilities(ctxId);
+  assert.equal(caps.version, 1);
+  assert.equal(caps.attributes.antialias, false);
+  assert.equal(caps.attributes.stencil, true);
+  assert.equal(caps.attributes.powerPreference, "high-performance");
+  assert.equal(caps.maxSamples, 0);
+  assert.ok(caps.maxTextureSize >= 2048);
+  assert.ok(caps.maxTextureUnits > 0 && caps.maxVertexUniformVectors > 0);
+  assert.ok(caps.extensions.includes("OES_element_index_uint"));
+  gl.disposeContext(ctxId);
+
+  const gl2 = setup({}, { extensions: ["WEBGL_compressed_texture_s3tc", "EXT_texture_compression_bptc"] });
+  const caps2 = gl.getCapabilities(gl2.ctxId);
+  assert.equal(caps2.version, 2);
+  assert.ok(caps2.maxSamples > 0);
+  assert.deepEqual(caps2.compressedFormats, ["s3tc", "bptc"]);
+  gl.disposeContext(gl2.ctxId);
+
+  const webgl1Only = createMockCanvas(16, 16, { type: "webgl" });
+  assert.throws(() => gl.createContext(webgl1Only, { version: 2 }), /Unable to create WebGL context: WebGL2 is unavailable on this canvas/);
+  assert.throws(() => gl.createContext(webgl1Only, { version: 3 }), /Unknown WebGL version 3/);
+});
+
+test("draws are counted in the frame stats", () => {
+  const { ctxId } = setup();
+  drawTriangle(ctxId);
+  const stats = gl.getStats(ctxId);
+  assert.equal(stats.drawCalls, 1);
+  assert.equal(stats.triangles, 1);
+  assert.equal(stats.bufferBytes, 36);
+  assert.equal(stats.handles.buffers, 1);
+  gl.resetStats(ctxId);
+  assert.equal(gl.getStats(ctxId).drawCalls, 0);
+  gl.disposeContext(ctxId);
+});
+
+test("program builds reflect attributes, uniforms and uniform blocks", () => {
+  const { ctxId } = setup();
+  const build = gl.createProgramFromSources(ctxId, vertexSource, fragmentSource, { USE_FOG: true });
+  assert.equal(build.linked, true);
+  assert.deepEqual(build.attributes.map((a) => [a.name, a.location]), [["position", 0]]);
+  assert.deepEqual(build.samplers.map((s) => s.name), ["u_texture"]);
+  const tint = build.uniforms.find((u) => u.name === "u_tint[0]");
+  assert.equal(tint.size, 2);
+  assert.deepEqual(build.uniformBlocks.map((b) => [b.name, b.dataSize]), [["Camera", 80]]);
+  const eye = build.uniforms.find((u) => u.name === "eye");
+  assert.equal(eye.offset, 64);
+  assert.equal(eye.location, -1);
+  gl.disposeContext(ctxId);
+});
+
+test("compile errors map back to the caller's line numbers", () => {
+  const { ctxId } = setup();
+  const broken = fragmentSource.replace("out vec4 color;", "#error missing output");
+  const build = gl.createProgramFromSources(ctxId, vertexSource, broken, { A: 1, B: 2 });
+  assert.equal(build.program, 0);
+  assert.equal(build.fragmentCompiled, false);
+  assert.deepEqual(build.diagnostics.filter((d) => d.stage === "fragment"), [
+    { stage: "fragment", line: 5, severity: "error", message: "'#error' : missing output" }
+  ]);
+  gl.disposeContext(ctxId);
+});
+
+test("async program builds resolve once compilation completes", async () => {
+  const { ctxId } = setup();
+  const build = await gl.createProgramFromSourcesAsync(ctxId, vertexSource, fragmentSource, null);
+  assert.equal(build.linked, true);
+  gl.disposeContext(ctxId);
+});
+
+test("disposeContext stops pending async program builds and deletes their objects", async (t) => {
+  const { ctxId, mock } = setup();
+  const getProgramParameter = mock.getProgramParameter;
+  // The driver never finishes, so the build keeps polling.
+  const polls = t.mock.method(mock, "getProgramParameter", function (program, pname) {
+    return pname === 0x91b1 ? false : getProgramParameter.call(this, program, pname);
+  });
+  const build = gl.createProgramFromSourcesAsync(ctxId, vertexSource, fragmentSource, null);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(mock.liveObjects("WebGLProgram").length, 1);
+
+  gl.disposeContext(ctxId);
+  await assert.rejects(build, new RegExp(`WebGL context ${ctxId} was disposed during an asynchronous program build`));
+  assert.deepEqual(mock.liveObjects(), []);
+  const count = polls.mock.callCount();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(polls.mock.callCount(), count, "polling stopped");
+});
+
+test("setUniforms writes every entry of the layout", () => {
+  const { ctxId, mock } = setup();
+  const build = gl.createProgramFromSources(ctxId, vertexSource, fragmentSource, null);
+  const tint = build.uniforms.find((u) => u.name === "u_tint[0]");
+  const sampler = build.samplers[0];
+  gl.setUniforms(ctxId, build.program, [
+    { location: tint.location, type: tint.type, size: 2 },
+    { location: sampler.location, type: sampler.type, size: 1 }
+  ], [1, 0, 0, 1, 0, 1, 0, 1], [3]);
+  assert.deepEqual(mock.errors, []);
+  assert.deepEqual(mock.callsTo("uniform4fv").map((call) => Array.from(call.args[1])), [[1, 0, 0, 1, 0, 1, 0, 1]]);
+  assert.deepEqual(mock.callsTo("uniform1iv").map((call) => Array.from(call.args[1])), [[3]]);
+  assert.throws(() => gl.setUniforms(ctxId, build.program, [{ location: tint.location, type: tint.type, size: 2 }], [1, 2, 3], null), /needs 8 float values/);
+  gl.disposeContext(ctxId);
+});
+
+test("debug mode turns GL errors into exceptions naming the export", () => {
+  const { ctxId } = setup({ debug: true });
+  drawTriangle(ctxId);
+  assert.throws(() => gl.drawArrays(ctxId, "Triangles", 0, 4), /^Error: drawArrays: gl\.drawArrays\(4, 0, 4\) raised INVALID_OPERATION/);
+  assert.ok(gl.getCallTrace(ctxId).at(-1).startsWith("drawArrays("));
+  // The export is named even where it issues a differently named GL call, or none at all.
+  gl.bindBuffer(ctxId, "ArrayBuffer", 0);
+  assert.throws(() => gl.bufferDataFloat(ctxId, "ArrayBuffer", [1], "StaticDraw"), /^Error: bufferDataFloat: gl\.bufferData\(.*\) raised INVALID_OPERATION/);
+  assert.throws(() => gl.bindTexture(ctxId, "Texture2D", 9999), /^Error: bindTexture: Unknown texture handle 9999/);
+  gl.disposeContext(ctxId);
+});
+
+test("the state cache skips redundant calls", () => {
+  const { ctxId, mock } = setup();
+  gl.setStateCacheEnabled(ctxId, true);
+  gl.enable(ctxId, "DepthTest");
+  gl.enable(ctxId, "DepthTest");
+  assert.equal(mock.callsTo("enable").length, 1);
+  assert.equal(gl.getStats(ctxId).skippedStateChanges, 1);
+  gl.invalidateStateCache(ctxId);
+  gl.enable(ctxId, "DepthTest");
+  assert.equal(mock.callsTo("enable").length, 2);
+  gl.disposeContext(ctxId);
+});
+
+test("the state cache covers blend, depth, stencil, scissor and color mask state", () => {
+  const { ctxId, mock } = setup();
+  gl.setStateCacheEnabled(ctxId, true);
+  for (let i = 0; i < 2; i++) {
+    gl.blendEquation(ctxId, "FuncAdd");
+    gl.blendColor(ctxId, 0, 0, 0, 1);
+    gl.depthFunc(ctxId, "LessEqual");
+    gl.depthRange(ctxId, 0, 1);
+    gl.stencilFunc(ctxId, "Always", 1, 0xff);
+    gl.stencilOp(ctxId, "Keep", "Keep", "Replace");
+    gl.stencilMask(ctxId, 0xff);
+    gl.scissor(ctxId, 0, 0, 32, 16);
+    gl.colorMask(ctxId, true, true, true, false);
+    gl.polygonOffset(ctxId, 1, 1);
+  }
+  assert.equal(gl.getStats(ctxId).skippedStateChanges, 10);
+  for (const name of ["blendEquation", "blendColor", "depthFunc", "depthRange", "stencilFunc", "stencilOp", "stencilMask", "scissor", "colorMask", "polygonOffset"]) {
+    assert.equal(mock.callsTo(name).length, 1, name);
+  }
+
+  // The separate forms match per face: the front face is already set, the back face is not.
+  gl.blendEquationSeparate(ctxId, "FuncAdd", "FuncAdd");
+  gl.stencilFuncSeparate(ctxId, "Front", "Always", 1, 0xff);
+  gl.stencilMaskSeparate(ctxId, "Back", 0x0f);
+  gl.stencilMask(ctxId, 0xff);
+  assert.equal(mock.callsTo("blendEquationSeparate").length, 0);
+  assert.equal(mock.callsTo("stencilFuncSeparate").length, 0);
+  assert.equal(mock.callsTo("stencilMaskSeparate").length, 1);
+  assert.equal(mock.callsTo("stencilMask").length, 2);
+
+  gl.invalidateStateCache(ctxId);
+  gl.depthFunc(ctxId, "LessEqual");
+  assert.equal(mock.callsTo("depthFunc").length, 2);
+  assert.deepEqual(mock.errors, []);
+  gl.disposeContext(ctxId);
+});
+
+test("submitCommands runs a packed stream and reports failing commands", () => {
+  const { ctxId, mock } = setup();
+  const consts = gl.getConstants(ctxId);
+  const words = new Int32Array(12);
+  const floats = new Float32Array(words.buffer);
+  // ClearColor(0, 1, 0, 1), Clear(COLOR), CullFace(bogus)
+  words[0] = 8;
+  floats.set([0, 1, 0, 1], 1);
+  words[5] = 9;
+  words[6] = consts.ColorBufferBit;
+  words[7] = 3;
+  words[8] = 0x1234;
+  const errors = gl.submitCommands(ctxId, new Uint8Array(words.buffer, 0, 36));
+  assert.equal(errors.length, 0, "without debug mode GL errors are not checked");
+  assert.deepEqual(Array.from(gl.readPixels(ctxId, 0, 0, 1, 1, "Rgba", "UnsignedByte")), [0, 255, 0, 255]);
+  assert.equal(mock.errors.at(-1).message, "cullFace: INVALID_ENUM: invalid cull face 0x1234");
+  assert.throws(() => gl.submitCommands(ctxId, new Int32Array([99]).buffer), /Unknown command opcode 99/);
+  gl.disposeContext(ctxId);
+});
+
+test("submitCommandsAsync settles with the failed commands and rejects a malformed stream", async () => {
+  const { ctxId } = setup({ debug: true });
+  const failed = await gl.submitCommandsAsync(ctxId, new Int32Array([1, 0x1234]).buffer);
+  assert.deepEqual(failed.map(({ index, op }) => [index, op]), [[0, 1]]);
+  await assert.rejects(gl.submitCommandsAsync(ctxId, new Int32Array([99]).buffer), /Unknown command opcode 99/);
+  gl.disposeContext(ctxId);
+});
+
+test("readPixelsAsync reads through a pixel pack buffer", async () => {
+  const { ctxId, mock } = setup();
+  gl.clearColor(ctxId, 0, 0, 1, 1);
+  gl.clear(ctxId, "ColorBufferBit");
+  const pixels = await gl.readPixelsAsync(ctxId, 0, 0, 2, 1, "Rgba", "UnsignedByte");
+  assert.deepEqual(Array.from(pixels), [0, 0, 255, 255, 0, 0, 255, 255]);
+  assert.equal(mock.liveObjects("WebGLSync").length, 0);
+  gl.disposeContext(ctxId);
+});
+
+test("disposeContext stops pending async reads and frees their fence and buffer", async (t) => {
+  const { ctxId, mock } = setup();
+  // The GPU never finishes, so the read keeps polling.
+  const waits = t.mock.method(mock, "clientWaitSync", () => mock.TIMEOUT_EXPIRED);
+  const read = gl.readPixelsAsync(ctxId, 0, 0, 1, 1, "Rgba", "UnsignedByte");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(mock.liveObjects("WebGLSync").length, 1);
+
+  gl.disposeContext(ctxId);
+  await assert.rejects(read, new RegExp(`WebGL context ${ctxId} was disposed during an asynchronous readPixels`));
+  assert.deepEqual(mock.liveObjects(), []);
+  const polls = waits.mock.callCount();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(waits.mock.callCount(), polls, "polling stopped");
+});
+
+test("a readPixelsAsync that fails in a debug context rejects and frees its fence and buffer", async (t) => {
+  const { ctxId, mock } = setup({ debug: true });
+  const getBufferSubData = mock.getBufferSubData;
+  // Reading past the end of the pack buffer raises INVALID_VALUE, which debug mode throws.
+  t.mock.method(mock, "getBufferSubData", function (target, offset, dst) {
+    return getBufferSubData.call(this, target, 1024, dst);
+  });
+  await assert.rejects(gl.readPixelsAsync(ctxId, 0, 0, 1, 1, "Rgba", "UnsignedByte"), /getBufferSubData.*INVALID_VALUE/);
+  assert.equal(mock.liveObjects("WebGLSync").length, 0);
+  assert.equal(mock.liveObjects("WebGLBuffer").length, 0);
+  assert.equal(mock.getParameter(mock.PIXEL_PACK_BUFFER_BINDING), null);
+  gl.disposeContext(ctxId);
+});
+
+test("disposeContext deletes every object the context created", () => {
+  const { ctxId, mock } = setup();
+  drawTriangle(ctxId);
+  const texture = gl.createTexture(ctxId);
+  gl.bindTexture(ctxId, "Texture2D", texture);
+  gl.texStorage2D(ctxId, "Texture2D", 1, "Rgba8", 4, 4);
+  gl.createFramebuffer(ctxId);
+  gl.createVertexArray(ctxId);
+  assert.ok(mock.liveObjects().length > 0);
+  gl.disposeContext(ctxId);
+  assert.deepEqual(mock.liveObjects(), []);
+});
+
+test("capture and replay reproduce the recorded calls", () => {
+  const source = setup({ capture: false });
+  gl.startCapture(source.ctxId);
+  drawTriangle(source.ctxId);
+  gl.markCaptureFrame(source.ctxId);
+  const { manifest, data } = gl.stopCapture(source.ctxId);
+  assert.match(gl.dumpCapture(manifest, data), /drawArrays\(4, 0, 3\)/);
+
+  const target = setup();
+  const replay = gl.replayCapture(target.ctxId, manifest, data);
+  assert.deepEqual(replay.errors, []);
+  assert.deepEqual(target.mock.errors, []);
+  assert.equal(target.mock.callsTo("drawArrays").length, 1);
+  gl.disposeContext(source.ctxId);
+  gl.disposeContext(target.ctxId);
+});
+
+test("a capture records state the cache already held when it started", () => {
+  const source = setup();
+  gl.setStateCacheEnabled(source.ctxId, true);
+  gl.enable(source.ctxId, "DepthTest");
+  drawTriangle(source.ctxId);
+
+  gl.startCapture(source.ctxId);
+  gl.enable(source.ctxId, "DepthTest");
+  drawTriangle(source.ctxId);
+  const { manifest } = gl.stopCapture(source.ctxId);
+  const recorded = JSON.parse(manifest).calls.map((call) => call.fn);
+  for (const fn of ["enable", "useProgram", "bindBuffer", "drawArrays"]) {
+    assert.ok(recorded.includes(fn), `${fn} is in the capture`);
+  }
+  gl.disposeContext(source.ctxId);
+});
+
+test("context loss and restore are forwarded to .NET and reset the handle tables", () => {
+  const { ctxId, mock } = setup();
+  const notifications = [];
+  gl.registerContextCallbacks(ctxId, { invokeMethodAsync: (name) => notifications.push(name) });
+  drawTriangle(ctxId);
+
+  const lose = mock.getExtension("WEBGL_lose_context");
+  lose.loseContext();
+  assert.equal(gl.isContextLost(ctxId), true);
+  assert.equal(mock.restorable, true, "the bridge cancels webglcontextlost so the context can come back");
+  lose.restoreContext();
+  assert.equal(gl.isContextLost(ctxId), false);
+  assert.deepEqual(notifications, ["OnContextLost", "OnContextRestored"]);
+  assert.equal(gl.getStats(ctxId).handles.buffers, 0);
+  gl.disposeContext(ctxId);
+});
+
+test("WebGL1 contexts use the instancing and vertex array extensions", () => {
+  const { ctxId, mock } = setup({}, { type: "webgl" });
+  const vao = gl.createVertexArray(ctxId);
+  gl.bindVertexArray(ctxId, vao);
+  gl.vertexAttribDivisor(ctxId, 0, 1);
+  assert.equal(mock.callsTo("OES_vertex_array_object.createVertexArrayOES").length, 1);
+  assert.equal(mock.callsTo("ANGLE_instanced_arrays.vertexAttribDivisorANGLE").length, 1);
+  assert.deepEqual(mock.errors, []);
+  gl.disposeContext(ctxId);
+});
+
+test("32-bit indices on WebGL1 need OES_element_index_uint", () => {
+  const { ctxId, mock } = setup({}, { type: "webgl", extensions: ["ANGLE_instanced_arrays", "OES_vertex_array_object"] });
+  assert.throws(
+    () => gl.drawElements(ctxId, "Triangles", 3, "UnsignedInt", 0),
+    /32-bit indices need WebGL2 or OES_element_index_uint.*use UnsignedShort indices/
+  );
+  assert.throws(() => gl.multiDrawElements(ctxId, "Triangles", [3], "UnsignedInt", [0]), /32-bit indices/);
+  assert.equal(mock.callsTo("drawElements").length, 0);
+  gl.disposeContext(ctxId);
+});
+
+function drawIndexed(ctxId) {
+  drawTriangle(ctxId);
+  const indices = gl.createBuffer(ctxId);
+  gl.bindBuffer(ctxId, "ElementArrayBuffer", indices);
+  gl.bufferDataTyped(ctxId, "ElementArrayBuffer", [0, 1, 2, 2, 1, 0], "Uint16", "StaticDraw");
+}
+
+test("multi-draw uses WEBGL_multi_draw and counts every draw", () => {
+  const { ctxId, mock } = setup();
+  drawIndexed(ctxId);
+  gl.multiDrawArrays(ctxId, "Triangles", [0, 0], [3, 3]);
+  gl.multiDrawElementsInstanced(ctxId, "Triangles", [3, 3], "UnsignedShort", [0, 6], [2, 1]);
+  assert.equal(mock.callsTo("WEBGL_multi_draw.multiDrawArraysWEBGL").length, 1);
+  assert.equal(mock.callsTo("WEBGL_multi_draw.multiDrawElementsInstancedWEBGL").length, 1);
+  assert.deepEqual(mock.errors, []);
+  // The triangle from drawIndexed, two from multiDrawArrays, three instances from the element draws.
+  assert.equal(gl.getStats(ctxId).drawCalls, 5);
+  assert.equal(gl.getStats(ctxId).triangles, 6);
+  assert.throws(() => gl.multiDrawArrays(ctxId, "Triangles", [0, 0], [3]), /multiDrawArrays: counts has 1 entries but firsts has 2/);
+  gl.disposeContext(ctxId);
+});
+
+test("multi-draw falls back to single draws without the extension", () => {
+  const extensions = ["EXT_color_buffer_float", "WEBGL_lose_context"];
+  const { ctxId, mock } = setup({}, { extensions });
+  drawIndexed(ctxId);
+  gl.multiDrawElements(ctxId, "Triangles", [3, 3], "UnsignedShort", [0, 6]);
+  gl.multiDrawArraysInstanced(ctxId, "Triangles", [0], [3], [4]);
+  assert.equal(mock.callsTo("drawElements").length, 2);
+  assert.equal(mock.callsTo("drawArraysInstanced").length, 1);
+  assert.deepEqual(mock.errors, []);
+  assert.equal(gl.getStats(ctxId).drawCalls, 4);
+  gl.disposeContext(ctxId);
+});
+
+test("instanced arrays and range draws run directly and from command streams", () => {
+  const { ctxId, mock } = setup();
+  drawIndexed(ctxId);
+  const consts = gl.getConstants(ctxId);
+  gl.drawArraysInstanced(ctxId, "Triangles", 0, 3, 2);
+  gl.drawRangeElements(ctxId, "Triangles", 0, 2, 6, "UnsignedShort", 0);
+  // DrawArraysInstanced(Triangles, 0, 3, 5), DrawRangeElements(Triangles, 0, 2, 3, UnsignedShort, 6)
+  const words = new Int32Array([28, consts.Triangles, 0, 3, 5, 29, consts.Triangles, 0, 2, 3, consts.UnsignedShort, 6]);
+  assert.deepEqual(gl.submitCommands(ctxId, words.buffer), []);
+  assert.deepEqual(
+    mock.callsTo("drawRangeElements").map((call) => call.args),
+    [
+      [consts.Triangles, 0, 2, 6, consts.UnsignedShort, 0],
+      [consts.Triangles, 0, 2, 3, consts.UnsignedShort, 6]
+    ]
+  );
+  assert.equal(mock.callsTo("drawArraysInstanced").length, 2);
+  assert.deepEqual(mock.errors, []);
+  assert.equal(gl.getStats(ctxId).triangles, 1 + 2 + 2 + 5 + 1);
+  gl.disposeContext(ctxId);
+});
+
+// Node has no ResizeObserver or matchMedia; these stand-ins let a test resize the canvas and
+// change the pixel ratio by hand.
+function installResizeStubs(t, { devicePixelBox = false } = {}) {
+  const observers = [];
+  const queries = [];
+  globalThis.devicePixelRatio = 2;
+  globalThis.ResizeObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.connected = true;
+      observers.push(this);
+    }
+    observe(element, options) {
+      this.element = element;
+      this.options = options;
+    }
+    disconnect() {
+      this.connected = false;
+    }
+  };
+  globalThis.matchMedia = (query) => {
+    const media = new EventTarget();
+    media.media = query;
+    queries.push(media);
+    return media;
+  };
+  t.after(() => {
+    delete globalThis.devicePixelRatio;
+    delete globalThis.ResizeObserver;
+    delete globalThis.matchMedia;
+  });
+  return {
+    observers,
+    queries,
+    resize(width, height) {
+      const entry = { contentRect: { width, height } };
+      if (devicePixelBox) {
+        entry.devicePixelContentBoxSize = [{ inlineSize: width * globalThis.devicePixelRatio, blockSize: height * globalThis.devicePixelRatio }];
+      }
+      for (const observer of observers.filter((o) => o.connected)) observer.callback([entry]);
+    },
+    changeRatio(ratio) {
+      globalThis.devicePixelRatio = ratio;
+      queries.at(-1).dispatchEvent(new Event("change"));
+    }
+  };
+}
+
+test("observeCanvasSize keeps the drawing buffer at CSS size times the capped pixel ratio", (t) => {
+  const stubs = installResizeStubs(t);
+  const { canvas, ctxId } = setup();
+  const resized = [];
+  gl.registerContextCallbacks(ctxId, { invokeMethodAsync: (name, ...args) => resized.push([name, ...args]) });
+  gl.observeCanvasSize(ctxId, 1.5);
+  assert.equal(stubs.queries[0].media, "(resolution: 2dppx)");
+
+  stubs.resize(200, 100);
+  assert.deepEqual([canvas.width, canvas.height], [300, 150]);
+  stubs.resize(0, 0);
+  stubs.resize(200, 100);
+  assert.deepEqual(resized, [["OnCanvasResized", 200, 100, 300, 150]], "hidden and unchanged sizes are not reported");
+
+  // Moving to a 1x screen: the cap no longer applies and a query for the new ratio replaces the old one.
+  stubs.changeRatio(1);
+  assert.deepEqual(resized.at(-1), ["OnCanvasResized", 200, 100, 200, 100]);
+  assert.equal(stubs.queries.at(-1).media, "(resolution: 1dppx)");
+
+  gl.unobserveCanvasSize(ctxId);
+  stubs.resize(400, 400);
+  assert.equal(canvas.width, 200);
+  assert.throws(() => gl.observeCanvasSize(ctxId, 0), /maxPixelRatio must be positive/);
+  gl.disposeContext(ctxId);
+});
+
+test("device-pixel-content-box sizes are used where the browser reports them", (t) => {
+  const stubs = installResizeStubs(t, { devicePixelBox: true });
+  const { canvas, ctxId } = setup();
+  gl.observeCanvasSize(ctxId);
+  assert.deepEqual(stubs.observers[0].options, { box: "device-pixel-content-box" });
+  stubs.resize(100.5, 50.25);
+  assert.deepEqual([canvas.width, canvas.height], [201, 101]);
+  gl.disposeContext(ctxId);
+  assert.equal(stubs.observers[0].connected, false, "disposing the context stops watching");
+});
+
+// Runs animation frames by hand; document and IntersectionObserver stand-ins let a test hide the
+// tab or scroll the canvas away.
+function installFrameStubs(t) {
+  let callbacks = new Map();
+  let nextRequest = 1;
+  const document = new EventTarget();
+  document.hidden = false;
+  const intersections = [];
+  globalThis.requestAnimationFrame = (callback) => {
+    callbacks.set(nextRequest, callback);
+    return nextRequest++;
+  };
+  globalThis.cancelAnimationFrame = (request) => callbacks.delete(request);
+  globalThis.document = document;
+  globalThis.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      intersections.push(this);
+    }
+    observe() {}
+    disconnect() {
+      this.disconnected = true;
+    }
+  };
+  t.after(() => {
+    for (const name of ["requestAnimationFrame", "cancelAnimationFrame", "document", "IntersectionObserver"]) delete globalThis[name];
+  });
+  return {
+    get pending() {
+      return callbacks.size;
+    },
+    frame(timestamp) {
+      const due = callbacks;
+      callbacks = new Map();
+      for (const callback of due.values()) callback(timestamp);
+    },
+    setHidden(hidden) {
+      document.hidden = hidden;
+      document.dispatchEvent(new Event("visibilitychange"));
+    },
+    setVisible(isIntersecting) {
+      intersections.at(-1).callback([{ isIntersecting }]);
+    },
+    intersections
+  };
+}
+
+function frameRecorder() {
+  const frames = [];
+  return { frames, invokeMethod: (method, timestamp, delta) => frames.push([method, timestamp, delta]) };
+}
+
+test("the render loop calls .NET every frame, respects the FPS cap and pauses while hidden", (t) => {
+  const frames = installFrameStubs(t);
+  const { ctxId, mock } = setup();
+  const dotNet = frameRecorder();
+  gl.startRenderLoop(ctxId, dotNet, { maxFps: 30 });
+  for (const timestamp of [1000, 1016.7, 1033.3, 1050, 1066.7]) frames.frame(timestamp);
+  assert.deepEqual(dotNet.frames.map(([, timestamp]) => timestamp), [1000, 1033.3, 1066.7]);
+  assert.equal(dotNet.frames[0][0], "OnRenderFrame");
+  assert.equal(dotNet.frames[0][2], 0);
+  assert.ok(Math.abs(dotNet.frames[1][2] - 33.3) < 1e-9);
+
+  frames.setHidden(true);
+  assert.equal(frames.pending, 0);
+  frames.setHidden(false);
+  frames.frame(5000);
+  assert.deepEqual(dotNet.frames.at(-1), ["OnRenderFrame", 5000, 0], "the delta restarts after a pause");
+
+  frames.setVisible(false);
+  assert.equal(frames.pending, 0);
+  frames.setVisible(true);
+  mock.getExtension("WEBGL_lose_context").loseContext();
+  frames.frame(6000);
+  assert.equal(dotNet.frames.length, 4, "no frames while the context is lost");
+  assert.equal(frames.pending, 1);
+
+  gl.disposeContext(ctxId);
+  assert.equal(frames.pending, 0);
+  assert.equal(frames.intersections[0].disconnected, true);
+});
+
+test("an on-demand render loop only renders after invalidate", (t) => {
+  const frames = installFrameStubs(t);
+  const { ctxId } = setup();
+  const dotNet = frameRecorder();
+  gl.startRenderLoop(ctxId, dotNet, { onDemand: true, method: "Draw" });
+  frames.frame(10);
+  frames.frame(20);
+  assert.deepEqual(dotNet.frames, [["Draw", 10, 0]]);
+  assert.equal(frames.pending, 0);
+
+  gl.invalidate(ctxId);
+  gl.invalidate(ctxId);
+  frames.frame(30);
+  frames.frame(40);
+  assert.deepEqual(dotNet.frames.at(-1), ["Draw", 30, 20]);
+  assert.equal(dotNet.frames.length, 2);
+
+  gl.stopRenderLoop(ctxId);
+  gl.invalidate(ctxId);
+  assert.equal(frames.pending, 0);
+  assert.throws(() => gl.startRenderLoop(ctxId, dotNet, { maxFps: 0 }), /maxFps must be positive/);
+  gl.disposeContext(ctxId);
+});
+
+test("the render loop uploads new video frames before .NET draws", async (t) => {
+  const frames = installFrameStubs(t);
+  globalThis.HTMLMediaElement = { HAVE_METADATA: 1, HAVE_CURRENT_DATA: 2 };
+  t.after(() => delete globalThis.HTMLMediaElement);
+  const { ctxId, mock } = setup();
+  const uploadsAtFrame = [];
+  gl.startRenderLoop(ctxId, { invokeMethod: () => uploadsAtFrame.push(mock.callsTo("texImage2D").length) }, { onDemand: true });
+
+  const frameCallbacks = [];
+  const video = {
+    readyState: 4,
+    videoWidth: 4,
+    videoHeight: 2,
+    currentTime: 0,
+    requestVideoFrameCallback: (callback) => frameCallbacks.push(callback),
+    cancelVideoFrameCallback() {}
+  };
+  assert.deepEqual(await gl.attachVideoTexture(ctxId, gl.createTexture(ctxId), video, null), { width: 4, height: 2 });
+  frames.frame(10);
+  frames.frame(20);
+  assert.deepEqual(uploadsAtFrame, [1], "the first frame uploads the video, the next has nothing new");
+
+  // A new video frame asks the on-demand loop for a frame and is uploaded before it.
+  frameCallbacks.shift()();
+  frames.frame(30);
+  assert.deepEqual(uploadsAtFrame, [1, 2]);
+  assert.deepEqual(mock.errors, []);
+  gl.disposeContext(ctxId);
+});
+
+test("loadTextureFromUrl fetches with the requested mode and keeps the image's orientation", async (t) => {
+  const requests = [];
+  const decodes = [];
+  globalThis.ImageBitmap = class {
+    width = 2;
+    height = 2;
+    close() {}
+  };
+  globalThis.createImageBitmap = async (blob, options) => {
+    decodes.push(options.imageOrientation);
+    return new ImageBitmap();
+  };
+  t.after(() => {
+    delete globalThis.ImageBitmap;
+    delete globalThis.createImageBitmap;
+  });
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    requests.push([url, init.mode]);
+    return { ok: true, blob: async () => null };
+  });
+
+  const { ctxId, mock } = setup();
+  assert.deepEqual(await gl.loadTextureFromUrl(ctxId, gl.createTexture(ctxId), "a.png", null), { width: 2, height: 2 });
+  await gl.loadTextureFromUrl(ctxId, gl.createTexture(ctxId), "b.png", { mode: "same-origin", flipY: true });
+  assert.deepEqual(requests, [["a.png", "cors"], ["b.png", "same-origin"]]);
+  assert.deepEqual(decodes, ["from-image", "flipY"]);
+  assert.equal(mock.callsTo("texImage2D").length, 2);
+  gl.disposeContext(ctxId);
+});
+
+test("texImage2D reinterprets raw bytes for packed and half float pixel types", () => {
+  const { ctxId, mock } = setup();
+  const texture = gl.createTexture(ctxId);
+  gl.bindTexture(ctxId, "Texture2D", texture);
+  // Two RGBA16F texels as stored in a KTX2 level: 1.0 and 0.5 in every channel.
+  const bytes = new Uint8Array(new Uint16Array([0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3800, 0x3800, 0x3800, 0x3800]).buffer);
+  gl.texImage2D(ctxId, "Texture2D", 0, "Rgba16F", 2, 1, "Rgba", "HalfFloat", bytes);
+  gl.texImage2D(ctxId, "Texture2D", 1, "Rgb565", 1, 1, "Rgb", "UnsignedShort565", Uint8Array.of(0x1f, 0xf8));
+  const [halfFloat, rgb565] = mock.callsTo("texImage2D").map((call) => call.args[8]);
+  assert.ok(halfFloat instanceof Uint16Array);
+  assert.deepEqual(Array.from(halfFloat), [0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3800, 0x3800, 0x3800, 0x3800]);
+  assert.deepEqual(Array.from(rgb565), [0xf81f]);
+  assert.deepEqual(mock.errors, []);
+});
+
+test("getPixelStore reads back the alignment a tightly packed upload has to set and restore", () => {
+  const { ctxId, mock } = setup();
+  const texture = gl.createTexture(ctxId);
+  gl.bindTexture(ctxId, "Texture2D", texture);
+  gl.pixelStorei(ctxId, "UnpackAlignment", 2);
+  const previous = gl.getPixelStore(ctxId, "UnpackAlignment");
+  assert.equal(previous, 2);
+
+  // A 25x15 RGB565 level has 50-byte rows, which alignment 4 would pad to 52.
+  gl.pixelStorei(ctxId, "UnpackAlignment", 1);
+  gl.texImage2D(ctxId, "Texture2D", 2, "Rgb565", 25, 15, "Rgb", "UnsignedShort565", new Uint8Array(50 * 15));
+  gl.pixelStorei(ctxId, "UnpackAlignment", previous);
+  assert.equal(gl.getPixelStore(ctxId, "UnpackAlignment"), 2);
+  assert.deepEqual(mock.errors, []);
+  gl.disposeContext(ctxId);
+});
+
+test("compressed uploads take format names from the context's extensions", () => {
+  const { ctxId, mock } = setup({}, { extensions: ["WEBGL_compressed_texture_astc", "WEBGL_compressed_texture_etc1"] });
+  const texture = gl.createTexture(ctxId);
+  gl.bindTexture(ctxId, "Texture2D", texture);
+  gl.compressedTexImage2D(ctxId, "Texture2D", 0, "COMPRESSED_RGBA_ASTC_4x4_KHR", 8, 4, new Uint8Array(32));
+  gl.compressedTexImage2D(ctxId, "Texture2D", 1, "COMPRESSED_RGBA_ASTC_4x4_KHR", 4, 2, new Array(16).fill(0));
+  gl.compressedTexSubImage2D(ctxId, "Texture2D", 0, 4, 0, 4, 4, "COMPRESSED_RGBA_ASTC_4x4_KHR", new Uint8Array(16));
+  assert.deepEqual(
+    mock.callsTo("compressedTexImage2D").map(({ args }) => [args[1], args[2], args[6].constructor.name, args[6].length]),
+    [
+      [0, 0x93b0, "Uint8Array", 32],
+      [1, 0x93b0, "Uint8Array", 16]
+    ]
+  );
+  assert.equal(mock.callsTo("compressedTexSubImage2D")[0].args[6], 0x93b0);
+  assert.deepEqual(mock.errors, []);
+
+  assert.throws(
+    () => gl.compressedTexImage2D(ctxId, "Texture2D", 0, "COMPRESSED_RGBA_BPTC_UNORM_EXT", 4, 4, new Uint8Array(16)),
+    new RegExp(`Compressed texture format 'COMPRESSED_RGBA_BPTC_UNORM_EXT' is not supported by WebGL context ${ctxId}`)
+  );
+  // The mock rejects a wrongly sized image, as WebGL does.
+  gl.compressedTexImage2D(ctxId, "Texture2D", 0, "COMPRESSED_RGB_ETC1_WEBGL", 8, 8, new Uint8Array(16));
+  assert.match(mock.errors.at(-1).message, /compressedTexImage2D: INVALID_VALUE: compressed data holds 16 bytes, a 8x8 image needs 32/);
+  gl.disposeContext(ctxId);
+});
@@ -0,0 +1,66 @@
+// Zstandard frames for the decoder tests. The two compressed frames were made with the zstd
+// 1.5.6 command line tool (`zstd -19 --no-check`) from sampleText(3000) and skewedBytes(1500);
+// zstdFrame writes raw and RLE blocks by hand.
+
+function lcg(seed) {
+  return () => (seed = (Math.imul(seed, 1103515245) + 12345) >>> 0) >>> 16;
+}
+
+const words = ["alpha", "beta", "gamma", "delta", "texel", "block", "mip", "level"];
+
+/** Words from a small vocabulary: few literals, many matches and repeat offsets. */
+export function sampleText(length) {
+  const random = lcg(1);
+  const out = [];
+  while (out.join(" ").length < length) out.push(words[random() % 8]);
+  return new TextEncoder().encode(out.join(" ").slice(0, length));
+}
+
+/** Bytes from a small, uneven alphabet: mostly Huffman-coded literals in four streams. */
+export function skewedBytes(length) {
+  const random = lcg(4);
+  return Uint8Array.from({ length }, () => 64 + (random() % 7) * (random() % 5));
+}
+
+const fromBase64 = (text) => new Uint8Array(Buffer.from(text, "base64"));
+
+// Literals in one Huffman stream with FSE-compressed weights; FSE tables for all sequences.
+export const textFrame = fromBase64(
+  "KLUv/WC4Cj0OAJICCQ/Q56RivyQvW5PIAmhBwQE/k9d+LhFbJZiWice2UYqyQ1A/B4DnqMCTZBkDIERgDFJX5QEhCEISIEKI" +
+  "SwIkJCZJlu0dxZ8FLnjGzVoP6Giblbwb5n2BtN+4hfYgBqZO5ZZiViThi0lFf6mHpV+7vQm4ACYGNmLroeQrC9RqrzhxnRa1" +
+  "FOYkUkYe8xoty8n9m2Kj8PdrOHw9fm5/X8z+yO9e12QN6kbcJddfguNWSnQvL2dYabizLtSSFcdZ4/2gEn1D+mEgC2C6u1II" +
+  "9awJW2sVAfwFuh+HmUt3DPYwRv1zTtbc5OeclfIix5NOI/9khzgoylMU+5EEnTgq2WFBbPRAtSKJPA/Ga4hzBzrjXfrPGF0E" +
+  "wtanIinph9uZvkOncCna+XjSrxg/C5N3GcWz5BUv8yAOMwZWkrVJrmkLYmzF4jwHpRgM2LZlGnYDY2u/5+svBuCkKiITJNZt" +
+  "OyDezDuh2Gsnc1C53BFREVZvZ6vE3yNAf+G2AwlKwQoeCgOw9qc/fi4det3025yJ+dKbCgcx39wGO5iL8KWIubZK3brCMQ8K" +
+  "zC/obnaqCkvqVPBKka1E2FsHhB6fy0mCEfsVkoJL6yUB"
+);
+
+// Literals in four Huffman streams; predefined sequence tables.
+export const skewedFrame = fromBase64(
+  "KLUv/WDcBIUVAIpdmAoPsKkDqDGTY+O2cvdOkpQHpwCsAJwAoeYq/8g87F4Kxg0oC3e128wkhNiKowjyrFiy76Ram0ROoe1C" +
+  "RP2oCd0AoejM5IkP9EjN23FfZfzK/3sciy6eEEv1hWxRZO7AO5f6P33GOpdoV8RO2dOopz3BV7U/33pZzU8xCfq+aU5aJ8x+" +
+  "sxv8Pwx3yNP1Ebp8P3xw0RlX4/EYYWKsXBMCIdvCgwhK0nTyuDDvxuoo9n9fzSp2Fe4ZzQVY+cQFkgkGEqlgy1WP3xmdCotg" +
+  "xNeWrtI1GljJ4F2oi4akN1f92q0Oxv5PKfaN7/sFF7c4olabAn4SIMAHDN2iBAKIdjgQdh77y3mzlFfzZo7TS8mCgYjFnd5D" +
+  "MvzpwH+4GiLtNEEJXU/wPAkbe97CE/JS/A4Z+aGPB52wJBp44u7Z9ROP0Zq7r4+JN+gjIAjjz3aYali5hJsHNjPfb2Yfx2TX" +
+  "Ns4hkdiQ1AoQo9Sukug8A37crA9+K6L+uWK69mSVpvLRf8b7ItLzzLYDvx7Qkqm7lV/Yd9Zqvn0Fmm1D33R8zxvxzfKtfqF1" +
+  "t28RQE0+2qG/outhX93N5YlufEISF/O0nQYZqdN8jU0Qu/ykn9L+nvBDL/oR8YSUAVDOydca0O818XL3MovnPEksvlBe+tx0" +
+  "b09TR9ZQulfp7mR/M7I5qWD7QIEd5+LIzWV7/UYPPjXGFX8p/zyy+OLbX3Mc+sz3JoihP6U8ta7w9ZlOwnelkabi8mc2Y86s" +
+  "5aRe4kZAJdBWZw1/b6Vq9zWvX6V0zf/LpsJqzEV7C37exoXz4WA+nd2vZ1nMbSTR0p71AoVVeREitCWa7kecb5ev1YX+8cE1" +
+  "UpaDRZ3yIYj/8mIbnFWIuqpxUei3v78S4Gp59/oX/hcJZgUZGtyur0Is0McBAP4ASAE="
+);
+
+/**
+ * A single-segment frame from blocks given as { raw: Uint8Array } or { rle: byte, size };
+ * contentSize overrides the declared frame content size.
+ */
+export function zstdFrame(blocks, contentSize = null) {
+  const size = contentSize ?? blocks.reduce((total, block) => total + (block.raw ? block.raw.length : block.size), 0);
+  const bytes = [0x28, 0xb5, 0x2f, 0xfd, 0xa0, ...[0, 8, 16, 24].map((shift) => (size >>> shift) & 0xff)];
+  blocks.forEach((block, i) => {
+    const last = i === blocks.length - 1 ? 1 : 0;
+    const header = block.raw ? last | (block.raw.length << 3) : last | 2 | (block.size << 3);
+    bytes.push(header & 0xff, (header >>> 8) & 0xff, header >>> 16);
+    bytes.push(...(block.raw ?? [block.rle]));
+  });
+  return new Uint8Array(bytes);
+}
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decompressZstd } from "../wwwroot/blazorgl.zstd.js";
+import { sampleText, skewedBytes, textFrame, skewedFrame, zstdFrame } from "./zstd.fixtures.mjs";
+
+test("decompressZstd decodes frames from the reference encoder", () => {
+  assert.deepEqual(decompressZstd(textFrame), sampleText(3000));
+  assert.deepEqual(decompressZstd(skewedFrame, 1500), skewedBytes(1500));
+  // Frames follow each other; skippable frames are passed over.
+  const skippable = [0x50, 0x2a, 0x4d, 0x18, 2, 0, 0, 0, 0xaa, 0xbb];
+  const joined = new Uint8Array([...skewedFrame, ...skippable, ...textFrame]);
+  assert.deepEqual(decompressZstd(joined.buffer), new Uint8Array([...skewedBytes(1500), ...sampleText(3000)]));
+});
+
+test("decompressZstd handles raw and RLE blocks", () => {
+  const frame = zstdFrame([{ raw: Uint8Array.of(1, 2, 3) }, { rle: 9, size: 5 }, { raw: new Uint8Array(0) }]);
+  assert.deepEqual(decompressZstd(frame), Uint8Array.of(1, 2, 3, 9, 9, 9, 9, 9));
+  assert.deepEqual(decompressZstd(zstdFrame([{ rle: 0, size: 0 }])), new Uint8Array(0));
+});
+
+test("decompressZstd rejects corrupt and unsupported data", () => {
+  assert.throws(() => decompressZstd(Uint8Array.of(1, 2, 3, 4)), /Not a Zstandard frame: magic number 0x4030201 at byte 0/);
+  assert.throws(() => decompressZstd(zstdFrame([{ raw: Uint8Array.of(1) }], 2)), /a frame decoded to 1 bytes but declares 2/);
+  assert.throws(() => decompressZstd(zstdFrame([{ raw: Uint8Array.of(1) }]), 4), /decoded 1 bytes where 4 were expected/);
+  assert.throws(() => decompressZstd(textFrame.subarray(0, 200)), /Zstandard data is corrupt: a \d+-byte block runs past the end/);
+
+  const withDictionary = Uint8Array.of(0x28, 0xb5, 0x2f, 0xfd, 0x21, 7, 1, 0x01, 0, 0);
+  assert.throws(() => decompressZstd(withDictionary), /needs dictionary 7; dictionaries are not supported/);
+
+  // Damage inside a compressed block shows up as an error, never as a hang or a wrong length.
+  for (let at = 8; at < textFrame.length; at += 7) {
+    const damaged = textFrame.slice();
+    damaged[at] ^= 0x5a;
+    try {
+      assert.equal(decompressZstd(damaged, 3000).length, 3000);
+    } catch (error) {
+      assert.match(error.message, /Zstandard|dictionary/);
+    }
+  }
+});
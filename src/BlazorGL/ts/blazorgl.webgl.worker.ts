@@ -0,0 +1,118 @@
+import * as bridge from "./blazorgl.webgl.js";
+
+// Worker side of the offscreen rendering mode: runs the bridge against the OffscreenCanvas the
+// proxy in blazorgl.webgl.offscreen.ts transferred, and executes the calls it batches.
+
+/** One queued bridge call. handle presets the id a create export issues; reply asks for the result. */
+export type BridgeCall = { fn: string; args: unknown[]; handle?: number; reply?: number };
+
+export type ToWorker =
+  | { type: "init"; canvas: OffscreenCanvas; options: object | null; reply: number }
+  | { type: "batch"; calls: BridgeCall[] }
+  | { type: "close" };
+
+export type FromWorker =
+  | { type: "ready"; reply: number; ctxId: number; consts: Record<string, number>; capabilities: Capabilities }
+  | { type: "reply"; reply: number; value?: unknown; error?: string }
+  // A queued call failed; nobody is waiting for it, so it is reported on its own.
+  | { type: "error"; fn: string; message: string }
+  // A callback the bridge made on what it takes for the .NET object (OnContextLost, ...).
+  | { type: "event"; method: string; args: unknown[] }
+  | { type: "frame"; frame: number };
+
+export type Capabilities = ReturnType<typeof bridge.getCapabilities>;
+
+/** A worker global scope or a MessagePort. */
+export type BridgePort = {
+  postMessage(message: unknown, transfer?: Transferable[]): void;
+  onmessage: ((event: MessageEvent) => void) | null;
+  close?(): void;
+};
+
+function messageOf(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+// Results are fresh arrays (readPixelsAsync), so their storage can move instead of being copied.
+function transferablesOf(value: unknown): Transferable[] {
+  if (!ArrayBuffer.isView(value)) return [];
+  const buffer = value.buffer;
+  return buffer instanceof ArrayBuffer && value.byteOffset === 0 && value.byteLength === buffer.byteLength ? [buffer] : [];
+}
+
+/**
+ * Serves the bridge exports to a blazorgl.webgl.offscreen.js proxy over port. A module worker
+ * loading this file serves its own global scope; tests pass one end of a MessageChannel.
+ */
+export function hostBridge(port: BridgePort) {
+  const exports = bridge as unknown as Record<string, unknown>;
+  let frame = 0;
+  const post = (message: FromWorker, transfer: Transferable[] = []) => port.postMessage(message, transfer);
+
+  // Stands in for the .NET object reference, which cannot cross into the worker.
+  const relay = {
+    invokeMethodAsync(method: string, ...args: unknown[]) {
+      post({ type: "event", method, args });
+      return Promise.resolve();
+    }
+  };
+
+  function run(call: BridgeCall) {
+    let result: unknown;
+    try {
+      const fn = exports[call.fn];
+      if (typeof fn !== "function") throw new Error(`Unknown bridge export '${call.fn}'`);
+      result = call.handle ? bridge.withHandle(call.handle, () => fn(...call.args)) : fn(...call.args);
+    } catch (err) {
+      if (call.reply) {
+        post({ type: "reply", reply: call.reply, error: messageOf(err) });
+      } else {
+        post({ type: "error", fn: call.fn, message: messageOf(err) });
+      }
+      return;
+    }
+
+    if (call.reply) {
+      Promise.resolve(result).then(
+        (value) => post({ type: "reply", reply: call.reply, value }, transferablesOf(value)),
+        (err) => post({ type: "reply", reply: call.reply, error: messageOf(err) })
+      );
+    }
+  }
+
+  port.onmessage = (event) => {
+    const message = event.data as ToWorker;
+    switch (message.type) {
+      case "init":
+        try {
+          const ctxId = bridge.createContext(message.canvas as unknown as HTMLCanvasElement, message.options);
+          bridge.registerContextCallbacks(ctxId, relay);
+          post({
+            type: "ready",
+            reply: message.reply,
+            ctxId,
+            consts: bridge.getConstants(ctxId),
+            capabilities: bridge.getCapabilities(ctxId)
+          });
+        } catch (err) {
+          post({ type: "reply", reply: message.reply, error: messageOf(err) });
+        }
+        break;
+      case "batch":
+        for (const call of message.calls) run(call);
+        // An OffscreenCanvas presents what was drawn once this task returns.
+        post({ type: "frame", frame: ++frame });
+        break;
+      case "close":
+        port.onmessage = null;
+        port.close?.();
+        break;
+    }
+  };
+}
+
+// Started with new Worker(url, { type: "module" }): serve the worker's own global scope.
+const scope = globalThis as any;
+if (typeof scope.WorkerGlobalScope === "function" && scope instanceof scope.WorkerGlobalScope) {
+  hostBridge(scope as BridgePort);
+}
@@ -1,213 +1,1039 @@
 /**
  * BlazorGL KTX2 Loader - JavaScript Module
- * Handles Basis Universal transcoding for KTX2 textures
+ * Handles Basis Universal transcoding for KTX2 textures and their upload through the WebGL bridge
  */
 
-let basisTranscoder = null;
-let gl = null;
+import { decompressZstd } from './blazorgl.zstd.js';
+
+let basisModule = null;
+let basisLoading = null;
+
+// Jobs run on the worker pool when initialize started one, on this thread otherwise.
+let pool = null;
+let users = 0;
+let maxConcurrent = 1;
+let running = 0;
+const queue = [];
+const liveJobs = new Set();
+const jobsById = new Map();
 
 /**
- * Initialize Basis Universal transcoder
- * Note: This is a simplified version. In production, you would load the actual
- * basis_universal.wasm and basis_universal.js from the Basis Universal repository
+ * Load the Basis Universal transcoder: basis_transcoder.js and basis_transcoder.wasm from the
+ * Basis Universal release. options.transcoderPath is the folder holding both, relative to the
+ * page; it defaults to basis/ next to this module (_content/BlazorGL/basis/).
+ * options.workers is the size of the pool of Web Workers that transcode off the main thread,
+ * each with its own transcoder; it defaults to one less than the CPU cores (at most 4), and 0
+ * transcodes on the main thread. options.maxConcurrent caps how many jobs run at once (by
+ * default one per worker); the rest wait their turn.
+ * options.transcoderFactory skips the download and uses an already loaded BASIS factory on the
+ * main thread; options.workerFactory stands in for new Worker in tests.
+ * Pair every initialize with a dispose; the last dispose stops the workers.
  */
-export async function initialize() {
-    if (basisTranscoder) {
-        return; // Already initialized
+export async function initialize(options = null) {
+    if (!basisModule && !pool) {
+        // Concurrent callers share one start; a failed one can be retried.
+        basisLoading ??= startTranscoder(options ?? {}).finally(() => {
+            basisLoading = null;
+        });
+        await basisLoading;
     }
+    users++;
+}
 
-    console.log('Initializing Basis Universal transcoder...');
+/**
+ * Release what initialize set up once every initialize has had its dispose: stops the workers,
+ * cancels queued and running jobs and drops the transcoder.
+ */
+export function dispose() {
+    if (users === 0 || --users > 0) {
+        return;
+    }
+    for (const controller of liveJobs) {
+        controller.abort();
+    }
+    pool?.terminate();
+    pool = null;
+    basisModule = null;
+    maxConcurrent = 1;
+}
 
-    try {
-        // In a real implementation, you would:
-        // 1. Load basis_universal.wasm from _content/BlazorGL.Loaders/basis_universal.wasm
-        // 2. Initialize the Basis transcoder module
-        // 3. Set up transcoding capabilities
-
-        // For now, we'll create a mock implementation that demonstrates the API
-        basisTranscoder = {
-            initialized: true,
-            transcoderWASM: null // Would hold the WASM module
-        };
+async function startTranscoder(options) {
+    const workers = options.workers ?? (options.transcoderFactory ? 0 : defaultWorkerCount());
+    if (workers > 0) {
+        const started = createWorkerPool(workers, transcoderBaseOf(options).href, options.workerFactory ?? null);
+        try {
+            // The first worker loads its transcoder now, so a missing one fails here.
+            await started.warmUp();
+        } catch (error) {
+            started.terminate();
+            throw error;
+        }
+        pool = started;
+    } else {
+        basisModule = await loadTranscoder(options);
+    }
+    const limit = options.maxConcurrent ?? Math.max(1, workers);
+    maxConcurrent = Math.max(1, workers > 0 ? Math.min(limit, workers) : limit);
+}
 
-        console.log('Basis Universal transcoder initialized');
-    } catch (error) {
-        console.error('Failed to initialize Basis Universal transcoder:', error);
-        throw error;
+function defaultWorkerCount() {
+    if (typeof Worker === 'undefined') {
+        return 0;
+    }
+    return Math.min(4, Math.max(1, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+}
+
+// Resolved here rather than in a worker, whose location is the worker script.
+function transcoderBaseOf(options) {
+    if (options.transcoderBase) {
+        return new URL(options.transcoderBase);
     }
+    return options.transcoderPath
+        ? new URL(options.transcoderPath.endsWith('/') ? options.transcoderPath : `${options.transcoderPath}/`, globalThis.location?.href ?? import.meta.url)
+        : new URL('basis/', import.meta.url);
 }
 
 /**
- * Get WebGL texture format capabilities
+ * Load one Basis transcoder instance, from options.transcoderFactory or downloaded from
+ * options.transcoderBase (an absolute folder URL) or options.transcoderPath. Each transcoding
+ * worker loads its own.
  */
-export function getCapabilities() {
-    const canvas = document.createElement('canvas');
-    gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-
-    if (!gl) {
-        console.warn('WebGL not available');
-        return {
-            ASTC: false,
-            BC7: false,
-            ETC2: false,
-            PVRTC: false
-        };
+export async function loadTranscoder(options) {
+    let factory = options.transcoderFactory;
+    const moduleOptions = {};
+    if (!factory) {
+        const base = transcoderBaseOf(options);
+        const [script, wasm] = await Promise.all([
+            fetchTranscoderFile(new URL('basis_transcoder.js', base), 'text'),
+            fetchTranscoderFile(new URL('basis_transcoder.wasm', base), 'arrayBuffer')
+        ]);
+        // An Emscripten script that defines a global BASIS factory, not an ES module.
+        factory = new Function(`${script}\nreturn BASIS;`)();
+        moduleOptions.wasmBinary = wasm;
+    }
+
+    const module = await factory(moduleOptions);
+    module.initializeBasis();
+    console.log('Basis Universal transcoder initialized');
+    return module;
+}
+
+async function fetchTranscoderFile(url, as) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Failed to fetch the Basis Universal transcoder from ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(
+            `Basis Universal transcoder file ${url} is missing (HTTP ${response.status}). ` +
+            'Copy basis_transcoder.js and basis_transcoder.wasm from the Basis Universal release there, or set transcoderPath.');
+    }
+    return response[as]();
+}
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const HEADER_BYTES = 80;
+const LEVEL_INDEX_ENTRY_BYTES = 24;
+
+export const SupercompressionScheme = {
+    None: 0,
+    BasisLZ: 1,
+    Zstandard: 2,
+    ZLIB: 3
+};
+
+// Khronos Data Format color models, primaries and transfer functions (KHR_DF_MODEL_*, ...).
+const colorModels = {
+    0: 'unspecified', 1: 'RGBSDA', 2: 'YUVSDA', 3: 'YIQSDA', 4: 'LabSDA', 5: 'CMYKA', 6: 'XYZW',
+    7: 'HSVA_ANG', 8: 'HSLA_ANG', 9: 'HSVA_HEX', 10: 'HSLA_HEX', 11: 'YCgCoA', 12: 'YcCbcCrc',
+    13: 'ICtCp', 14: 'CIEXYZ', 15: 'CIEXYY',
+    128: 'BC1A', 129: 'BC2', 130: 'BC3', 131: 'BC4', 132: 'BC5', 133: 'BC6H', 134: 'BC7',
+    160: 'ETC1', 161: 'ETC2', 162: 'ASTC', 163: 'ETC1S', 164: 'PVRTC', 165: 'PVRTC2', 166: 'UASTC'
+};
+
+const colorPrimaries = {
+    0: 'unspecified', 1: 'BT709', 2: 'BT601_EBU', 3: 'BT601_SMPTE', 4: 'BT2020', 5: 'CIEXYZ',
+    6: 'ACES', 7: 'ACEScc', 8: 'NTSC1953', 9: 'PAL525', 10: 'DisplayP3', 11: 'AdobeRGB'
+};
+
+const transferFunctions = {
+    0: 'unspecified', 1: 'linear', 2: 'sRGB', 3: 'ITU', 4: 'NTSC', 5: 'SLOG', 6: 'SLOG2', 7: 'BT1886',
+    8: 'HLG_OETF', 9: 'HLG_EOTF', 10: 'PQ_EOTF', 11: 'PQ_OETF', 12: 'DCIP3', 13: 'PAL_OETF',
+    14: 'PAL625_EOTF', 15: 'ST240', 16: 'ACEScc', 17: 'ACEScct', 18: 'AdobeRGB'
+};
+
+// Channel ids per color model; ids not listed here are reported as "channel<N>".
+const channelNames = {
+    RGBSDA: { 0: 'R', 1: 'G', 2: 'B', 13: 'S', 14: 'D', 15: 'A' },
+    ETC1S: { 0: 'RGB', 3: 'RRR', 4: 'GGG', 15: 'AAA' },
+    UASTC: { 0: 'RGB', 3: 'RGBA', 4: 'RRR', 5: 'RRRG', 6: 'RG' },
+    BC1A: { 0: 'color', 1: 'alpha' },
+    BC2: { 0: 'color', 15: 'alpha' },
+    BC3: { 0: 'color', 15: 'alpha' },
+    BC4: { 0: 'R' },
+    BC5: { 0: 'R', 1: 'G' },
+    BC6H: { 0: 'color' },
+    BC7: { 0: 'color' },
+    ETC1: { 0: 'color' },
+    ETC2: { 0: 'R', 1: 'G', 2: 'color', 15: 'alpha' },
+    ASTC: { 0: 'data' },
+    PVRTC: { 0: 'color' },
+    PVRTC2: { 0: 'color' }
+};
+
+const alphaChannels = new Set(['A', 'AAA', 'RGBA', 'RRRG', 'alpha']);
+
+// Key/value entries whose values are binary rather than NUL-terminated UTF-8.
+const binaryKeys = new Set(['KTXglFormat', 'KTXdxgiFormat__', 'KTXmetalPixelFormat', 'KTXanimData']);
+
+function checkRange(what, offset, length, fileLength) {
+    if (offset + length > fileLength) {
+        throw new Error(`KTX2 file is truncated: ${what} at bytes ${offset}..${offset + length} runs past the end of the ${fileLength}-byte file`);
+    }
+}
+
+function readUint64(view, offset, what) {
+    const value = view.getBigUint64(offset, true);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error(`KTX2 ${what} ${value} is too large`);
+    }
+    return Number(value);
+}
+
+function parseDataFormatDescriptor(view, offset, length) {
+    // dfdTotalSize, then one descriptor block. Only the basic block (vendor 0, type 0) is read.
+    if (length < 4 + 24) {
+        throw new Error(`KTX2 data format descriptor is ${length} bytes; a basic descriptor block needs at least 28`);
+    }
+    const totalSize = view.getUint32(offset, true);
+    if (totalSize !== length) {
+        throw new Error(`KTX2 data format descriptor says it is ${totalSize} bytes but the index gives ${length}`);
+    }
+
+    const block = offset + 4;
+    const word0 = view.getUint32(block, true);
+    const word1 = view.getUint32(block + 4, true);
+    const vendorId = word0 & 0x1FFFF;
+    const descriptorType = word0 >>> 17;
+    const versionNumber = word1 & 0xFFFF;
+    const blockSize = word1 >>> 16;
+    if (vendorId !== 0 || descriptorType !== 0) {
+        throw new Error(`KTX2 data format descriptor starts with vendor ${vendorId} type ${descriptorType}, not the Khronos basic block`);
+    }
+    if (blockSize < 24 || blockSize > length - 4 || (blockSize - 24) % 16 !== 0) {
+        throw new Error(`KTX2 basic descriptor block size ${blockSize} is invalid for a ${length}-byte descriptor`);
+    }
+
+    const colorModelId = view.getUint8(block + 8);
+    const colorModel = colorModels[colorModelId] ?? `model${colorModelId}`;
+    const flags = view.getUint8(block + 11);
+    const names = channelNames[colorModel] ?? {};
+    const samples = [];
+    for (let at = block + 24; at < block + blockSize; at += 16) {
+        const channelType = view.getUint8(at + 3);
+        const channelId = channelType & 0x0F;
+        samples.push({
+            bitOffset: view.getUint16(at, true),
+            bitLength: view.getUint8(at + 2) + 1,
+            channelId,
+            channel: names[channelId] ?? `channel${channelId}`,
+            linear: (channelType & 0x10) !== 0,
+            exponent: (channelType & 0x20) !== 0,
+            signed: (channelType & 0x40) !== 0,
+            float: (channelType & 0x80) !== 0,
+            samplePosition: [0, 1, 2, 3].map(i => view.getUint8(at + 4 + i)),
+            sampleLower: view.getUint32(at + 8, true),
+            sampleUpper: view.getUint32(at + 12, true)
+        });
+    }
+
+    const primariesId = view.getUint8(block + 9);
+    const transferId = view.getUint8(block + 10);
+    return {
+        versionNumber,
+        colorModel,
+        colorPrimaries: colorPrimaries[primariesId] ?? `primaries${primariesId}`,
+        transferFunction: transferFunctions[transferId] ?? `transfer${transferId}`,
+        premultipliedAlpha: (flags & 1) !== 0,
+        texelBlockDimension: [0, 1, 2, 3].map(i => view.getUint8(block + 12 + i) + 1),
+        bytesPlane: [0, 1, 2, 3, 4, 5, 6, 7].map(i => view.getUint8(block + 16 + i)),
+        samples
+    };
+}
+
+function parseKeyValueData(data, view, offset, length) {
+    const entries = {};
+    const end = offset + length;
+    let at = offset;
+    // Entries are 4-byte aligned; the last one may omit its padding.
+    while (at + 4 <= end) {
+        const entryLength = view.getUint32(at, true);
+        const start = at + 4;
+        if (start + entryLength > end) {
+            throw new Error(`KTX2 key/value entry at byte ${at} claims ${entryLength} bytes but only ${end - start} remain`);
+        }
+        const bytes = data.subarray(start, start + entryLength);
+        const keyEnd = bytes.indexOf(0);
+        if (keyEnd <= 0) {
+            throw new Error(`KTX2 key/value entry at byte ${at} has no NUL-terminated key`);
+        }
+        const key = new TextDecoder().decode(bytes.subarray(0, keyEnd));
+        const value = bytes.subarray(keyEnd + 1);
+        if (!binaryKeys.has(key) && value.length > 0 && value[value.length - 1] === 0) {
+            entries[key] = new TextDecoder().decode(value.subarray(0, value.length - 1));
+        } else {
+            entries[key] = Array.from(value);
+        }
+        at = start + entryLength + ((4 - (entryLength % 4)) % 4);
+    }
+    return entries;
+}
+
+// BasisLZ global data: codebook sizes, one image descriptor per level/layer/face/slice, then
+// the endpoint, selector, Huffman table and extended data the ETC1S transcoder needs.
+function parseBasisGlobalData(view, offset, length, imageCount) {
+    if (length < 20 + imageCount * 20) {
+        throw new Error(`KTX2 BasisLZ global data is ${length} bytes, too small for ${imageCount} image descriptors`);
+    }
+    const endpointCount = view.getUint16(offset, true);
+    const selectorCount = view.getUint16(offset + 2, true);
+    const endpointsByteLength = view.getUint32(offset + 4, true);
+    const selectorsByteLength = view.getUint32(offset + 8, true);
+    const tablesByteLength = view.getUint32(offset + 12, true);
+    const extendedByteLength = view.getUint32(offset + 16, true);
+
+    const imageDescs = [];
+    for (let i = 0; i < imageCount; i++) {
+        const at = offset + 20 + i * 20;
+        imageDescs.push({
+            imageFlags: view.getUint32(at, true),
+            rgbSliceByteOffset: view.getUint32(at + 4, true),
+            rgbSliceByteLength: view.getUint32(at + 8, true),
+            alphaSliceByteOffset: view.getUint32(at + 12, true),
+            alphaSliceByteLength: view.getUint32(at + 16, true)
+        });
     }
 
+    const endpointsByteOffset = offset + 20 + imageCount * 20;
+    const expected = endpointsByteOffset - offset + endpointsByteLength + selectorsByteLength + tablesByteLength + extendedByteLength;
+    if (expected !== length) {
+        throw new Error(`KTX2 BasisLZ global data is ${length} bytes but its codebooks and tables add up to ${expected}`);
+    }
     return {
-        ASTC: !!gl.getExtension('WEBGL_compressed_texture_astc'),
-        BC7: !!gl.getExtension('EXT_texture_compression_bptc'),
-        ETC2: gl instanceof WebGL2RenderingContext, // WebGL2 always supports ETC2
-        PVRTC: !!gl.getExtension('WEBGL_compressed_texture_pvrtc')
+        endpointCount,
+        selectorCount,
+        imageDescs,
+        endpointsByteOffset,
+        endpointsByteLength,
+        selectorsByteOffset: endpointsByteOffset + endpointsByteLength,
+        selectorsByteLength,
+        tablesByteOffset: endpointsByteOffset + endpointsByteLength + selectorsByteLength,
+        tablesByteLength,
+        extendedByteOffset: endpointsByteOffset + endpointsByteLength + selectorsByteLength + tablesByteLength,
+        extendedByteLength
     };
 }
 
 /**
- * Parse KTX2 container header
+ * Parse a KTX2 container: header, level index, Data Format Descriptor, key/value data and
+ * supercompression global data. Byte offsets in the result are relative to the start of the
+ * file. Throws on truncated or inconsistent files.
  */
 export function parseKTX2(ktx2Data) {
-    const data = new Uint8Array(ktx2Data);
+    const data = ktx2Data instanceof Uint8Array ? ktx2Data : new Uint8Array(ktx2Data);
+    const fileLength = data.byteLength;
+    if (fileLength < HEADER_BYTES) {
+        if (KTX2_IDENTIFIER.some((byte, i) => i < fileLength && data[i] !== byte)) {
+            throw new Error('Not a valid KTX2 file');
+        }
+        throw new Error(`KTX2 file is truncated: the header needs ${HEADER_BYTES} bytes but the file has ${fileLength}`);
+    }
+    if (KTX2_IDENTIFIER.some((byte, i) => data[i] !== byte)) {
+        throw new Error('Not a valid KTX2 file');
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const vkFormat = view.getUint32(12, true);
+    const typeSize = view.getUint32(16, true);
+    const width = view.getUint32(20, true);
+    const height = view.getUint32(24, true);
+    const depth = view.getUint32(28, true);
+    const layerCount = view.getUint32(32, true);
+    const faceCount = view.getUint32(36, true);
+    const levelCount = view.getUint32(40, true);
+    const supercompressionScheme = view.getUint32(44, true);
+
+    if (width === 0) {
+        throw new Error('KTX2 pixelWidth must not be 0');
+    }
+    if (faceCount !== 1 && faceCount !== 6) {
+        throw new Error(`KTX2 faceCount must be 1 or 6, got ${faceCount}`);
+    }
+    if (faceCount === 6 && (width !== height || depth !== 0)) {
+        throw new Error(`KTX2 cube maps need square 2D faces, got ${width}x${height}x${depth}`);
+    }
+    const maxLevels = Math.floor(Math.log2(Math.max(width, height, depth))) + 1;
+    if (levelCount > maxLevels) {
+        throw new Error(`KTX2 levelCount ${levelCount} exceeds the ${maxLevels} levels a ${width}x${height} image has`);
+    }
 
-    // KTX2 identifier: 12 bytes
-    // Format: 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A
-    const identifier = data.slice(0, 12);
-    const expectedIdentifier = new Uint8Array([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]);
+    const dfdByteOffset = view.getUint32(48, true);
+    const dfdByteLength = view.getUint32(52, true);
+    const kvdByteOffset = view.getUint32(56, true);
+    const kvdByteLength = view.getUint32(60, true);
+    const sgdByteOffset = readUint64(view, 64, 'sgdByteOffset');
+    const sgdByteLength = readUint64(view, 72, 'sgdByteLength');
 
-    // Verify identifier
-    for (let i = 0; i < 12; i++) {
-        if (identifier[i] !== expectedIdentifier[i]) {
-            throw new Error('Not a valid KTX2 file');
+    // levelCount 0 asks the loader to generate mipmaps; the file still holds level 0.
+    const levels = Math.max(1, levelCount);
+    checkRange('the level index', HEADER_BYTES, levels * LEVEL_INDEX_ENTRY_BYTES, fileLength);
+    checkRange('the data format descriptor', dfdByteOffset, dfdByteLength, fileLength);
+    checkRange('the key/value data', kvdByteOffset, kvdByteLength, fileLength);
+    checkRange('the supercompression global data', sgdByteOffset, sgdByteLength, fileLength);
+
+    const levelIndex = [];
+    for (let level = 0; level < levels; level++) {
+        const at = HEADER_BYTES + level * LEVEL_INDEX_ENTRY_BYTES;
+        const entry = {
+            level,
+            byteOffset: readUint64(view, at, `level ${level} byteOffset`),
+            byteLength: readUint64(view, at + 8, `level ${level} byteLength`),
+            uncompressedByteLength: readUint64(view, at + 16, `level ${level} uncompressedByteLength`),
+            width: Math.max(1, width >> level),
+            height: Math.max(1, height >> level),
+            depth: Math.max(1, depth >> level)
+        };
+        checkRange(`level ${level} data`, entry.byteOffset, entry.byteLength, fileLength);
+        levelIndex.push(entry);
+    }
+
+    if (dfdByteLength === 0) {
+        throw new Error('KTX2 file has no data format descriptor');
+    }
+    const dfd = parseDataFormatDescriptor(view, dfdByteOffset, dfdByteLength);
+    const keyValue = parseKeyValueData(data, view, kvdByteOffset, kvdByteLength);
+
+    let basisGlobalData = null;
+    if (supercompressionScheme === SupercompressionScheme.BasisLZ) {
+        if (sgdByteLength === 0) {
+            throw new Error('KTX2 BasisLZ file has no supercompression global data');
         }
+        const imageCount = levelIndex.reduce((count, entry) => count + Math.max(1, layerCount) * faceCount * entry.depth, 0);
+        basisGlobalData = parseBasisGlobalData(view, sgdByteOffset, sgdByteLength, imageCount);
     }
 
-    // Read header (simplified - actual KTX2 header is more complex)
-    const view = new DataView(data.buffer);
+    const isUASTC = dfd.colorModel === 'UASTC';
+    const isETC1S = dfd.colorModel === 'ETC1S';
+    const hasAlpha = dfd.samples.some(sample => alphaChannels.has(sample.channel));
 
-    // VkFormat (4 bytes at offset 12)
-    const vkFormat = view.getUint32(12, true);
+    console.log(`KTX2: ${width}x${height}, ${levels} levels, ${dfd.colorModel}, supercompression ${supercompressionScheme}`);
 
-    // TypeSize (4 bytes at offset 16)
-    const typeSize = view.getUint32(16, true);
+    return {
+        width,
+        height,
+        levels,
+        isUASTC,
+        isETC1S,
+        hasAlpha,
+        isSRGB: dfd.transferFunction === 'sRGB',
+        vkFormat,
+        typeSize,
+        depth,
+        layerCount,
+        faceCount,
+        levelCount,
+        supercompressionScheme,
+        levelIndex,
+        dfd,
+        keyValue,
+        // KTXorientation is e.g. "rd" (x right, y down); KTXswizzle e.g. "rgba".
+        orientation: typeof keyValue.KTXorientation === 'string' ? keyValue.KTXorientation : null,
+        swizzle: typeof keyValue.KTXswizzle === 'string' ? keyValue.KTXswizzle : null,
+        globalData: { byteOffset: sgdByteOffset, byteLength: sgdByteLength },
+        basisGlobalData
+    };
+}
 
-    // PixelWidth (4 bytes at offset 20)
-    const width = view.getUint32(20, true);
+// Plain vkFormats and how WebGL 2 takes them: internal format, format and type for
+// uncompressed data; the compressed internal format and its extension for block formats.
+const vkFormats = {
+    2: { internalFormat: 'RGBA4', format: 'RGBA', type: 'UNSIGNED_SHORT_4_4_4_4' },
+    4: { internalFormat: 'RGB565', format: 'RGB', type: 'UNSIGNED_SHORT_5_6_5' },
+    6: { internalFormat: 'RGB5_A1', format: 'RGBA', type: 'UNSIGNED_SHORT_5_5_5_1' },
+    9: { internalFormat: 'R8', format: 'RED', type: 'UNSIGNED_BYTE' },
+    16: { internalFormat: 'RG8', format: 'RG', type: 'UNSIGNED_BYTE' },
+    23: { internalFormat: 'RGB8', format: 'RGB', type: 'UNSIGNED_BYTE' },
+    29: { internalFormat: 'SRGB8', format: 'RGB', type: 'UNSIGNED_BYTE' },
+    37: { internalFormat: 'RGBA8', format: 'RGBA', type: 'UNSIGNED_BYTE' },
+    43: { internalFormat: 'SRGB8_ALPHA8', format: 'RGBA', type: 'UNSIGNED_BYTE' },
+    64: { internalFormat: 'RGB10_A2', format: 'RGBA', type: 'UNSIGNED_INT_2_10_10_10_REV' },
+    76: { internalFormat: 'R16F', format: 'RED', type: 'HALF_FLOAT' },
+    83: { internalFormat: 'RG16F', format: 'RG', type: 'HALF_FLOAT' },
+    90: { internalFormat: 'RGB16F', format: 'RGB', type: 'HALF_FLOAT' },
+    97: { internalFormat: 'RGBA16F', format: 'RGBA', type: 'HALF_FLOAT' },
+    100: { internalFormat: 'R32F', format: 'RED', type: 'FLOAT' },
+    103: { internalFormat: 'RG32F', format: 'RG', type: 'FLOAT' },
+    106: { internalFormat: 'RGB32F', format: 'RGB', type: 'FLOAT' },
+    109: { internalFormat: 'RGBA32F', format: 'RGBA', type: 'FLOAT' },
+    122: { internalFormat: 'R11F_G11F_B10F', format: 'RGB', type: 'UNSIGNED_INT_10F_11F_11F_REV' },
+    123: { internalFormat: 'RGB9_E5', format: 'RGB', type: 'UNSIGNED_INT_5_9_9_9_REV' },
+    131: { internalFormat: 'COMPRESSED_RGB_S3TC_DXT1_EXT', extension: 'WEBGL_compressed_texture_s3tc' },
+    132: { internalFormat: 'COMPRESSED_SRGB_S3TC_DXT1_EXT', extension: 'WEBGL_compressed_texture_s3tc_srgb' },
+    133: { internalFormat: 'COMPRESSED_RGBA_S3TC_DXT1_EXT', extension: 'WEBGL_compressed_texture_s3tc' },
+    134: { internalFormat: 'COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT', extension: 'WEBGL_compressed_texture_s3tc_srgb' },
+    135: { internalFormat: 'COMPRESSED_RGBA_S3TC_DXT3_EXT', extension: 'WEBGL_compressed_texture_s3tc' },
+    136: { internalFormat: 'COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT', extension: 'WEBGL_compressed_texture_s3tc_srgb' },
+    137: { internalFormat: 'COMPRESSED_RGBA_S3TC_DXT5_EXT', extension: 'WEBGL_compressed_texture_s3tc' },
+    138: { internalFormat: 'COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT', extension: 'WEBGL_compressed_texture_s3tc_srgb' },
+    139: { internalFormat: 'COMPRESSED_RED_RGTC1_EXT', extension: 'EXT_texture_compression_rgtc' },
+    140: { internalFormat: 'COMPRESSED_SIGNED_RED_RGTC1_EXT', extension: 'EXT_texture_compression_rgtc' },
+    141: { internalFormat: 'COMPRESSED_RED_GREEN_RGTC2_EXT', extension: 'EXT_texture_compression_rgtc' },
+    142: { internalFormat: 'COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT', extension: 'EXT_texture_compression_rgtc' },
+    143: { internalFormat: 'COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT', extension: 'EXT_texture_compression_bptc' },
+    144: { internalFormat: 'COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT', extension: 'EXT_texture_compression_bptc' },
+    145: { internalFormat: 'COMPRESSED_RGBA_BPTC_UNORM_EXT', extension: 'EXT_texture_compression_bptc' },
+    146: { internalFormat: 'COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT', extension: 'EXT_texture_compression_bptc' },
+    147: { internalFormat: 'COMPRESSED_RGB8_ETC2', extension: 'WEBGL_compressed_texture_etc' },
+    148: { internalFormat: 'COMPRESSED_SRGB8_ETC2', extension: 'WEBGL_compressed_texture_etc' },
+    149: { internalFormat: 'COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2', extension: 'WEBGL_compressed_texture_etc' },
+    150: { internalFormat: 'COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2', extension: 'WEBGL_compressed_texture_etc' },
+    151: { internalFormat: 'COMPRESSED_RGBA8_ETC2_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    152: { internalFormat: 'COMPRESSED_SRGB8_ALPHA8_ETC2_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    153: { internalFormat: 'COMPRESSED_R11_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    154: { internalFormat: 'COMPRESSED_SIGNED_R11_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    155: { internalFormat: 'COMPRESSED_RG11_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    156: { internalFormat: 'COMPRESSED_SIGNED_RG11_EAC', extension: 'WEBGL_compressed_texture_etc' },
+    1000054000: { internalFormat: 'COMPRESSED_RGBA_PVRTC_2BPPV1_IMG', extension: 'WEBGL_compressed_texture_pvrtc' },
+    1000054001: { internalFormat: 'COMPRESSED_RGBA_PVRTC_4BPPV1_IMG', extension: 'WEBGL_compressed_texture_pvrtc' }
+};
 
-    // PixelHeight (4 bytes at offset 24)
-    const height = view.getUint32(24, true);
+// ASTC block sizes in vkFormat order, from VK_FORMAT_ASTC_4x4_UNORM_BLOCK (157) on; each size
+// has a UNORM and an SRGB format.
+['4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12']
+    .forEach((size, i) => {
+        const extension = 'WEBGL_compressed_texture_astc';
+        vkFormats[157 + 2 * i] = { internalFormat: `COMPRESSED_RGBA_ASTC_${size}_KHR`, extension };
+        vkFormats[158 + 2 * i] = { internalFormat: `COMPRESSED_SRGB8_ALPHA8_ASTC_${size}_KHR`, extension };
+    });
 
-    // PixelDepth (4 bytes at offset 28)
-    const depth = view.getUint32(28, true);
+// 'deflate' is the zlib-wrapped stream KTX2 scheme 3 uses.
+async function inflateZlib(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('KTX2 ZLIB supercompression needs DecompressionStream, which this browser does not have');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
 
-    // LayerCount (4 bytes at offset 32)
-    const layerCount = view.getUint32(32, true);
+// One level's bytes with Zstandard or ZLIB supercompression undone.
+async function readLevel(data, container, entry) {
+    const stored = data.subarray(entry.byteOffset, entry.byteOffset + entry.byteLength);
+    const scheme = container.supercompressionScheme;
+    let bytes;
+    try {
+        if (scheme === SupercompressionScheme.Zstandard) {
+            bytes = decompressZstd(stored, entry.uncompressedByteLength);
+        } else if (scheme === SupercompressionScheme.ZLIB) {
+            bytes = await inflateZlib(stored);
+        } else {
+            return stored;
+        }
+    } catch (error) {
+        throw new Error(`KTX2 level ${entry.level} could not be decompressed: ${error.message}`);
+    }
+    if (bytes.length !== entry.uncompressedByteLength) {
+        throw new Error(`KTX2 level ${entry.level} decompressed to ${bytes.length} bytes but the level index says ${entry.uncompressedByteLength}`);
+    }
+    return bytes;
+}
 
-    // FaceCount (4 bytes at offset 36)
-    const faceCount = view.getUint32(36, true);
+// The file rewritten with its levels decompressed and supercompression scheme None, for the
+// Basis transcoder. Everything before the level data is kept as is.
+async function withLevelsDecompressed(data, container) {
+    const levels = await Promise.all(container.levelIndex.map(entry => readLevel(data, container, entry)));
+    const prefixLength = Math.min(...container.levelIndex.map(entry => entry.byteOffset));
 
-    // LevelCount (4 bytes at offset 40)
-    const levelCount = view.getUint32(40, true);
+    // Levels stay smallest first; UASTC blocks are 16 bytes, so 16-byte alignment suits.
+    const offsets = [];
+    let end = prefixLength;
+    for (let level = levels.length - 1; level >= 0; level--) {
+        offsets[level] = Math.ceil(end / 16) * 16;
+        end = offsets[level] + levels[level].length;
+    }
 
-    // SupercompressionScheme (4 bytes at offset 44)
-    const supercompressionScheme = view.getUint32(44, true);
+    const output = new Uint8Array(end);
+    output.set(data.subarray(0, prefixLength));
+    const view = new DataView(output.buffer);
+    view.setUint32(44, SupercompressionScheme.None, true);
+    levels.forEach((bytes, level) => {
+        const at = HEADER_BYTES + level * LEVEL_INDEX_ENTRY_BYTES;
+        view.setBigUint64(at, BigInt(offsets[level]), true);
+        view.setBigUint64(at + 8, BigInt(bytes.length), true);
+        view.setBigUint64(at + 16, BigInt(bytes.length), true);
+        output.set(bytes, offsets[level]);
+    });
+    return output;
+}
 
-    // Determine if UASTC or ETC1S
-    // 0 = None, 1 = BasisLZ (ETC1S), 2 = Zstandard (UASTC)
-    const isUASTC = supercompressionScheme === 2;
+// A view that spans its whole buffer, so the buffer can be transferred without taking more.
+const ownsBuffer = bytes => bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength;
 
-    console.log(`KTX2: ${width}x${height}, ${levelCount} levels, ${isUASTC ? 'UASTC' : 'ETC1S'}`);
+/**
+ * Read the levels of a KTX2 file that holds a plain vkFormat (RGBA8, RGBA16F, BC7, ...) rather
+ * than Basis Universal data, undoing Zstandard or ZLIB supercompression. Needs no transcoder.
+ * Returns the WebGL 2 format names to upload with and every level, layer and face, level 0
+ * first; each image holds all depth slices of its level in a Uint8Array (byte[] in .NET).
+ * jobId names the job for cancel.
+ */
+export function readLevels(ktx2Data, jobId = null) {
+    return schedule('readLevels', ktx2Data, [], jobId);
+}
+
+async function readLevelsOf(data) {
+    const container = parseKTX2(data);
+    if (container.vkFormat === 0) {
+        throw new Error(`KTX2 file holds Basis Universal ${container.dfd.colorModel} data; transcode it instead`);
+    }
+    const format = vkFormats[container.vkFormat];
+    if (!format) {
+        throw new Error(`KTX2 vkFormat ${container.vkFormat} has no WebGL equivalent`);
+    }
+    if (container.supercompressionScheme === SupercompressionScheme.BasisLZ) {
+        throw new Error('KTX2 BasisLZ supercompression only applies to ETC1S data');
+    }
+    if (container.supercompressionScheme > SupercompressionScheme.ZLIB) {
+        throw new Error(`KTX2 supercompression scheme ${container.supercompressionScheme} is not supported`);
+    }
 
+    const layers = Math.max(1, container.layerCount);
+    const images = layers * container.faceCount;
+    const mipmaps = [];
+    for (const entry of container.levelIndex) {
+        const bytes = await readLevel(data, container, entry);
+        if (bytes.length % images !== 0) {
+            throw new Error(`KTX2 level ${entry.level} is ${bytes.length} bytes, which does not split into ${images} images`);
+        }
+        const imageLength = bytes.length / images;
+        for (let layer = 0; layer < layers; layer++) {
+            for (let face = 0; face < container.faceCount; face++) {
+                const start = (layer * container.faceCount + face) * imageLength;
+                const image = bytes.subarray(start, start + imageLength);
+                mipmaps.push({
+                    data: ownsBuffer(image) ? image : image.slice(),
+                    width: entry.width,
+                    height: entry.height,
+                    level: entry.level,
+                    layer,
+                    face
+                });
+            }
+        }
+    }
     return {
-        width: width,
-        height: height,
-        levels: levelCount,
-        isUASTC: isUASTC,
-        hasAlpha: true, // Would need to parse DFD (Data Format Descriptor) for this
-        isSRGB: false   // Would need to parse DFD for this
+        vkFormat: container.vkFormat,
+        internalFormat: format.internalFormat,
+        format: format.format ?? null,
+        type: format.type ?? null,
+        compressed: !format.type,
+        extension: format.extension ?? null,
+        mipmaps
     };
 }
 
+// Transcode targets by the names KTX2Loader uses, with their Basis transcoder_texture_format.
+const transcodeTargets = {
+    ASTC_4x4: 10,
+    BC7_RGBA: 6,
+    BC3_RGBA: 3,
+    BC1_RGB: 2,
+    ETC2_RGBA8: 1,
+    ETC1_RGB: 0,
+    PVRTC_RGBA_4BPP: 9,
+    RGBA32: 13,
+    RGB565: 14
+};
+
+const isPowerOfTwo = value => (value & (value - 1)) === 0;
+
 /**
- * Transcode KTX2 to target GPU format
- * Note: This is a mock implementation. Real implementation would use Basis Universal
+ * Transcode a Basis Universal KTX2 file (ETC1S/BasisLZ, or UASTC with no, Zstandard or ZLIB
+ * supercompression) to targetFormat, one of the transcodeTargets names. Returns every level,
+ * layer and face, level 0 first, each in a Uint8Array (byte[] in .NET). jobId names the job
+ * for cancel.
  */
-export async function transcode(ktx2Data, targetFormat) {
-    if (!basisTranscoder) {
-        throw new Error('Basis transcoder not initialized');
+export async function transcode(ktx2Data, targetFormat, jobId = null) {
+    if (!basisModule && !pool) {
+        throw new Error('Basis transcoder not initialized; call initialize first');
+    }
+    if (transcodeTargets[targetFormat] === undefined) {
+        throw new Error(`Unknown transcode target '${targetFormat}'; expected one of ${Object.keys(transcodeTargets).join(', ')}`);
+    }
+    return schedule('transcode', ktx2Data, [targetFormat], jobId);
+}
+
+async function transcodeWith(transcoder, data, targetFormat) {
+    const basisFormat = transcodeTargets[targetFormat];
+    const container = parseKTX2(data);
+    if (!container.isETC1S && !container.isUASTC) {
+        throw new Error(`KTX2 file holds vkFormat ${container.vkFormat} data, not Basis Universal ETC1S or UASTC, so there is nothing to transcode`);
+    }
+    const scheme = container.supercompressionScheme;
+    const supported = container.isETC1S
+        ? scheme === SupercompressionScheme.BasisLZ
+        : [SupercompressionScheme.None, SupercompressionScheme.Zstandard, SupercompressionScheme.ZLIB].includes(scheme);
+    if (!supported) {
+        throw new Error(`KTX2 ${container.dfd.colorModel} data with supercompression scheme ${scheme} is not supported by the Basis transcoder`);
+    }
+    if (targetFormat === 'PVRTC_RGBA_4BPP' && !(isPowerOfTwo(container.width) && isPowerOfTwo(container.height))) {
+        throw new Error(`PVRTC needs power-of-two dimensions, got ${container.width}x${container.height}; pick another target`);
+    }
+
+    if (scheme !== SupercompressionScheme.None && container.isUASTC) {
+        data = await withLevelsDecompressed(data, container);
     }
 
     console.log(`Transcoding KTX2 to ${targetFormat}...`);
 
-    // Parse container
-    const containerInfo = parseKTX2(ktx2Data);
+    const file = new transcoder.KTX2File(data);
+    try {
+        if (!file.isValid()) {
+            throw new Error('The Basis transcoder rejected the KTX2 file');
+        }
+        if (!file.startTranscoding()) {
+            throw new Error('The Basis transcoder could not start transcoding the KTX2 file');
+        }
 
-    // In a real implementation, this would:
-    // 1. Extract compressed mipmap data from KTX2 container
-    // 2. Decompress supercompression (BasisLZ or Zstandard)
-    // 3. Transcode Basis data to target GPU format using basis_universal
-    // 4. Return transcoded mipmap chain
+        const mipmaps = [];
+        for (let level = 0; level < container.levels; level++) {
+            for (let layer = 0; layer < Math.max(1, container.layerCount); layer++) {
+                for (let face = 0; face < container.faceCount; face++) {
+                    const size = file.getImageTranscodedSizeInBytes(level, layer, face, basisFormat);
+                    const output = new Uint8Array(size);
+                    if (!file.transcodeImage(output, level, layer, face, basisFormat, 0, -1, -1)) {
+                        throw new Error(`Transcoding level ${level} (layer ${layer}, face ${face}) to ${targetFormat} failed`);
+                    }
+                    const info = file.getImageLevelInfo(level, layer, face);
+                    mipmaps.push({
+                        data: output,
+                        width: info.origWidth,
+                        height: info.origHeight,
+                        level,
+                        layer,
+                        face
+                    });
+                }
+            }
+        }
 
-    // For demonstration, return mock mipmap data
-    const mipmaps = [];
-    let width = containerInfo.width;
-    let height = containerInfo.height;
-
-    for (let level = 0; level < containerInfo.levels; level++) {
-        // Calculate compressed size for this format
-        const blockSize = getBlockSize(targetFormat);
-        const blocksWide = Math.max(1, Math.floor((width + 3) / 4));
-        const blocksHigh = Math.max(1, Math.floor((height + 3) / 4));
-        const dataSize = blocksWide * blocksHigh * blockSize;
-
-        // Create mock data (in real implementation, this would be transcoded data)
-        const data = new Uint8Array(dataSize);
-
-        mipmaps.push({
-            data: Array.from(data), // Convert to regular array for C# interop
-            width: width,
-            height: height,
-            level: level
-        });
+        console.log(`Transcoded ${mipmaps.length} mipmap levels`);
+        return mipmaps;
+    } finally {
+        file.close();
+        file.delete();
+    }
+}
 
-        width = Math.max(1, Math.floor(width / 2));
-        height = Math.max(1, Math.floor(height / 2));
+// How each transcode target is uploaded: a compressed format, named as on its extension object,
+// or internal format, format and type for the uncompressed fallbacks. srgbInternalFormat is used
+// for sRGB-encoded files; targets without one are never chosen for them.
+const targetUploads = {
+    ASTC_4x4: { internalFormat: 'COMPRESSED_RGBA_ASTC_4x4_KHR', srgbInternalFormat: 'COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR' },
+    BC7_RGBA: { internalFormat: 'COMPRESSED_RGBA_BPTC_UNORM_EXT', srgbInternalFormat: 'COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT' },
+    BC3_RGBA: { internalFormat: 'COMPRESSED_RGBA_S3TC_DXT5_EXT', srgbInternalFormat: 'COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT' },
+    BC1_RGB: { internalFormat: 'COMPRESSED_RGB_S3TC_DXT1_EXT', srgbInternalFormat: 'COMPRESSED_SRGB_S3TC_DXT1_EXT' },
+    ETC2_RGBA8: { internalFormat: 'COMPRESSED_RGBA8_ETC2_EAC', srgbInternalFormat: 'COMPRESSED_SRGB8_ALPHA8_ETC2_EAC' },
+    ETC1_RGB: { internalFormat: 'COMPRESSED_RGB_ETC1_WEBGL' },
+    PVRTC_RGBA_4BPP: { internalFormat: 'COMPRESSED_RGBA_PVRTC_4BPPV1_IMG' },
+    RGBA32: { internalFormat: 'RGBA8', srgbInternalFormat: 'SRGB8_ALPHA8', format: 'RGBA', type: 'UNSIGNED_BYTE' },
+    RGB565: { internalFormat: 'RGB565', format: 'RGB', type: 'UNSIGNED_SHORT_5_6_5' }
+};
+
+// The bridge's constant names (the C# enum spelling) for the uncompressed formats above and in vkFormats.
+const bridgeConstants = {
+    RGBA4: 'Rgba4', RGB565: 'Rgb565', RGB5_A1: 'Rgb5A1', R8: 'R8', RG8: 'Rg8', RGB8: 'Rgb8', SRGB8: 'Srgb8',
+    RGBA8: 'Rgba8', SRGB8_ALPHA8: 'Srgb8Alpha8', RGB10_A2: 'Rgb10A2', R16F: 'R16F', RG16F: 'Rg16F',
+    RGB16F: 'Rgb16F', RGBA16F: 'Rgba16F', R32F: 'R32F', RG32F: 'Rg32F', RGB32F: 'Rgb32F', RGBA32F: 'Rgba32F',
+    R11F_G11F_B10F: 'R11FG11FB10F', RGB9_E5: 'Rgb9E5',
+    RED: 'Red', RG: 'Rg', RGB: 'Rgb', RGBA: 'Rgba',
+    UNSIGNED_BYTE: 'UnsignedByte', HALF_FLOAT: 'HalfFloat', FLOAT: 'Float',
+    UNSIGNED_SHORT_4_4_4_4: 'UnsignedShort4444', UNSIGNED_SHORT_5_6_5: 'UnsignedShort565',
+    UNSIGNED_SHORT_5_5_5_1: 'UnsignedShort5551', UNSIGNED_INT_2_10_10_10_REV: 'UnsignedInt2101010Rev',
+    UNSIGNED_INT_10F_11F_11F_REV: 'UnsignedInt10F11F11FRev', UNSIGNED_INT_5_9_9_9_REV: 'UnsignedInt5999Rev'
+};
+
+/**
+ * The transcode target for a context, from the compressedFormats its bridge getCapabilities
+ * reports, best first: ASTC, BC7, BC3/BC1, ETC2, ETC1 (opaque only), PVRTC (power-of-two only),
+ * then uncompressed RGBA32/RGB565. sRGB data needs a target with an sRGB format: BC3/BC1 only
+ * with s3tc_srgb, no ETC1 or PVRTC, and RGBA32 as the fallback.
+ */
+export function transcodeTargetFor(capabilities, hasAlpha, width, height, isSRGB = false) {
+    const families = capabilities?.compressedFormats ?? [];
+    if (families.includes('astc')) return 'ASTC_4x4';
+    if (families.includes('bptc')) return 'BC7_RGBA';
+    if (families.includes(isSRGB ? 's3tc_srgb' : 's3tc')) return hasAlpha ? 'BC3_RGBA' : 'BC1_RGB';
+    if (families.includes('etc')) return 'ETC2_RGBA8';
+    if (isSRGB) return 'RGBA32';
+    if (families.includes('etc1') && !hasAlpha) return 'ETC1_RGB';
+    if (families.includes('pvrtc') && isPowerOfTwo(width) && isPowerOfTwo(height)) return 'PVRTC_RGBA_4BPP';
+    return hasAlpha ? 'RGBA32' : 'RGB565';
+}
+
+/**
+ * Load a KTX2 file into textureId, a texture of the WebGL bridge context ctxId. bridge is the
+ * blazorgl.webgl.js module or its worker proxy, whichever created the context. Basis Universal
+ * data is transcoded to the best format that context supports; plain formats are uploaded as
+ * stored. The levels go up in one texImageLevels call, so the data never leaves JavaScript and
+ * the context's texture binding and unpack alignment are left as they were. Cube maps fill all
+ * six faces; of an array texture only layer 0 is uploaded. Returns what was uploaded. jobId names
+ * the transcode job for cancel.
+ */
+export async function uploadTexture(bridge, ctxId, textureId, ktx2Data, jobId = null) {
+    const data = ktx2Data instanceof Uint8Array ? ktx2Data : new Uint8Array(ktx2Data);
+    const container = parseKTX2(data);
+    if (container.depth > 0) {
+        throw new Error(`KTX2 file is a ${container.width}x${container.height}x${container.depth} 3D texture; only 2D textures and cube maps can be uploaded`);
+    }
+    const capabilities = bridge.getCapabilities(ctxId);
+
+    let upload;
+    if (container.vkFormat === 0) {
+        const target = transcodeTargetFor(capabilities, container.hasAlpha, container.width, container.height, container.isSRGB);
+        const { internalFormat, srgbInternalFormat, format, type } = targetUploads[target];
+        upload = {
+            internalFormat: container.isSRGB ? srgbInternalFormat : internalFormat,
+            format,
+            type,
+            transcodeTarget: target,
+            mipmaps: await transcode(data, target, jobId)
+        };
+    } else {
+        const format = vkFormats[container.vkFormat];
+        // Checked before the levels are read, so an unusable file is not inflated for nothing.
+        if (format?.extension && !hasExtension(capabilities, format.extension)) {
+            throw new Error(`KTX2 vkFormat ${container.vkFormat} (${format.internalFormat}) needs ${format.extension}, which WebGL context ${ctxId} does not support`);
+        }
+        upload = { ...(await readLevels(data, jobId)), transcodeTarget: null };
     }
 
-    console.log(`Transcoded ${mipmaps.length} mipmap levels`);
-    return mipmaps;
+    const cubemap = container.faceCount === 6;
+    const compressed = !upload.type;
+    // WebGL1 takes the unsized format as its internal format.
+    const internalFormat = compressed || capabilities?.version !== 1 ? upload.internalFormat : upload.format;
+    const images = upload.mipmaps.filter(image => image.layer === 0);
+    if (!compressed && (!bridgeConstants[internalFormat] || !bridgeConstants[upload.format] || !bridgeConstants[upload.type])) {
+        throw new Error(`KTX2 ${internalFormat} data cannot be uploaded through the WebGL bridge`);
+    }
+
+    bridge.texImageLevels(
+        ctxId,
+        textureId,
+        cubemap ? 'TextureCubeMap' : 'Texture2D',
+        compressed ? internalFormat : bridgeConstants[internalFormat],
+        compressed ? null : bridgeConstants[upload.format],
+        compressed ? null : bridgeConstants[upload.type],
+        images.map(({ level, face, width, height, data }) => ({ level, face, width, height, data })));
+
+    return {
+        width: container.width,
+        height: container.height,
+        levels: Math.max(...images.map(image => image.level)) + 1,
+        cubemap,
+        vkFormat: container.vkFormat,
+        internalFormat,
+        compressed,
+        transcodeTarget: upload.transcodeTarget
+    };
+}
+
+function hasExtension(capabilities, extension) {
+    const extensions = capabilities?.extensions ?? [];
+    return extensions.includes(extension) || extensions.includes(`WEBKIT_${extension}`);
 }
 
 /**
- * Get block size in bytes for a GPU format
+ * Run one transcode or readLevels job on this thread with the given transcoder (null for
+ * readLevels). The pool's workers call it; everything else goes through transcode and readLevels.
  */
-function getBlockSize(format) {
-    switch (format) {
-        case 'ASTC_4x4':
-            return 16; // 128 bits per 4x4 block
-        case 'BC7_RGBA':
-            return 16; // 128 bits per 4x4 block
-        case 'ETC2_RGBA8':
-            return 16; // 128 bits per 4x4 block (64 for RGB + 64 for alpha)
-        case 'PVRTC_RGBA_4BPP':
-            return 8;  // 64 bits per 4x4 block
-        case 'RGB565':
-            return 2;  // 16 bits per pixel (uncompressed)
-        default:
-            return 16;
+export async function runJob(transcoder, kind, data, args) {
+    if (kind === 'transcode') {
+        return transcodeWith(transcoder, data, ...args);
+    }
+    if (kind === 'readLevels') {
+        return readLevelsOf(data);
     }
+    throw new Error(`Unknown KTX2 job '${kind}'`);
 }
 
 /**
- * Get WebGL context from canvas
+ * Cancel the transcode or readLevels job started with jobId. A queued job never starts; a
+ * running one stops its worker (or, on the main thread, has its result dropped). Either way
+ * the job rejects. Returns false when no such job is pending.
  */
-function getWebGLContext() {
-    if (gl) return gl;
+export function cancel(jobId) {
+    const controller = jobsById.get(jobId);
+    controller?.abort();
+    return controller !== undefined;
+}
+
+const cancelled = kind => new Error(`KTX2 ${kind} job was cancelled`);
+
+// Queue a job; it starts once fewer than maxConcurrent jobs are running.
+function schedule(kind, ktx2Data, args, jobId) {
+    const data = ktx2Data instanceof Uint8Array ? ktx2Data : new Uint8Array(ktx2Data);
+    const controller = new AbortController();
+    liveJobs.add(controller);
+    if (jobId !== null) {
+        jobsById.set(jobId, controller);
+    }
+    return new Promise((resolve, reject) => {
+        const job = { kind, data, args, signal: controller.signal, resolve, reject };
+        controller.signal.addEventListener('abort', () => {
+            const index = queue.indexOf(job);
+            if (index >= 0) {
+                queue.splice(index, 1);
+                reject(cancelled(kind));
+            }
+        }, { once: true });
+        queue.push(job);
+        runQueued();
+    }).finally(() => {
+        liveJobs.delete(controller);
+        if (jobsById.get(jobId) === controller) {
+            jobsById.delete(jobId);
+        }
+    });
+}
+
+function runQueued() {
+    while (running < maxConcurrent && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+        const work = pool ? pool.run(job) : runHere(job);
+        work.then(job.resolve, job.reject).finally(() => {
+            running--;
+            runQueued();
+        });
+    }
+}
+
+// The main thread cannot interrupt a job, so a cancelled one only has its result dropped.
+async function runHere(job) {
+    const result = await runJob(basisModule, job.kind, job.data, job.args);
+    if (job.signal.aborted) {
+        throw cancelled(job.kind);
+    }
+    return result;
+}
+
+// Workers answer each message with one { result } or { error } message; a crash rejects the
+// request through worker.fail instead.
+function request(worker, message, transfer = []) {
+    return new Promise((resolve, reject) => {
+        worker.fail = reject;
+        worker.port.onmessage = ({ data: reply }) => {
+            worker.fail = null;
+            if (reply.error !== undefined) {
+                reject(new Error(reply.error));
+            } else {
+                resolve(reply.result);
+            }
+        };
+        worker.port.postMessage(message, transfer);
+    });
+}
 
-    const canvas = document.querySelector('canvas');
-    if (canvas) {
-        gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+// Up to size workers, started as jobs need them. Each loads its own transcoder and runs one
+// job at a time; cancelling a running job terminates its worker.
+function createWorkerPool(size, transcoderBase, workerFactory) {
+    const workers = new Set();
+    const idle = [];
+
+    function spawn() {
+        const port = workerFactory
+            ? workerFactory()
+            : new Worker(new URL('./blazorgl.ktx2.worker.js', import.meta.url), { type: 'module' });
+        const worker = { port, ready: null, fail: null };
+        // A worker whose script throws or whose reply cannot be read is gone for good: the pool
+        // drops it and fails its job rather than wait for a reply that never comes.
+        const crash = message => {
+            discard(worker);
+            worker.fail?.(new Error(message));
+            worker.fail = null;
+        };
+        port.onerror = event => {
+            event?.preventDefault?.();
+            crash(`KTX2 worker failed: ${event?.message || 'unknown error'}`);
+        };
+        port.onmessageerror = () => crash('KTX2 worker sent a reply that could not be read');
+        worker.ready = request(worker, { type: 'init', transcoderBase });
+        workers.add(worker);
+        return worker;
+    }
+
+    function discard(worker) {
+        if (!workers.delete(worker)) {
+            return;
+        }
+        const index = idle.indexOf(worker);
+        if (index >= 0) {
+            idle.splice(index, 1);
+        }
+        worker.port.terminate();
     }
 
-    return gl;
+    return {
+        async warmUp() {
+            const worker = spawn();
+            await worker.ready;
+            idle.push(worker);
+        },
+
+        async run(job) {
+            // The queue never runs more jobs than there are workers.
+            const worker = idle.pop() ?? (workers.size < size ? spawn() : null);
+            if (!worker) {
+                throw new Error('KTX2 worker pool has no free worker');
+            }
+            let onAbort;
+            const aborted = new Promise((_, reject) => {
+                onAbort = () => {
+                    discard(worker);
+                    reject(cancelled(job.kind));
+                };
+                job.signal.addEventListener('abort', onAbort, { once: true });
+            });
+            try {
+                try {
+                    await Promise.race([worker.ready, aborted]);
+                } catch (error) {
+                    discard(worker);
+                    throw error;
+                }
+                // Hand the file over rather than copy it when it is not part of a larger buffer.
+                const transfer = ownsBuffer(job.data) ? [job.data.buffer] : [];
+                const reply = request(worker, { type: job.kind, data: job.data, args: job.args }, transfer);
+                try {
+                    return await Promise.race([reply, aborted]);
+                } finally {
+                    // Cancelled and crashed workers have been discarded already.
+                    if (workers.has(worker)) {
+                        idle.push(worker);
+                    }
+                }
+            } finally {
+                job.signal.removeEventListener('abort', onAbort);
+            }
+        },
+
+        terminate() {
+            for (const worker of [...workers]) {
+                discard(worker);
+            }
+        }
+    };
 }
 
 console.log('BlazorGL KTX2 module loaded');
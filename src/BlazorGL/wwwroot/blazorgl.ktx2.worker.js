@@ -0,0 +1,36 @@
+/**
+ * BlazorGL KTX2 Worker - JavaScript Module
+ * Runs KTX2 transcode and readLevels jobs for the pool in blazorgl.ktx2.js, with its own Basis
+ * Universal transcoder, and transfers the mip data back instead of copying it.
+ */
+
+import { loadTranscoder, runJob } from './blazorgl.ktx2.js';
+
+/**
+ * Answer the pool's messages on port: { type: 'init', transcoderBase } loads the transcoder,
+ * { type: 'transcode' | 'readLevels', data, args } runs a job. Each gets one { result } or
+ * { error } reply. transcoderFactory replaces the download, for tests.
+ */
+export function hostTranscoder(port, transcoderFactory = null) {
+    let transcoder = null;
+
+    port.onmessage = async ({ data: message }) => {
+        try {
+            if (message.type === 'init') {
+                transcoder = await loadTranscoder({ transcoderBase: message.transcoderBase, transcoderFactory });
+                port.postMessage({ result: null });
+                return;
+            }
+            const result = await runJob(transcoder, message.type, message.data, message.args);
+            const mipmaps = Array.isArray(result) ? result : result.mipmaps;
+            port.postMessage({ result }, mipmaps.map(mipmap => mipmap.data.buffer));
+        } catch (error) {
+            port.postMessage({ error: error.message });
+        }
+    };
+}
+
+const scope = globalThis;
+if (typeof scope.WorkerGlobalScope === 'function' && scope instanceof scope.WorkerGlobalScope) {
+    hostTranscoder(scope);
+}
@@ -1,25 +1,114 @@
+const attributeOptions = [
+    "alpha",
+    "antialias",
+    "depth",
+    "stencil",
+    "premultipliedAlpha",
+    "preserveDrawingBuffer",
+    "desynchronized",
+    "failIfMajorPerformanceCaveat",
+    "powerPreference"
+];
+const powerPreferences = {
+    Default: "default",
+    LowPower: "low-power",
+    HighPerformance: "high-performance"
+};
+function contextAttributesOf(options) {
+    const attributes = {};
+    for (const name of attributeOptions) {
+        const value = options?.[name];
+        if (value !== null && value !== undefined)
+            attributes[name] = value;
+    }
+    if (typeof attributes.powerPreference === "string") {
+        attributes.powerPreference = powerPreferences[attributes.powerPreference] ?? attributes.powerPreference;
+    }
+    return attributes;
+}
+function contextTypesOf(version) {
+    switch (version ?? null) {
+        case null:
+            return ["webgl2", "webgl"];
+        case 2:
+            return ["webgl2"];
+        case 1:
+            return ["webgl"];
+        default:
+            throw new Error(`Unknown WebGL version ${version}; use 1, 2 or null for the best available.`);
+    }
+}
+const resourceLabels = {
+    buffers: "Buffer",
+    textures: "Texture",
+    framebuffers: "Framebuffer",
+    renderbuffers: "Renderbuffer",
+    shaders: "Shader",
+    programs: "Program",
+    vaos: "Vertex array",
+    transformFeedbacks: "Transform feedback",
+    uniformLocations: "Uniform location",
+    queries: "Query"
+};
 const contexts = new Map();
-const buffers = new Map();
-const textures = new Map();
-const framebuffers = new Map();
-const renderbuffers = new Map();
-const shaders = new Map();
-const programs = new Map();
-const vaos = new Map();
 let ctxSeq = 1;
 let handleSeq = 1;
+// Id the next track call issues instead of taking one from handleSeq; set by withHandle.
+let presetHandle = 0;
 function makeConstTable(gl) {
+    const gl2 = gl;
+    const isGL2 = "createVertexArray" in gl;
+    // WebGL1 spells these through extensions, with different enum values for half float.
+    const halfFloatExt = isGL2 ? null : gl.getExtension("OES_texture_half_float");
+    const depthTextureExt = isGL2 ? null : gl.getExtension("WEBGL_depth_texture");
+    const drawBuffersExt = isGL2 ? null : gl.getExtension("WEBGL_draw_buffers");
+    const anisotropyExt = gl.getExtension("EXT_texture_filter_anisotropic");
+    const timerQueryExt = isGL2 ? gl.getExtension("EXT_disjoint_timer_query_webgl2") : null;
+    const blendMinMaxExt = isGL2 ? null : gl.getExtension("EXT_blend_minmax");
     // Map the symbolic names used in C# to WebGL constants.
-    return {
+    const table = {
         DepthTest: gl.DEPTH_TEST,
         CullFace: gl.CULL_FACE,
         Blend: gl.BLEND,
+        StencilTest: gl.STENCIL_TEST,
+        ScissorTest: gl.SCISSOR_TEST,
+        PolygonOffsetFill: gl.POLYGON_OFFSET_FILL,
+        SampleAlphaToCoverage: gl.SAMPLE_ALPHA_TO_COVERAGE,
+        SampleCoverage: gl.SAMPLE_COVERAGE,
+        Dither: gl.DITHER,
         Back: gl.BACK,
         Front: gl.FRONT,
         FrontAndBack: gl.FRONT_AND_BACK,
         Ccw: gl.CCW,
+        Cw: gl.CW,
+        Zero: gl.ZERO,
+        One: gl.ONE,
+        SrcColor: gl.SRC_COLOR,
+        OneMinusSrcColor: gl.ONE_MINUS_SRC_COLOR,
+        DstColor: gl.DST_COLOR,
+        OneMinusDstColor: gl.ONE_MINUS_DST_COLOR,
         SrcAlpha: gl.SRC_ALPHA,
         OneMinusSrcAlpha: gl.ONE_MINUS_SRC_ALPHA,
+        DstAlpha: gl.DST_ALPHA,
+        OneMinusDstAlpha: gl.ONE_MINUS_DST_ALPHA,
+        ConstantColor: gl.CONSTANT_COLOR,
+        OneMinusConstantColor: gl.ONE_MINUS_CONSTANT_COLOR,
+        ConstantAlpha: gl.CONSTANT_ALPHA,
+        OneMinusConstantAlpha: gl.ONE_MINUS_CONSTANT_ALPHA,
+        SrcAlphaSaturate: gl.SRC_ALPHA_SATURATE,
+        FuncAdd: gl.FUNC_ADD,
+        FuncSubtract: gl.FUNC_SUBTRACT,
+        FuncReverseSubtract: gl.FUNC_REVERSE_SUBTRACT,
+        // WebGL1 needs EXT_blend_minmax for these.
+        Min: isGL2 ? gl2.MIN : blendMinMaxExt?.MIN_EXT,
+        Max: isGL2 ? gl2.MAX : blendMinMaxExt?.MAX_EXT,
+        Keep: gl.KEEP,
+        Replace: gl.REPLACE,
+        Increment: gl.INCR,
+        IncrementWrap: gl.INCR_WRAP,
+        Decrement: gl.DECR,
+        DecrementWrap: gl.DECR_WRAP,
+        Invert: gl.INVERT,
         ColorBufferBit: gl.COLOR_BUFFER_BIT,
         DepthBufferBit: gl.DEPTH_BUFFER_BIT,
         StencilBufferBit: gl.STENCIL_BUFFER_BIT,
@@ -50,265 +139,2519 @@ function makeConstTable(gl) {
         UnsignedByte: gl.UNSIGNED_BYTE,
         Texture0: gl.TEXTURE0,
         Triangles: gl.TRIANGLES,
+        TriangleStrip: gl.TRIANGLE_STRIP,
+        TriangleFan: gl.TRIANGLE_FAN,
         LineStrip: gl.LINE_STRIP,
         Lines: gl.LINES,
         LineLoop: gl.LINE_LOOP,
         Points: gl.POINTS,
-        UnsignedInt: gl.UNSIGNED_INT ?? gl.UNSIGNED_SHORT,
+        // Core in both versions; as an index type WebGL1 also needs OES_element_index_uint (see indexTypeOf).
+        UnsignedInt: gl.UNSIGNED_INT,
         VertexShader: gl.VERTEX_SHADER,
         FragmentShader: gl.FRAGMENT_SHADER,
         ActiveUniforms: gl.ACTIVE_UNIFORMS,
         ActiveAttributes: gl.ACTIVE_ATTRIBUTES,
         Float: gl.FLOAT,
-        FramebufferComplete: gl.FRAMEBUFFER_COMPLETE
+        FramebufferComplete: gl.FRAMEBUFFER_COMPLETE,
+        StreamDraw: gl.STREAM_DRAW,
+        // WebGL2-only names resolve to undefined on WebGL1 and are rejected by constOf.
+        UniformBuffer: gl.UNIFORM_BUFFER,
+        CopyReadBuffer: gl.COPY_READ_BUFFER,
+        CopyWriteBuffer: gl.COPY_WRITE_BUFFER,
+        TransformFeedbackBuffer: gl.TRANSFORM_FEEDBACK_BUFFER,
+        StaticRead: gl.STATIC_READ,
+        DynamicRead: gl.DYNAMIC_READ,
+        StreamRead: gl.STREAM_READ,
+        StaticCopy: gl.STATIC_COPY,
+        DynamicCopy: gl.DYNAMIC_COPY,
+        StreamCopy: gl.STREAM_COPY,
+        TransformFeedback: gl.TRANSFORM_FEEDBACK,
+        InterleavedAttribs: gl.INTERLEAVED_ATTRIBS,
+        SeparateAttribs: gl.SEPARATE_ATTRIBS,
+        RasterizerDiscard: gl.RASTERIZER_DISCARD,
+        StencilAttachment: gl.STENCIL_ATTACHMENT,
+        DepthStencilAttachment: gl.DEPTH_STENCIL_ATTACHMENT,
+        ReadFramebuffer: gl2.READ_FRAMEBUFFER,
+        DrawFramebuffer: gl2.DRAW_FRAMEBUFFER,
+        None: gl.NONE,
+        Rgb: gl.RGB,
+        Red: gl2.RED,
+        Rg: gl2.RG,
+        DepthComponent: gl.DEPTH_COMPONENT,
+        DepthStencil: gl.DEPTH_STENCIL,
+        Rgba8: gl2.RGBA8,
+        Rgb8: gl2.RGB8,
+        Rg8: gl2.RG8,
+        R8: gl2.R8,
+        Rgba4: gl.RGBA4,
+        Rgb565: gl.RGB565,
+        Rgb5A1: gl.RGB5_A1,
+        Srgb8: gl2.SRGB8,
+        Rgb10A2: gl2.RGB10_A2,
+        Rgb16F: gl2.RGB16F,
+        Rgb32F: gl2.RGB32F,
+        Rgb9E5: gl2.RGB9_E5,
+        Rgba16F: gl2.RGBA16F,
+        Rgba32F: gl2.RGBA32F,
+        Rg16F: gl2.RG16F,
+        Rg32F: gl2.RG32F,
+        R16F: gl2.R16F,
+        R32F: gl2.R32F,
+        R11FG11FB10F: gl2.R11F_G11F_B10F,
+        Srgb8Alpha8: gl2.SRGB8_ALPHA8,
+        DepthComponent24: gl2.DEPTH_COMPONENT24,
+        DepthComponent32F: gl2.DEPTH_COMPONENT32F,
+        Depth24Stencil8: gl2.DEPTH24_STENCIL8,
+        Depth32FStencil8: gl2.DEPTH32F_STENCIL8,
+        StencilIndex8: gl.STENCIL_INDEX8,
+        UnsignedShort: gl.UNSIGNED_SHORT,
+        UnsignedShort565: gl.UNSIGNED_SHORT_5_6_5,
+        UnsignedShort4444: gl.UNSIGNED_SHORT_4_4_4_4,
+        UnsignedShort5551: gl.UNSIGNED_SHORT_5_5_5_1,
+        UnsignedInt2101010Rev: gl2.UNSIGNED_INT_2_10_10_10_REV,
+        UnsignedInt5999Rev: gl2.UNSIGNED_INT_5_9_9_9_REV,
+        HalfFloat: isGL2 ? gl2.HALF_FLOAT : halfFloatExt?.HALF_FLOAT_OES,
+        UnsignedInt248: isGL2 ? gl2.UNSIGNED_INT_24_8 : depthTextureExt?.UNSIGNED_INT_24_8_WEBGL,
+        Float32UnsignedInt248Rev: gl2.FLOAT_32_UNSIGNED_INT_24_8_REV,
+        UnsignedInt10F11F11FRev: gl2.UNSIGNED_INT_10F_11F_11F_REV,
+        TextureCubeMap: gl.TEXTURE_CUBE_MAP,
+        TextureCubeMapPositiveX: gl.TEXTURE_CUBE_MAP_POSITIVE_X,
+        TextureCubeMapNegativeX: gl.TEXTURE_CUBE_MAP_NEGATIVE_X,
+        TextureCubeMapPositiveY: gl.TEXTURE_CUBE_MAP_POSITIVE_Y,
+        TextureCubeMapNegativeY: gl.TEXTURE_CUBE_MAP_NEGATIVE_Y,
+        TextureCubeMapPositiveZ: gl.TEXTURE_CUBE_MAP_POSITIVE_Z,
+        TextureCubeMapNegativeZ: gl.TEXTURE_CUBE_MAP_NEGATIVE_Z,
+        Texture3D: gl2.TEXTURE_3D,
+        Texture2DArray: gl2.TEXTURE_2D_ARRAY,
+        TextureWrapR: gl2.TEXTURE_WRAP_R,
+        TextureBaseLevel: gl2.TEXTURE_BASE_LEVEL,
+        TextureMaxLevel: gl2.TEXTURE_MAX_LEVEL,
+        TextureMinLod: gl2.TEXTURE_MIN_LOD,
+        TextureMaxLod: gl2.TEXTURE_MAX_LOD,
+        TextureCompareMode: gl2.TEXTURE_COMPARE_MODE,
+        TextureCompareFunc: gl2.TEXTURE_COMPARE_FUNC,
+        CompareRefToTexture: gl2.COMPARE_REF_TO_TEXTURE,
+        TextureMaxAnisotropy: anisotropyExt?.TEXTURE_MAX_ANISOTROPY_EXT,
+        Never: gl.NEVER,
+        Less: gl.LESS,
+        Equal: gl.EQUAL,
+        LessEqual: gl.LEQUAL,
+        Greater: gl.GREATER,
+        NotEqual: gl.NOTEQUAL,
+        GreaterEqual: gl.GEQUAL,
+        Always: gl.ALWAYS,
+        UnpackFlipY: gl.UNPACK_FLIP_Y_WEBGL,
+        UnpackPremultiplyAlpha: gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL,
+        UnpackColorspaceConversion: gl.UNPACK_COLORSPACE_CONVERSION_WEBGL,
+        UnpackAlignment: gl.UNPACK_ALIGNMENT,
+        PackAlignment: gl.PACK_ALIGNMENT,
+        UnpackRowLength: gl2.UNPACK_ROW_LENGTH,
+        UnpackImageHeight: gl2.UNPACK_IMAGE_HEIGHT,
+        UnpackSkipPixels: gl2.UNPACK_SKIP_PIXELS,
+        UnpackSkipRows: gl2.UNPACK_SKIP_ROWS,
+        UnpackSkipImages: gl2.UNPACK_SKIP_IMAGES,
+        BrowserDefault: gl.BROWSER_DEFAULT_WEBGL,
+        PixelPackBuffer: gl2.PIXEL_PACK_BUFFER,
+        PixelUnpackBuffer: gl2.PIXEL_UNPACK_BUFFER,
+        RgbaInteger: gl2.RGBA_INTEGER,
+        RgInteger: gl2.RG_INTEGER,
+        RedInteger: gl2.RED_INTEGER,
+        Alpha: gl.ALPHA,
+        Int: gl.INT,
+        AnySamplesPassed: gl2.ANY_SAMPLES_PASSED,
+        AnySamplesPassedConservative: gl2.ANY_SAMPLES_PASSED_CONSERVATIVE,
+        TimeElapsed: timerQueryExt?.TIME_ELAPSED_EXT
     };
-}
-function getContext(id) {
+    // COLOR_ATTACHMENTn and DRAW_BUFFERn are consecutive in both WebGL2 and WEBGL_draw_buffers.
+    if (isGL2 || drawBuffersExt) {
+        for (let i = 1; i < 16; i++)
+            table[`ColorAttachment${i}`] = gl.COLOR_ATTACHMENT0 + i;
+    }
+    return table;
+}
+// Bytes per texel of the sized internal formats, for the texture memory estimate in getStats.
+// Unsized (WebGL1-style) formats are sized from their format/type pair instead.
+function makeTexelSizeTable(gl) {
+    const gl2 = gl;
+    const sizes = [
+        [gl2.R8, 1],
+        [gl2.R8I, 1],
+        [gl2.R8UI, 1],
+        [gl.STENCIL_INDEX8, 1],
+        [gl2.RG8, 2],
+        [gl2.R16F, 2],
+        [gl2.R16I, 2],
+        [gl2.R16UI, 2],
+        [gl.RGBA4, 2],
+        [gl.RGB565, 2],
+        [gl.RGB5_A1, 2],
+        [gl.DEPTH_COMPONENT16, 2],
+        [gl2.RGB8, 3],
+        [gl2.SRGB8, 3],
+        [gl2.RGBA8, 4],
+        [gl2.SRGB8_ALPHA8, 4],
+        [gl2.RGBA8I, 4],
+        [gl2.RGBA8UI, 4],
+        [gl2.RG16F, 4],
+        [gl2.R32F, 4],
+        [gl2.R32I, 4],
+        [gl2.R32UI, 4],
+        [gl2.R11F_G11F_B10F, 4],
+        [gl2.RGB9_E5, 4],
+        [gl2.RGB10_A2, 4],
+        [gl2.DEPTH_COMPONENT24, 4],
+        [gl2.DEPTH_COMPONENT32F, 4],
+        [gl2.DEPTH24_STENCIL8, 4],
+        [gl2.RGB16F, 6],
+        [gl2.RGBA16F, 8],
+        [gl2.RGBA16I, 8],
+        [gl2.RGBA16UI, 8],
+        [gl2.RG32F, 8],
+        [gl2.RG32I, 8],
+        [gl2.RG32UI, 8],
+        [gl2.DEPTH32F_STENCIL8, 8],
+        [gl2.RGB32F, 12],
+        [gl2.RGBA32F, 16],
+        [gl2.RGBA32I, 16],
+        [gl2.RGBA32UI, 16]
+    ];
+    // WebGL2-only formats are undefined on WebGL1.
+    return new Map(sizes.filter((entry) => entry[0] !== undefined));
+}
+// exportName is the calling export, which debug-mode errors are reported under.
+function getContext(id, exportName) {
     const ctx = contexts.get(id);
     if (!ctx)
         throw new Error(`WebGL context ${id} not found`);
+    enterExport(ctx, exportName);
     return ctx;
 }
+// Also called by async continuations (polls), whose GL calls belong to the export that started them.
+function enterExport(ctx, exportName) {
+    if (ctx.debug)
+        ctx.debug.exportName = exportName;
+}
 function constOf(ctx, name) {
     const value = ctx.consts[name];
     if (value === undefined)
         throw new Error(`Unknown GL constant '${name}'`);
     return value;
 }
-export function createContext(canvas) {
-    const gl = (canvas.getContext("webgl2") ??
-        canvas.getContext("webgl"));
-    if (!gl)
-        throw new Error("Unable to create WebGL context.");
-    const vaoExt = "createVertexArray" in gl ? undefined : gl.getExtension("OES_vertex_array_object");
-    const instancingExt = "drawElementsInstanced" in gl ? undefined : gl.getExtension("ANGLE_instanced_arrays");
+function createResourceTables() {
+    return {
+        buffers: new Map(),
+        textures: new Map(),
+        framebuffers: new Map(),
+        renderbuffers: new Map(),
+        shaders: new Map(),
+        programs: new Map(),
+        vaos: new Map(),
+        transformFeedbacks: new Map(),
+        uniformLocations: new Map(),
+        queries: new Map()
+    };
+}
+function track(ctx, kind, resource) {
+    const id = presetHandle || handleSeq++;
+    presetHandle = 0;
+    if (resource)
+        ctx.resources[kind].set(id, resource);
+    if (resource && ctx.debug)
+        ctx.debug.labels.set(resource, `${resourceLabels[kind]} ${id}`);
+    return resource ? id : 0;
+}
+/**
+ * Runs fn with the first handle it issues fixed to id. The worker host uses it so the main-thread
+ * proxy can return handles without waiting for the worker; the proxy picks ids far above handleSeq.
+ */
+export function withHandle(id, fn) {
+    presetHandle = id;
+    try {
+        return fn();
+    }
+    finally {
+        presetHandle = 0;
+    }
+}
+function untrack(ctx, kind, id) {
+    const table = ctx.resources[kind];
+    const resource = table.get(id);
+    table.delete(id);
+    return resource;
+}
+// Resolves a handle in the context's own table. Handle ids are unique across contexts, so a miss
+// that another context can resolve is a caller mixing up contexts rather than a stale handle.
+function handleOf(ctx, kind, id) {
+    if (id === 0)
+        return null;
+    const resource = ctx.resources[kind].get(id);
+    if (resource !== undefined)
+        return resource;
+    for (const other of contexts.values()) {
+        if (other !== ctx && other.resources[kind].has(id)) {
+            throw new Error(`${resourceLabels[kind]} handle ${id} belongs to WebGL context ${other.id}, not context ${ctx.id}`);
+        }
+    }
+    // Outside debug mode a stale handle degrades to null, matching what WebGL does with deleted objects.
+    if (ctx.debug) {
+        for (const other of Object.keys(ctx.resources)) {
+            if (ctx.resources[other].has(id)) {
+                throw debugError(ctx, `${resourceLabels[other]} handle ${id} was passed where a ${resourceLabels[kind].toLowerCase()} handle is expected`);
+            }
+        }
+        throw debugError(ctx, `Unknown ${resourceLabels[kind].toLowerCase()} handle ${id}`);
+    }
+    return null;
+}
+function requireHandle(ctx, kind, id) {
+    const resource = handleOf(ctx, kind, id);
+    if (!resource)
+        throw new Error(`Unknown ${resourceLabels[kind].toLowerCase()} handle ${id}`);
+    return resource;
+}
+// Only WebGL2 contexts expose these entry points; WebGL1 callers get a clear error instead of a TypeError.
+function requireGL2(ctx, feature) {
+    if (!("createVertexArray" in ctx.gl))
+        throw new Error(`${feature} requires a WebGL2 context.`);
+    return ctx.gl;
+}
+const typedArrayTypes = {
+    Int8: Int8Array,
+    Uint8: Uint8Array,
+    Int16: Int16Array,
+    Uint16: Uint16Array,
+    Int32: Int32Array,
+    Uint32: Uint32Array,
+    Float32: Float32Array
+};
+// Raw bytes (a .NET byte[] arrives as Uint8Array) are reinterpreted as the element type;
+// plain number arrays are converted element by element.
+function typedArrayOf(data, elementType) {
+    const Type = typedArrayTypes[elementType];
+    if (!Type)
+        throw new Error(`Unknown buffer element type '${elementType}'`);
+    if (!(data instanceof Uint8Array))
+        return new Type(data);
+    const size = Type.BYTES_PER_ELEMENT;
+    if (data.byteLength % size !== 0) {
+        throw new Error(`Byte length ${data.byteLength} is not a multiple of the ${elementType} element size ${size}`);
+    }
+    const bytes = data.byteOffset % size === 0 ? data : data.slice();
+    return new Type(bytes.buffer, bytes.byteOffset, bytes.byteLength / size);
+}
+function locationOf(ctx, location) {
+    return location < 0 ? null : handleOf(ctx, "uniformLocations", location);
+}
+/**
+ * Creates a WebGL2 context (falling back to WebGL1) on the canvas, or the version options.version
+ * forces. With { debug: true } every GL call is checked with getError and recorded for
+ * getCallTrace, which costs a sync point per call. getCapabilities reports what was created.
+ */
+export function createContext(canvas, options = null) {
+    const factory = options?.contextFactory ??
+        ((target, type, attributes) => target.getContext(type, attributes));
+    const attributes = contextAttributesOf(options);
+    let gl = null;
+    for (const type of contextTypesOf(options?.version)) {
+        gl = factory(canvas, type, attributes);
+        if (gl)
+            break;
+    }
+    if (!gl) {
+        // failIfMajorPerformanceCaveat and a canvas that already holds a context of the other type
+        // make getContext return null too, so the message names the likely causes.
+        const wanted = options?.version ? `WebGL${options.version}` : "WebGL2 or WebGL1";
+        throw new Error(`Unable to create WebGL context: ${wanted} is unavailable` +
+            (attributes.failIfMajorPerformanceCaveat ? " without a major performance caveat" : "") +
+            " on this canvas.");
+    }
     const id = ctxSeq++;
-    contexts.set(id, { gl, vaoExt, instancingExt, consts: makeConstTable(gl) });
+    const ctx = {
+        id,
+        canvas,
+        gl,
+        consts: makeConstTable(gl),
+        texelSizes: makeTexelSizeTable(gl),
+        resources: createResourceTables(),
+        programLocations: new Map(),
+        lost: false,
+        videoTextures: new Map(),
+        stats: createFrameStats(),
+        memory: createResourceMemory(),
+        openTimer: null,
+        pendingTimers: [],
+        pendingReads: new Set(),
+        pendingBuilds: new Set(),
+        stateCache: null,
+        debug: null,
+        capture: null,
+        stopSizeWatch: null,
+        renderLoop: null,
+        onContextLost: (event) => {
+            // Without preventDefault the browser never fires webglcontextrestored.
+            event.preventDefault();
+            ctx.lost = true;
+            ctx.dotNetRef?.invokeMethodAsync("OnContextLost");
+        },
+        onContextRestored: () => {
+            // Every GL object died with the old context; .NET recreates what it needs from scratch.
+            ctx.lost = false;
+            for (const textureId of [...ctx.videoTextures.keys()])
+                detachVideo(ctx, textureId);
+            ctx.resources = createResourceTables();
+            ctx.programLocations.clear();
+            ctx.memory = createResourceMemory();
+            ctx.openTimer = null;
+            ctx.pendingTimers = [];
+            if (ctx.stateCache)
+                ctx.stateCache = createStateCache();
+            acquireExtensions(ctx);
+            // Extensions have to be enabled again on the new context; rebuilding the table does that.
+            ctx.consts = makeConstTable(ctx.gl);
+            ctx.dotNetRef?.invokeMethodAsync("OnContextRestored");
+        }
+    };
+    if (options?.debug) {
+        const capacity = Math.max(1, options.traceLength ?? 64);
+        ctx.debug = { trace: [], next: 0, capacity, labels: new WeakMap(), exportName: null };
+        ctx.gl = debugContext(ctx, gl);
+    }
+    acquireExtensions(ctx);
+    canvas.addEventListener("webglcontextlost", ctx.onContextLost);
+    canvas.addEventListener("webglcontextrestored", ctx.onContextRestored);
+    contexts.set(id, ctx);
+    if (options?.capture)
+        startCapture(id);
     return id;
 }
+// Wraps the context so every method call is traced and followed by a getError check. Property reads
+// (constants, drawingBufferWidth, ...) pass straight through.
+function debugContext(ctx, gl) {
+    const wrappers = new Map();
+    return new Proxy(gl, {
+        get(target, property) {
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== "function")
+                return value;
+            let wrapper = wrappers.get(property);
+            if (!wrapper) {
+                wrapper = (...args) => checkedCall(ctx, target, String(property), value, args);
+                wrappers.set(property, wrapper);
+            }
+            return wrapper;
+        }
+    });
+}
+function checkedCall(ctx, gl, name, fn, args) {
+    const debug = ctx.debug;
+    const call = `${name}(${args.map((arg) => formatArgument(debug, arg)).join(", ")})`;
+    debug.trace[debug.next] = call;
+    debug.next = (debug.next + 1) % debug.capacity;
+    const result = fn.apply(gl, args);
+    // A lost context reports CONTEXT_LOST_WEBGL on every call; the lost event already covers that.
+    if (name !== "getError" && !ctx.lost) {
+        const error = gl.getError();
+        if (error !== gl.NO_ERROR)
+            throw debugError(ctx, `gl.${call} raised ${glErrorName(gl, error)}`);
+    }
+    return result;
+}
+function formatArgument(debug, value) {
+    if (value === null || value === undefined)
+        return "null";
+    if (typeof value === "string")
+        return JSON.stringify(value.length > 64 ? `${value.slice(0, 61)}...` : value);
+    if (typeof value !== "object")
+        return String(value);
+    if (ArrayBuffer.isView(value))
+        return `${value.constructor.name}(${value.length ?? value.byteLength})`;
+    return debug.labels.get(value) ?? value.constructor?.name ?? "object";
+}
+function glErrorName(gl, error) {
+    switch (error) {
+        case gl.INVALID_ENUM:
+            return "INVALID_ENUM";
+        case gl.INVALID_VALUE:
+            return "INVALID_VALUE";
+        case gl.INVALID_OPERATION:
+            return "INVALID_OPERATION";
+        case gl.INVALID_FRAMEBUFFER_OPERATION:
+            return "INVALID_FRAMEBUFFER_OPERATION";
+        case gl.OUT_OF_MEMORY:
+            return "OUT_OF_MEMORY";
+        case gl.CONTEXT_LOST_WEBGL:
+            return "CONTEXT_LOST_WEBGL";
+        default:
+            return `GL error 0x${error.toString(16)}`;
+    }
+}
+// Prefixes a debug-mode error with the export it happened in.
+function debugError(ctx, message) {
+    const exportName = ctx.debug?.exportName;
+    return new Error(exportName ? `${exportName}: ${message}` : message);
+}
+/** Returns the most recent GL calls of a debug-mode context, oldest first. */
+export function getCallTrace(ctxId) {
+    const debug = getContext(ctxId, "getCallTrace").debug;
+    if (!debug)
+        return [];
+    return [...debug.trace.slice(debug.next), ...debug.trace.slice(0, debug.next)];
+}
+function acquireExtensions(ctx) {
+    const gl = ctx.gl;
+    ctx.vaoExt = "createVertexArray" in gl ? undefined : gl.getExtension("OES_vertex_array_object");
+    ctx.instancingExt = "drawElementsInstanced" in gl ? undefined : gl.getExtension("ANGLE_instanced_arrays");
+    ctx.parallelCompileExt = gl.getExtension("KHR_parallel_shader_compile");
+    ctx.drawBuffersExt = "drawBuffers" in gl ? undefined : gl.getExtension("WEBGL_draw_buffers");
+    ctx.multiDrawExt = gl.getExtension("WEBGL_multi_draw");
+    ctx.uintIndices = "createVertexArray" in gl || !!gl.getExtension("OES_element_index_uint");
+    ctx.timerQueryExt = "createVertexArray" in gl ? gl.getExtension("EXT_disjoint_timer_query_webgl2") : null;
+    // Float render targets must be enabled before use; asking for the extension enables it.
+    if ("createVertexArray" in gl) {
+        gl.getExtension("EXT_color_buffer_float");
+    }
+    else {
+        gl.getExtension("OES_texture_float");
+        gl.getExtension("WEBGL_color_buffer_float");
+    }
+    gl.getExtension("EXT_color_buffer_half_float");
+    gl.getExtension("OES_texture_float_linear");
+}
+/**
+ * Registers the .NET object that receives OnContextLost/OnContextRestored (and OnCanvasResized,
+ * see observeCanvasSize) for this context.
+ * Pass null to stop forwarding.
+ */
+export function registerContextCallbacks(ctxId, dotNetRef) {
+    const ctx = getContext(ctxId, "registerContextCallbacks");
+    ctx.dotNetRef = dotNetRef ?? undefined;
+}
+export function isContextLost(ctxId) {
+    return getContext(ctxId, "isContextLost").lost;
+}
+/**
+ * Resizes the drawing buffer. A canvas handed to a worker can only be resized this way, since its
+ * width and height attributes are frozen on the main thread. The viewport is left to the caller.
+ */
+export function setDrawingBufferSize(ctxId, width, height) {
+    const canvas = getContext(ctxId, "setDrawingBufferSize").canvas;
+    width = Math.max(1, Math.floor(width));
+    height = Math.max(1, Math.floor(height));
+    if (canvas.width !== width)
+        canvas.width = width;
+    if (canvas.height !== height)
+        canvas.height = height;
+}
+/**
+ * Watches an element's CSS size and the device pixel ratio, and calls onResize with the CSS size
+ * and the drawing-buffer size that matches it, the ratio capped at maxPixelRatio. Returns a
+ * function that stops watching. Without ResizeObserver (workers, Node) nothing is watched.
+ */
+export function watchCanvasSize(element, maxPixelRatio, onResize) {
+    if (maxPixelRatio !== null && !(maxPixelRatio > 0))
+        throw new Error(`maxPixelRatio must be positive, got ${maxPixelRatio}`);
+    if (typeof ResizeObserver === "undefined")
+        return () => { };
+    let css = null;
+    // Exact device pixels, where the browser reports devicePixelContentBoxSize. Rounding CSS size
+    // times the ratio can be a pixel off, which blurs the whole canvas.
+    let devicePixels = null;
+    let reported = "";
+    const report = () => {
+        // Hidden canvases report 0x0; keep the last size rather than a 1x1 buffer.
+        if (!css || css.width === 0 || css.height === 0)
+            return;
+        const deviceRatio = globalThis.devicePixelRatio ?? 1;
+        const ratio = maxPixelRatio === null ? deviceRatio : Math.min(deviceRatio, maxPixelRatio);
+        const scale = (cssSize, deviceSize) => Math.max(1, Math.round(deviceSize === undefined ? cssSize * ratio : (deviceSize * ratio) / deviceRatio));
+        const size = {
+            cssWidth: css.width,
+            cssHeight: css.height,
+            pixelWidth: scale(css.width, devicePixels?.width),
+            pixelHeight: scale(css.height, devicePixels?.height)
+        };
+        const key = `${size.cssWidth}x${size.cssHeight}/${size.pixelWidth}x${size.pixelHeight}`;
+        if (key === reported)
+            return;
+        reported = key;
+        onResize(size);
+    };
+    const observer = new ResizeObserver((entries) => {
+        const entry = entries[entries.length - 1];
+        css = { width: entry.contentRect.width, height: entry.contentRect.height };
+        const box = entry.devicePixelContentBoxSize?.[0];
+        devicePixels = box ? { width: box.inlineSize, height: box.blockSize } : null;
+        report();
+    });
+    try {
+        observer.observe(element, { box: "device-pixel-content-box" });
+    }
+    catch {
+        // Safari rejects the box it does not support.
+        observer.observe(element);
+    }
+    // Moving the window to a monitor with another scale changes devicePixelRatio without resizing
+    // anything. A resolution query matching only the current ratio fires when it changes; it is
+    // then replaced by one for the new ratio.
+    let media = null;
+    const onRatioChange = () => {
+        watchRatio();
+        // devicePixelContentBoxSize changes with the ratio, so the observer reports those browsers.
+        if (!devicePixels)
+            report();
+    };
+    const watchRatio = () => {
+        media?.removeEventListener("change", onRatioChange);
+        if (typeof matchMedia !== "function")
+            return;
+        media = matchMedia(`(resolution: ${globalThis.devicePixelRatio ?? 1}dppx)`);
+        media.addEventListener("change", onRatioChange);
+    };
+    watchRatio();
+    return () => {
+        observer.disconnect();
+        media?.removeEventListener("change", onRatioChange);
+        media = null;
+    };
+}
+/**
+ * Keeps the drawing buffer at the canvas's CSS size times devicePixelRatio, capped at
+ * maxPixelRatio (e.g. 2, to bound the fill cost on 3x phones), and reports every change to .NET
+ * through OnCanvasResized. Calling it again replaces the cap. The viewport is left to the caller.
+ */
+export function observeCanvasSize(ctxId, maxPixelRatio = null) {
+    const ctx = getContext(ctxId, "observeCanvasSize");
+    ctx.stopSizeWatch?.();
+    ctx.stopSizeWatch = watchCanvasSize(ctx.canvas, maxPixelRatio, (size) => {
+        setDrawingBufferSize(ctxId, size.pixelWidth, size.pixelHeight);
+        ctx.dotNetRef?.invokeMethodAsync("OnCanvasResized", size.cssWidth, size.cssHeight, size.pixelWidth, size.pixelHeight);
+    });
+}
+export function unobserveCanvasSize(ctxId) {
+    const ctx = getContext(ctxId, "unobserveCanvasSize");
+    ctx.stopSizeWatch?.();
+    ctx.stopSizeWatch = null;
+}
+/**
+ * Calls onFrame from requestAnimationFrame with the frame timestamp and the milliseconds since the
+ * previous rendered frame (0 for the first frame after a start or pause). Frames are skipped while
+ * skip() is true, e.g. while the context is lost. Used by startRenderLoop and the worker proxy.
+ */
+export function createFrameLoop(element, onFrame, options, skip = () => false) {
+    if (typeof requestAnimationFrame !== "function")
+        throw new Error("A render loop needs requestAnimationFrame.");
+    const maxFps = options?.maxFps ?? null;
+    if (maxFps !== null && !(maxFps > 0))
+        throw new Error(`maxFps must be positive, got ${maxFps}`);
+    // rAF timestamps jitter by a fraction of a millisecond, so a 30 fps cap on a 60 Hz display
+    // would otherwise drop to 20 fps whenever a frame arrives slightly early.
+    const minInterval = maxFps === null ? 0 : 1000 / maxFps - 1;
+    const onDemand = !!options?.onDemand;
+    let hidden = false;
+    let offscreen = false;
+    let stopped = false;
+    let dirty = true;
+    let request = null;
+    let last = null;
+    const running = () => !stopped && !hidden && !offscreen && (!onDemand || dirty);
+    const schedule = () => {
+        if (request === null && running())
+            request = requestAnimationFrame(tick);
+    };
+    const pause = () => {
+        if (request !== null)
+            cancelAnimationFrame(request);
+        request = null;
+        last = null;
+    };
+    function tick(timestamp) {
+        request = null;
+        if (!running())
+            return;
+        if (skip() || (last !== null && timestamp - last < minInterval)) {
+            schedule();
+            return;
+        }
+        const delta = last === null ? 0 : timestamp - last;
+        last = timestamp;
+        dirty = false;
+        // Scheduled first, so a callback that throws does not end the loop.
+        schedule();
+        onFrame(timestamp, delta);
+    }
+    const onVisibilityChange = () => {
+        hidden = document.hidden;
+        if (hidden)
+            pause();
+        else
+            schedule();
+    };
+    if (options?.pauseWhenHidden !== false && typeof document !== "undefined") {
+        hidden = document.hidden;
+        document.addEventListener("visibilitychange", onVisibilityChange);
+    }
+    let intersection = null;
+    if (options?.pauseWhenOffscreen !== false && typeof IntersectionObserver !== "undefined") {
+        intersection = new IntersectionObserver((entries) => {
+            offscreen = !entries[entries.length - 1].isIntersecting;
+            if (offscreen)
+                pause();
+            else
+                schedule();
+        });
+        intersection.observe(element);
+    }
+    schedule();
+    return {
+        invalidate() {
+            dirty = true;
+            schedule();
+        },
+        stop() {
+            stopped = true;
+            pause();
+            intersection?.disconnect();
+            if (typeof document !== "undefined")
+                document.removeEventListener("visibilitychange", onVisibilityChange);
+        }
+    };
+}
+function invokeFrameCallback(dotNetRef, method, timestamp, delta) {
+    if (dotNetRef.invokeMethod) {
+        dotNetRef.invokeMethod(method, timestamp, delta);
+    }
+    else {
+        dotNetRef.invokeMethodAsync(method, timestamp, delta);
+    }
+}
+/**
+ * Drives rendering from requestAnimationFrame: calls dotNetRef's OnRenderFrame (or options.method)
+ * with the timestamp and delta in milliseconds. Pauses while the tab is hidden or the canvas is
+ * scrolled out of view, and while the context is lost. Replaces a loop already running.
+ */
+export function startRenderLoop(ctxId, dotNetRef, options = null) {
+    const ctx = getContext(ctxId, "startRenderLoop");
+    const method = options?.method ?? "OnRenderFrame";
+    ctx.renderLoop?.stop();
+    ctx.renderLoop = null;
+    ctx.renderLoop = createFrameLoop(ctx.canvas, (timestamp, delta) => {
+        // Video textures get their new frames before .NET draws with them.
+        try {
+            if (ctx.videoTextures.size > 0) {
+                enterExport(ctx, "updateVideoTextures");
+                refreshVideoTextures(ctx);
+            }
+        }
+        finally {
+            invokeFrameCallback(dotNetRef, method, timestamp, delta);
+        }
+    }, options, () => ctx.lost);
+}
+export function stopRenderLoop(ctxId) {
+    const ctx = getContext(ctxId, "stopRenderLoop");
+    ctx.renderLoop?.stop();
+    ctx.renderLoop = null;
+}
+/** Asks an on-demand render loop for a frame; several calls before it runs still render once. */
+export function invalidate(ctxId) {
+    getContext(ctxId, "invalidate").renderLoop?.invalidate();
+}
+/** Deletes every GL object the context owns and forgets the context. */
+export function disposeContext(ctxId) {
+    const ctx = getContext(ctxId, "disposeContext");
+    const gl = ctx.gl;
+    const res = ctx.resources;
+    // Pending reads would otherwise keep polling a context that no longer exists.
+    for (const read of ctx.pendingReads) {
+        if (read.timer !== null)
+            clearTimeout(read.timer);
+        if (!ctx.lost) {
+            gl.deleteSync(read.sync);
+            gl.deleteBuffer(read.pbo);
+        }
+        read.reject(new Error(`WebGL context ${ctxId} was disposed during an asynchronous readPixels.`));
+    }
+    ctx.pendingReads.clear();
+    // Likewise pending program builds, whose objects are not in the handle tables yet.
+    for (const build of ctx.pendingBuilds) {
+        if (build.timer !== null)
+            clearTimeout(build.timer);
+        if (!ctx.lost) {
+            gl.deleteProgram(build.pending.program);
+            gl.deleteShader(build.pending.vertexShader);
+            gl.deleteShader(build.pending.fragmentShader);
+        }
+        build.reject(new Error(`WebGL context ${ctxId} was disposed during an asynchronous program build.`));
+    }
+    ctx.pendingBuilds.clear();
+    // A lost context has already dropped its objects and rejects delete calls.
+    if (!ctx.lost) {
+        const timerQueries = ctx.pendingTimers.map((scope) => scope.query);
+        if (ctx.openTimer)
+            timerQueries.push(ctx.openTimer.query);
+        for (const query of [...res.queries.values(), ...timerQueries])
+            gl.deleteQuery(query);
+        for (const tf of res.transformFeedbacks.values())
+            gl.deleteTransformFeedback(tf);
+        for (const vao of res.vaos.values()) {
+            if ("deleteVertexArray" in gl) {
+                gl.deleteVertexArray(vao);
+            }
+            else {
+                ctx.vaoExt?.deleteVertexArrayOES(vao);
+            }
+        }
+        for (const program of res.programs.values())
+            gl.deleteProgram(program);
+        for (const shader of res.shaders.values())
+            gl.deleteShader(shader);
+        for (const fb of res.framebuffers.values())
+            gl.deleteFramebuffer(fb);
+        for (const rb of res.renderbuffers.values())
+            gl.deleteRenderbuffer(rb);
+        for (const tex of res.textures.values())
+            gl.deleteTexture(tex);
+        for (const buffer of res.buffers.values())
+            gl.deleteBuffer(buffer);
+    }
+    for (const textureId of [...ctx.videoTextures.keys()])
+        detachVideo(ctx, textureId);
+    ctx.stopSizeWatch?.();
+    ctx.stopSizeWatch = null;
+    ctx.renderLoop?.stop();
+    ctx.renderLoop = null;
+    ctx.canvas.removeEventListener("webglcontextlost", ctx.onContextLost);
+    ctx.canvas.removeEventListener("webglcontextrestored", ctx.onContextRestored);
+    ctx.resources = createResourceTables();
+    ctx.programLocations.clear();
+    ctx.memory = createResourceMemory();
+    ctx.openTimer = null;
+    ctx.pendingTimers = [];
+    ctx.dotNetRef = undefined;
+    contexts.delete(ctxId);
+}
+// Redundant-state cache: the state the bridge last set on this context, so calls that would not
+// change anything can be skipped. Undefined fields and missing map entries mean "unknown" and are
+// always forwarded to GL.
+function createStateCache() {
+    return {
+        buffers: new Map(),
+        textures: new Map(),
+        capabilities: new Map(),
+        stencilFunc: new Map(),
+        stencilOp: new Map(),
+        stencilMask: new Map()
+    };
+}
+/**
+ * Turns the redundant-state cache on or off for a context. It starts out knowing nothing, so the
+ * first call of each kind still reaches GL. Skipped calls are reported as skippedStateChanges in getStats.
+ */
+export function setStateCacheEnabled(ctxId, enabled) {
+    const ctx = getContext(ctxId, "setStateCacheEnabled");
+    ctx.stateCache = enabled ? createStateCache() : null;
+}
+/** Forgets all cached state; call after changing GL state outside this module. */
+export function invalidateStateCache(ctxId) {
+    const ctx = getContext(ctxId, "invalidateStateCache");
+    if (ctx.stateCache)
+        ctx.stateCache = createStateCache();
+}
+// Deleting a bound object resets that binding in GL (or, for the current program, defers the
+// delete), so any cached binding of it is no longer trustworthy.
+function forgetCachedObject(ctx, object) {
+    const cache = ctx.stateCache;
+    if (!cache)
+        return;
+    if (cache.program === object)
+        cache.program = undefined;
+    if (cache.vao === object) {
+        cache.vao = undefined;
+        cache.buffers.delete(ctx.gl.ELEMENT_ARRAY_BUFFER);
+    }
+    for (const [target, buffer] of cache.buffers)
+        if (buffer === object)
+            cache.buffers.delete(target);
+    for (const [key, texture] of cache.textures)
+        if (texture === object)
+            cache.textures.delete(key);
+}
+function skipStateChange(ctx) {
+    ctx.stats.skippedStateChanges++;
+}
+function setCapability(ctx, cap, enabled) {
+    const cache = ctx.stateCache;
+    if (cache?.capabilities.get(cap) === enabled)
+        return skipStateChange(ctx);
+    if (enabled)
+        ctx.gl.enable(cap);
+    else
+        ctx.gl.disable(cap);
+    cache?.capabilities.set(cap, enabled);
+    countStateChange(ctx);
+}
+function setCullFace(ctx, mode) {
+    const cache = ctx.stateCache;
+    if (cache && cache.cullFace === mode)
+        return skipStateChange(ctx);
+    ctx.gl.cullFace(mode);
+    if (cache)
+        cache.cullFace = mode;
+    countStateChange(ctx);
+}
+function setFrontFace(ctx, dir) {
+    const cache = ctx.stateCache;
+    if (cache && cache.frontFace === dir)
+        return skipStateChange(ctx);
+    ctx.gl.frontFace(dir);
+    if (cache)
+        cache.frontFace = dir;
+    countStateChange(ctx);
+}
+function setBlendFunc(ctx, srcRGB, dstRGB, srcAlpha = srcRGB, dstAlpha = dstRGB) {
+    const cache = ctx.stateCache;
+    const current = cache?.blendFunc;
+    if (current && current[0] === srcRGB && current[1] === dstRGB && current[2] === srcAlpha && current[3] === dstAlpha) {
+        return skipStateChange(ctx);
+    }
+    if (srcRGB === srcAlpha && dstRGB === dstAlpha)
+        ctx.gl.blendFunc(srcRGB, dstRGB);
+    else
+        ctx.gl.blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha);
+    if (cache)
+        cache.blendFunc = [srcRGB, dstRGB, srcAlpha, dstAlpha];
+    countStateChange(ctx);
+}
+function setDepthMask(ctx, flag) {
+    const cache = ctx.stateCache;
+    if (cache && cache.depthMask === flag)
+        return skipStateChange(ctx);
+    ctx.gl.depthMask(flag);
+    if (cache)
+        cache.depthMask = flag;
+    countStateChange(ctx);
+}
+function setViewport(ctx, x, y, w, h) {
+    const cache = ctx.stateCache;
+    const current = cache?.viewport;
+    if (current && current[0] === x && current[1] === y && current[2] === w && current[3] === h)
+        return skipStateChange(ctx);
+    ctx.gl.viewport(x, y, w, h);
+    if (cache)
+        cache.viewport = [x, y, w, h];
+    countStateChange(ctx);
+}
+// Whether a cached tuple holds exactly these values; undefined (unknown) never does.
+function sameState(current, next) {
+    return current !== undefined && current.every((value, i) => value === next[i]);
+}
+function setBlendEquation(ctx, modeRGB, modeAlpha = modeRGB) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.blendEquation, [modeRGB, modeAlpha]))
+        return skipStateChange(ctx);
+    if (modeRGB === modeAlpha)
+        ctx.gl.blendEquation(modeRGB);
+    else
+        ctx.gl.blendEquationSeparate(modeRGB, modeAlpha);
+    if (cache)
+        cache.blendEquation = [modeRGB, modeAlpha];
+    countStateChange(ctx);
+}
+function setBlendColor(ctx, r, g, b, a) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.blendColor, [r, g, b, a]))
+        return skipStateChange(ctx);
+    ctx.gl.blendColor(r, g, b, a);
+    if (cache)
+        cache.blendColor = [r, g, b, a];
+    countStateChange(ctx);
+}
+function setDepthFunc(ctx, func) {
+    const cache = ctx.stateCache;
+    if (cache && cache.depthFunc === func)
+        return skipStateChange(ctx);
+    ctx.gl.depthFunc(func);
+    if (cache)
+        cache.depthFunc = func;
+    countStateChange(ctx);
+}
+function setDepthRange(ctx, zNear, zFar) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.depthRange, [zNear, zFar]))
+        return skipStateChange(ctx);
+    ctx.gl.depthRange(zNear, zFar);
+    if (cache)
+        cache.depthRange = [zNear, zFar];
+    countStateChange(ctx);
+}
+// The faces a stencil call sets; null stands for the call without a face argument.
+function stencilFaces(ctx, face) {
+    const gl = ctx.gl;
+    return face === null || face === gl.FRONT_AND_BACK ? [gl.FRONT, gl.BACK] : [face];
+}
+function setStencilFunc(ctx, face, func, ref, mask) {
+    const cache = ctx.stateCache;
+    const faces = stencilFaces(ctx, face);
+    if (cache && faces.every((f) => sameState(cache.stencilFunc.get(f), [func, ref, mask])))
+        return skipStateChange(ctx);
+    if (face === null)
+        ctx.gl.stencilFunc(func, ref, mask);
+    else
+        ctx.gl.stencilFuncSeparate(face, func, ref, mask);
+    for (const f of faces)
+        cache?.stencilFunc.set(f, [func, ref, mask]);
+    countStateChange(ctx);
+}
+function setStencilOp(ctx, face, fail, zfail, zpass) {
+    const cache = ctx.stateCache;
+    const faces = stencilFaces(ctx, face);
+    if (cache && faces.every((f) => sameState(cache.stencilOp.get(f), [fail, zfail, zpass])))
+        return skipStateChange(ctx);
+    if (face === null)
+        ctx.gl.stencilOp(fail, zfail, zpass);
+    else
+        ctx.gl.stencilOpSeparate(face, fail, zfail, zpass);
+    for (const f of faces)
+        cache?.stencilOp.set(f, [fail, zfail, zpass]);
+    countStateChange(ctx);
+}
+function setStencilMask(ctx, face, mask) {
+    const cache = ctx.stateCache;
+    const faces = stencilFaces(ctx, face);
+    if (cache && faces.every((f) => cache.stencilMask.get(f) === mask))
+        return skipStateChange(ctx);
+    if (face === null)
+        ctx.gl.stencilMask(mask);
+    else
+        ctx.gl.stencilMaskSeparate(face, mask);
+    for (const f of faces)
+        cache?.stencilMask.set(f, mask);
+    countStateChange(ctx);
+}
+function setScissor(ctx, x, y, w, h) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.scissor, [x, y, w, h]))
+        return skipStateChange(ctx);
+    ctx.gl.scissor(x, y, w, h);
+    if (cache)
+        cache.scissor = [x, y, w, h];
+    countStateChange(ctx);
+}
+function setColorMask(ctx, r, g, b, a) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.colorMask, [r, g, b, a]))
+        return skipStateChange(ctx);
+    ctx.gl.colorMask(r, g, b, a);
+    if (cache)
+        cache.colorMask = [r, g, b, a];
+    countStateChange(ctx);
+}
+function setPolygonOffset(ctx, factor, units) {
+    const cache = ctx.stateCache;
+    if (cache && sameState(cache.polygonOffset, [factor, units]))
+        return skipStateChange(ctx);
+    ctx.gl.polygonOffset(factor, units);
+    if (cache)
+        cache.polygonOffset = [factor, units];
+    countStateChange(ctx);
+}
+function setProgram(ctx, program) {
+    const cache = ctx.stateCache;
+    if (cache && cache.program === program)
+        return skipStateChange(ctx);
+    ctx.gl.useProgram(program);
+    if (cache)
+        cache.program = program;
+    countStateChange(ctx);
+}
+function setVertexArray(ctx, vao) {
+    const cache = ctx.stateCache;
+    if (cache && cache.vao === vao)
+        return skipStateChange(ctx);
+    if ("bindVertexArray" in ctx.gl) {
+        ctx.gl.bindVertexArray(vao);
+    }
+    else {
+        ctx.vaoExt?.bindVertexArrayOES(vao);
+    }
+    if (cache) {
+        cache.vao = vao;
+        // The element array binding is VAO state; the newly bound VAO brings its own.
+        cache.buffers.delete(ctx.gl.ELEMENT_ARRAY_BUFFER);
+    }
+    countStateChange(ctx);
+}
+function setBuffer(ctx, target, buffer) {
+    const cache = ctx.stateCache;
+    if (cache && cache.buffers.has(target) && cache.buffers.get(target) === buffer)
+        return skipStateChange(ctx);
+    ctx.gl.bindBuffer(target, buffer);
+    cache?.buffers.set(target, buffer);
+    countStateChange(ctx);
+}
+function setActiveTexture(ctx, unit) {
+    const cache = ctx.stateCache;
+    if (cache && cache.activeUnit === unit)
+        return skipStateChange(ctx);
+    ctx.gl.activeTexture(ctx.gl.TEXTURE0 + unit);
+    if (cache)
+        cache.activeUnit = unit;
+    countStateChange(ctx);
+}
+function setTexture(ctx, target, texture) {
+    const cache = ctx.stateCache;
+    // Texture bindings are per unit, so nothing can be cached until the active unit is known.
+    const key = cache?.activeUnit === undefined ? null : `${cache.activeUnit}:${target}`;
+    if (key && cache.textures.has(key) && cache.textures.get(key) === texture)
+        return skipStateChange(ctx);
+    ctx.gl.bindTexture(target, texture);
+    if (key)
+        cache.textures.set(key, texture);
+    countStateChange(ctx);
+}
 export function enable(ctxId, cap) {
-    const ctx = getContext(ctxId);
-    ctx.gl.enable(constOf(ctx, cap));
+    const ctx = getContext(ctxId, "enable");
+    setCapability(ctx, constOf(ctx, cap), true);
 }
 export function disable(ctxId, cap) {
-    const ctx = getContext(ctxId);
-    ctx.gl.disable(constOf(ctx, cap));
+    const ctx = getContext(ctxId, "disable");
+    setCapability(ctx, constOf(ctx, cap), false);
 }
 export function cullFace(ctxId, mode) {
-    const ctx = getContext(ctxId);
-    ctx.gl.cullFace(constOf(ctx, mode));
+    const ctx = getContext(ctxId, "cullFace");
+    setCullFace(ctx, constOf(ctx, mode));
 }
 export function frontFace(ctxId, dir) {
-    const ctx = getContext(ctxId);
-    ctx.gl.frontFace(constOf(ctx, dir));
+    const ctx = getContext(ctxId, "frontFace");
+    setFrontFace(ctx, constOf(ctx, dir));
 }
 export function blendFunc(ctxId, src, dst) {
-    const ctx = getContext(ctxId);
-    ctx.gl.blendFunc(constOf(ctx, src), constOf(ctx, dst));
+    const ctx = getContext(ctxId, "blendFunc");
+    setBlendFunc(ctx, constOf(ctx, src), constOf(ctx, dst));
 }
 export function viewport(ctxId, x, y, w, h) {
-    const ctx = getContext(ctxId);
-    ctx.gl.viewport(x, y, w, h);
+    const ctx = getContext(ctxId, "viewport");
+    setViewport(ctx, x, y, w, h);
+}
+export function blendFuncSeparate(ctxId, srcRGB, dstRGB, srcAlpha, dstAlpha) {
+    const ctx = getContext(ctxId, "blendFuncSeparate");
+    setBlendFunc(ctx, constOf(ctx, srcRGB), constOf(ctx, dstRGB), constOf(ctx, srcAlpha), constOf(ctx, dstAlpha));
+}
+export function blendEquation(ctxId, mode) {
+    const ctx = getContext(ctxId, "blendEquation");
+    setBlendEquation(ctx, constOf(ctx, mode));
+}
+export function blendEquationSeparate(ctxId, modeRGB, modeAlpha) {
+    const ctx = getContext(ctxId, "blendEquationSeparate");
+    setBlendEquation(ctx, constOf(ctx, modeRGB), constOf(ctx, modeAlpha));
+}
+export function blendColor(ctxId, r, g, b, a) {
+    const ctx = getContext(ctxId, "blendColor");
+    setBlendColor(ctx, r, g, b, a);
+}
+export function depthFunc(ctxId, func) {
+    const ctx = getContext(ctxId, "depthFunc");
+    setDepthFunc(ctx, constOf(ctx, func));
+}
+export function depthRange(ctxId, zNear, zFar) {
+    const ctx = getContext(ctxId, "depthRange");
+    setDepthRange(ctx, zNear, zFar);
+}
+export function stencilFunc(ctxId, func, ref, mask) {
+    const ctx = getContext(ctxId, "stencilFunc");
+    setStencilFunc(ctx, null, constOf(ctx, func), ref, mask);
+}
+export function stencilFuncSeparate(ctxId, face, func, ref, mask) {
+    const ctx = getContext(ctxId, "stencilFuncSeparate");
+    setStencilFunc(ctx, constOf(ctx, face), constOf(ctx, func), ref, mask);
+}
+export function stencilOp(ctxId, fail, zfail, zpass) {
+    const ctx = getContext(ctxId, "stencilOp");
+    setStencilOp(ctx, null, constOf(ctx, fail), constOf(ctx, zfail), constOf(ctx, zpass));
+}
+export function stencilOpSeparate(ctxId, face, fail, zfail, zpass) {
+    const ctx = getContext(ctxId, "stencilOpSeparate");
+    setStencilOp(ctx, constOf(ctx, face), constOf(ctx, fail), constOf(ctx, zfail), constOf(ctx, zpass));
+}
+export function stencilMask(ctxId, mask) {
+    const ctx = getContext(ctxId, "stencilMask");
+    setStencilMask(ctx, null, mask);
+}
+export function stencilMaskSeparate(ctxId, face, mask) {
+    const ctx = getContext(ctxId, "stencilMaskSeparate");
+    setStencilMask(ctx, constOf(ctx, face), mask);
+}
+export function scissor(ctxId, x, y, w, h) {
+    const ctx = getContext(ctxId, "scissor");
+    setScissor(ctx, x, y, w, h);
+}
+export function colorMask(ctxId, r, g, b, a) {
+    const ctx = getContext(ctxId, "colorMask");
+    setColorMask(ctx, r, g, b, a);
+}
+export function polygonOffset(ctxId, factor, units) {
+    const ctx = getContext(ctxId, "polygonOffset");
+    setPolygonOffset(ctx, factor, units);
+}
+/** Most implementations only support a width of 1; see the ALIASED_LINE_WIDTH_RANGE parameter. */
+export function lineWidth(ctxId, width) {
+    const ctx = getContext(ctxId, "lineWidth");
+    ctx.gl.lineWidth(width);
+    countStateChange(ctx);
 }
 export function clearColor(ctxId, r, g, b, a) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "clearColor");
     ctx.gl.clearColor(r, g, b, a);
+    countStateChange(ctx);
+}
+export function clearDepth(ctxId, depth) {
+    const ctx = getContext(ctxId, "clearDepth");
+    ctx.gl.clearDepth(depth);
+    countStateChange(ctx);
+}
+export function clearStencil(ctxId, s) {
+    const ctx = getContext(ctxId, "clearStencil");
+    ctx.gl.clearStencil(s);
+    countStateChange(ctx);
 }
 export function clear(ctxId, mask) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "clear");
     ctx.gl.clear(constOf(ctx, mask));
 }
 export function clearMultiple(ctxId, masks) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "clearMultiple");
     const maskValue = masks.reduce((acc, name) => acc | constOf(ctx, name), 0);
     ctx.gl.clear(maskValue);
 }
 export function createVertexArray(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createVertexArray");
     const vao = ("createVertexArray" in ctx.gl
         ? ctx.gl.createVertexArray()
         : ctx.vaoExt?.createVertexArrayOES());
-    const id = handleSeq++;
-    if (vao)
-        vaos.set(id, vao);
-    return vao ? id : 0;
+    return track(ctx, "vaos", vao);
 }
 export function bindVertexArray(ctxId, vaoId) {
-    const ctx = getContext(ctxId);
-    const vao = vaoId === 0 ? null : vaos.get(vaoId) ?? null;
-    if ("bindVertexArray" in ctx.gl) {
-        ctx.gl.bindVertexArray(vao);
-    }
-    else {
-        ctx.vaoExt?.bindVertexArrayOES(vao);
-    }
+    const ctx = getContext(ctxId, "bindVertexArray");
+    setVertexArray(ctx, handleOf(ctx, "vaos", vaoId));
 }
 export function createBuffer(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createBuffer");
     const buffer = ctx.gl.createBuffer();
-    const id = handleSeq++;
-    if (buffer)
-        buffers.set(id, buffer);
-    return buffer ? id : 0;
+    return track(ctx, "buffers", buffer);
 }
 export function bindBuffer(ctxId, target, bufferId) {
-    const ctx = getContext(ctxId);
-    const targetEnum = constOf(ctx, target);
-    const buffer = bufferId === 0 ? null : buffers.get(bufferId) ?? null;
-    ctx.gl.bindBuffer(targetEnum, buffer);
+    const ctx = getContext(ctxId, "bindBuffer");
+    setBuffer(ctx, constOf(ctx, target), handleOf(ctx, "buffers", bufferId));
 }
 export function bufferDataFloat(ctxId, target, data, usage) {
-    const ctx = getContext(ctxId);
-    ctx.gl.bufferData(constOf(ctx, target), new Float32Array(data), constOf(ctx, usage));
+    const ctx = getContext(ctxId, "bufferDataFloat");
+    const targetEnum = constOf(ctx, target);
+    ctx.gl.bufferData(targetEnum, new Float32Array(data), constOf(ctx, usage));
+    noteBufferStore(ctx, targetEnum, data.length * 4);
 }
 export function bufferDataUInt(ctxId, target, data, usage) {
-    const ctx = getContext(ctxId);
-    ctx.gl.bufferData(constOf(ctx, target), new Uint32Array(data), constOf(ctx, usage));
+    const ctx = getContext(ctxId, "bufferDataUInt");
+    const targetEnum = constOf(ctx, target);
+    ctx.gl.bufferData(targetEnum, new Uint32Array(data), constOf(ctx, usage));
+    noteBufferStore(ctx, targetEnum, data.length * 4);
+}
+/** Uploads a whole buffer from raw bytes or a number array packed as elementType (Int8..Float32). */
+export function bufferDataTyped(ctxId, target, data, elementType, usage) {
+    const ctx = getContext(ctxId, "bufferDataTyped");
+    const targetEnum = constOf(ctx, target);
+    const array = typedArrayOf(data, elementType);
+    ctx.gl.bufferData(targetEnum, array, constOf(ctx, usage));
+    noteBufferStore(ctx, targetEnum, array.byteLength);
+}
+/** Allocates sizeBytes of uninitialised storage, to be filled later with bufferSubData or transform feedback. */
+export function bufferDataSize(ctxId, target, sizeBytes, usage) {
+    const ctx = getContext(ctxId, "bufferDataSize");
+    const targetEnum = constOf(ctx, target);
+    ctx.gl.bufferData(targetEnum, sizeBytes, constOf(ctx, usage));
+    noteBufferStore(ctx, targetEnum, sizeBytes);
+}
+export function bufferSubData(ctxId, target, dstByteOffset, data, elementType) {
+    const ctx = getContext(ctxId, "bufferSubData");
+    ctx.gl.bufferSubData(constOf(ctx, target), dstByteOffset, typedArrayOf(data, elementType));
+}
+export function copyBufferSubData(ctxId, readTarget, writeTarget, readOffset, writeOffset, size) {
+    const ctx = getContext(ctxId, "copyBufferSubData");
+    requireGL2(ctx, "copyBufferSubData").copyBufferSubData(constOf(ctx, readTarget), constOf(ctx, writeTarget), readOffset, writeOffset, size);
+}
+export function bindBufferBase(ctxId, target, index, bufferId) {
+    const ctx = getContext(ctxId, "bindBufferBase");
+    const targetEnum = constOf(ctx, target);
+    const buffer = handleOf(ctx, "buffers", bufferId);
+    requireGL2(ctx, "bindBufferBase").bindBufferBase(targetEnum, index, buffer);
+    // Indexed binds also replace the generic binding point.
+    ctx.stateCache?.buffers.set(targetEnum, buffer);
+}
+export function bindBufferRange(ctxId, target, index, bufferId, offset, size) {
+    const ctx = getContext(ctxId, "bindBufferRange");
+    const targetEnum = constOf(ctx, target);
+    const buffer = handleOf(ctx, "buffers", bufferId);
+    requireGL2(ctx, "bindBufferRange").bindBufferRange(targetEnum, index, buffer, offset, size);
+    ctx.stateCache?.buffers.set(targetEnum, buffer);
 }
 export function createTexture(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createTexture");
     const texture = ctx.gl.createTexture();
-    const id = handleSeq++;
-    if (texture)
-        textures.set(id, texture);
-    return texture ? id : 0;
+    return track(ctx, "textures", texture);
 }
 export function bindTexture(ctxId, target, textureId) {
-    const ctx = getContext(ctxId);
-    const texture = textureId === 0 ? null : textures.get(textureId) ?? null;
-    ctx.gl.bindTexture(constOf(ctx, target), texture);
+    const ctx = getContext(ctxId, "bindTexture");
+    setTexture(ctx, constOf(ctx, target), handleOf(ctx, "textures", textureId));
 }
 export function texImage2D(ctxId, target, level, internalFormat, width, height, format, type, data) {
-    const ctx = getContext(ctxId);
-    const gl = ctx.gl;
+    const ctx = getContext(ctxId, "texImage2D");
     const targetEnum = constOf(ctx, target);
     const internal = constOf(ctx, internalFormat);
     const fmt = constOf(ctx, format);
     const typ = constOf(ctx, type);
-    const array = data ? new Uint8Array(data) : null;
-    gl.texImage2D(targetEnum, level, internal, width, height, 0, fmt, typ, array);
+    // Raw bytes (.NET byte[], KTX2 levels) are reinterpreted for 16- and 32-bit pixel types.
+    ctx.gl.texImage2D(targetEnum, level, internal, width, height, 0, fmt, typ, pixelDataOf(ctx, typ, data));
+    noteTextureImage(ctx, targetEnum, level, width, height, 1, texelBytesOf(ctx, internal, fmt, typ));
+}
+export function texImage2DFloat(ctxId, target, level, internalFormat, width, height, format, type, data) {
+    const ctx = getContext(ctxId, "texImage2DFloat");
+    const targetEnum = constOf(ctx, target);
+    const internal = constOf(ctx, internalFormat);
+    const fmt = constOf(ctx, format);
+    const typ = constOf(ctx, type);
+    ctx.gl.texImage2D(targetEnum, level, internal, width, height, 0, fmt, typ, pixelDataOf(ctx, typ, data));
+    noteTextureImage(ctx, targetEnum, level, width, height, 1, texelBytesOf(ctx, internal, fmt, typ));
+}
+export function texImage2DInt(ctxId, target, level, internalFormat, width, height, format, type, data) {
+    const ctx = getContext(ctxId, "texImage2DInt");
+    const targetEnum = constOf(ctx, target);
+    const internal = constOf(ctx, internalFormat);
+    const fmt = constOf(ctx, format);
+    const typ = constOf(ctx, type);
+    ctx.gl.texImage2D(targetEnum, level, internal, width, height, 0, fmt, typ, pixelDataOf(ctx, typ, data));
+    noteTextureImage(ctx, targetEnum, level, width, height, 1, texelBytesOf(ctx, internal, fmt, typ));
+}
+// Packs pixel data in the array type WebGL requires for the pixel type. Raw bytes are reinterpreted;
+// number arrays are converted, including float to half float for HALF_FLOAT uploads.
+function pixelDataOf(ctx, type, data) {
+    if (!data)
+        return null;
+    if (type === ctx.consts.HalfFloat && !(data instanceof Uint8Array)) {
+        return toHalfFloats(typedArrayOf(data, "Float32"));
+    }
+    return typedArrayOf(data, pixelElementType(ctx, type));
+}
+function pixelElementType(ctx, type) {
+    const gl = ctx.gl;
+    switch (type) {
+        case gl.FLOAT:
+            return "Float32";
+        case ctx.consts.HalfFloat:
+        case gl.UNSIGNED_SHORT:
+        case gl.UNSIGNED_SHORT_5_6_5:
+        case gl.UNSIGNED_SHORT_4_4_4_4:
+        case gl.UNSIGNED_SHORT_5_5_5_1:
+            return "Uint16";
+        case gl.SHORT:
+            return "Int16";
+        case gl.BYTE:
+            return "Int8";
+        case gl.INT:
+            return "Int32";
+        case gl.UNSIGNED_INT:
+        case ctx.consts.UnsignedInt248:
+        case gl.UNSIGNED_INT_10F_11F_11F_REV:
+        case gl.UNSIGNED_INT_2_10_10_10_REV:
+        case gl.UNSIGNED_INT_5_9_9_9_REV:
+            return "Uint32";
+        default:
+            return "Uint8";
+    }
+}
+// IEEE-754 binary32 to binary16, rounding to nearest even; used for HALF_FLOAT uploads.
+function toHalfFloats(values) {
+    const bits = new Uint32Array(values.buffer, values.byteOffset, values.length);
+    const out = new Uint16Array(values.length);
+    for (let i = 0; i < bits.length; i++) {
+        const x = bits[i];
+        const sign = (x >>> 16) & 0x8000;
+        const exp = (x >>> 23) & 0xff;
+        let mant = x & 0x7fffff;
+        if (exp === 0xff) {
+            out[i] = sign | 0x7c00 | (mant ? 0x200 : 0);
+            continue;
+        }
+        const e = exp - 127 + 15;
+        if (e >= 0x1f) {
+            out[i] = sign | 0x7c00;
+        }
+        else if (e <= 0) {
+            if (e < -10) {
+                out[i] = sign;
+            }
+            else {
+                mant |= 0x800000;
+                const shift = 14 - e;
+                const half = mant >>> shift;
+                const rest = mant & ((1 << shift) - 1);
+                const halfway = 1 << (shift - 1);
+                out[i] = sign | (half + (rest > halfway || (rest === halfway && half & 1) ? 1 : 0));
+            }
+        }
+        else {
+            const half = (e << 10) | (mant >>> 13);
+            const rest = mant & 0x1fff;
+            out[i] = sign | (half + (rest > 0x1000 || (rest === 0x1000 && half & 1) ? 1 : 0));
+        }
+    }
+    return out;
 }
 export function texParameter(ctxId, target, pname, value) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "texParameter");
     ctx.gl.texParameteri(constOf(ctx, target), constOf(ctx, pname), constOf(ctx, value));
 }
+/** Sets an integer-valued parameter such as TextureBaseLevel/TextureMaxLevel. */
+export function texParameterInt(ctxId, target, pname, value) {
+    const ctx = getContext(ctxId, "texParameterInt");
+    ctx.gl.texParameteri(constOf(ctx, target), constOf(ctx, pname), value);
+}
+/** Sets a float-valued parameter such as TextureMinLod/TextureMaxLod or TextureMaxAnisotropy. */
+export function texParameterFloat(ctxId, target, pname, value) {
+    const ctx = getContext(ctxId, "texParameterFloat");
+    ctx.gl.texParameterf(constOf(ctx, target), constOf(ctx, pname), value);
+}
+/** Largest TextureMaxAnisotropy value, or 0 without EXT_texture_filter_anisotropic. */
+export function getMaxAnisotropy(ctxId) {
+    const ctx = getContext(ctxId, "getMaxAnisotropy");
+    const ext = ctx.gl.getExtension("EXT_texture_filter_anisotropic");
+    return ext ? ctx.gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT) : 0;
+}
+/** Accepts a boolean (UnpackFlipY, UnpackPremultiplyAlpha), a number, or a constant name (UnpackColorspaceConversion). */
+export function pixelStorei(ctxId, pname, value) {
+    const ctx = getContext(ctxId, "pixelStorei");
+    const param = typeof value === "string" ? constOf(ctx, value) : typeof value === "boolean" ? (value ? 1 : 0) : value;
+    ctx.gl.pixelStorei(constOf(ctx, pname), param);
+}
+/** Current value of a numeric pixel-store parameter, e.g. UnpackAlignment, so a caller can restore it. */
+export function getPixelStore(ctxId, pname) {
+    const ctx = getContext(ctxId, "getPixelStore");
+    return Number(ctx.gl.getParameter(constOf(ctx, pname)));
+}
+export function texSubImage2D(ctxId, target, level, xoffset, yoffset, width, height, format, type, data) {
+    const ctx = getContext(ctxId, "texSubImage2D");
+    const typ = constOf(ctx, type);
+    ctx.gl.texSubImage2D(constOf(ctx, target), level, xoffset, yoffset, width, height, constOf(ctx, format), typ, pixelDataOf(ctx, typ, data));
+}
+/**
+ * Uploads one block-compressed image. internalFormat is named as on its extension object, e.g.
+ * COMPRESSED_RGBA_ASTC_4x4_KHR or COMPRESSED_RGBA_BPTC_UNORM_EXT; data is the raw blocks.
+ */
+export function compressedTexImage2D(ctxId, target, level, internalFormat, width, height, data) {
+    const ctx = getContext(ctxId, "compressedTexImage2D");
+    const targetEnum = constOf(ctx, target);
+    const bytes = typedArrayOf(data, "Uint8");
+    ctx.gl.compressedTexImage2D(targetEnum, level, compressedFormatOf(ctx, internalFormat), width, height, 0, bytes);
+    noteTextureImage(ctx, targetEnum, level, width, height, 1, bytes.byteLength / Math.max(1, width * height));
+}
+/** Replaces a block-aligned region of a compressed image; format must be the image's own. */
+export function compressedTexSubImage2D(ctxId, target, level, xoffset, yoffset, width, height, format, data) {
+    const ctx = getContext(ctxId, "compressedTexSubImage2D");
+    ctx.gl.compressedTexSubImage2D(constOf(ctx, target), level, xoffset, yoffset, width, height, compressedFormatOf(ctx, format), typedArrayOf(data, "Uint8"));
+}
+/**
+ * Uploads a whole mip chain, every face of a cube map included, into textureId (a Texture2D or
+ * TextureCubeMap). Compressed data has format and type null and internalFormat named as on its
+ * extension object; other data is tightly packed pixels. The caller's texture binding and
+ * UNPACK_ALIGNMENT are left as they were, even when an upload fails. On WebGL2 TEXTURE_MAX_LEVEL
+ * is set to the last level given, so a chain that stops short of 1x1 still samples with mipmaps.
+ */
+export function texImageLevels(ctxId, textureId, target, internalFormat, format, type, images) {
+    const ctx = getContext(ctxId, "texImageLevels");
+    const gl = ctx.gl;
+    const texture = requireHandle(ctx, "textures", textureId);
+    const bindTarget = constOf(ctx, target);
+    const compressed = format === null;
+    const internal = compressed ? compressedFormatOf(ctx, internalFormat) : constOf(ctx, internalFormat);
+    const fmt = compressed ? 0 : constOf(ctx, format);
+    const typ = compressed ? 0 : constOf(ctx, type ?? "UnsignedByte");
+    const previous = boundTexture(ctx, bindTarget);
+    const previousAlignment = gl.getParameter(gl.UNPACK_ALIGNMENT);
+    gl.bindTexture(bindTarget, texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    try {
+        for (const image of images) {
+            const imageTarget = bindTarget === gl.TEXTURE_CUBE_MAP ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + image.face : bindTarget;
+            const { level, width, height } = image;
+            if (compressed) {
+                const bytes = typedArrayOf(image.data, "Uint8");
+                gl.compressedTexImage2D(imageTarget, level, internal, width, height, 0, bytes);
+                noteTextureImage(ctx, imageTarget, level, width, height, 1, bytes.byteLength / Math.max(1, width * height));
+            }
+            else {
+                gl.texImage2D(imageTarget, level, internal, width, height, 0, fmt, typ, pixelDataOf(ctx, typ, image.data));
+                noteTextureImage(ctx, imageTarget, level, width, height, 1, texelBytesOf(ctx, internal, fmt, typ));
+            }
+        }
+        if ("createVertexArray" in gl && images.length > 0) {
+            const maxLevel = Math.max(...images.map((image) => image.level));
+            gl.texParameteri(bindTarget, gl.TEXTURE_MAX_LEVEL, maxLevel);
+        }
+    }
+    finally {
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, previousAlignment);
+        gl.bindTexture(bindTarget, previous);
+    }
+}
+// Compressed formats live on their extension objects rather than in the constant table. Looking
+// one up enables its extension, which WebGL requires before the format can be used.
+function compressedFormatOf(ctx, name) {
+    for (const [, extensions] of compressedFormatExtensions) {
+        for (const extension of extensions) {
+            const value = ctx.gl.getExtension(extension)?.[name];
+            if (typeof value === "number")
+                return value;
+        }
+    }
+    throw new Error(`Compressed texture format '${name}' is not supported by WebGL context ${ctx.id}`);
+}
+export function texImage3D(ctxId, target, level, internalFormat, width, height, depth, format, type, data) {
+    const ctx = getContext(ctxId, "texImage3D");
+    const targetEnum = constOf(ctx, target);
+    const internal = constOf(ctx, internalFormat);
+    const fmt = constOf(ctx, format);
+    const typ = constOf(ctx, type);
+    requireGL2(ctx, "texImage3D").texImage3D(targetEnum, level, internal, width, height, depth, 0, fmt, typ, pixelDataOf(ctx, typ, data));
+    noteTextureImage(ctx, targetEnum, level, width, height, depth, texelBytesOf(ctx, internal, fmt, typ));
+}
+export function texSubImage3D(ctxId, target, level, xoffset, yoffset, zoffset, width, height, depth, format, type, data) {
+    const ctx = getContext(ctxId, "texSubImage3D");
+    const typ = constOf(ctx, type);
+    requireGL2(ctx, "texSubImage3D").texSubImage3D(constOf(ctx, target), level, xoffset, yoffset, zoffset, width, height, depth, constOf(ctx, format), typ, pixelDataOf(ctx, typ, data));
+}
+export function texStorage2D(ctxId, target, levels, internalFormat, width, height) {
+    const ctx = getContext(ctxId, "texStorage2D");
+    const targetEnum = constOf(ctx, target);
+    const internal = constOf(ctx, internalFormat);
+    requireGL2(ctx, "texStorage2D").texStorage2D(targetEnum, levels, internal, width, height);
+    noteTextureStorage(ctx, targetEnum, levels, internal, width, height, 1);
+}
+export function texStorage3D(ctxId, target, levels, internalFormat, width, height, depth) {
+    const ctx = getContext(ctxId, "texStorage3D");
+    const targetEnum = constOf(ctx, target);
+    const internal = constOf(ctx, internalFormat);
+    requireGL2(ctx, "texStorage3D").texStorage3D(targetEnum, levels, internal, width, height, depth);
+    noteTextureStorage(ctx, targetEnum, levels, internal, width, height, depth);
+}
+// Uploads a DOM/bitmap source into a texture, leaving the caller's TEXTURE_2D/cube binding and
+// unpack state as they were, since async loads finish at arbitrary points in the frame.
+function uploadImageSource(ctx, textureId, source, options) {
+    const gl = ctx.gl;
+    const texture = requireHandle(ctx, "textures", textureId);
+    const target = constOf(ctx, options.target ?? "Texture2D");
+    const bindTarget = target === gl.TEXTURE_2D ? gl.TEXTURE_2D : gl.TEXTURE_CUBE_MAP;
+    const previous = gl.getParameter(bindTarget === gl.TEXTURE_2D ? gl.TEXTURE_BINDING_2D : gl.TEXTURE_BINDING_CUBE_MAP);
+    const previousFlipY = gl.getParameter(gl.UNPACK_FLIP_Y_WEBGL);
+    const previousPremultiply = gl.getParameter(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL);
+    gl.bindTexture(bindTarget, texture);
+    // Ignored for ImageBitmap, which was already decoded with the requested orientation/alpha.
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, !!options.flipY);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, !!options.premultiplyAlpha);
+    try {
+        const level = options.level ?? 0;
+        const internal = constOf(ctx, options.internalFormat ?? "Rgba");
+        const format = constOf(ctx, options.format ?? "Rgba");
+        const type = constOf(ctx, options.type ?? "UnsignedByte");
+        gl.texImage2D(target, level, internal, format, type, source);
+        const { width, height } = sourceSize(source);
+        noteTextureImage(ctx, target, level, width, height, 1, texelBytesOf(ctx, internal, format, type));
+        if (options.generateMipmap) {
+            gl.generateMipmap(bindTarget);
+            noteMipmaps(ctx, bindTarget);
+        }
+    }
+    finally {
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, previousFlipY);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, previousPremultiply);
+        gl.bindTexture(bindTarget, previous);
+    }
+}
+function sourceSize(source) {
+    // Workers have no DOM element classes, only ImageBitmap and OffscreenCanvas sources.
+    if (typeof HTMLElement === "undefined")
+        return { width: source.width, height: source.height };
+    if (source instanceof HTMLVideoElement)
+        return { width: source.videoWidth, height: source.videoHeight };
+    if (source instanceof HTMLImageElement)
+        return { width: source.naturalWidth, height: source.naturalHeight };
+    return { width: source.width, height: source.height };
+}
+function loadImageElement(url, crossOrigin) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        if (crossOrigin !== null)
+            image.crossOrigin = crossOrigin;
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load image '${url}'`));
+        image.src = url;
+    });
+}
+/**
+ * Fetches and decodes an image off the main thread with createImageBitmap (falling back to an
+ * <img> element) and uploads it straight into the texture. Resolves with the image dimensions;
+ * network and decode failures reject with the URL in the message.
+ */
+export async function loadTextureFromUrl(ctxId, textureId, url, options) {
+    const ctx = getContext(ctxId, "loadTextureFromUrl");
+    const opts = options ?? {};
+    let source;
+    if (typeof createImageBitmap === "function") {
+        const response = await fetch(url, {
+            mode: opts.mode ?? "cors",
+            credentials: opts.crossOrigin === "use-credentials" ? "include" : "same-origin"
+        });
+        if (!response.ok)
+            throw new Error(`Failed to load image '${url}': HTTP ${response.status}`);
+        const blob = await response.blob();
+        try {
+            source = await createImageBitmap(blob, {
+                imageOrientation: opts.flipY ? "flipY" : "from-image",
+                premultiplyAlpha: opts.premultiplyAlpha ? "premultiply" : "none",
+                colorSpaceConversion: "none"
+            });
+        }
+        catch (err) {
+            throw new Error(`Failed to decode image '${url}': ${err instanceof Error ? err.message : String(err)}`);
+        }
+    }
+    else {
+        source = await loadImageElement(url, opts.crossOrigin === undefined ? "anonymous" : opts.crossOrigin);
+    }
+    const size = sourceSize(source);
+    uploadImageSource(ctx, textureId, source, opts);
+    if (source instanceof ImageBitmap)
+        source.close();
+    return size;
+}
+/** Uploads an image, canvas, video frame or ImageBitmap already on the JS side; returns its dimensions. */
+export function texImageFromSource(ctxId, textureId, source, options) {
+    const ctx = getContext(ctxId, "texImageFromSource");
+    if (!source)
+        throw new Error("Texture source element is null.");
+    if (source instanceof HTMLImageElement && !source.complete) {
+        throw new Error(`Image '${source.currentSrc || source.src}' has not finished loading.`);
+    }
+    uploadImageSource(ctx, textureId, source, options ?? {});
+    return sourceSize(source);
+}
+/**
+ * Binds a video (an element, or a URL played muted and looped) to a texture. The texture is
+ * refreshed by updateVideoTextures, once per new video frame, which startRenderLoop's loop calls
+ * before each frame; an on-demand loop is invalidated by new frames. Resolves with the video
+ * dimensions once metadata is available.
+ */
+export async function attachVideoTexture(ctxId, textureId, source, options) {
+    const ctx = getContext(ctxId, "attachVideoTexture");
+    requireHandle(ctx, "textures", textureId);
+    detachVideo(ctx, textureId);
+    const ownsElement = typeof source === "string";
+    const video = ownsElement ? document.createElement("video") : source;
+    if (ownsElement) {
+        const opts = options ?? {};
+        video.crossOrigin = opts.crossOrigin === undefined ? "anonymous" : opts.crossOrigin;
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.src = source;
+    }
+    if (video.readyState < HTMLMediaElement.HAVE_METADATA) {
+        await new Promise((resolve, reject) => {
+            video.addEventListener("loadedmetadata", () => resolve(), { once: true });
+            video.addEventListener("error", () => reject(new Error(`Failed to load video '${video.currentSrc || video.src}': ${video.error?.message ?? "unknown error"}`)), { once: true });
+        });
+    }
+    if (ownsElement)
+        await video.play();
+    const entry = { video, options: options ?? {}, frameReady: true, lastTime: -1, ownsElement };
+    ctx.videoTextures.set(textureId, entry);
+    if ("requestVideoFrameCallback" in video) {
+        const onFrame = () => {
+            entry.frameReady = true;
+            ctx.renderLoop?.invalidate();
+            entry.frameCallback = video.requestVideoFrameCallback(onFrame);
+        };
+        entry.frameCallback = video.requestVideoFrameCallback(onFrame);
+    }
+    return { width: video.videoWidth, height: video.videoHeight };
+}
+/**
+ * Re-uploads every attached video that has a new frame; startRenderLoop does so before each frame,
+ * so only call it once per frame when drawing without that loop. Returns how many were updated.
+ */
+export function updateVideoTextures(ctxId) {
+    return refreshVideoTextures(getContext(ctxId, "updateVideoTextures"));
+}
+function refreshVideoTextures(ctx) {
+    let updated = 0;
+    for (const [textureId, entry] of ctx.videoTextures) {
+        const video = entry.video;
+        if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA)
+            continue;
+        const fresh = entry.frameCallback !== undefined ? entry.frameReady : video.currentTime !== entry.lastTime;
+        if (!fresh)
+            continue;
+        uploadImageSource(ctx, textureId, video, entry.options);
+        entry.frameReady = false;
+        entry.lastTime = video.currentTime;
+        updated++;
+    }
+    return updated;
+}
+export function detachVideoTexture(ctxId, textureId) {
+    detachVideo(getContext(ctxId, "detachVideoTexture"), textureId);
+}
+function detachVideo(ctx, textureId) {
+    const entry = ctx.videoTextures.get(textureId);
+    if (!entry)
+        return;
+    if (entry.frameCallback !== undefined)
+        entry.video.cancelVideoFrameCallback?.(entry.frameCallback);
+    if (entry.ownsElement) {
+        entry.video.pause();
+        entry.video.removeAttribute("src");
+        entry.video.load();
+    }
+    ctx.videoTextures.delete(textureId);
+}
 export function generateMipmap(ctxId, target) {
-    const ctx = getContext(ctxId);
-    ctx.gl.generateMipmap(constOf(ctx, target));
+    const ctx = getContext(ctxId, "generateMipmap");
+    const targetEnum = constOf(ctx, target);
+    ctx.gl.generateMipmap(targetEnum);
+    noteMipmaps(ctx, targetEnum);
 }
 export function createFramebuffer(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createFramebuffer");
     const fb = ctx.gl.createFramebuffer();
-    const id = handleSeq++;
-    if (fb)
-        framebuffers.set(id, fb);
-    return fb ? id : 0;
+    return track(ctx, "framebuffers", fb);
 }
 export function bindFramebuffer(ctxId, target, fbId) {
-    const ctx = getContext(ctxId);
-    const fb = fbId === 0 ? null : framebuffers.get(fbId) ?? null;
+    const ctx = getContext(ctxId, "bindFramebuffer");
+    const fb = handleOf(ctx, "framebuffers", fbId);
     ctx.gl.bindFramebuffer(constOf(ctx, target), fb);
+    countStateChange(ctx);
 }
 export function framebufferTexture2D(ctxId, target, attachment, texTarget, texId, level) {
-    const ctx = getContext(ctxId);
-    ctx.gl.framebufferTexture2D(constOf(ctx, target), constOf(ctx, attachment), constOf(ctx, texTarget), textures.get(texId) ?? null, level);
+    const ctx = getContext(ctxId, "framebufferTexture2D");
+    ctx.gl.framebufferTexture2D(constOf(ctx, target), constOf(ctx, attachment), constOf(ctx, texTarget), handleOf(ctx, "textures", texId), level);
+}
+/** Attaches one layer of a 3D or 2D-array texture, e.g. a single shadow-map slice. */
+export function framebufferTextureLayer(ctxId, target, attachment, texId, level, layer) {
+    const ctx = getContext(ctxId, "framebufferTextureLayer");
+    requireGL2(ctx, "framebufferTextureLayer").framebufferTextureLayer(constOf(ctx, target), constOf(ctx, attachment), handleOf(ctx, "textures", texId), level, layer);
 }
 export function createRenderbuffer(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createRenderbuffer");
     const rb = ctx.gl.createRenderbuffer();
-    const id = handleSeq++;
-    if (rb)
-        renderbuffers.set(id, rb);
-    return rb ? id : 0;
+    return track(ctx, "renderbuffers", rb);
 }
 export function bindRenderbuffer(ctxId, target, rbId) {
-    const ctx = getContext(ctxId);
-    const rb = rbId === 0 ? null : renderbuffers.get(rbId) ?? null;
+    const ctx = getContext(ctxId, "bindRenderbuffer");
+    const rb = handleOf(ctx, "renderbuffers", rbId);
     ctx.gl.bindRenderbuffer(constOf(ctx, target), rb);
+    countStateChange(ctx);
 }
 export function renderbufferStorage(ctxId, target, format, width, height) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "renderbufferStorage");
     ctx.gl.renderbufferStorage(constOf(ctx, target), constOf(ctx, format), width, height);
 }
+export function renderbufferStorageMultisample(ctxId, target, samples, format, width, height) {
+    const ctx = getContext(ctxId, "renderbufferStorageMultisample");
+    requireGL2(ctx, "renderbufferStorageMultisample").renderbufferStorageMultisample(constOf(ctx, target), samples, constOf(ctx, format), width, height);
+}
+/** Selects the color outputs of the bound draw framebuffer: ColorAttachment0..N, Back or None. */
+export function drawBuffers(ctxId, buffers) {
+    const ctx = getContext(ctxId, "drawBuffers");
+    const attachments = buffers.map((name) => constOf(ctx, name));
+    if ("drawBuffers" in ctx.gl) {
+        ctx.gl.drawBuffers(attachments);
+    }
+    else if (ctx.drawBuffersExt) {
+        ctx.drawBuffersExt.drawBuffersWEBGL(attachments);
+    }
+    else {
+        throw new Error("Multiple render targets are not supported in this context.");
+    }
+}
+export function readBuffer(ctxId, source) {
+    const ctx = getContext(ctxId, "readBuffer");
+    requireGL2(ctx, "readBuffer").readBuffer(constOf(ctx, source));
+}
+export function blitFramebuffer(ctxId, srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, masks, filter) {
+    const ctx = getContext(ctxId, "blitFramebuffer");
+    const mask = masks.reduce((acc, name) => acc | constOf(ctx, name), 0);
+    requireGL2(ctx, "blitFramebuffer").blitFramebuffer(srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, mask, constOf(ctx, filter));
+}
+// Compressed texture families and the extensions that provide them.
+const compressedFormatExtensions = [
+    ["s3tc", ["WEBGL_compressed_texture_s3tc", "WEBKIT_WEBGL_compressed_texture_s3tc"]],
+    ["s3tc_srgb", ["WEBGL_compressed_texture_s3tc_srgb"]],
+    ["rgtc", ["EXT_texture_compression_rgtc"]],
+    ["bptc", ["EXT_texture_compression_bptc"]],
+    ["etc", ["WEBGL_compressed_texture_etc"]],
+    ["etc1", ["WEBGL_compressed_texture_etc1"]],
+    ["astc", ["WEBGL_compressed_texture_astc"]],
+    ["pvrtc", ["WEBGL_compressed_texture_pvrtc", "WEBKIT_WEBGL_compressed_texture_pvrtc"]]
+];
+/**
+ * Describes the context createContext made: its version, the attributes the browser granted
+ * (antialias may be refused), the main limits, supported extensions and compressed texture
+ * families (s3tc, s3tc_srgb, rgtc, bptc, etc, etc1, astc, pvrtc).
+ */
+export function getCapabilities(ctxId) {
+    const ctx = getContext(ctxId, "getCapabilities");
+    const gl = ctx.gl;
+    const isGL2 = "createVertexArray" in gl;
+    const extensions = gl.getSupportedExtensions() ?? [];
+    const param = (pname) => gl.getParameter(pname);
+    return {
+        version: isGL2 ? 2 : 1,
+        attributes: gl.getContextAttributes(),
+        maxTextureSize: param(gl.MAX_TEXTURE_SIZE),
+        maxCubeMapTextureSize: param(gl.MAX_CUBE_MAP_TEXTURE_SIZE),
+        maxRenderbufferSize: param(gl.MAX_RENDERBUFFER_SIZE),
+        maxTextureUnits: param(gl.MAX_TEXTURE_IMAGE_UNITS),
+        maxCombinedTextureUnits: param(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS),
+        maxVertexAttribs: param(gl.MAX_VERTEX_ATTRIBS),
+        maxVertexUniformVectors: param(gl.MAX_VERTEX_UNIFORM_VECTORS),
+        maxFragmentUniformVectors: param(gl.MAX_FRAGMENT_UNIFORM_VECTORS),
+        maxSamples: isGL2 ? param(gl.MAX_SAMPLES) : 0,
+        extensions,
+        compressedFormats: compressedFormatExtensions
+            .filter(([, names]) => names.some((name) => extensions.includes(name)))
+            .map(([family]) => family)
+    };
+}
+/** Reports which render-target features this context can use, for choosing HDR/MRT/MSAA paths. */
+export function getRenderTargetSupport(ctxId) {
+    const ctx = getContext(ctxId, "getRenderTargetSupport");
+    const gl = ctx.gl;
+    const isGL2 = "createVertexArray" in gl;
+    const has = (name) => gl.getSupportedExtensions()?.includes(name) ?? false;
+    return {
+        drawBuffers: isGL2 || !!ctx.drawBuffersExt,
+        maxDrawBuffers: isGL2
+            ? gl.getParameter(gl.MAX_DRAW_BUFFERS)
+            : ctx.drawBuffersExt
+                ? gl.getParameter(ctx.drawBuffersExt.MAX_DRAW_BUFFERS_WEBGL)
+                : 1,
+        maxSamples: isGL2 ? gl.getParameter(gl.MAX_SAMPLES) : 0,
+        colorBufferFloat: isGL2 ? has("EXT_color_buffer_float") : has("WEBGL_color_buffer_float"),
+        colorBufferHalfFloat: (isGL2 && has("EXT_color_buffer_float")) || has("EXT_color_buffer_half_float"),
+        floatTextures: isGL2 || has("OES_texture_float"),
+        halfFloatTextures: isGL2 || has("OES_texture_half_float"),
+        floatLinearFiltering: has("OES_texture_float_linear"),
+        depthTextures: isGL2 || has("WEBGL_depth_texture"),
+        srgb: isGL2 || has("EXT_sRGB")
+    };
+}
 export function framebufferRenderbuffer(ctxId, target, attachment, renderbufferTarget, rbId) {
-    const ctx = getContext(ctxId);
-    ctx.gl.framebufferRenderbuffer(constOf(ctx, target), constOf(ctx, attachment), constOf(ctx, renderbufferTarget), renderbuffers.get(rbId) ?? null);
+    const ctx = getContext(ctxId, "framebufferRenderbuffer");
+    ctx.gl.framebufferRenderbuffer(constOf(ctx, target), constOf(ctx, attachment), constOf(ctx, renderbufferTarget), handleOf(ctx, "renderbuffers", rbId));
 }
 export function checkFramebufferStatus(ctxId, target) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "checkFramebufferStatus");
     return ctx.gl.checkFramebufferStatus(constOf(ctx, target));
 }
+// Client-side size of one pixel for a format/type pair, as used by readPixels and texImage uploads.
+function pixelSizeOf(ctx, format, type) {
+    const gl = ctx.gl;
+    let components;
+    switch (format) {
+        case gl.RGBA:
+        case gl.RGBA_INTEGER:
+            components = 4;
+            break;
+        case gl.RGB:
+        case gl.RGB_INTEGER:
+            components = 3;
+            break;
+        case gl.RG:
+        case gl.RG_INTEGER:
+        case gl.LUMINANCE_ALPHA:
+            components = 2;
+            break;
+        default:
+            components = 1;
+    }
+    const elementType = pixelElementType(ctx, type);
+    const elementSize = typedArrayTypes[elementType].BYTES_PER_ELEMENT;
+    // Packed types hold a whole pixel in one element.
+    const packedTypes = [
+        gl.UNSIGNED_SHORT_5_6_5,
+        gl.UNSIGNED_SHORT_4_4_4_4,
+        gl.UNSIGNED_SHORT_5_5_5_1,
+        gl.UNSIGNED_INT_2_10_10_10_REV,
+        gl.UNSIGNED_INT_10F_11F_11F_REV,
+        gl.UNSIGNED_INT_5_9_9_9_REV,
+        ctx.consts.UnsignedInt248
+    ];
+    const pixelSize = packedTypes.includes(type) ? elementSize : components * elementSize;
+    return { elementType, elementSize, pixelSize };
+}
+function readbackSize(ctx, width, height, format, type) {
+    const gl = ctx.gl;
+    const { elementType, elementSize, pixelSize } = pixelSizeOf(ctx, format, type);
+    const alignment = gl.getParameter(gl.PACK_ALIGNMENT);
+    const rowStride = Math.ceil((width * pixelSize) / alignment) * alignment;
+    const byteLength = height > 0 ? rowStride * (height - 1) + width * pixelSize : 0;
+    return { elementType, elementSize, byteLength };
+}
+/**
+ * Reads a rectangle from the bound read framebuffer (RGBA8, float or integer formats). The
+ * result is always the raw bytes, so .NET receives a byte[] without per-element marshalling.
+ */
+export function readPixels(ctxId, x, y, width, height, format, type) {
+    const ctx = getContext(ctxId, "readPixels");
+    const fmt = constOf(ctx, format);
+    const typ = constOf(ctx, type);
+    const { elementType, elementSize, byteLength } = readbackSize(ctx, width, height, fmt, typ);
+    const bytes = new Uint8Array(Math.ceil(byteLength / elementSize) * elementSize);
+    const Type = typedArrayTypes[elementType];
+    ctx.gl.readPixels(x, y, width, height, fmt, typ, new Type(bytes.buffer, 0, bytes.byteLength / elementSize));
+    return bytes;
+}
+/**
+ * WebGL2: reads into a pixel-pack buffer and resolves once a fence shows the GPU has written it,
+ * so the readback does not stall the pipeline. WebGL1 falls back to a synchronous readPixels.
+ */
+export function readPixelsAsync(ctxId, x, y, width, height, format, type) {
+    const ctx = getContext(ctxId, "readPixelsAsync");
+    if (!("fenceSync" in ctx.gl))
+        return Promise.resolve(readPixels(ctxId, x, y, width, height, format, type));
+    const gl = ctx.gl;
+    const fmt = constOf(ctx, format);
+    const typ = constOf(ctx, type);
+    const { elementSize, byteLength } = readbackSize(ctx, width, height, fmt, typ);
+    const size = Math.ceil(byteLength / elementSize) * elementSize;
+    const pbo = gl.createBuffer();
+    const previous = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pbo);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, size, gl.STREAM_READ);
+    gl.readPixels(x, y, width, height, fmt, typ, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, previous);
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+    const cleanup = () => {
+        gl.deleteSync(sync);
+        gl.deleteBuffer(pbo);
+    };
+    return new Promise((resolve, reject) => {
+        const read = { sync, pbo, timer: null, reject };
+        ctx.pendingReads.add(read);
+        const poll = () => {
+            read.timer = null;
+            enterExport(ctx, "readPixelsAsync");
+            if (ctx.lost) {
+                ctx.pendingReads.delete(read);
+                reject(new Error("WebGL context was lost during an asynchronous readPixels."));
+                return;
+            }
+            try {
+                const status = gl.clientWaitSync(sync, 0, 0);
+                if (status === gl.TIMEOUT_EXPIRED) {
+                    read.timer = setTimeout(poll, 1);
+                    return;
+                }
+                ctx.pendingReads.delete(read);
+                if (status === gl.WAIT_FAILED) {
+                    cleanup();
+                    reject(new Error("clientWaitSync failed during an asynchronous readPixels."));
+                }
+                else {
+                    const bytes = new Uint8Array(size);
+                    const current = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+                    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pbo);
+                    try {
+                        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, bytes);
+                    }
+                    finally {
+                        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, current);
+                    }
+                    cleanup();
+                    resolve(bytes);
+                }
+            }
+            catch (err) {
+                // A debug context throws on GL errors; from a timer that would escape and leave the read pending.
+                ctx.pendingReads.delete(read);
+                if (!ctx.lost)
+                    cleanup();
+                reject(err);
+            }
+        };
+        poll();
+    });
+}
+/**
+ * Color-ID picking. Reads the RGBA8 pixels around a canvas (CSS pixel, top-left origin) position
+ * from the given framebuffer, which must match the drawing-buffer size, and decodes
+ * id = r | g << 8 | b << 16, with 0 meaning background. With a radius, the id nearest the centre
+ * within the square region wins. The previous framebuffer binding is restored.
+ */
+export function pickObjectId(ctxId, framebufferId, cssX, cssY, radius) {
+    const ctx = getContext(ctxId, "pickObjectId");
+    const gl = ctx.gl;
+    const canvas = ctx.canvas;
+    const bufferWidth = gl.drawingBufferWidth;
+    const bufferHeight = gl.drawingBufferHeight;
+    const scaleX = canvas.clientWidth > 0 ? bufferWidth / canvas.clientWidth : 1;
+    const scaleY = canvas.clientHeight > 0 ? bufferHeight / canvas.clientHeight : 1;
+    const px = Math.floor(cssX * scaleX);
+    const py = bufferHeight - 1 - Math.floor(cssY * scaleY);
+    if (px < 0 || py < 0 || px >= bufferWidth || py >= bufferHeight)
+        return 0;
+    const r = Math.max(0, Math.floor(radius));
+    const x0 = Math.max(0, px - r);
+    const y0 = Math.max(0, py - r);
+    const x1 = Math.min(bufferWidth - 1, px + r);
+    const y1 = Math.min(bufferHeight - 1, py + r);
+    const w = x1 - x0 + 1;
+    const h = y1 - y0 + 1;
+    const fbBinding = "READ_FRAMEBUFFER" in gl ? gl.READ_FRAMEBUFFER : gl.FRAMEBUFFER;
+    const previous = gl.getParameter("READ_FRAMEBUFFER_BINDING" in gl ? gl.READ_FRAMEBUFFER_BINDING : gl.FRAMEBUFFER_BINDING);
+    const pixels = new Uint8Array(w * h * 4);
+    gl.bindFramebuffer(fbBinding, handleOf(ctx, "framebuffers", framebufferId));
+    try {
+        gl.readPixels(x0, y0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
+    finally {
+        gl.bindFramebuffer(fbBinding, previous);
+    }
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let row = 0; row < h; row++) {
+        for (let col = 0; col < w; col++) {
+            const i = (row * w + col) * 4;
+            const id = pixels[i] | (pixels[i + 1] << 8) | (pixels[i + 2] << 16);
+            if (id === 0)
+                continue;
+            const dx = x0 + col - px;
+            const dy = y0 + row - py;
+            const distance = dx * dx + dy * dy;
+            if (distance < bestDistance) {
+                best = id;
+                bestDistance = distance;
+            }
+        }
+    }
+    return best;
+}
 export function deleteTexture(ctxId, texId) {
-    const ctx = getContext(ctxId);
-    const tex = textures.get(texId);
-    if (tex)
+    const ctx = getContext(ctxId, "deleteTexture");
+    detachVideo(ctx, texId);
+    const tex = untrack(ctx, "textures", texId);
+    if (tex) {
+        ctx.memory.textures.delete(tex);
+        forgetCachedObject(ctx, tex);
         ctx.gl.deleteTexture(tex);
-    textures.delete(texId);
+    }
 }
 export function deleteFramebuffer(ctxId, fbId) {
-    const ctx = getContext(ctxId);
-    const fb = framebuffers.get(fbId);
+    const ctx = getContext(ctxId, "deleteFramebuffer");
+    const fb = untrack(ctx, "framebuffers", fbId);
     if (fb)
         ctx.gl.deleteFramebuffer(fb);
-    framebuffers.delete(fbId);
 }
 export function deleteRenderbuffer(ctxId, rbId) {
-    const ctx = getContext(ctxId);
-    const rb = renderbuffers.get(rbId);
+    const ctx = getContext(ctxId, "deleteRenderbuffer");
+    const rb = untrack(ctx, "renderbuffers", rbId);
     if (rb)
         ctx.gl.deleteRenderbuffer(rb);
-    renderbuffers.delete(rbId);
 }
 export function deleteBuffer(ctxId, bufferId) {
-    const ctx = getContext(ctxId);
-    const buffer = buffers.get(bufferId);
-    if (buffer)
+    const ctx = getContext(ctxId, "deleteBuffer");
+    const buffer = untrack(ctx, "buffers", bufferId);
+    if (buffer) {
+        ctx.memory.buffers.delete(buffer);
+        forgetCachedObject(ctx, buffer);
         ctx.gl.deleteBuffer(buffer);
-    buffers.delete(bufferId);
+    }
 }
 export function deleteVertexArray(ctxId, vaoId) {
-    const ctx = getContext(ctxId);
-    const vao = vaos.get(vaoId);
+    const ctx = getContext(ctxId, "deleteVertexArray");
+    const vao = untrack(ctx, "vaos", vaoId);
+    if (vao)
+        forgetCachedObject(ctx, vao);
     if ("deleteVertexArray" in ctx.gl) {
         ctx.gl.deleteVertexArray(vao ?? null);
     }
     else {
         ctx.vaoExt?.deleteVertexArrayOES(vao ?? null);
     }
-    vaos.delete(vaoId);
 }
 export function activeTexture(ctxId, unitIndex) {
-    const ctx = getContext(ctxId);
-    const base = constOf(ctx, "Texture0");
-    ctx.gl.activeTexture(base + unitIndex);
+    const ctx = getContext(ctxId, "activeTexture");
+    setActiveTexture(ctx, unitIndex);
+}
+// Resolves an index type for an element draw. Without 32-bit index support WebGL would reject the
+// draw with INVALID_ENUM, which is easy to miss; this names the missing extension instead.
+function indexTypeOf(ctx, type) {
+    const value = typeof type === "number" ? type : constOf(ctx, type);
+    if (value === ctx.gl.UNSIGNED_INT && !ctx.uintIndices) {
+        throw new Error("32-bit indices need WebGL2 or OES_element_index_uint, which this context lacks; use UnsignedShort indices.");
+    }
+    return value;
 }
-export function drawElements(ctxId, mode, count, type, offset) {
-    const ctx = getContext(ctxId);
-    ctx.gl.drawElements(constOf(ctx, mode), count, constOf(ctx, type), offset);
+function drawArraysInstancedImpl(ctx, mode, first, count, instanceCount) {
+    const gl = ctx.gl;
+    if ("drawArraysInstanced" in gl) {
+        gl.drawArraysInstanced(mode, first, count, instanceCount);
+    }
+    else if (ctx.instancingExt) {
+        ctx.instancingExt.drawArraysInstancedANGLE(mode, first, count, instanceCount);
+    }
+    else {
+        throw new Error("Instanced rendering not supported in this context.");
+    }
+    countDraw(ctx, mode, count, instanceCount);
 }
-export function drawElementsInstanced(ctxId, mode, count, type, offset, instanceCount) {
-    const ctx = getContext(ctxId);
+function drawElementsInstancedImpl(ctx, mode, count, type, offset, instanceCount) {
     const gl = ctx.gl;
     if ("drawElementsInstanced" in gl) {
-        gl.drawElementsInstanced(constOf(ctx, mode), count, constOf(ctx, type), offset, instanceCount);
+        gl.drawElementsInstanced(mode, count, type, offset, instanceCount);
     }
     else if (ctx.instancingExt) {
-        ctx.instancingExt.drawElementsInstancedANGLE(constOf(ctx, mode), count, constOf(ctx, type), offset, instanceCount);
+        ctx.instancingExt.drawElementsInstancedANGLE(mode, count, type, offset, instanceCount);
     }
     else {
         throw new Error("Instanced rendering not supported in this context.");
     }
+    countDraw(ctx, mode, count, instanceCount);
+}
+function drawRangeElementsImpl(ctx, mode, start, end, count, type, offset) {
+    const gl = ctx.gl;
+    if ("drawRangeElements" in gl) {
+        gl.drawRangeElements(mode, start, end, count, type, offset);
+    }
+    else {
+        gl.drawElements(mode, count, type, offset);
+    }
+    countDraw(ctx, mode, count, 1);
+}
+export function drawElements(ctxId, mode, count, type, offset) {
+    const ctx = getContext(ctxId, "drawElements");
+    const modeEnum = constOf(ctx, mode);
+    ctx.gl.drawElements(modeEnum, count, indexTypeOf(ctx, type), offset);
+    countDraw(ctx, modeEnum, count, 1);
+}
+export function drawElementsInstanced(ctxId, mode, count, type, offset, instanceCount) {
+    const ctx = getContext(ctxId, "drawElementsInstanced");
+    drawElementsInstancedImpl(ctx, constOf(ctx, mode), count, indexTypeOf(ctx, type), offset, instanceCount);
 }
 export function drawArrays(ctxId, mode, first, count) {
-    const ctx = getContext(ctxId);
-    ctx.gl.drawArrays(constOf(ctx, mode), first, count);
+    const ctx = getContext(ctxId, "drawArrays");
+    const modeEnum = constOf(ctx, mode);
+    ctx.gl.drawArrays(modeEnum, first, count);
+    countDraw(ctx, modeEnum, count, 1);
+}
+export function drawArraysInstanced(ctxId, mode, first, count, instanceCount) {
+    const ctx = getContext(ctxId, "drawArraysInstanced");
+    drawArraysInstancedImpl(ctx, constOf(ctx, mode), first, count, instanceCount);
+}
+/**
+ * drawElements with the range of index values the draw uses, so WebGL2 can skip validating the
+ * index buffer. On WebGL1 the range is only a hint and a plain drawElements is issued.
+ */
+export function drawRangeElements(ctxId, mode, start, end, count, type, offset) {
+    const ctx = getContext(ctxId, "drawRangeElements");
+    drawRangeElementsImpl(ctx, constOf(ctx, mode), start, end, count, indexTypeOf(ctx, type), offset);
+}
+// Multi-draw: one WEBGL_multi_draw call for a list of draws sharing a mode (and index type), or a
+// loop of single draws where the extension is missing. Stats count every draw in the list.
+function multiDrawArgs(name, lists) {
+    const entries = Object.entries(lists);
+    const drawCount = entries[0][1].length;
+    for (const [list, values] of entries) {
+        if (values.length !== drawCount) {
+            throw new Error(`${name}: ${list} has ${values.length} entries but ${entries[0][0]} has ${drawCount}`);
+        }
+    }
+    return entries.map(([, values]) => (values instanceof Int32Array ? values : Int32Array.from(values)));
+}
+export function multiDrawArrays(ctxId, mode, firsts, counts) {
+    const ctx = getContext(ctxId, "multiDrawArrays");
+    const modeEnum = constOf(ctx, mode);
+    const [first, count] = multiDrawArgs("multiDrawArrays", { firsts, counts });
+    if (ctx.multiDrawExt) {
+        ctx.multiDrawExt.multiDrawArraysWEBGL(modeEnum, first, 0, count, 0, count.length);
+    }
+    else {
+        for (let i = 0; i < count.length; i++)
+            ctx.gl.drawArrays(modeEnum, first[i], count[i]);
+    }
+    for (let i = 0; i < count.length; i++)
+        countDraw(ctx, modeEnum, count[i], 1);
+}
+export function multiDrawArraysInstanced(ctxId, mode, firsts, counts, instanceCounts) {
+    const ctx = getContext(ctxId, "multiDrawArraysInstanced");
+    const modeEnum = constOf(ctx, mode);
+    const [first, count, instances] = multiDrawArgs("multiDrawArraysInstanced", { firsts, counts, instanceCounts });
+    if (ctx.multiDrawExt) {
+        ctx.multiDrawExt.multiDrawArraysInstancedWEBGL(modeEnum, first, 0, count, 0, instances, 0, count.length);
+        for (let i = 0; i < count.length; i++)
+            countDraw(ctx, modeEnum, count[i], instances[i]);
+    }
+    else {
+        for (let i = 0; i < count.length; i++)
+            drawArraysInstancedImpl(ctx, modeEnum, first[i], count[i], instances[i]);
+    }
+}
+/** Offsets are byte offsets into the bound element array buffer, as in drawElements. */
+export function multiDrawElements(ctxId, mode, counts, type, offsets) {
+    const ctx = getContext(ctxId, "multiDrawElements");
+    const modeEnum = constOf(ctx, mode);
+    const typeEnum = indexTypeOf(ctx, type);
+    const [count, offset] = multiDrawArgs("multiDrawElements", { counts, offsets });
+    if (ctx.multiDrawExt) {
+        ctx.multiDrawExt.multiDrawElementsWEBGL(modeEnum, count, 0, typeEnum, offset, 0, count.length);
+    }
+    else {
+        for (let i = 0; i < count.length; i++)
+            ctx.gl.drawElements(modeEnum, count[i], typeEnum, offset[i]);
+    }
+    for (let i = 0; i < count.length; i++)
+        countDraw(ctx, modeEnum, count[i], 1);
+}
+export function multiDrawElementsInstanced(ctxId, mode, counts, type, offsets, instanceCounts) {
+    const ctx = getContext(ctxId, "multiDrawElementsInstanced");
+    const modeEnum = constOf(ctx, mode);
+    const typeEnum = indexTypeOf(ctx, type);
+    const [count, offset, instances] = multiDrawArgs("multiDrawElementsInstanced", { counts, offsets, instanceCounts });
+    if (ctx.multiDrawExt) {
+        ctx.multiDrawExt.multiDrawElementsInstancedWEBGL(modeEnum, count, 0, typeEnum, offset, 0, instances, 0, count.length);
+        for (let i = 0; i < count.length; i++)
+            countDraw(ctx, modeEnum, count[i], instances[i]);
+    }
+    else {
+        for (let i = 0; i < count.length; i++)
+            drawElementsInstancedImpl(ctx, modeEnum, count[i], typeEnum, offset[i], instances[i]);
+    }
+}
+export function createTransformFeedback(ctxId) {
+    const ctx = getContext(ctxId, "createTransformFeedback");
+    const tf = requireGL2(ctx, "createTransformFeedback").createTransformFeedback();
+    return track(ctx, "transformFeedbacks", tf);
+}
+export function bindTransformFeedback(ctxId, target, tfId) {
+    const ctx = getContext(ctxId, "bindTransformFeedback");
+    requireGL2(ctx, "bindTransformFeedback").bindTransformFeedback(constOf(ctx, target), handleOf(ctx, "transformFeedbacks", tfId));
+}
+export function deleteTransformFeedback(ctxId, tfId) {
+    const ctx = getContext(ctxId, "deleteTransformFeedback");
+    const tf = untrack(ctx, "transformFeedbacks", tfId);
+    if (tf)
+        requireGL2(ctx, "deleteTransformFeedback").deleteTransformFeedback(tf);
+}
+export function beginTransformFeedback(ctxId, primitiveMode) {
+    const ctx = getContext(ctxId, "beginTransformFeedback");
+    requireGL2(ctx, "beginTransformFeedback").beginTransformFeedback(constOf(ctx, primitiveMode));
+}
+export function endTransformFeedback(ctxId) {
+    const ctx = getContext(ctxId, "endTransformFeedback");
+    requireGL2(ctx, "endTransformFeedback").endTransformFeedback();
+}
+export function pauseTransformFeedback(ctxId) {
+    const ctx = getContext(ctxId, "pauseTransformFeedback");
+    requireGL2(ctx, "pauseTransformFeedback").pauseTransformFeedback();
+}
+export function resumeTransformFeedback(ctxId) {
+    const ctx = getContext(ctxId, "resumeTransformFeedback");
+    requireGL2(ctx, "resumeTransformFeedback").resumeTransformFeedback();
+}
+// Primitive mode names indexed by GL enum; POINTS..TRIANGLE_FAN are 0..6 in every WebGL version.
+const primitiveModeNames = ["Points", "Lines", "LineLoop", "LineStrip", "Triangles", "TriangleStrip", "TriangleFan"];
+function createFrameStats() {
+    return {
+        drawCalls: 0,
+        instances: 0,
+        vertices: 0,
+        triangles: 0,
+        lines: 0,
+        points: 0,
+        primitivesByMode: {},
+        stateChanges: 0,
+        skippedStateChanges: 0
+    };
+}
+function createResourceMemory() {
+    return { buffers: new Map(), textures: new Map() };
+}
+function countStateChange(ctx) {
+    ctx.stats.stateChanges++;
+}
+function countDraw(ctx, mode, count, instances) {
+    const stats = ctx.stats;
+    const gl = ctx.gl;
+    let primitives;
+    switch (mode) {
+        case gl.TRIANGLES:
+            primitives = Math.floor(count / 3);
+            stats.triangles += primitives * instances;
+            break;
+        case gl.TRIANGLE_STRIP:
+        case gl.TRIANGLE_FAN:
+            primitives = Math.max(0, count - 2);
+            stats.triangles += primitives * instances;
+            break;
+        case gl.LINES:
+            primitives = Math.floor(count / 2);
+            stats.lines += primitives * instances;
+            break;
+        case gl.LINE_STRIP:
+            primitives = Math.max(0, count - 1);
+            stats.lines += primitives * instances;
+            break;
+        case gl.LINE_LOOP:
+            primitives = count > 1 ? count : 0;
+            stats.lines += primitives * instances;
+            break;
+        default:
+            primitives = count;
+            stats.points += primitives * instances;
+    }
+    const name = primitiveModeNames[mode] ?? String(mode);
+    stats.primitivesByMode[name] = (stats.primitivesByMode[name] ?? 0) + primitives * instances;
+    stats.drawCalls++;
+    stats.instances += instances;
+    stats.vertices += count * instances;
+}
+function boundBuffer(ctx, target) {
+    const gl = ctx.gl;
+    let binding;
+    switch (target) {
+        case gl.ARRAY_BUFFER:
+            binding = gl.ARRAY_BUFFER_BINDING;
+            break;
+        case gl.ELEMENT_ARRAY_BUFFER:
+            binding = gl.ELEMENT_ARRAY_BUFFER_BINDING;
+            break;
+        case gl.UNIFORM_BUFFER:
+            binding = gl.UNIFORM_BUFFER_BINDING;
+            break;
+        case gl.COPY_READ_BUFFER:
+            binding = gl.COPY_READ_BUFFER_BINDING;
+            break;
+        case gl.COPY_WRITE_BUFFER:
+            binding = gl.COPY_WRITE_BUFFER_BINDING;
+            break;
+        case gl.TRANSFORM_FEEDBACK_BUFFER:
+            binding = gl.TRANSFORM_FEEDBACK_BUFFER_BINDING;
+            break;
+        case gl.PIXEL_PACK_BUFFER:
+            binding = gl.PIXEL_PACK_BUFFER_BINDING;
+            break;
+        case gl.PIXEL_UNPACK_BUFFER:
+            binding = gl.PIXEL_UNPACK_BUFFER_BINDING;
+            break;
+        default:
+            return null;
+    }
+    return gl.getParameter(binding);
+}
+function boundTexture(ctx, target) {
+    const gl = ctx.gl;
+    switch (target) {
+        case gl.TEXTURE_2D:
+            return gl.getParameter(gl.TEXTURE_BINDING_2D);
+        case gl.TEXTURE_3D:
+            return gl.getParameter(gl.TEXTURE_BINDING_3D);
+        case gl.TEXTURE_2D_ARRAY:
+            return gl.getParameter(gl.TEXTURE_BINDING_2D_ARRAY);
+        default:
+            // TEXTURE_CUBE_MAP itself or one of its faces.
+            return gl.getParameter(gl.TEXTURE_BINDING_CUBE_MAP);
+    }
+}
+// Records the size of the buffer store bufferData just (re)allocated on target.
+function noteBufferStore(ctx, target, byteLength) {
+    const buffer = boundBuffer(ctx, target);
+    if (buffer)
+        ctx.memory.buffers.set(buffer, byteLength);
+}
+function textureLevels(ctx, texture) {
+    let levels = ctx.memory.textures.get(texture);
+    if (!levels) {
+        levels = new Map();
+        ctx.memory.textures.set(texture, levels);
+    }
+    return levels;
+}
+function texelBytesOf(ctx, internalFormat, format, type) {
+    return ctx.texelSizes.get(internalFormat) ?? pixelSizeOf(ctx, format, type).pixelSize;
+}
+// Records one image specified with texImage2D/texImage3D on the texture bound to target.
+function noteTextureImage(ctx, target, level, width, height, depth, texelBytes) {
+    const texture = boundTexture(ctx, target);
+    if (texture)
+        textureLevels(ctx, texture).set(`${target}:${level}`, { width, height, depth, texelBytes });
+}
+// Immutable storage replaces whatever the texture held: every level, and every face of a cube map.
+function noteTextureStorage(ctx, target, levels, internalFormat, width, height, depth) {
+    const gl = ctx.gl;
+    const texture = boundTexture(ctx, target);
+    if (!texture)
+        return;
+    const texelBytes = ctx.texelSizes.get(internalFormat) ?? 4;
+    const faces = target === gl.TEXTURE_CUBE_MAP ? 6 : 1;
+    const entries = new Map();
+    for (let face = 0; face < faces; face++) {
+        const faceTarget = faces === 6 ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + face : target;
+        for (let level = 0; level < levels; level++) {
+            entries.set(`${faceTarget}:${level}`, mipLevelSize(ctx, target, width, height, depth, level, texelBytes));
+        }
+    }
+    ctx.memory.textures.set(texture, entries);
+}
+// Records the chain generateMipmap derives from each base image of the texture bound to target.
+function noteMipmaps(ctx, target) {
+    const texture = boundTexture(ctx, target);
+    const levels = texture && ctx.memory.textures.get(texture);
+    if (!levels)
+        return;
+    for (const [key, base] of [...levels]) {
+        const [imageTarget, level] = key.split(":").map(Number);
+        if (level !== 0)
+            continue;
+        const count = Math.floor(Math.log2(Math.max(base.width, base.height, base.depth, 1))) + 1;
+        for (let mip = 1; mip < count; mip++) {
+            levels.set(`${imageTarget}:${mip}`, mipLevelSize(ctx, target, base.width, base.height, base.depth, mip, base.texelBytes));
+        }
+    }
+}
+function mipLevelSize(ctx, target, width, height, depth, level, texelBytes) {
+    // Array layers keep their count at every level; only 3D textures shrink in depth.
+    const is3D = target === ctx.gl.TEXTURE_3D;
+    return {
+        width: Math.max(1, width >> level),
+        height: Math.max(1, height >> level),
+        depth: is3D ? Math.max(1, depth >> level) : depth,
+        texelBytes
+    };
+}
+function requireTimerQueries(ctx) {
+    if (!ctx.timerQueryExt)
+        throw new Error("GPU timer queries require EXT_disjoint_timer_query_webgl2.");
+    return ctx.timerQueryExt;
+}
+export function createQuery(ctxId) {
+    const ctx = getContext(ctxId, "createQuery");
+    return track(ctx, "queries", requireGL2(ctx, "createQuery").createQuery());
+}
+export function deleteQuery(ctxId, queryId) {
+    const ctx = getContext(ctxId, "deleteQuery");
+    const query = untrack(ctx, "queries", queryId);
+    if (query)
+        requireGL2(ctx, "deleteQuery").deleteQuery(query);
+}
+/** Starts an occlusion (AnySamplesPassed, AnySamplesPassedConservative) or TimeElapsed query. */
+export function beginQuery(ctxId, target, queryId) {
+    const ctx = getContext(ctxId, "beginQuery");
+    requireGL2(ctx, "beginQuery").beginQuery(constOf(ctx, target), requireHandle(ctx, "queries", queryId));
+}
+export function endQuery(ctxId, target) {
+    const ctx = getContext(ctxId, "endQuery");
+    requireGL2(ctx, "endQuery").endQuery(constOf(ctx, target));
+}
+/**
+ * Polls a query without stalling. Results only become available on a later frame, so callers
+ * keep polling until available is true; occlusion results are 0 or 1, timer results nanoseconds.
+ */
+export function getQueryResult(ctxId, queryId) {
+    const ctx = getContext(ctxId, "getQueryResult");
+    const gl = requireGL2(ctx, "getQueryResult");
+    const query = requireHandle(ctx, "queries", queryId);
+    const available = !!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE);
+    return { available, result: available ? Number(gl.getQueryParameter(query, gl.QUERY_RESULT)) : 0 };
+}
+export function isTimerQuerySupported(ctxId) {
+    return !!getContext(ctxId, "isTimerQuerySupported").timerQueryExt;
+}
+/**
+ * Opens a labelled GPU timing scope. Only one TIME_ELAPSED query can be active at a time, so
+ * scopes cannot nest; results arrive a few frames later through collectTimerResults.
+ */
+export function beginTimerScope(ctxId, label) {
+    const ctx = getContext(ctxId, "beginTimerScope");
+    const ext = requireTimerQueries(ctx);
+    if (ctx.openTimer) {
+        throw new Error(`Timer scope '${label}' cannot start while '${ctx.openTimer.label}' is open; timer scopes do not nest`);
+    }
+    const gl = ctx.gl;
+    const query = gl.createQuery();
+    gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+    ctx.openTimer = { label, query };
+}
+export function endTimerScope(ctxId) {
+    const ctx = getContext(ctxId, "endTimerScope");
+    const ext = requireTimerQueries(ctx);
+    const scope = ctx.openTimer;
+    if (!scope)
+        throw new Error("endTimerScope called without an open timer scope");
+    ctx.gl.endQuery(ext.TIME_ELAPSED_EXT);
+    ctx.openTimer = null;
+    ctx.pendingTimers.push(scope);
+}
+/**
+ * Returns the scopes whose results have arrived, in submission order. When the GPU reports a
+ * disjoint event (clock change, context switch) the finished timings are meaningless and are dropped.
+ */
+export function collectTimerResults(ctxId) {
+    const ctx = getContext(ctxId, "collectTimerResults");
+    const ext = requireTimerQueries(ctx);
+    const gl = ctx.gl;
+    const finished = [];
+    // Queries complete in order, so the first unavailable one ends the ready prefix.
+    while (ctx.pendingTimers.length > 0 && gl.getQueryParameter(ctx.pendingTimers[0].query, gl.QUERY_RESULT_AVAILABLE)) {
+        finished.push(ctx.pendingTimers.shift());
+    }
+    const disjoint = !!gl.getParameter(ext.GPU_DISJOINT_EXT);
+    const results = disjoint
+        ? []
+        : finished.map((scope) => ({
+            label: scope.label,
+            milliseconds: Number(gl.getQueryParameter(scope.query, gl.QUERY_RESULT)) / 1e6
+        }));
+    for (const scope of finished)
+        gl.deleteQuery(scope.query);
+    return results;
+}
+/**
+ * Returns this frame's counters, the bytes allocated for buffers and textures (estimated from
+ * the sizes passed to bufferData/texImage/texStorage) and the number of live handles per type.
+ */
+export function getStats(ctxId) {
+    const ctx = getContext(ctxId, "getStats");
+    let bufferBytes = 0;
+    for (const size of ctx.memory.buffers.values())
+        bufferBytes += size;
+    let textureBytes = 0;
+    for (const levels of ctx.memory.textures.values()) {
+        for (const level of levels.values())
+            textureBytes += level.width * level.height * level.depth * level.texelBytes;
+    }
+    const handles = {};
+    for (const kind of Object.keys(ctx.resources))
+        handles[kind] = ctx.resources[kind].size;
+    return { ...ctx.stats, primitivesByMode: { ...ctx.stats.primitivesByMode }, bufferBytes, textureBytes, handles };
+}
+/** Clears the per-frame counters; allocation totals and handle counts are unaffected. */
+export function resetStats(ctxId) {
+    getContext(ctxId, "resetStats").stats = createFrameStats();
 }
 export function vertexAttribPointer(ctxId, index, size, type, normalized, stride, offset) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "vertexAttribPointer");
     ctx.gl.vertexAttribPointer(index, size, constOf(ctx, type), normalized, stride, offset);
 }
 export function vertexAttribDivisor(ctxId, index, divisor) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "vertexAttribDivisor");
     const gl = ctx.gl;
     if ("vertexAttribDivisor" in gl) {
         gl.vertexAttribDivisor(index, divisor);
@@ -318,112 +2661,1066 @@ export function vertexAttribDivisor(ctxId, index, divisor) {
     }
 }
 export function enableVertexAttribArray(ctxId, index) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "enableVertexAttribArray");
     ctx.gl.enableVertexAttribArray(index);
 }
 export function createShader(ctxId, type) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createShader");
     const shader = ctx.gl.createShader(constOf(ctx, type));
-    const id = handleSeq++;
-    if (shader)
-        shaders.set(id, shader);
-    return shader ? id : 0;
+    return track(ctx, "shaders", shader);
 }
 export function shaderSource(ctxId, shaderId, source) {
-    const ctx = getContext(ctxId);
-    ctx.gl.shaderSource(shaders.get(shaderId), source);
+    const ctx = getContext(ctxId, "shaderSource");
+    ctx.gl.shaderSource(handleOf(ctx, "shaders", shaderId), source);
 }
 export function compileShader(ctxId, shaderId) {
-    const ctx = getContext(ctxId);
-    ctx.gl.compileShader(shaders.get(shaderId));
+    const ctx = getContext(ctxId, "compileShader");
+    ctx.gl.compileShader(handleOf(ctx, "shaders", shaderId));
 }
 export function getShaderInfoLog(ctxId, shaderId) {
-    const ctx = getContext(ctxId);
-    return ctx.gl.getShaderInfoLog(shaders.get(shaderId)) ?? "";
+    const ctx = getContext(ctxId, "getShaderInfoLog");
+    return ctx.gl.getShaderInfoLog(handleOf(ctx, "shaders", shaderId)) ?? "";
 }
 export function createProgram(ctxId) {
-    const ctx = getContext(ctxId);
+    const ctx = getContext(ctxId, "createProgram");
     const program = ctx.gl.createProgram();
-    const id = handleSeq++;
-    if (program)
-        programs.set(id, program);
-    return program ? id : 0;
+    return track(ctx, "programs", program);
 }
 export function attachShader(ctxId, programId, shaderId) {
-    const ctx = getContext(ctxId);
-    ctx.gl.attachShader(programs.get(programId), shaders.get(shaderId));
+    const ctx = getContext(ctxId, "attachShader");
+    ctx.gl.attachShader(handleOf(ctx, "programs", programId), handleOf(ctx, "shaders", shaderId));
 }
 export function linkProgram(ctxId, programId) {
-    const ctx = getContext(ctxId);
-    ctx.gl.linkProgram(programs.get(programId));
+    const ctx = getContext(ctxId, "linkProgram");
+    ctx.gl.linkProgram(handleOf(ctx, "programs", programId));
 }
 export function getProgramInfoLog(ctxId, programId) {
-    const ctx = getContext(ctxId);
-    return ctx.gl.getProgramInfoLog(programs.get(programId)) ?? "";
+    const ctx = getContext(ctxId, "getProgramInfoLog");
+    return ctx.gl.getProgramInfoLog(handleOf(ctx, "programs", programId)) ?? "";
 }
 export function deleteShader(ctxId, shaderId) {
-    const ctx = getContext(ctxId);
-    const shader = shaders.get(shaderId);
+    const ctx = getContext(ctxId, "deleteShader");
+    const shader = untrack(ctx, "shaders", shaderId);
     if (shader)
         ctx.gl.deleteShader(shader);
-    shaders.delete(shaderId);
+}
+export function deleteProgram(ctxId, programId) {
+    const ctx = getContext(ctxId, "deleteProgram");
+    const program = untrack(ctx, "programs", programId);
+    if (program) {
+        forgetCachedObject(ctx, program);
+        ctx.gl.deleteProgram(program);
+    }
+    for (const locationId of ctx.programLocations.get(programId) ?? []) {
+        ctx.resources.uniformLocations.delete(locationId);
+    }
+    ctx.programLocations.delete(programId);
+}
+export function getUniformBlockIndex(ctxId, programId, name) {
+    const ctx = getContext(ctxId, "getUniformBlockIndex");
+    const gl = requireGL2(ctx, "getUniformBlockIndex");
+    const index = gl.getUniformBlockIndex(handleOf(ctx, "programs", programId), name);
+    return index === gl.INVALID_INDEX ? -1 : index;
+}
+export function uniformBlockBinding(ctxId, programId, blockIndex, binding) {
+    const ctx = getContext(ctxId, "uniformBlockBinding");
+    requireGL2(ctx, "uniformBlockBinding").uniformBlockBinding(handleOf(ctx, "programs", programId), blockIndex, binding);
+}
+export function transformFeedbackVaryings(ctxId, programId, varyings, bufferMode) {
+    const ctx = getContext(ctxId, "transformFeedbackVaryings");
+    requireGL2(ctx, "transformFeedbackVaryings").transformFeedbackVaryings(handleOf(ctx, "programs", programId), varyings, constOf(ctx, bufferMode));
 }
 export function useProgram(ctxId, programId) {
-    const ctx = getContext(ctxId);
-    ctx.gl.useProgram(programs.get(programId) ?? null);
+    const ctx = getContext(ctxId, "useProgram");
+    setProgram(ctx, handleOf(ctx, "programs", programId));
 }
 export function getProgramParameter(ctxId, programId, property) {
-    const ctx = getContext(ctxId);
-    return ctx.gl.getProgramParameter(programs.get(programId), constOf(ctx, property));
+    const ctx = getContext(ctxId, "getProgramParameter");
+    return ctx.gl.getProgramParameter(handleOf(ctx, "programs", programId), constOf(ctx, property));
 }
 export function getActiveUniform(ctxId, programId, index) {
-    const ctx = getContext(ctxId);
-    const info = ctx.gl.getActiveUniform(programs.get(programId), index);
+    const ctx = getContext(ctxId, "getActiveUniform");
+    const info = ctx.gl.getActiveUniform(handleOf(ctx, "programs", programId), index);
     return info
         ? { name: info.name, size: info.size, type: info.type }
         : { name: "", size: 0, type: 0 };
 }
 export function getUniformLocation(ctxId, programId, name) {
-    const ctx = getContext(ctxId);
-    const location = ctx.gl.getUniformLocation(programs.get(programId), name);
-    return location === null ? -1 : location;
+    const ctx = getContext(ctxId, "getUniformLocation");
+    return issueUniformLocation(ctx, programId, handleOf(ctx, "programs", programId), name);
+}
+function issueUniformLocation(ctx, programId, program, name) {
+    const location = ctx.gl.getUniformLocation(program, name);
+    let id;
+    if (location !== null) {
+        id = track(ctx, "uniformLocations", location);
+    }
+    else if (presetHandle) {
+        // The worker proxy has already returned this handle, so a missing uniform keeps it and it
+        // resolves to a null location, which is what -1 does.
+        id = presetHandle;
+        presetHandle = 0;
+        ctx.resources.uniformLocations.set(id, null);
+    }
+    else {
+        return -1;
+    }
+    const issued = ctx.programLocations.get(programId) ?? [];
+    issued.push(id);
+    ctx.programLocations.set(programId, issued);
+    return id;
 }
 export function getActiveAttrib(ctxId, programId, index) {
-    const ctx = getContext(ctxId);
-    const info = ctx.gl.getActiveAttrib(programs.get(programId), index);
+    const ctx = getContext(ctxId, "getActiveAttrib");
+    const info = ctx.gl.getActiveAttrib(handleOf(ctx, "programs", programId), index);
     return info
         ? { name: info.name, size: info.size, type: info.type }
         : { name: "", size: 0, type: 0 };
 }
 export function getAttribLocation(ctxId, programId, name) {
-    const ctx = getContext(ctxId);
-    return ctx.gl.getAttribLocation(programs.get(programId), name);
+    const ctx = getContext(ctxId, "getAttribLocation");
+    return ctx.gl.getAttribLocation(handleOf(ctx, "programs", programId), name);
+}
+const COMPLETION_STATUS_KHR = 0x91b1;
+// Every sampler uniform type, WebGL1 and WebGL2.
+const samplerTypes = new Set([
+    0x8b5e, 0x8b5f, 0x8b60, 0x8b62, 0x8dc1, 0x8dc4, 0x8dc5, 0x8dca, 0x8dcb, 0x8dcc, 0x8dcf, 0x8dd2, 0x8dd3, 0x8dd4, 0x8dd7
+]);
+// #defines go right after #version (which must stay the first directive), or at the top.
+function prepareSource(source, defines) {
+    const lines = source.split("\n");
+    const defineLines = Object.entries(defines ?? {}).map(([name, value]) => value === "" || value === true ? `#define ${name}` : `#define ${name} ${value === false ? 0 : value}`);
+    const versionIndex = lines.findIndex((line) => line.trim() !== "");
+    const hasVersion = versionIndex >= 0 && lines[versionIndex].trim().startsWith("#version");
+    const versionLine = hasVersion ? versionIndex + 1 : 0;
+    lines.splice(versionLine, 0, ...defineLines);
+    return { text: lines.join("\n"), versionLine, injectedLines: defineLines.length };
+}
+function mapSourceLine(prepared, line) {
+    if (line <= prepared.versionLine)
+        return line;
+    if (line <= prepared.versionLine + prepared.injectedLines)
+        return null;
+    return line - prepared.injectedLines;
+}
+// Understands the ANGLE/Mesa "ERROR: 0:12: message" form and the "0(12) : error C0000: message" form.
+function parseInfoLog(log, stage, prepared) {
+    const diagnostics = [];
+    for (const raw of log.split("\n")) {
+        const text = raw.replace(/\0/g, "").trim();
+        if (!text)
+            continue;
+        let match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i.exec(text);
+        let severity;
+        let line = null;
+        let message = text;
+        if (match) {
+            severity = match[1];
+            line = Number(match[2]);
+            message = match[3];
+        }
+        else if ((match = /^\d+\((\d+)\)\s*:\s*(error|warning)\s*(.*)$/i.exec(text))) {
+            line = Number(match[1]);
+            severity = match[2];
+            message = match[3];
+        }
+        else {
+            severity = /warning/i.test(text) ? "warning" : "error";
+        }
+        diagnostics.push({
+            stage,
+            line: line !== null && prepared ? mapSourceLine(prepared, line) : line,
+            severity: severity.toLowerCase() === "warning" ? "warning" : "error",
+            message
+        });
+    }
+    return diagnostics;
+}
+function beginProgram(ctx, vertexSource, fragmentSource, defines) {
+    const gl = ctx.gl;
+    const vs = prepareSource(vertexSource, defines);
+    const fs = prepareSource(fragmentSource, defines);
+    const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+    const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+    const program = gl.createProgram();
+    if (!vertexShader || !fragmentShader || !program)
+        throw new Error("Unable to create shader program objects.");
+    gl.shaderSource(vertexShader, vs.text);
+    gl.shaderSource(fragmentShader, fs.text);
+    gl.compileShader(vertexShader);
+    gl.compileShader(fragmentShader);
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    // Linking right away lets KHR_parallel_shader_compile overlap compile and link on the driver thread.
+    gl.linkProgram(program);
+    return { program, vertexShader, fragmentShader, vertexSource: vs, fragmentSource: fs };
+}
+function finishProgram(ctx, pending) {
+    const gl = ctx.gl;
+    const { program, vertexShader, fragmentShader } = pending;
+    const vertexCompiled = !!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS);
+    const fragmentCompiled = !!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS);
+    const linked = vertexCompiled && fragmentCompiled && !!gl.getProgramParameter(program, gl.LINK_STATUS);
+    const vertexLog = gl.getShaderInfoLog(vertexShader) ?? "";
+    const fragmentLog = gl.getShaderInfoLog(fragmentShader) ?? "";
+    const programLog = gl.getProgramInfoLog(program) ?? "";
+    const result = {
+        program: 0,
+        vertexCompiled,
+        fragmentCompiled,
+        linked,
+        diagnostics: [
+            ...parseInfoLog(vertexLog, "vertex", pending.vertexSource),
+            ...parseInfoLog(fragmentLog, "fragment", pending.fragmentSource),
+            ...parseInfoLog(programLog, "link", null)
+        ],
+        vertexLog,
+        fragmentLog,
+        programLog,
+        attributes: [],
+        uniforms: [],
+        uniformBlocks: [],
+        samplers: []
+    };
+    // The program keeps its attached shaders alive; the bridge never hands these shader objects out.
+    gl.detachShader(program, vertexShader);
+    gl.detachShader(program, fragmentShader);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    if (!linked) {
+        gl.deleteProgram(program);
+        return result;
+    }
+    result.program = track(ctx, "programs", program);
+    reflectProgram(ctx, result.program, program, result);
+    return result;
+}
+function reflectProgram(ctx, programId, program, result) {
+    const gl = ctx.gl;
+    const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attributeCount; i++) {
+        const info = gl.getActiveAttrib(program, i);
+        if (!info)
+            continue;
+        result.attributes.push({
+            name: info.name,
+            size: info.size,
+            type: info.type,
+            location: gl.getAttribLocation(program, info.name)
+        });
+    }
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    const indices = Array.from({ length: uniformCount }, (_, i) => i);
+    const gl2 = "getActiveUniforms" in gl ? gl : null;
+    const blockIndices = gl2 && uniformCount > 0 ? gl2.getActiveUniforms(program, indices, gl2.UNIFORM_BLOCK_INDEX) : [];
+    const offsets = gl2 && uniformCount > 0 ? gl2.getActiveUniforms(program, indices, gl2.UNIFORM_OFFSET) : [];
+    for (let i = 0; i < uniformCount; i++) {
+        const info = gl.getActiveUniform(program, i);
+        if (!info)
+            continue;
+        const blockIndex = blockIndices[i] ?? -1;
+        // Block members have no location; they are set through the block's buffer.
+        const location = blockIndex >= 0 ? -1 : issueUniformLocation(ctx, programId, program, info.name);
+        const uniform = { name: info.name, size: info.size, type: info.type, location, blockIndex, offset: offsets[i] ?? -1 };
+        result.uniforms.push(uniform);
+        if (samplerTypes.has(info.type)) {
+            result.samplers.push({ name: info.name, size: info.size, type: info.type, location });
+        }
+    }
+    if (gl2) {
+        const blockCount = gl2.getProgramParameter(program, gl2.ACTIVE_UNIFORM_BLOCKS);
+        for (let i = 0; i < blockCount; i++) {
+            result.uniformBlocks.push({
+                name: gl2.getActiveUniformBlockName(program, i) ?? "",
+                index: i,
+                dataSize: gl2.getActiveUniformBlockParameter(program, i, gl2.UNIFORM_BLOCK_DATA_SIZE),
+                binding: gl2.getActiveUniformBlockParameter(program, i, gl2.UNIFORM_BLOCK_BINDING),
+                uniformIndices: Array.from(gl2.getActiveUniformBlockParameter(program, i, gl2.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES))
+            });
+        }
+    }
+}
+/**
+ * Compiles, links and reflects a program in one call. Defines are injected after #version and
+ * diagnostics are mapped back to the caller's line numbers. A failed build returns program 0
+ * with the logs and diagnostics filled in.
+ */
+export function createProgramFromSources(ctxId, vertexSource, fragmentSource, defines) {
+    const ctx = getContext(ctxId, "createProgramFromSources");
+    return finishProgram(ctx, beginProgram(ctx, vertexSource, fragmentSource, defines));
+}
+/**
+ * Same as createProgramFromSources, but with KHR_parallel_shader_compile the result is only
+ * collected once the driver reports completion, so compilation does not block the main thread.
+ */
+export function createProgramFromSourcesAsync(ctxId, vertexSource, fragmentSource, defines) {
+    const ctx = getContext(ctxId, "createProgramFromSourcesAsync");
+    const pending = beginProgram(ctx, vertexSource, fragmentSource, defines);
+    if (!ctx.parallelCompileExt)
+        return Promise.resolve(finishProgram(ctx, pending));
+    return new Promise((resolve, reject) => {
+        const build = { pending, timer: null, reject };
+        ctx.pendingBuilds.add(build);
+        const poll = () => {
+            build.timer = null;
+            // disposeContext has already rejected the build; the context must not be touched again.
+            if (contexts.get(ctxId) !== ctx)
+                return;
+            enterExport(ctx, "createProgramFromSourcesAsync");
+            try {
+                if (ctx.lost || ctx.gl.getProgramParameter(pending.program, COMPLETION_STATUS_KHR)) {
+                    ctx.pendingBuilds.delete(build);
+                    resolve(finishProgram(ctx, pending));
+                }
+                else {
+                    build.timer = setTimeout(poll, 4);
+                }
+            }
+            catch (err) {
+                ctx.pendingBuilds.delete(build);
+                reject(err);
+            }
+        };
+        poll();
+    });
 }
 export function uniform1i(ctxId, location, value) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniform1i(location, value);
+    const ctx = getContext(ctxId, "uniform1i");
+    ctx.gl.uniform1i(locationOf(ctx, location), value);
 }
 export function uniform1f(ctxId, location, value) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniform1f(location, value);
+    const ctx = getContext(ctxId, "uniform1f");
+    ctx.gl.uniform1f(locationOf(ctx, location), value);
 }
 export function uniform2f(ctxId, location, x, y) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniform2f(location, x, y);
+    const ctx = getContext(ctxId, "uniform2f");
+    ctx.gl.uniform2f(locationOf(ctx, location), x, y);
 }
 export function uniform3f(ctxId, location, x, y, z) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniform3f(location, x, y, z);
+    const ctx = getContext(ctxId, "uniform3f");
+    ctx.gl.uniform3f(locationOf(ctx, location), x, y, z);
 }
 export function uniform4f(ctxId, location, x, y, z, w) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniform4f(location, x, y, z, w);
+    const ctx = getContext(ctxId, "uniform4f");
+    ctx.gl.uniform4f(locationOf(ctx, location), x, y, z, w);
+}
+export function uniform1fv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform1fv");
+    ctx.gl.uniform1fv(locationOf(ctx, location), typedArrayOf(values, "Float32"));
+}
+export function uniform2fv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform2fv");
+    ctx.gl.uniform2fv(locationOf(ctx, location), typedArrayOf(values, "Float32"));
+}
+export function uniform3fv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform3fv");
+    ctx.gl.uniform3fv(locationOf(ctx, location), typedArrayOf(values, "Float32"));
+}
+export function uniform4fv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform4fv");
+    ctx.gl.uniform4fv(locationOf(ctx, location), typedArrayOf(values, "Float32"));
+}
+export function uniform1iv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform1iv");
+    ctx.gl.uniform1iv(locationOf(ctx, location), typedArrayOf(values, "Int32"));
+}
+export function uniform2iv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform2iv");
+    ctx.gl.uniform2iv(locationOf(ctx, location), typedArrayOf(values, "Int32"));
+}
+export function uniform3iv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform3iv");
+    ctx.gl.uniform3iv(locationOf(ctx, location), typedArrayOf(values, "Int32"));
+}
+export function uniform4iv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform4iv");
+    ctx.gl.uniform4iv(locationOf(ctx, location), typedArrayOf(values, "Int32"));
+}
+export function uniform1uiv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform1uiv");
+    requireGL2(ctx, "uniform1uiv").uniform1uiv(locationOf(ctx, location), typedArrayOf(values, "Uint32"));
+}
+export function uniform2uiv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform2uiv");
+    requireGL2(ctx, "uniform2uiv").uniform2uiv(locationOf(ctx, location), typedArrayOf(values, "Uint32"));
+}
+export function uniform3uiv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform3uiv");
+    requireGL2(ctx, "uniform3uiv").uniform3uiv(locationOf(ctx, location), typedArrayOf(values, "Uint32"));
+}
+export function uniform4uiv(ctxId, location, values) {
+    const ctx = getContext(ctxId, "uniform4uiv");
+    requireGL2(ctx, "uniform4uiv").uniform4uiv(locationOf(ctx, location), typedArrayOf(values, "Uint32"));
+}
+export function uniformMatrix2fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix2fv");
+    ctx.gl.uniformMatrix2fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix3fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix3fv");
+    ctx.gl.uniformMatrix3fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
 }
 export function uniformMatrix4fv(ctxId, location, transpose, values) {
-    const ctx = getContext(ctxId);
-    ctx.gl.uniformMatrix4fv(location, transpose, new Float32Array(values));
+    const ctx = getContext(ctxId, "uniformMatrix4fv");
+    ctx.gl.uniformMatrix4fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix2x3fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix2x3fv");
+    requireGL2(ctx, "uniformMatrix2x3fv").uniformMatrix2x3fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix2x4fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix2x4fv");
+    requireGL2(ctx, "uniformMatrix2x4fv").uniformMatrix2x4fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix3x2fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix3x2fv");
+    requireGL2(ctx, "uniformMatrix3x2fv").uniformMatrix3x2fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix3x4fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix3x4fv");
+    requireGL2(ctx, "uniformMatrix3x4fv").uniformMatrix3x4fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix4x2fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix4x2fv");
+    requireGL2(ctx, "uniformMatrix4x2fv").uniformMatrix4x2fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+export function uniformMatrix4x3fv(ctxId, location, transpose, values) {
+    const ctx = getContext(ctxId, "uniformMatrix4x3fv");
+    requireGL2(ctx, "uniformMatrix4x3fv").uniformMatrix4x3fv(locationOf(ctx, location), transpose, typedArrayOf(values, "Float32"));
+}
+// Keyed by the uniform type reported from getActiveUniform. Samplers and bools take ints.
+const uniformSetters = new Map();
+function defineUniformTypes(types, setter) {
+    for (const type of types)
+        uniformSetters.set(type, setter);
+}
+defineUniformTypes([0x1406], { components: 1, source: "float", apply: (gl, l, d) => gl.uniform1fv(l, d) });
+defineUniformTypes([0x8b50], { components: 2, source: "float", apply: (gl, l, d) => gl.uniform2fv(l, d) });
+defineUniformTypes([0x8b51], { components: 3, source: "float", apply: (gl, l, d) => gl.uniform3fv(l, d) });
+defineUniformTypes([0x8b52], { components: 4, source: "float", apply: (gl, l, d) => gl.uniform4fv(l, d) });
+defineUniformTypes(
+// INT, BOOL and every sampler type
+[0x1404, 0x8b56, 0x8b5e, 0x8b5f, 0x8b60, 0x8b62, 0x8dc1, 0x8dc4, 0x8dc5, 0x8dca, 0x8dcb, 0x8dcc, 0x8dcf, 0x8dd2, 0x8dd3, 0x8dd4, 0x8dd7], { components: 1, source: "int", apply: (gl, l, d) => gl.uniform1iv(l, d) });
+defineUniformTypes([0x8b53, 0x8b57], { components: 2, source: "int", apply: (gl, l, d) => gl.uniform2iv(l, d) });
+defineUniformTypes([0x8b54, 0x8b58], { components: 3, source: "int", apply: (gl, l, d) => gl.uniform3iv(l, d) });
+defineUniformTypes([0x8b55, 0x8b59], { components: 4, source: "int", apply: (gl, l, d) => gl.uniform4iv(l, d) });
+defineUniformTypes([0x1405], { components: 1, source: "uint", apply: (gl, l, d) => gl.uniform1uiv(l, d) });
+defineUniformTypes([0x8dc6], { components: 2, source: "uint", apply: (gl, l, d) => gl.uniform2uiv(l, d) });
+defineUniformTypes([0x8dc7], { components: 3, source: "uint", apply: (gl, l, d) => gl.uniform3uiv(l, d) });
+defineUniformTypes([0x8dc8], { components: 4, source: "uint", apply: (gl, l, d) => gl.uniform4uiv(l, d) });
+defineUniformTypes([0x8b5a], { components: 4, source: "float", apply: (gl, l, d) => gl.uniformMatrix2fv(l, false, d) });
+defineUniformTypes([0x8b5b], { components: 9, source: "float", apply: (gl, l, d) => gl.uniformMatrix3fv(l, false, d) });
+defineUniformTypes([0x8b5c], { components: 16, source: "float", apply: (gl, l, d) => gl.uniformMatrix4fv(l, false, d) });
+defineUniformTypes([0x8b65], { components: 6, source: "float", apply: (gl, l, d) => gl.uniformMatrix2x3fv(l, false, d) });
+defineUniformTypes([0x8b66], { components: 8, source: "float", apply: (gl, l, d) => gl.uniformMatrix2x4fv(l, false, d) });
+defineUniformTypes([0x8b67], { components: 6, source: "float", apply: (gl, l, d) => gl.uniformMatrix3x2fv(l, false, d) });
+defineUniformTypes([0x8b68], { components: 12, source: "float", apply: (gl, l, d) => gl.uniformMatrix3x4fv(l, false, d) });
+defineUniformTypes([0x8b69], { components: 8, source: "float", apply: (gl, l, d) => gl.uniformMatrix4x2fv(l, false, d) });
+defineUniformTypes([0x8b6a], { components: 12, source: "float", apply: (gl, l, d) => gl.uniformMatrix4x3fv(l, false, d) });
+/**
+ * Makes the program current and sets every uniform in the layout in one call. Entries consume
+ * type-size * array-size scalars, in layout order, from the float blob (float/vec/mat types) or
+ * the int blob (int/bool/sampler types, and uint types reinterpreted as unsigned). Entries with
+ * location -1 still consume their values so a layout can be reused when uniforms are optimised out.
+ */
+export function setUniforms(ctxId, programId, layout, floats, ints) {
+    const ctx = getContext(ctxId, "setUniforms");
+    const gl = ctx.gl;
+    setProgram(ctx, handleOf(ctx, "programs", programId));
+    const floatData = typedArrayOf(floats ?? [], "Float32");
+    const intData = typedArrayOf(ints ?? [], "Int32");
+    const uintData = new Uint32Array(intData.buffer, intData.byteOffset, intData.length);
+    let floatPos = 0;
+    let intPos = 0;
+    layout.forEach((entry, index) => {
+        const setter = uniformSetters.get(entry.type);
+        if (!setter)
+            throw new Error(`Uniform layout entry ${index} has unsupported type 0x${entry.type.toString(16)}`);
+        const count = setter.components * Math.max(1, entry.size);
+        const fromFloats = setter.source === "float";
+        const start = fromFloats ? floatPos : intPos;
+        const available = fromFloats ? floatData.length : intData.length;
+        if (start + count > available) {
+            throw new Error(`Uniform layout entry ${index} needs ${count} ${fromFloats ? "float" : "int"} values at offset ${start}, ` +
+                `but the blob only has ${available}`);
+        }
+        if (fromFloats)
+            floatPos += count;
+        else
+            intPos += count;
+        if (entry.location < 0)
+            return;
+        if (setter.source === "uint")
+            requireGL2(ctx, "Unsigned integer uniforms");
+        const source = setter.source === "float" ? floatData : setter.source === "int" ? intData : uintData;
+        setter.apply(gl, locationOf(ctx, entry.location), source.subarray(start, start + count));
+    });
 }
 export function depthMask(ctxId, flag) {
-    const ctx = getContext(ctxId);
-    ctx.gl.depthMask(flag);
+    const ctx = getContext(ctxId, "depthMask");
+    setDepthMask(ctx, flag);
+}
+// Batched command stream for submitCommands. Every command is a 32-bit opcode followed by a
+// fixed number of 32-bit little-endian words. Enum arguments are raw GL values (see getConstants),
+// handles are the ids returned by the create* exports, and float arguments are IEEE-754 singles.
+export const CommandOp = {
+    Enable: 1,
+    Disable: 2,
+    CullFace: 3,
+    FrontFace: 4,
+    BlendFunc: 5,
+    DepthMask: 6,
+    Viewport: 7,
+    ClearColor: 8,
+    Clear: 9,
+    UseProgram: 10,
+    BindVertexArray: 11,
+    BindBuffer: 12,
+    BindTexture: 13,
+    ActiveTexture: 14,
+    BindFramebuffer: 15,
+    Uniform1i: 16,
+    Uniform1f: 17,
+    Uniform2f: 18,
+    Uniform3f: 19,
+    Uniform4f: 20,
+    UniformMatrix4fv: 21,
+    VertexAttribPointer: 22,
+    EnableVertexAttribArray: 23,
+    VertexAttribDivisor: 24,
+    DrawArrays: 25,
+    DrawElements: 26,
+    DrawElementsInstanced: 27,
+    DrawArraysInstanced: 28,
+    DrawRangeElements: 29
+};
+// Argument word count per opcode, indexed by opcode.
+const commandArity = [];
+commandArity[CommandOp.Enable] = 1;
+commandArity[CommandOp.Disable] = 1;
+commandArity[CommandOp.CullFace] = 1;
+commandArity[CommandOp.FrontFace] = 1;
+commandArity[CommandOp.BlendFunc] = 2;
+commandArity[CommandOp.DepthMask] = 1;
+commandArity[CommandOp.Viewport] = 4;
+commandArity[CommandOp.ClearColor] = 4;
+commandArity[CommandOp.Clear] = 1;
+commandArity[CommandOp.UseProgram] = 1;
+commandArity[CommandOp.BindVertexArray] = 1;
+commandArity[CommandOp.BindBuffer] = 2;
+commandArity[CommandOp.BindTexture] = 2;
+commandArity[CommandOp.ActiveTexture] = 1;
+commandArity[CommandOp.BindFramebuffer] = 2;
+commandArity[CommandOp.Uniform1i] = 2;
+commandArity[CommandOp.Uniform1f] = 2;
+commandArity[CommandOp.Uniform2f] = 3;
+commandArity[CommandOp.Uniform3f] = 4;
+commandArity[CommandOp.Uniform4f] = 5;
+commandArity[CommandOp.UniformMatrix4fv] = 18;
+commandArity[CommandOp.VertexAttribPointer] = 6;
+commandArity[CommandOp.EnableVertexAttribArray] = 1;
+commandArity[CommandOp.VertexAttribDivisor] = 2;
+commandArity[CommandOp.DrawArrays] = 3;
+commandArity[CommandOp.DrawElements] = 4;
+commandArity[CommandOp.DrawElementsInstanced] = 5;
+commandArity[CommandOp.DrawArraysInstanced] = 4;
+commandArity[CommandOp.DrawRangeElements] = 6;
+/** Returns the symbolic-name to GL-enum table so callers can pre-resolve enums for submitCommands. */
+export function getConstants(ctxId) {
+    return { ...getContext(ctxId, "getConstants").consts };
+}
+/**
+ * Decodes and runs a packed command stream in order. A failing command is reported with its
+ * index and the rest of the stream still runs; a malformed stream (unknown opcode or truncated
+ * arguments) stops decoding because command boundaries can no longer be trusted.
+ */
+export function submitCommands(ctxId, buffer) {
+    const ctx = getContext(ctxId, "submitCommands");
+    let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes.byteOffset % 4 !== 0)
+        bytes = bytes.slice();
+    if (bytes.byteLength % 4 !== 0) {
+        throw new Error(`Command buffer length ${bytes.byteLength} is not a multiple of 4 bytes`);
+    }
+    const words = new Int32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    const floats = new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    const errors = [];
+    let pos = 0;
+    let index = 0;
+    while (pos < words.length) {
+        const op = words[pos];
+        const arity = commandArity[op];
+        if (arity === undefined) {
+            throw new Error(`Unknown command opcode ${op} at command ${index} (word ${pos})`);
+        }
+        if (pos + 1 + arity > words.length) {
+            throw new Error(`Command ${index} (opcode ${op}) is truncated: expected ${arity} argument words`);
+        }
+        try {
+            runCommand(ctx, op, words, floats, pos + 1);
+        }
+        catch (err) {
+            errors.push({ index, op, message: err instanceof Error ? err.message : String(err) });
+        }
+        pos += 1 + arity;
+        index++;
+    }
+    return errors;
+}
+/**
+ * submitCommands with the failed commands delivered through a promise, which the worker proxy
+ * can settle once the worker has run them. On the main thread it settles right away.
+ */
+export function submitCommandsAsync(ctxId, buffer) {
+    return new Promise((resolve) => resolve(submitCommands(ctxId, buffer)));
+}
+function runCommand(ctx, op, i, f, a) {
+    const gl = ctx.gl;
+    switch (op) {
+        case CommandOp.Enable:
+            setCapability(ctx, i[a], true);
+            break;
+        case CommandOp.Disable:
+            setCapability(ctx, i[a], false);
+            break;
+        case CommandOp.CullFace:
+            setCullFace(ctx, i[a]);
+            break;
+        case CommandOp.FrontFace:
+            setFrontFace(ctx, i[a]);
+            break;
+        case CommandOp.BlendFunc:
+            setBlendFunc(ctx, i[a], i[a + 1]);
+            break;
+        case CommandOp.DepthMask:
+            setDepthMask(ctx, i[a] !== 0);
+            break;
+        case CommandOp.Viewport:
+            setViewport(ctx, i[a], i[a + 1], i[a + 2], i[a + 3]);
+            break;
+        case CommandOp.ClearColor:
+            gl.clearColor(f[a], f[a + 1], f[a + 2], f[a + 3]);
+            countStateChange(ctx);
+            break;
+        case CommandOp.Clear:
+            gl.clear(i[a]);
+            break;
+        case CommandOp.UseProgram:
+            setProgram(ctx, i[a] === 0 ? null : requireHandle(ctx, "programs", i[a]));
+            break;
+        case CommandOp.BindVertexArray:
+            setVertexArray(ctx, i[a] === 0 ? null : requireHandle(ctx, "vaos", i[a]));
+            break;
+        case CommandOp.BindBuffer:
+            setBuffer(ctx, i[a], i[a + 1] === 0 ? null : requireHandle(ctx, "buffers", i[a + 1]));
+            break;
+        case CommandOp.BindTexture:
+            setTexture(ctx, i[a], i[a + 1] === 0 ? null : requireHandle(ctx, "textures", i[a + 1]));
+            break;
+        case CommandOp.ActiveTexture:
+            setActiveTexture(ctx, i[a]);
+            break;
+        case CommandOp.BindFramebuffer:
+            gl.bindFramebuffer(i[a], i[a + 1] === 0 ? null : requireHandle(ctx, "framebuffers", i[a + 1]));
+            countStateChange(ctx);
+            break;
+        case CommandOp.Uniform1i:
+            gl.uniform1i(locationOf(ctx, i[a]), i[a + 1]);
+            break;
+        case CommandOp.Uniform1f:
+            gl.uniform1f(locationOf(ctx, i[a]), f[a + 1]);
+            break;
+        case CommandOp.Uniform2f:
+            gl.uniform2f(locationOf(ctx, i[a]), f[a + 1], f[a + 2]);
+            break;
+        case CommandOp.Uniform3f:
+            gl.uniform3f(locationOf(ctx, i[a]), f[a + 1], f[a + 2], f[a + 3]);
+            break;
+        case CommandOp.Uniform4f:
+            gl.uniform4f(locationOf(ctx, i[a]), f[a + 1], f[a + 2], f[a + 3], f[a + 4]);
+            break;
+        case CommandOp.UniformMatrix4fv:
+            gl.uniformMatrix4fv(locationOf(ctx, i[a]), i[a + 1] !== 0, f.subarray(a + 2, a + 18));
+            break;
+        case CommandOp.VertexAttribPointer:
+            gl.vertexAttribPointer(i[a], i[a + 1], i[a + 2], i[a + 3] !== 0, i[a + 4], i[a + 5]);
+            break;
+        case CommandOp.EnableVertexAttribArray:
+            gl.enableVertexAttribArray(i[a]);
+            break;
+        case CommandOp.VertexAttribDivisor:
+            if ("vertexAttribDivisor" in gl) {
+                gl.vertexAttribDivisor(i[a], i[a + 1]);
+            }
+            else if (ctx.instancingExt) {
+                ctx.instancingExt.vertexAttribDivisorANGLE(i[a], i[a + 1]);
+            }
+            break;
+        case CommandOp.DrawArrays:
+            gl.drawArrays(i[a], i[a + 1], i[a + 2]);
+            countDraw(ctx, i[a], i[a + 2], 1);
+            break;
+        case CommandOp.DrawElements:
+            gl.drawElements(i[a], i[a + 1], indexTypeOf(ctx, i[a + 2]), i[a + 3]);
+            countDraw(ctx, i[a], i[a + 1], 1);
+            break;
+        case CommandOp.DrawElementsInstanced:
+            drawElementsInstancedImpl(ctx, i[a], i[a + 1], indexTypeOf(ctx, i[a + 2]), i[a + 3], i[a + 4]);
+            break;
+        case CommandOp.DrawArraysInstanced:
+            drawArraysInstancedImpl(ctx, i[a], i[a + 1], i[a + 2], i[a + 3]);
+            break;
+        case CommandOp.DrawRangeElements:
+            drawRangeElementsImpl(ctx, i[a], i[a + 1], i[a + 2], i[a + 3], indexTypeOf(ctx, i[a + 4]), i[a + 5]);
+            break;
+    }
+}
+const CAPTURE_VERSION = 1;
+function isCapturedQuery(fn) {
+    if (fn === "getExtension" || fn === "getUniformLocation")
+        return false;
+    return /^(get|is)[A-Z]/.test(fn) || fn === "readPixels" || fn === "checkFramebufferStatus" || fn === "clientWaitSync";
+}
+/**
+ * Starts recording every GL call made on the context. Objects created before this point are
+ * recorded as external and replay as empty objects, so to capture uploads start recording before
+ * creating resources (or create the context with { capture: true }).
+ */
+export function startCapture(ctxId) {
+    const ctx = getContext(ctxId, "startCapture");
+    if (ctx.capture)
+        throw new Error(`A capture is already running on WebGL context ${ctxId}`);
+    const inner = ctx.gl;
+    ctx.capture = {
+        manifest: {
+            version: CAPTURE_VERSION,
+            webgl2: "createVertexArray" in inner,
+            width: inner.drawingBufferWidth,
+            height: inner.drawingBufferHeight,
+            frames: 0,
+            external: [],
+            calls: []
+        },
+        chunks: [],
+        byteLength: 0,
+        objectIds: new WeakMap(),
+        nextObject: 1,
+        inner
+    };
+    ctx.gl = captureContext(ctx, ctx.capture, inner);
+    // State set before the capture never reached the recorder, so nothing may be skipped as
+    // already set; otherwise a replay on a fresh context would miss it.
+    if (ctx.stateCache)
+        ctx.stateCache = createStateCache();
+    // Re-enable the extensions through the recorder so the capture requests them and extension
+    // entry points (OES_vertex_array_object, ...) are recorded too.
+    acquireExtensions(ctx);
+    ctx.consts = makeConstTable(ctx.gl);
+}
+/** Ends the current frame of the running capture; calls after this belong to the next frame. */
+export function markCaptureFrame(ctxId) {
+    const capture = getContext(ctxId, "markCaptureFrame").capture;
+    if (capture)
+        capture.manifest.frames++;
+}
+/** Stops recording and returns the capture as a JSON manifest plus the binary blob it refers to. */
+export function stopCapture(ctxId) {
+    const ctx = getContext(ctxId, "stopCapture");
+    const capture = ctx.capture;
+    if (!capture)
+        throw new Error(`No capture is running on WebGL context ${ctxId}`);
+    ctx.capture = null;
+    ctx.gl = capture.inner;
+    acquireExtensions(ctx);
+    const data = new Uint8Array(capture.byteLength);
+    let offset = 0;
+    for (const chunk of capture.chunks) {
+        data.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    // Calls after the last markCaptureFrame form one more, unfinished frame.
+    const calls = capture.manifest.calls;
+    const open = calls.length > 0 && calls[calls.length - 1].frame === capture.manifest.frames;
+    capture.manifest.frames += open ? 1 : 0;
+    return { manifest: JSON.stringify(capture.manifest), data };
+}
+function captureContext(ctx, capture, gl) {
+    const wrappers = new Map();
+    return new Proxy(gl, {
+        get(target, property) {
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== "function")
+                return value;
+            let wrapper = wrappers.get(property);
+            if (!wrapper) {
+                const fn = String(property);
+                wrapper = (...args) => {
+                    const result = value.apply(target, args);
+                    if (fn === "getExtension") {
+                        recordCall(capture, fn, args, null);
+                        return result ? captureExtension(capture, String(args[0]), result) : result;
+                    }
+                    if (!isCapturedQuery(fn))
+                        recordCall(capture, fn, args, result);
+                    return result;
+                };
+                wrappers.set(property, wrapper);
+            }
+            return wrapper;
+        }
+    });
+}
+// Extension objects carry their own entry points; calls on them are recorded as "NAME.method".
+function captureExtension(capture, name, ext) {
+    return new Proxy(ext, {
+        get(target, property) {
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== "function")
+                return value;
+            return (...args) => {
+                const result = value.apply(target, args);
+                recordCall(capture, `${name}.${String(property)}`, args, result);
+                return result;
+            };
+        }
+    });
+}
+function recordCall(capture, fn, args, result) {
+    const call = { fn, args: args.map((arg) => captureValue(capture, arg)), frame: capture.manifest.frames };
+    if (result !== null && typeof result === "object")
+        call.result = captureObjectId(capture, result, false);
+    capture.manifest.calls.push(call);
+}
+function captureValue(capture, value) {
+    if (value === undefined || value === null)
+        return null;
+    if (typeof value !== "object")
+        return value;
+    if (Array.isArray(value))
+        return value.map((item) => captureValue(capture, item));
+    if (value instanceof ArrayBuffer)
+        return captureBytes(capture, "Uint8Array", new Uint8Array(value));
+    if (ArrayBuffer.isView(value)) {
+        return captureBytes(capture, value.constructor.name, new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    }
+    if (isImageSource(value))
+        return captureImage(capture, value);
+    return { object: captureObjectId(capture, value, true) };
+}
+function captureBytes(capture, type, bytes) {
+    const offset = capture.byteLength;
+    // Keep every chunk 8-byte aligned so replay can view it as any typed array.
+    const padded = Math.ceil(bytes.byteLength / 8) * 8;
+    const chunk = new Uint8Array(padded);
+    chunk.set(bytes);
+    capture.chunks.push(chunk);
+    capture.byteLength += padded;
+    return { data: type, offset, length: bytes.byteLength };
+}
+function isImageSource(value) {
+    return ((typeof ImageData !== "undefined" && value instanceof ImageData) ||
+        (typeof ImageBitmap !== "undefined" && value instanceof ImageBitmap) ||
+        (typeof HTMLElement !== "undefined" && value instanceof HTMLElement) ||
+        (typeof OffscreenCanvas !== "undefined" && value instanceof OffscreenCanvas));
+}
+// DOM and bitmap sources are stored as RGBA8 pixels so the capture does not depend on URLs or elements.
+function captureImage(capture, source) {
+    let image;
+    if (source instanceof ImageData) {
+        image = source;
+    }
+    else {
+        const { width, height } = sourceSize(source);
+        const canvas = new OffscreenCanvas(Math.max(1, width), Math.max(1, height));
+        const context = canvas.getContext("2d");
+        context.drawImage(source, 0, 0);
+        image = context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    const bytes = new Uint8Array(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+    return { ...captureBytes(capture, "Uint8ClampedArray", bytes), width: image.width, height: image.height };
+}
+function captureObjectId(capture, object, asArgument) {
+    let id = capture.objectIds.get(object);
+    if (id !== undefined)
+        return id;
+    id = capture.nextObject++;
+    capture.objectIds.set(object, id);
+    // An object seen first as an argument was created before the capture started.
+    if (asArgument) {
+        const kind = object.constructor?.name ?? "Object";
+        const entry = { id, kind };
+        if (kind === "WebGLShader")
+            entry.shaderType = capture.inner.getShaderParameter(object, capture.inner.SHADER_TYPE);
+        capture.manifest.external.push(entry);
+    }
+    return id;
+}
+// Objects created while replaying are tracked in the context's tables so disposeContext frees them.
+const replayResourceKinds = {
+    createBuffer: "buffers",
+    createTexture: "textures",
+    createFramebuffer: "framebuffers",
+    createRenderbuffer: "renderbuffers",
+    createShader: "shaders",
+    createProgram: "programs",
+    createVertexArray: "vaos",
+    "OES_vertex_array_object.createVertexArrayOES": "vaos",
+    createTransformFeedback: "transformFeedbacks",
+    createQuery: "queries"
+};
+function createExternalObject(gl, entry) {
+    const gl2 = gl;
+    switch (entry.kind) {
+        case "WebGLBuffer":
+            return gl.createBuffer();
+        case "WebGLTexture":
+            return gl.createTexture();
+        case "WebGLFramebuffer":
+            return gl.createFramebuffer();
+        case "WebGLRenderbuffer":
+            return gl.createRenderbuffer();
+        case "WebGLProgram":
+            return gl.createProgram();
+        case "WebGLShader":
+            return gl.createShader(entry.shaderType ?? gl.VERTEX_SHADER);
+        case "WebGLVertexArrayObject":
+        case "WebGLVertexArrayObjectOES":
+            return "createVertexArray" in gl ? gl2.createVertexArray() : gl.getExtension("OES_vertex_array_object")?.createVertexArrayOES();
+        case "WebGLQuery":
+            return gl2.createQuery?.();
+        case "WebGLTransformFeedback":
+            return gl2.createTransformFeedback?.();
+        default:
+            // Uniform locations and syncs cannot be recreated without their original call.
+            return null;
+    }
+}
+function parseManifest(manifest) {
+    const parsed = typeof manifest === "string" ? JSON.parse(manifest) : manifest;
+    if (parsed.version !== CAPTURE_VERSION)
+        throw new Error(`Unsupported capture version ${parsed.version}`);
+    return parsed;
+}
+function replayValue(value, objects, data) {
+    if (value === null || typeof value !== "object")
+        return value;
+    if (Array.isArray(value))
+        return value.map((item) => replayValue(item, objects, data));
+    if ("object" in value)
+        return objects.get(value.object) ?? null;
+    const bytes = data.slice(value.offset, value.offset + value.length);
+    if (value.width !== undefined) {
+        const pixels = new Uint8ClampedArray(bytes.buffer);
+        return typeof ImageData !== "undefined"
+            ? new ImageData(pixels, value.width, value.height)
+            : { width: value.width, height: value.height, data: pixels };
+    }
+    const type = globalThis[value.data];
+    if (typeof type !== "function")
+        throw new Error(`Unknown captured array type ${value.data}`);
+    return new type(bytes.buffer, 0, value.length / type.BYTES_PER_ELEMENT);
+}
+/**
+ * Replays a capture against a context, normally a freshly created one. Calls run in order; a call
+ * that throws is reported and replay continues. untilCall stops before that call index so a frame
+ * can be inspected part way through; -1 replays everything.
+ */
+export function replayCapture(ctxId, manifest, data, untilCall = -1) {
+    const ctx = getContext(ctxId, "replayCapture");
+    const capture = parseManifest(manifest);
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data ?? new ArrayBuffer(0));
+    const gl = ctx.gl;
+    const objects = new Map();
+    const extensions = new Map();
+    const errors = [];
+    if (capture.webgl2 && !("createVertexArray" in gl)) {
+        throw new Error("This capture was recorded on a WebGL2 context and cannot be replayed on WebGL1.");
+    }
+    if (ctx.canvas.width !== capture.width || ctx.canvas.height !== capture.height) {
+        ctx.canvas.width = capture.width;
+        ctx.canvas.height = capture.height;
+    }
+    for (const entry of capture.external)
+        objects.set(entry.id, createExternalObject(gl, entry));
+    const end = untilCall < 0 ? capture.calls.length : Math.min(untilCall, capture.calls.length);
+    for (let index = 0; index < end; index++) {
+        const call = capture.calls[index];
+        try {
+            const args = call.args.map((arg) => replayValue(arg, objects, bytes));
+            const dot = call.fn.indexOf(".");
+            let result;
+            if (dot < 0) {
+                result = gl[call.fn](...args);
+                if (call.fn === "getExtension" && result)
+                    extensions.set(String(args[0]), result);
+            }
+            else {
+                const name = call.fn.slice(0, dot);
+                const ext = extensions.get(name) ?? gl.getExtension(name);
+                if (!ext)
+                    throw new Error(`Extension ${name} is not available`);
+                extensions.set(name, ext);
+                result = ext[call.fn.slice(dot + 1)](...args);
+            }
+            if (call.result !== undefined) {
+                objects.set(call.result, result);
+                const kind = replayResourceKinds[call.fn];
+                if (kind && result)
+                    track(ctx, kind, result);
+            }
+        }
+        catch (err) {
+            errors.push({ index, fn: call.fn, message: err instanceof Error ? err.message : String(err) });
+        }
+    }
+    // The replay changed state behind the cache's back.
+    if (ctx.stateCache)
+        ctx.stateCache = createStateCache();
+    return { calls: end, errors };
+}
+/**
+ * Formats a capture as text, one call per line, for diffing two captures. Uploaded data is shown
+ * by type, size and an FNV-1a hash of its bytes when the binary blob is given.
+ */
+export function dumpCapture(manifest, data = null) {
+    const capture = parseManifest(manifest);
+    const bytes = data ? (data instanceof Uint8Array ? data : new Uint8Array(data)) : null;
+    const lines = [
+        `# capture v${capture.version} ${capture.webgl2 ? "webgl2" : "webgl1"} ${capture.width}x${capture.height}, ` +
+            `${capture.frames} frame(s), ${capture.calls.length} call(s)`
+    ];
+    for (const entry of capture.external)
+        lines.push(`# external #${entry.id} ${entry.kind}`);
+    let frame = -1;
+    capture.calls.forEach((call, index) => {
+        if (call.frame !== frame) {
+            frame = call.frame;
+            lines.push(`-- frame ${frame}`);
+        }
+        const args = call.args.map((arg) => formatCapturedValue(arg, bytes)).join(", ");
+        lines.push(`${index}: ${call.fn}(${args})${call.result !== undefined ? ` -> #${call.result}` : ""}`);
+    });
+    return lines.join("\n");
+}
+function formatCapturedValue(value, data) {
+    if (value === null)
+        return "null";
+    if (typeof value === "string")
+        return JSON.stringify(value);
+    if (typeof value !== "object")
+        return String(value);
+    if (Array.isArray(value))
+        return `[${value.map((item) => formatCapturedValue(item, data)).join(", ")}]`;
+    if ("object" in value)
+        return `#${value.object}`;
+    const size = value.width !== undefined ? `${value.width}x${value.height}` : `${value.length} bytes`;
+    return data ? `${value.data}(${size}, ${fnv1a(data, value.offset, value.length)})` : `${value.data}(${size})`;
+}
+function fnv1a(data, offset, length) {
+    let hash = 0x811c9dc5;
+    for (let i = offset; i < offset + length; i++) {
+        hash ^= data[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
 }
@@ -0,0 +1,3837 @@
+// Headless WebGL1/WebGL2 contexts for running blazorgl.webgl.js without a browser or GPU. The mock
+// records every call, tracks object lifetimes, bindings and fixed-function state, and raises the
+// GL errors a browser would for common misuse. Nothing is rasterized: draws are validated and
+// logged, and a clear fills the bound framebuffer with a single color that readPixels returns.
+//
+//   const canvas = createMockCanvas(300, 150);
+//   const ctxId = createContext(canvas, { debug: true });
+//   // or, keeping a real canvas element:
+//   const ctxId = createContext(canvas, { contextFactory: (c, type) => createMockContext(c, type) });
+const webgl1Constants = {
+    DEPTH_BUFFER_BIT: 0x100,
+    STENCIL_BUFFER_BIT: 0x400,
+    COLOR_BUFFER_BIT: 0x4000,
+    POINTS: 0,
+    LINES: 1,
+    LINE_LOOP: 2,
+    LINE_STRIP: 3,
+    TRIANGLES: 4,
+    TRIANGLE_STRIP: 5,
+    TRIANGLE_FAN: 6,
+    ZERO: 0,
+    ONE: 1,
+    SRC_COLOR: 0x300,
+    ONE_MINUS_SRC_COLOR: 0x301,
+    SRC_ALPHA: 0x302,
+    ONE_MINUS_SRC_ALPHA: 0x303,
+    DST_ALPHA: 0x304,
+    ONE_MINUS_DST_ALPHA: 0x305,
+    DST_COLOR: 0x306,
+    ONE_MINUS_DST_COLOR: 0x307,
+    SRC_ALPHA_SATURATE: 0x308,
+    FUNC_ADD: 0x8006,
+    BLEND_EQUATION: 0x8009,
+    BLEND_EQUATION_RGB: 0x8009,
+    BLEND_EQUATION_ALPHA: 0x883d,
+    FUNC_SUBTRACT: 0x800a,
+    FUNC_REVERSE_SUBTRACT: 0x800b,
+    BLEND_DST_RGB: 0x80c8,
+    BLEND_SRC_RGB: 0x80c9,
+    BLEND_DST_ALPHA: 0x80ca,
+    BLEND_SRC_ALPHA: 0x80cb,
+    CONSTANT_COLOR: 0x8001,
+    ONE_MINUS_CONSTANT_COLOR: 0x8002,
+    CONSTANT_ALPHA: 0x8003,
+    ONE_MINUS_CONSTANT_ALPHA: 0x8004,
+    BLEND_COLOR: 0x8005,
+    ARRAY_BUFFER: 0x8892,
+    ELEMENT_ARRAY_BUFFER: 0x8893,
+    ARRAY_BUFFER_BINDING: 0x8894,
+    ELEMENT_ARRAY_BUFFER_BINDING: 0x8895,
+    STREAM_DRAW: 0x88e0,
+    STATIC_DRAW: 0x88e4,
+    DYNAMIC_DRAW: 0x88e8,
+    BUFFER_SIZE: 0x8764,
+    BUFFER_USAGE: 0x8765,
+    CURRENT_VERTEX_ATTRIB: 0x8626,
+    FRONT: 0x404,
+    BACK: 0x405,
+    FRONT_AND_BACK: 0x408,
+    CULL_FACE: 0xb44,
+    BLEND: 0xbe2,
+    DITHER: 0xbd0,
+    STENCIL_TEST: 0xb90,
+    DEPTH_TEST: 0xb71,
+    SCISSOR_TEST: 0xc11,
+    POLYGON_OFFSET_FILL: 0x8037,
+    SAMPLE_ALPHA_TO_COVERAGE: 0x809e,
+    SAMPLE_COVERAGE: 0x80a0,
+    NO_ERROR: 0,
+    INVALID_ENUM: 0x500,
+    INVALID_VALUE: 0x501,
+    INVALID_OPERATION: 0x502,
+    OUT_OF_MEMORY: 0x505,
+    CW: 0x900,
+    CCW: 0x901,
+    LINE_WIDTH: 0xb21,
+    ALIASED_POINT_SIZE_RANGE: 0x846d,
+    ALIASED_LINE_WIDTH_RANGE: 0x846e,
+    CULL_FACE_MODE: 0xb45,
+    FRONT_FACE: 0xb46,
+    DEPTH_RANGE: 0xb70,
+    DEPTH_WRITEMASK: 0xb72,
+    DEPTH_CLEAR_VALUE: 0xb73,
+    DEPTH_FUNC: 0xb74,
+    STENCIL_CLEAR_VALUE: 0xb91,
+    STENCIL_FUNC: 0xb92,
+    STENCIL_FAIL: 0xb94,
+    STENCIL_PASS_DEPTH_FAIL: 0xb95,
+    STENCIL_PASS_DEPTH_PASS: 0xb96,
+    STENCIL_REF: 0xb97,
+    STENCIL_VALUE_MASK: 0xb93,
+    STENCIL_WRITEMASK: 0xb98,
+    STENCIL_BACK_FUNC: 0x8800,
+    STENCIL_BACK_FAIL: 0x8801,
+    STENCIL_BACK_PASS_DEPTH_FAIL: 0x8802,
+    STENCIL_BACK_PASS_DEPTH_PASS: 0x8803,
+    STENCIL_BACK_REF: 0x8ca3,
+    STENCIL_BACK_VALUE_MASK: 0x8ca4,
+    STENCIL_BACK_WRITEMASK: 0x8ca5,
+    VIEWPORT: 0xba2,
+    SCISSOR_BOX: 0xc10,
+    COLOR_CLEAR_VALUE: 0xc22,
+    COLOR_WRITEMASK: 0xc23,
+    UNPACK_ALIGNMENT: 0xcf5,
+    PACK_ALIGNMENT: 0xd05,
+    MAX_TEXTURE_SIZE: 0xd33,
+    MAX_VIEWPORT_DIMS: 0xd3a,
+    SUBPIXEL_BITS: 0xd50,
+    POLYGON_OFFSET_UNITS: 0x2a00,
+    POLYGON_OFFSET_FACTOR: 0x8038,
+    TEXTURE_BINDING_2D: 0x8069,
+    SAMPLE_BUFFERS: 0x80a8,
+    SAMPLES: 0x80a9,
+    DONT_CARE: 0x1100,
+    FASTEST: 0x1101,
+    NICEST: 0x1102,
+    GENERATE_MIPMAP_HINT: 0x8192,
+    BYTE: 0x1400,
+    UNSIGNED_BYTE: 0x1401,
+    SHORT: 0x1402,
+    UNSIGNED_SHORT: 0x1403,
+    INT: 0x1404,
+    UNSIGNED_INT: 0x1405,
+    FLOAT: 0x1406,
+    DEPTH_COMPONENT: 0x1902,
+    ALPHA: 0x1906,
+    RGB: 0x1907,
+    RGBA: 0x1908,
+    LUMINANCE: 0x1909,
+    LUMINANCE_ALPHA: 0x190a,
+    UNSIGNED_SHORT_4_4_4_4: 0x8033,
+    UNSIGNED_SHORT_5_5_5_1: 0x8034,
+    UNSIGNED_SHORT_5_6_5: 0x8363,
+    FRAGMENT_SHADER: 0x8b30,
+    VERTEX_SHADER: 0x8b31,
+    MAX_VERTEX_ATTRIBS: 0x8869,
+    MAX_VERTEX_UNIFORM_VECTORS: 0x8dfb,
+    MAX_VARYING_VECTORS: 0x8dfc,
+    MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8b4d,
+    MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8b4c,
+    MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+    MAX_FRAGMENT_UNIFORM_VECTORS: 0x8dfd,
+    SHADER_TYPE: 0x8b4f,
+    DELETE_STATUS: 0x8b80,
+    LINK_STATUS: 0x8b82,
+    VALIDATE_STATUS: 0x8b83,
+    ATTACHED_SHADERS: 0x8b85,
+    ACTIVE_UNIFORMS: 0x8b86,
+    ACTIVE_ATTRIBUTES: 0x8b89,
+    SHADING_LANGUAGE_VERSION: 0x8b8c,
+    CURRENT_PROGRAM: 0x8b8d,
+    NEVER: 0x200,
+    LESS: 0x201,
+    EQUAL: 0x202,
+    LEQUAL: 0x203,
+    GREATER: 0x204,
+    NOTEQUAL: 0x205,
+    GEQUAL: 0x206,
+    ALWAYS: 0x207,
+    KEEP: 0x1e00,
+    REPLACE: 0x1e01,
+    INCR: 0x1e02,
+    DECR: 0x1e03,
+    INVERT: 0x150a,
+    INCR_WRAP: 0x8507,
+    DECR_WRAP: 0x8508,
+    VENDOR: 0x1f00,
+    RENDERER: 0x1f01,
+    VERSION: 0x1f02,
+    NEAREST: 0x2600,
+    LINEAR: 0x2601,
+    NEAREST_MIPMAP_NEAREST: 0x2700,
+    LINEAR_MIPMAP_NEAREST: 0x2701,
+    NEAREST_MIPMAP_LINEAR: 0x2702,
+    LINEAR_MIPMAP_LINEAR: 0x2703,
+    TEXTURE_MAG_FILTER: 0x2800,
+    TEXTURE_MIN_FILTER: 0x2801,
+    TEXTURE_WRAP_S: 0x2802,
+    TEXTURE_WRAP_T: 0x2803,
+    TEXTURE_2D: 0xde1,
+    TEXTURE: 0x1702,
+    TEXTURE_CUBE_MAP: 0x8513,
+    TEXTURE_BINDING_CUBE_MAP: 0x8514,
+    TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+    TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+    TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+    TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+    TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+    TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851a,
+    MAX_CUBE_MAP_TEXTURE_SIZE: 0x851c,
+    TEXTURE0: 0x84c0,
+    ACTIVE_TEXTURE: 0x84e0,
+    REPEAT: 0x2901,
+    CLAMP_TO_EDGE: 0x812f,
+    MIRRORED_REPEAT: 0x8370,
+    FLOAT_VEC2: 0x8b50,
+    FLOAT_VEC3: 0x8b51,
+    FLOAT_VEC4: 0x8b52,
+    INT_VEC2: 0x8b53,
+    INT_VEC3: 0x8b54,
+    INT_VEC4: 0x8b55,
+    BOOL: 0x8b56,
+    BOOL_VEC2: 0x8b57,
+    BOOL_VEC3: 0x8b58,
+    BOOL_VEC4: 0x8b59,
+    FLOAT_MAT2: 0x8b5a,
+    FLOAT_MAT3: 0x8b5b,
+    FLOAT_MAT4: 0x8b5c,
+    SAMPLER_2D: 0x8b5e,
+    SAMPLER_CUBE: 0x8b60,
+    VERTEX_ATTRIB_ARRAY_ENABLED: 0x8622,
+    VERTEX_ATTRIB_ARRAY_SIZE: 0x8623,
+    VERTEX_ATTRIB_ARRAY_STRIDE: 0x8624,
+    VERTEX_ATTRIB_ARRAY_TYPE: 0x8625,
+    VERTEX_ATTRIB_ARRAY_NORMALIZED: 0x886a,
+    VERTEX_ATTRIB_ARRAY_POINTER: 0x8645,
+    VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: 0x889f,
+    IMPLEMENTATION_COLOR_READ_TYPE: 0x8b9a,
+    IMPLEMENTATION_COLOR_READ_FORMAT: 0x8b9b,
+    COMPILE_STATUS: 0x8b81,
+    LOW_FLOAT: 0x8df0,
+    MEDIUM_FLOAT: 0x8df1,
+    HIGH_FLOAT: 0x8df2,
+    LOW_INT: 0x8df3,
+    MEDIUM_INT: 0x8df4,
+    HIGH_INT: 0x8df5,
+    FRAMEBUFFER: 0x8d40,
+    RENDERBUFFER: 0x8d41,
+    RGBA4: 0x8056,
+    RGB5_A1: 0x8057,
+    RGB565: 0x8d62,
+    DEPTH_COMPONENT16: 0x81a5,
+    STENCIL_INDEX8: 0x8d48,
+    DEPTH_STENCIL: 0x84f9,
+    RENDERBUFFER_WIDTH: 0x8d42,
+    RENDERBUFFER_HEIGHT: 0x8d43,
+    RENDERBUFFER_INTERNAL_FORMAT: 0x8d44,
+    FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE: 0x8cd0,
+    FRAMEBUFFER_ATTACHMENT_OBJECT_NAME: 0x8cd1,
+    FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL: 0x8cd2,
+    COLOR_ATTACHMENT0: 0x8ce0,
+    DEPTH_ATTACHMENT: 0x8d00,
+    STENCIL_ATTACHMENT: 0x8d20,
+    DEPTH_STENCIL_ATTACHMENT: 0x821a,
+    NONE: 0,
+    FRAMEBUFFER_COMPLETE: 0x8cd5,
+    FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8cd6,
+    FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT: 0x8cd7,
+    FRAMEBUFFER_INCOMPLETE_DIMENSIONS: 0x8cd9,
+    FRAMEBUFFER_UNSUPPORTED: 0x8cdd,
+    FRAMEBUFFER_BINDING: 0x8ca6,
+    RENDERBUFFER_BINDING: 0x8ca7,
+    MAX_RENDERBUFFER_SIZE: 0x84e8,
+    INVALID_FRAMEBUFFER_OPERATION: 0x506,
+    UNPACK_FLIP_Y_WEBGL: 0x9240,
+    UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+    CONTEXT_LOST_WEBGL: 0x9242,
+    UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243,
+    BROWSER_DEFAULT_WEBGL: 0x9244
+};
+const webgl2Constants = {
+    READ_BUFFER: 0xc02,
+    UNPACK_ROW_LENGTH: 0xcf2,
+    UNPACK_SKIP_ROWS: 0xcf3,
+    UNPACK_SKIP_PIXELS: 0xcf4,
+    PACK_ROW_LENGTH: 0xd02,
+    PACK_SKIP_ROWS: 0xd03,
+    PACK_SKIP_PIXELS: 0xd04,
+    COLOR: 0x1800,
+    DEPTH: 0x1801,
+    STENCIL: 0x1802,
+    RED: 0x1903,
+    RGB8: 0x8051,
+    RGBA8: 0x8058,
+    RGB10_A2: 0x8059,
+    TEXTURE_BINDING_3D: 0x806a,
+    UNPACK_SKIP_IMAGES: 0x806d,
+    UNPACK_IMAGE_HEIGHT: 0x806e,
+    TEXTURE_3D: 0x806f,
+    TEXTURE_WRAP_R: 0x8072,
+    MAX_3D_TEXTURE_SIZE: 0x8073,
+    UNSIGNED_INT_2_10_10_10_REV: 0x8368,
+    MAX_ELEMENTS_VERTICES: 0x80e8,
+    MAX_ELEMENTS_INDICES: 0x80e9,
+    TEXTURE_MIN_LOD: 0x813a,
+    TEXTURE_MAX_LOD: 0x813b,
+    TEXTURE_BASE_LEVEL: 0x813c,
+    TEXTURE_MAX_LEVEL: 0x813d,
+    MIN: 0x8007,
+    MAX: 0x8008,
+    DEPTH_COMPONENT24: 0x81a6,
+    MAX_TEXTURE_LOD_BIAS: 0x84fd,
+    TEXTURE_COMPARE_MODE: 0x884c,
+    TEXTURE_COMPARE_FUNC: 0x884d,
+    CURRENT_QUERY: 0x8865,
+    QUERY_RESULT: 0x8866,
+    QUERY_RESULT_AVAILABLE: 0x8867,
+    STREAM_READ: 0x88e1,
+    STREAM_COPY: 0x88e2,
+    STATIC_READ: 0x88e5,
+    STATIC_COPY: 0x88e6,
+    DYNAMIC_READ: 0x88e9,
+    DYNAMIC_COPY: 0x88ea,
+    MAX_DRAW_BUFFERS: 0x8824,
+    DRAW_BUFFER0: 0x8825,
+    MAX_FRAGMENT_UNIFORM_COMPONENTS: 0x8b49,
+    MAX_VERTEX_UNIFORM_COMPONENTS: 0x8b4a,
+    SAMPLER_3D: 0x8b5f,
+    SAMPLER_2D_SHADOW: 0x8b62,
+    FRAGMENT_SHADER_DERIVATIVE_HINT: 0x8b8b,
+    PIXEL_PACK_BUFFER: 0x88eb,
+    PIXEL_UNPACK_BUFFER: 0x88ec,
+    PIXEL_PACK_BUFFER_BINDING: 0x88ed,
+    PIXEL_UNPACK_BUFFER_BINDING: 0x88ef,
+    FLOAT_MAT2x3: 0x8b65,
+    FLOAT_MAT2x4: 0x8b66,
+    FLOAT_MAT3x2: 0x8b67,
+    FLOAT_MAT3x4: 0x8b68,
+    FLOAT_MAT4x2: 0x8b69,
+    FLOAT_MAT4x3: 0x8b6a,
+    SRGB: 0x8c40,
+    SRGB8: 0x8c41,
+    SRGB8_ALPHA8: 0x8c43,
+    COMPARE_REF_TO_TEXTURE: 0x884e,
+    RGBA32F: 0x8814,
+    RGB32F: 0x8815,
+    RGBA16F: 0x881a,
+    RGB16F: 0x881b,
+    VERTEX_ATTRIB_ARRAY_INTEGER: 0x88fd,
+    VERTEX_ATTRIB_ARRAY_DIVISOR: 0x88fe,
+    MAX_ARRAY_TEXTURE_LAYERS: 0x88ff,
+    MAX_VARYING_COMPONENTS: 0x8b4b,
+    TEXTURE_2D_ARRAY: 0x8c1a,
+    TEXTURE_BINDING_2D_ARRAY: 0x8c1d,
+    R11F_G11F_B10F: 0x8c3a,
+    UNSIGNED_INT_10F_11F_11F_REV: 0x8c3b,
+    RGB9_E5: 0x8c3d,
+    UNSIGNED_INT_5_9_9_9_REV: 0x8c3e,
+    TRANSFORM_FEEDBACK_BUFFER_MODE: 0x8c7f,
+    MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS: 0x8c80,
+    TRANSFORM_FEEDBACK_VARYINGS: 0x8c83,
+    TRANSFORM_FEEDBACK_BUFFER_START: 0x8c84,
+    TRANSFORM_FEEDBACK_BUFFER_SIZE: 0x8c85,
+    TRANSFORM_FEEDBACK_PRIMITIVES_WRITTEN: 0x8c88,
+    RASTERIZER_DISCARD: 0x8c89,
+    MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS: 0x8c8a,
+    MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS: 0x8c8b,
+    INTERLEAVED_ATTRIBS: 0x8c8c,
+    SEPARATE_ATTRIBS: 0x8c8d,
+    TRANSFORM_FEEDBACK_BUFFER: 0x8c8e,
+    TRANSFORM_FEEDBACK_BUFFER_BINDING: 0x8c8f,
+    RGBA32UI: 0x8d70,
+    RGB32UI: 0x8d71,
+    RGBA16UI: 0x8d76,
+    RGB16UI: 0x8d77,
+    RGBA8UI: 0x8d7c,
+    RGB8UI: 0x8d7d,
+    RGBA32I: 0x8d82,
+    RGB32I: 0x8d83,
+    RGBA16I: 0x8d88,
+    RGB16I: 0x8d89,
+    RGBA8I: 0x8d8e,
+    RGB8I: 0x8d8f,
+    RED_INTEGER: 0x8d94,
+    RGB_INTEGER: 0x8d98,
+    RGBA_INTEGER: 0x8d99,
+    SAMPLER_2D_ARRAY: 0x8dc1,
+    SAMPLER_2D_ARRAY_SHADOW: 0x8dc4,
+    SAMPLER_CUBE_SHADOW: 0x8dc5,
+    UNSIGNED_INT_VEC2: 0x8dc6,
+    UNSIGNED_INT_VEC3: 0x8dc7,
+    UNSIGNED_INT_VEC4: 0x8dc8,
+    INT_SAMPLER_2D: 0x8dca,
+    INT_SAMPLER_3D: 0x8dcb,
+    INT_SAMPLER_CUBE: 0x8dcc,
+    INT_SAMPLER_2D_ARRAY: 0x8dcf,
+    UNSIGNED_INT_SAMPLER_2D: 0x8dd2,
+    UNSIGNED_INT_SAMPLER_3D: 0x8dd3,
+    UNSIGNED_INT_SAMPLER_CUBE: 0x8dd4,
+    UNSIGNED_INT_SAMPLER_2D_ARRAY: 0x8dd7,
+    DEPTH_COMPONENT32F: 0x8cac,
+    DEPTH32F_STENCIL8: 0x8cad,
+    FLOAT_32_UNSIGNED_INT_24_8_REV: 0x8dad,
+    UNSIGNED_INT_24_8: 0x84fa,
+    DEPTH24_STENCIL8: 0x88f0,
+    DRAW_FRAMEBUFFER_BINDING: 0x8ca6,
+    READ_FRAMEBUFFER: 0x8ca8,
+    DRAW_FRAMEBUFFER: 0x8ca9,
+    READ_FRAMEBUFFER_BINDING: 0x8caa,
+    RENDERBUFFER_SAMPLES: 0x8cab,
+    MAX_COLOR_ATTACHMENTS: 0x8cdf,
+    FRAMEBUFFER_INCOMPLETE_MULTISAMPLE: 0x8d56,
+    MAX_SAMPLES: 0x8d57,
+    HALF_FLOAT: 0x140b,
+    RG: 0x8227,
+    RG_INTEGER: 0x8228,
+    R8: 0x8229,
+    RG8: 0x822b,
+    R16F: 0x822d,
+    R32F: 0x822e,
+    RG16F: 0x822f,
+    RG32F: 0x8230,
+    R8I: 0x8231,
+    R8UI: 0x8232,
+    R16I: 0x8233,
+    R16UI: 0x8234,
+    R32I: 0x8235,
+    R32UI: 0x8236,
+    RG8I: 0x8237,
+    RG8UI: 0x8238,
+    RG16I: 0x8239,
+    RG16UI: 0x823a,
+    RG32I: 0x823b,
+    RG32UI: 0x823c,
+    VERTEX_ARRAY_BINDING: 0x85b5,
+    RGB10_A2UI: 0x906f,
+    COPY_READ_BUFFER: 0x8f36,
+    COPY_WRITE_BUFFER: 0x8f37,
+    COPY_READ_BUFFER_BINDING: 0x8f36,
+    COPY_WRITE_BUFFER_BINDING: 0x8f37,
+    UNIFORM_BUFFER: 0x8a11,
+    UNIFORM_BUFFER_BINDING: 0x8a28,
+    UNIFORM_BUFFER_START: 0x8a29,
+    UNIFORM_BUFFER_SIZE: 0x8a2a,
+    MAX_VERTEX_UNIFORM_BLOCKS: 0x8a2b,
+    MAX_FRAGMENT_UNIFORM_BLOCKS: 0x8a2d,
+    MAX_COMBINED_UNIFORM_BLOCKS: 0x8a2e,
+    MAX_UNIFORM_BUFFER_BINDINGS: 0x8a2f,
+    MAX_UNIFORM_BLOCK_SIZE: 0x8a30,
+    UNIFORM_BUFFER_OFFSET_ALIGNMENT: 0x8a34,
+    ACTIVE_UNIFORM_BLOCKS: 0x8a36,
+    UNIFORM_TYPE: 0x8a37,
+    UNIFORM_SIZE: 0x8a38,
+    UNIFORM_BLOCK_INDEX: 0x8a3a,
+    UNIFORM_OFFSET: 0x8a3b,
+    UNIFORM_ARRAY_STRIDE: 0x8a3c,
+    UNIFORM_MATRIX_STRIDE: 0x8a3d,
+    UNIFORM_IS_ROW_MAJOR: 0x8a3e,
+    UNIFORM_BLOCK_BINDING: 0x8a3f,
+    UNIFORM_BLOCK_DATA_SIZE: 0x8a40,
+    UNIFORM_BLOCK_ACTIVE_UNIFORMS: 0x8a42,
+    UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES: 0x8a43,
+    UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER: 0x8a44,
+    UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER: 0x8a46,
+    INVALID_INDEX: 0xffffffff,
+    MAX_SERVER_WAIT_TIMEOUT: 0x9111,
+    OBJECT_TYPE: 0x9112,
+    SYNC_CONDITION: 0x9113,
+    SYNC_STATUS: 0x9114,
+    SYNC_FLAGS: 0x9115,
+    SYNC_FENCE: 0x9116,
+    SYNC_GPU_COMMANDS_COMPLETE: 0x9117,
+    UNSIGNALED: 0x9118,
+    SIGNALED: 0x9119,
+    ALREADY_SIGNALED: 0x911a,
+    TIMEOUT_EXPIRED: 0x911b,
+    CONDITION_SATISFIED: 0x911c,
+    WAIT_FAILED: 0x911d,
+    SYNC_FLUSH_COMMANDS_BIT: 0x1,
+    ANY_SAMPLES_PASSED: 0x8c2f,
+    ANY_SAMPLES_PASSED_CONSERVATIVE: 0x8d6a,
+    TRANSFORM_FEEDBACK: 0x8e22,
+    TRANSFORM_FEEDBACK_PAUSED: 0x8e23,
+    TRANSFORM_FEEDBACK_ACTIVE: 0x8e24,
+    TRANSFORM_FEEDBACK_BINDING: 0x8e25,
+    MAX_CLIENT_WAIT_TIMEOUT_WEBGL: 0x9247,
+    TIMEOUT_IGNORED: -1,
+    INT_2_10_10_10_REV: 0x8d9f,
+    TEXTURE_IMMUTABLE_FORMAT: 0x912f,
+    TEXTURE_IMMUTABLE_LEVELS: 0x82df
+};
+const GL = { ...webgl1Constants, ...webgl2Constants };
+// Values reported by getParameter for implementation limits.
+const limits = {
+    maxVertexAttribs: 16,
+    maxTextureUnits: 16,
+    maxCombinedTextureUnits: 32,
+    maxDrawBuffers: 8,
+    maxUniformBufferBindings: 24,
+    maxTransformFeedbackBuffers: 4,
+    maxSamples: 4,
+    uniformBufferOffsetAlignment: 256
+};
+const TIME_ELAPSED_EXT = 0x88bf;
+const GPU_DISJOINT_EXT = 0x8fbb;
+const COMPLETION_STATUS_KHR = 0x91b1;
+const HALF_FLOAT_OES = 0x8d61;
+const MAX_TEXTURE_MAX_ANISOTROPY_EXT = 0x84ff;
+const TEXTURE_MAX_ANISOTROPY_EXT = 0x84fe;
+// Objects are only valid on the context and context generation (bumped by a restore) that made them.
+class MockObject {
+    constructor(context, generation) {
+        this.context = context;
+        this.generation = generation;
+        this.deleted = false;
+        // Buffers, textures, framebuffers, renderbuffers and vertex arrays only count for is* once bound.
+        this.bound = false;
+    }
+}
+class WebGLBuffer extends MockObject {
+    constructor() {
+        super(...arguments);
+        // ELEMENT_ARRAY_BUFFER or ARRAY_BUFFER once first bound; WebGL does not let a buffer switch between the two.
+        this.kind = 0;
+        this.data = new Uint8Array(0);
+        this.usage = GL.STATIC_DRAW;
+    }
+}
+class WebGLTexture extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.target = 0;
+        // Keyed by "target:level", so cube faces are separate images.
+        this.levels = new Map();
+        this.immutable = false;
+        this.parameters = new Map();
+    }
+}
+class WebGLRenderbuffer extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.width = 0;
+        this.height = 0;
+        this.internalFormat = GL.RGBA4;
+        this.samples = 0;
+    }
+}
+class WebGLFramebuffer extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.attachments = new Map();
+        // RGBA written by the last color clear.
+        this.color = [0, 0, 0, 0];
+    }
+}
+class WebGLShader extends MockObject {
+    constructor(context, generation, type) {
+        super(context, generation);
+        this.type = type;
+        this.source = "";
+        this.compiled = false;
+        this.log = "";
+        this.info = null;
+    }
+}
+class WebGLProgram extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.shaders = [];
+        this.linked = false;
+        this.validated = false;
+        // Bumped by every successful link; locations from an older link are rejected.
+        this.linkCount = 0;
+        this.log = "";
+        this.attributes = [];
+        this.uniforms = [];
+        this.blocks = [];
+        this.attribBindings = new Map();
+        // Flattened values per active uniform, indexed like uniforms.
+        this.uniformValues = [];
+        this.feedbackVaryings = [];
+        this.feedbackMode = GL.INTERLEAVED_ATTRIBS;
+    }
+}
+class WebGLVertexArrayObject extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.elementBuffer = null;
+        this.attribs = Array.from({ length: limits.maxVertexAttribs }, () => ({
+            enabled: false,
+            buffer: null,
+            size: 4,
+            type: GL.FLOAT,
+            normalized: false,
+            stride: 0,
+            offset: 0,
+            divisor: 0,
+            integer: false
+        }));
+    }
+}
+class WebGLVertexArrayObjectOES extends WebGLVertexArrayObject {
+}
+class WebGLQuery extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.target = 0;
+        this.active = false;
+        this.available = false;
+        this.result = 0;
+        // Draw calls made while the query was active, for occlusion results.
+        this.draws = 0;
+    }
+}
+class WebGLTransformFeedback extends MockObject {
+    constructor() {
+        super(...arguments);
+        this.active = false;
+        this.paused = false;
+    }
+}
+class WebGLSync extends MockObject {
+}
+class WebGLUniformLocation {
+    constructor(program, linkCount, uniform, element) {
+        this.program = program;
+        this.linkCount = linkCount;
+        this.uniform = uniform;
+        this.element = element;
+    }
+}
+class WebGLActiveInfo {
+    constructor(name, size, type) {
+        this.name = name;
+        this.size = size;
+        this.type = type;
+    }
+}
+const knownExtensions = {
+    webgl: [
+        "ANGLE_instanced_arrays",
+        "EXT_blend_minmax",
+        "EXT_color_buffer_half_float",
+        "EXT_texture_filter_anisotropic",
+        "KHR_parallel_shader_compile",
+        "OES_element_index_uint",
+        "OES_standard_derivatives",
+        "OES_texture_float",
+        "OES_texture_float_linear",
+        "OES_texture_half_float",
+        "OES_vertex_array_object",
+        "WEBGL_color_buffer_float",
+        "WEBGL_depth_texture",
+        "WEBGL_draw_buffers",
+        "WEBGL_lose_context",
+        "WEBGL_multi_draw"
+    ],
+    webgl2: [
+        "EXT_color_buffer_float",
+        "EXT_color_buffer_half_float",
+        "EXT_disjoint_timer_query_webgl2",
+        "EXT_texture_filter_anisotropic",
+        "KHR_parallel_shader_compile",
+        "OES_texture_float_linear",
+        "WEBGL_lose_context",
+        "WEBGL_multi_draw"
+    ]
+};
+const compressedBlock = (value, blockBytes, options = {}) => ({
+    value,
+    blockWidth: 4,
+    blockHeight: 4,
+    blockBytes,
+    minWidth: 0,
+    minHeight: 0,
+    subImage: true,
+    ...options
+});
+const astcSizes = ["4x4", "5x4", "5x5", "6x5", "6x6", "8x5", "8x6", "8x8", "10x5", "10x6", "10x8", "10x10", "12x10", "12x12"];
+// The formats of each compressed texture extension, by the names their extension objects use.
+const compressedTextureExtensions = {
+    WEBGL_compressed_texture_s3tc: {
+        COMPRESSED_RGB_S3TC_DXT1_EXT: compressedBlock(0x83f0, 8),
+        COMPRESSED_RGBA_S3TC_DXT1_EXT: compressedBlock(0x83f1, 8),
+        COMPRESSED_RGBA_S3TC_DXT3_EXT: compressedBlock(0x83f2, 16),
+        COMPRESSED_RGBA_S3TC_DXT5_EXT: compressedBlock(0x83f3, 16)
+    },
+    WEBGL_compressed_texture_s3tc_srgb: {
+        COMPRESSED_SRGB_S3TC_DXT1_EXT: compressedBlock(0x8c4c, 8),
+        COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT: compressedBlock(0x8c4d, 8),
+        COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT: compressedBlock(0x8c4e, 16),
+        COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT: compressedBlock(0x8c4f, 16)
+    },
+    EXT_texture_compression_rgtc: {
+        COMPRESSED_RED_RGTC1_EXT: compressedBlock(0x8dbb, 8),
+        COMPRESSED_SIGNED_RED_RGTC1_EXT: compressedBlock(0x8dbc, 8),
+        COMPRESSED_RED_GREEN_RGTC2_EXT: compressedBlock(0x8dbd, 16),
+        COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT: compressedBlock(0x8dbe, 16)
+    },
+    EXT_texture_compression_bptc: {
+        COMPRESSED_RGBA_BPTC_UNORM_EXT: compressedBlock(0x8e8c, 16),
+        COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT: compressedBlock(0x8e8d, 16),
+        COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT: compressedBlock(0x8e8e, 16),
+        COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT: compressedBlock(0x8e8f, 16)
+    },
+    WEBGL_compressed_texture_etc: {
+        COMPRESSED_R11_EAC: compressedBlock(0x9270, 8),
+        COMPRESSED_SIGNED_R11_EAC: compressedBlock(0x9271, 8),
+        COMPRESSED_RG11_EAC: compressedBlock(0x9272, 16),
+        COMPRESSED_SIGNED_RG11_EAC: compressedBlock(0x9273, 16),
+        COMPRESSED_RGB8_ETC2: compressedBlock(0x9274, 8),
+        COMPRESSED_SRGB8_ETC2: compressedBlock(0x9275, 8),
+        COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2: compressedBlock(0x9276, 8),
+        COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2: compressedBlock(0x9277, 8),
+        COMPRESSED_RGBA8_ETC2_EAC: compressedBlock(0x9278, 16),
+        COMPRESSED_SRGB8_ALPHA8_ETC2_EAC: compressedBlock(0x9279, 16)
+    },
+    WEBGL_compressed_texture_etc1: {
+        COMPRESSED_RGB_ETC1_WEBGL: compressedBlock(0x8d64, 8, { subImage: false })
+    },
+    WEBGL_compressed_texture_astc: Object.fromEntries(astcSizes.flatMap((size, i) => {
+        const [blockWidth, blockHeight] = size.split("x").map(Number);
+        return [
+            [`COMPRESSED_RGBA_ASTC_${size}_KHR`, compressedBlock(0x93b0 + i, 16, { blockWidth, blockHeight })],
+            [`COMPRESSED_SRGB8_ALPHA8_ASTC_${size}_KHR`, compressedBlock(0x93d0 + i, 16, { blockWidth, blockHeight })]
+        ];
+    })),
+    WEBGL_compressed_texture_pvrtc: {
+        COMPRESSED_RGB_PVRTC_4BPPV1_IMG: compressedBlock(0x8c00, 8, { minWidth: 8, minHeight: 8, subImage: false }),
+        COMPRESSED_RGB_PVRTC_2BPPV1_IMG: compressedBlock(0x8c01, 8, { blockWidth: 8, minWidth: 16, minHeight: 8, subImage: false }),
+        COMPRESSED_RGBA_PVRTC_4BPPV1_IMG: compressedBlock(0x8c02, 8, { minWidth: 8, minHeight: 8, subImage: false }),
+        COMPRESSED_RGBA_PVRTC_2BPPV1_IMG: compressedBlock(0x8c03, 8, { blockWidth: 8, minWidth: 16, minHeight: 8, subImage: false })
+    }
+};
+// The compressed format with this value among the enabled extensions.
+function compressedFormat(gl, value) {
+    for (const [extension, formats] of Object.entries(compressedTextureExtensions)) {
+        if (!extensionEnabled(gl, extension))
+            continue;
+        const format = Object.values(formats).find((candidate) => candidate.value === value);
+        if (format)
+            return format;
+    }
+    return undefined;
+}
+function compressedByteLength(format, width, height) {
+    const blocksWide = Math.ceil(Math.max(width, format.minWidth) / format.blockWidth);
+    const blocksHigh = Math.ceil(Math.max(height, format.minHeight) / format.blockHeight);
+    return blocksWide * blocksHigh * format.blockBytes;
+}
+function createStencilFace() {
+    return { func: GL.ALWAYS, ref: 0, valueMask: 0xffffffff, fail: GL.KEEP, zfail: GL.KEEP, zpass: GL.KEEP, writeMask: 0xffffffff };
+}
+function createState(gl, generation) {
+    const vertexArray = new WebGLVertexArrayObject(gl, generation);
+    return {
+        generation,
+        error: GL.NO_ERROR,
+        enabledExtensions: new Set(),
+        capabilities: new Map([[GL.DITHER, true]]),
+        buffers: new Map(),
+        indexedBuffers: new Map([
+            [GL.UNIFORM_BUFFER, new Array(limits.maxUniformBufferBindings).fill(null)],
+            [GL.TRANSFORM_FEEDBACK_BUFFER, new Array(limits.maxTransformFeedbackBuffers).fill(null)]
+        ]),
+        defaultVertexArray: vertexArray,
+        vertexArray,
+        activeTexture: 0,
+        textureUnits: Array.from({ length: limits.maxCombinedTextureUnits }, () => new Map()),
+        program: null,
+        drawFramebuffer: null,
+        readFramebuffer: null,
+        renderbuffer: null,
+        transformFeedback: null,
+        activeQueries: new Map(),
+        defaultColor: [0, 0, 0, 0],
+        viewport: [0, 0, gl.canvas.width, gl.canvas.height],
+        scissor: [0, 0, gl.canvas.width, gl.canvas.height],
+        clearColor: [0, 0, 0, 0],
+        clearDepth: 1,
+        clearStencil: 0,
+        blendFunc: [GL.ONE, GL.ZERO, GL.ONE, GL.ZERO],
+        blendEquation: [GL.FUNC_ADD, GL.FUNC_ADD],
+        blendColor: [0, 0, 0, 0],
+        depthFunc: GL.LESS,
+        depthMask: true,
+        depthRange: [0, 1],
+        stencil: { front: createStencilFace(), back: createStencilFace() },
+        colorMask: [true, true, true, true],
+        cullFace: GL.BACK,
+        frontFace: GL.CCW,
+        polygonOffset: [0, 0],
+        lineWidth: 1,
+        pixelStore: new Map([
+            [GL.PACK_ALIGNMENT, 4],
+            [GL.UNPACK_ALIGNMENT, 4],
+            [GL.UNPACK_FLIP_Y_WEBGL, false],
+            [GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false],
+            [GL.UNPACK_COLORSPACE_CONVERSION_WEBGL, GL.BROWSER_DEFAULT_WEBGL]
+        ]),
+        drawBuffers: [GL.BACK],
+        readBuffer: GL.BACK,
+        disjoint: false
+    };
+}
+const glslTypes = {
+    float: GL.FLOAT,
+    vec2: GL.FLOAT_VEC2,
+    vec3: GL.FLOAT_VEC3,
+    vec4: GL.FLOAT_VEC4,
+    int: GL.INT,
+    ivec2: GL.INT_VEC2,
+    ivec3: GL.INT_VEC3,
+    ivec4: GL.INT_VEC4,
+    uint: GL.UNSIGNED_INT,
+    uvec2: GL.UNSIGNED_INT_VEC2,
+    uvec3: GL.UNSIGNED_INT_VEC3,
+    uvec4: GL.UNSIGNED_INT_VEC4,
+    bool: GL.BOOL,
+    bvec2: GL.BOOL_VEC2,
+    bvec3: GL.BOOL_VEC3,
+    bvec4: GL.BOOL_VEC4,
+    mat2: GL.FLOAT_MAT2,
+    mat3: GL.FLOAT_MAT3,
+    mat4: GL.FLOAT_MAT4,
+    mat2x2: GL.FLOAT_MAT2,
+    mat2x3: GL.FLOAT_MAT2x3,
+    mat2x4: GL.FLOAT_MAT2x4,
+    mat3x2: GL.FLOAT_MAT3x2,
+    mat3x3: GL.FLOAT_MAT3,
+    mat3x4: GL.FLOAT_MAT3x4,
+    mat4x2: GL.FLOAT_MAT4x2,
+    mat4x3: GL.FLOAT_MAT4x3,
+    mat4x4: GL.FLOAT_MAT4,
+    sampler2D: GL.SAMPLER_2D,
+    samplerCube: GL.SAMPLER_CUBE,
+    sampler3D: GL.SAMPLER_3D,
+    sampler2DArray: GL.SAMPLER_2D_ARRAY,
+    sampler2DShadow: GL.SAMPLER_2D_SHADOW,
+    samplerCubeShadow: GL.SAMPLER_CUBE_SHADOW,
+    sampler2DArrayShadow: GL.SAMPLER_2D_ARRAY_SHADOW,
+    isampler2D: GL.INT_SAMPLER_2D,
+    isampler3D: GL.INT_SAMPLER_3D,
+    isamplerCube: GL.INT_SAMPLER_CUBE,
+    isampler2DArray: GL.INT_SAMPLER_2D_ARRAY,
+    usampler2D: GL.UNSIGNED_INT_SAMPLER_2D,
+    usampler3D: GL.UNSIGNED_INT_SAMPLER_3D,
+    usamplerCube: GL.UNSIGNED_INT_SAMPLER_CUBE,
+    usampler2DArray: GL.UNSIGNED_INT_SAMPLER_2D_ARRAY
+};
+// Value kind, component count and matrix column count of a uniform type.
+function uniformTypeInfo(type) {
+    switch (type) {
+        case GL.FLOAT:
+            return { kind: "float", components: 1, columns: 0 };
+        case GL.FLOAT_VEC2:
+            return { kind: "float", components: 2, columns: 0 };
+        case GL.FLOAT_VEC3:
+            return { kind: "float", components: 3, columns: 0 };
+        case GL.FLOAT_VEC4:
+            return { kind: "float", components: 4, columns: 0 };
+        case GL.INT:
+            return { kind: "int", components: 1, columns: 0 };
+        case GL.INT_VEC2:
+            return { kind: "int", components: 2, columns: 0 };
+        case GL.INT_VEC3:
+            return { kind: "int", components: 3, columns: 0 };
+        case GL.INT_VEC4:
+            return { kind: "int", components: 4, columns: 0 };
+        case GL.UNSIGNED_INT:
+            return { kind: "uint", components: 1, columns: 0 };
+        case GL.UNSIGNED_INT_VEC2:
+            return { kind: "uint", components: 2, columns: 0 };
+        case GL.UNSIGNED_INT_VEC3:
+            return { kind: "uint", components: 3, columns: 0 };
+        case GL.UNSIGNED_INT_VEC4:
+            return { kind: "uint", components: 4, columns: 0 };
+        case GL.BOOL:
+            return { kind: "bool", components: 1, columns: 0 };
+        case GL.BOOL_VEC2:
+            return { kind: "bool", components: 2, columns: 0 };
+        case GL.BOOL_VEC3:
+            return { kind: "bool", components: 3, columns: 0 };
+        case GL.BOOL_VEC4:
+            return { kind: "bool", components: 4, columns: 0 };
+        case GL.FLOAT_MAT2:
+            return { kind: "float", components: 4, columns: 2 };
+        case GL.FLOAT_MAT3:
+            return { kind: "float", components: 9, columns: 3 };
+        case GL.FLOAT_MAT4:
+            return { kind: "float", components: 16, columns: 4 };
+        case GL.FLOAT_MAT2x3:
+            return { kind: "float", components: 6, columns: 2 };
+        case GL.FLOAT_MAT2x4:
+            return { kind: "float", components: 8, columns: 2 };
+        case GL.FLOAT_MAT3x2:
+            return { kind: "float", components: 6, columns: 3 };
+        case GL.FLOAT_MAT3x4:
+            return { kind: "float", components: 12, columns: 3 };
+        case GL.FLOAT_MAT4x2:
+            return { kind: "float", components: 8, columns: 4 };
+        case GL.FLOAT_MAT4x3:
+            return { kind: "float", components: 12, columns: 4 };
+        default:
+            return { kind: "sampler", components: 1, columns: 0 };
+    }
+}
+// std140 base alignment and size of a block member, in bytes.
+function std140Layout(type, size) {
+    const { components, columns } = uniformTypeInfo(type);
+    if (columns > 0) {
+        // Matrices are arrays of column vectors, each padded to a vec4.
+        return { alignment: 16, byteSize: 16 * columns * size };
+    }
+    const scalarSize = 4 * components;
+    const alignment = components === 3 ? 16 : scalarSize;
+    if (size > 1)
+        return { alignment: 16, byteSize: 16 * size };
+    return { alignment, byteSize: scalarSize };
+}
+// Blanks out comments but keeps line breaks, so line numbers in logs still match the source.
+function stripComments(source) {
+    return source
+        .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, " "))
+        .replace(/\/\/[^\n]*/g, "");
+}
+function parseVariable(type, name, arraySize) {
+    const glType = glslTypes[type];
+    // Struct uniforms are not reflected.
+    if (glType === undefined)
+        return null;
+    return { name, type: glType, size: arraySize ? Number(arraySize) : 1 };
+}
+function compileShaderSource(gl, shader) {
+    const text = stripComments(shader.source);
+    const lines = text.split("\n");
+    const errors = [];
+    let version = 100;
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        const versionMatch = /^#\s*version\s+(\d+)(\s+es)?/.exec(trimmed);
+        if (versionMatch) {
+            if (lines.slice(0, index).some((previous) => previous.trim() !== "")) {
+                errors.push(`ERROR: 0:${index + 1}: '#version' : #version directive must occur before anything else in the program`);
+            }
+            else if (versionMatch[1] === "300" && versionMatch[2] && gl.isWebGL2) {
+                version = 300;
+            }
+            else if (versionMatch[1] !== "100") {
+                errors.push(`ERROR: 0:${index + 1}: '${versionMatch[1]}' : version number not supported`);
+            }
+        }
+        const errorMatch = /^#\s*error\b(.*)$/.exec(trimmed);
+        if (errorMatch)
+            errors.push(`ERROR: 0:${index + 1}: '#error' : ${errorMatch[1].trim()}`);
+    });
+    if (!/\bvoid\s+main\s*\(/.test(text))
+        errors.push("ERROR: 0:1: 'main' : function main() not defined");
+    if (errors.length > 0)
+        return { log: errors.join("\n") + "\n", info: null };
+    const precision = "(?:(?:highp|mediump|lowp)\\s+)?";
+    const blocks = [];
+    const withoutBlocks = text.replace(/(?:layout\s*\([^)]*\)\s*)?uniform\s+(\w+)\s*\{([^}]*)\}\s*(\w+)?\s*;/g, (_, blockName, body, instance) => {
+        const members = [];
+        let offset = 0;
+        for (const match of body.matchAll(new RegExp(`${precision}(\\w+)\\s+(\\w+)\\s*(?:\\[\\s*(\\d+)\\s*\\])?\\s*;`, "g"))) {
+            const variable = parseVariable(match[1], match[2], match[3]);
+            if (!variable)
+                continue;
+            const { alignment, byteSize } = std140Layout(variable.type, variable.size);
+            offset = Math.ceil(offset / alignment) * alignment;
+            // Members of a named block are reflected as "Instance.member" under the block name.
+            const name = instance ? `${blockName}.${variable.name}` : variable.name;
+            members.push({ ...variable, name: variable.size > 1 ? `${name}[0]` : name, offset });
+            offset += byteSize;
+        }
+        blocks.push({ name: blockName, members, dataSize: Math.ceil(offset / 16) * 16 });
+        return "";
+    });
+    const uniforms = [];
+    const uniformPattern = new RegExp(`\\buniform\\s+${precision}(\\w+)\\s+(\\w+)\\s*(?:\\[\\s*(\\d+)\\s*\\])?\\s*;`, "g");
+    for (const match of withoutBlocks.matchAll(uniformPattern)) {
+        const variable = parseVariable(match[1], match[2], match[3]);
+        if (variable)
+            uniforms.push(variable);
+    }
+    const attributes = [];
+    if (shader.type === GL.VERTEX_SHADER) {
+        const keyword = version === 300 ? "in" : "attribute";
+        const attributePattern = new RegExp(`(?:layout\\s*\\(\\s*location\\s*=\\s*(\\d+)\\s*\\)\\s*)?\\b${keyword}\\s+${precision}(\\w+)\\s+(\\w+)\\s*;`, "g");
+        for (const match of withoutBlocks.matchAll(attributePattern)) {
+            const variable = parseVariable(match[2], match[3], undefined);
+            if (variable)
+                attributes.push({ ...variable, location: match[1] !== undefined ? Number(match[1]) : -1 });
+        }
+    }
+    return { log: "", info: { version, attributes, uniforms, blocks } };
+}
+function linkProgramShaders(gl, program) {
+    const vertex = program.shaders.find((shader) => shader.type === GL.VERTEX_SHADER);
+    const fragment = program.shaders.find((shader) => shader.type === GL.FRAGMENT_SHADER);
+    if (!vertex || !fragment)
+        return "Program needs both a vertex and a fragment shader attached.";
+    if (!vertex.compiled)
+        return "Attached vertex shader is not compiled.";
+    if (!fragment.compiled)
+        return "Attached fragment shader is not compiled.";
+    if (vertex.info.version !== fragment.info.version)
+        return "Vertex and fragment shader versions do not match.";
+    // Explicit layout locations first, then bindAttribLocation, then the lowest free slot.
+    const attributes = [];
+    const used = new Set();
+    for (const attribute of vertex.info.attributes) {
+        const location = attribute.location >= 0 ? attribute.location : program.attribBindings.get(attribute.name) ?? -1;
+        if (location >= 0)
+            used.add(location);
+        attributes.push({ ...attribute, location });
+    }
+    for (const attribute of attributes) {
+        if (attribute.location >= 0)
+            continue;
+        let location = 0;
+        while (used.has(location))
+            location++;
+        if (location >= limits.maxVertexAttribs)
+            return `Too many vertex attributes; '${attribute.name}' does not fit.`;
+        used.add(location);
+        attribute.location = location;
+    }
+    const uniforms = [];
+    for (const variable of [...vertex.info.uniforms, ...fragment.info.uniforms]) {
+        const existing = uniforms.find((uniform) => uniform.name.replace(/\[0\]$/, "") === variable.name);
+        if (existing) {
+            if (existing.type !== variable.type || existing.size !== variable.size) {
+                return `Uniform '${variable.name}' is declared with different types in the vertex and fragment shaders.`;
+            }
+            continue;
+        }
+        uniforms.push({ ...variable, name: variable.size > 1 ? `${variable.name}[0]` : variable.name, blockIndex: -1, offset: -1 });
+    }
+    const blocks = [];
+    for (const block of [...vertex.info.blocks, ...fragment.info.blocks]) {
+        if (blocks.some((existing) => existing.name === block.name))
+            continue;
+        const blockIndex = blocks.length;
+        blocks.push({ ...block, binding: 0 });
+        for (const member of block.members)
+            uniforms.push({ ...member, blockIndex });
+    }
+    program.attributes = attributes;
+    program.uniforms = uniforms;
+    program.blocks = blocks;
+    program.uniformValues = uniforms.map((uniform) => new Array(uniformTypeInfo(uniform.type).components * uniform.size).fill(0));
+    return null;
+}
+// Components per pixel of a client pixel format.
+function formatComponents(format) {
+    switch (format) {
+        case GL.RGBA:
+        case GL.RGBA_INTEGER:
+            return 4;
+        case GL.RGB:
+        case GL.RGB_INTEGER:
+            return 3;
+        case GL.RG:
+        case GL.RG_INTEGER:
+        case GL.LUMINANCE_ALPHA:
+            return 2;
+        default:
+            return 1;
+    }
+}
+// Bytes per pixel of a format/type pair; packed types hold the whole pixel.
+function pixelBytes(format, type) {
+    switch (type) {
+        case GL.UNSIGNED_BYTE:
+        case GL.BYTE:
+            return formatComponents(format);
+        case GL.UNSIGNED_SHORT:
+        case GL.SHORT:
+        case GL.HALF_FLOAT:
+        case HALF_FLOAT_OES:
+            return 2 * formatComponents(format);
+        case GL.UNSIGNED_SHORT_5_6_5:
+        case GL.UNSIGNED_SHORT_4_4_4_4:
+        case GL.UNSIGNED_SHORT_5_5_5_1:
+            return 2;
+        case GL.UNSIGNED_INT_2_10_10_10_REV:
+        case GL.UNSIGNED_INT_10F_11F_11F_REV:
+        case GL.UNSIGNED_INT_5_9_9_9_REV:
+        case GL.UNSIGNED_INT_24_8:
+            return 4;
+        case GL.FLOAT_32_UNSIGNED_INT_24_8_REV:
+            return 8;
+        default:
+            return 4 * formatComponents(format);
+    }
+}
+// Size of one component of a vertex attribute or index type.
+function typeBytes(type) {
+    switch (type) {
+        case GL.BYTE:
+        case GL.UNSIGNED_BYTE:
+            return 1;
+        case GL.SHORT:
+        case GL.UNSIGNED_SHORT:
+        case GL.HALF_FLOAT:
+            return 2;
+        default:
+            return 4;
+    }
+}
+// The ArrayBufferView class WebGL requires for client pixel data of a type.
+function pixelArrayType(type) {
+    switch (type) {
+        case GL.UNSIGNED_BYTE:
+            return ["Uint8Array", "Uint8ClampedArray"];
+        case GL.BYTE:
+            return ["Int8Array"];
+        case GL.SHORT:
+            return ["Int16Array"];
+        case GL.UNSIGNED_SHORT:
+        case GL.UNSIGNED_SHORT_5_6_5:
+        case GL.UNSIGNED_SHORT_4_4_4_4:
+        case GL.UNSIGNED_SHORT_5_5_5_1:
+        case GL.HALF_FLOAT:
+        case HALF_FLOAT_OES:
+            return ["Uint16Array"];
+        case GL.INT:
+            return ["Int32Array"];
+        case GL.FLOAT:
+            return ["Float32Array"];
+        default:
+            return ["Uint32Array"];
+    }
+}
+// Client-side size of an image of the given dimensions, honouring the unpack or pack alignment.
+function imageByteLength(width, height, depth, format, type, alignment) {
+    if (width === 0 || height === 0 || depth === 0)
+        return 0;
+    const rowBytes = width * pixelBytes(format, type);
+    const stride = Math.ceil(rowBytes / alignment) * alignment;
+    return stride * (height * depth - 1) + rowBytes;
+}
+function sourceDimensions(source) {
+    return {
+        width: source.videoWidth ?? source.naturalWidth ?? source.displayWidth ?? source.width ?? 0,
+        height: source.videoHeight ?? source.naturalHeight ?? source.displayHeight ?? source.height ?? 0
+    };
+}
+const errorNames = {
+    [GL.INVALID_ENUM]: "INVALID_ENUM",
+    [GL.INVALID_VALUE]: "INVALID_VALUE",
+    [GL.INVALID_OPERATION]: "INVALID_OPERATION",
+    [GL.INVALID_FRAMEBUFFER_OPERATION]: "INVALID_FRAMEBUFFER_OPERATION",
+    [GL.OUT_OF_MEMORY]: "OUT_OF_MEMORY"
+};
+// Sized internal formats with the client format they must be uploaded with (WebGL2).
+const sizedFormats = new Map([
+    [GL.R8, GL.RED],
+    [GL.R16F, GL.RED],
+    [GL.R32F, GL.RED],
+    [GL.R8I, GL.RED_INTEGER],
+    [GL.R8UI, GL.RED_INTEGER],
+    [GL.R16I, GL.RED_INTEGER],
+    [GL.R16UI, GL.RED_INTEGER],
+    [GL.R32I, GL.RED_INTEGER],
+    [GL.R32UI, GL.RED_INTEGER],
+    [GL.RG8, GL.RG],
+    [GL.RG16F, GL.RG],
+    [GL.RG32F, GL.RG],
+    [GL.RG8I, GL.RG_INTEGER],
+    [GL.RG8UI, GL.RG_INTEGER],
+    [GL.RG16I, GL.RG_INTEGER],
+    [GL.RG16UI, GL.RG_INTEGER],
+    [GL.RG32I, GL.RG_INTEGER],
+    [GL.RG32UI, GL.RG_INTEGER],
+    [GL.RGB8, GL.RGB],
+    [GL.SRGB8, GL.RGB],
+    [GL.RGB565, GL.RGB],
+    [GL.R11F_G11F_B10F, GL.RGB],
+    [GL.RGB9_E5, GL.RGB],
+    [GL.RGB16F, GL.RGB],
+    [GL.RGB32F, GL.RGB],
+    [GL.RGB8I, GL.RGB_INTEGER],
+    [GL.RGB8UI, GL.RGB_INTEGER],
+    [GL.RGB16I, GL.RGB_INTEGER],
+    [GL.RGB16UI, GL.RGB_INTEGER],
+    [GL.RGB32I, GL.RGB_INTEGER],
+    [GL.RGB32UI, GL.RGB_INTEGER],
+    [GL.RGBA8, GL.RGBA],
+    [GL.SRGB8_ALPHA8, GL.RGBA],
+    [GL.RGB5_A1, GL.RGBA],
+    [GL.RGBA4, GL.RGBA],
+    [GL.RGB10_A2, GL.RGBA],
+    [GL.RGBA16F, GL.RGBA],
+    [GL.RGBA32F, GL.RGBA],
+    [GL.RGBA8I, GL.RGBA_INTEGER],
+    [GL.RGBA8UI, GL.RGBA_INTEGER],
+    [GL.RGB10_A2UI, GL.RGBA_INTEGER],
+    [GL.RGBA16I, GL.RGBA_INTEGER],
+    [GL.RGBA16UI, GL.RGBA_INTEGER],
+    [GL.RGBA32I, GL.RGBA_INTEGER],
+    [GL.RGBA32UI, GL.RGBA_INTEGER],
+    [GL.DEPTH_COMPONENT16, GL.DEPTH_COMPONENT],
+    [GL.DEPTH_COMPONENT24, GL.DEPTH_COMPONENT],
+    [GL.DEPTH_COMPONENT32F, GL.DEPTH_COMPONENT],
+    [GL.DEPTH24_STENCIL8, GL.DEPTH_STENCIL],
+    [GL.DEPTH32F_STENCIL8, GL.DEPTH_STENCIL]
+]);
+const floatRenderFormats = [GL.R16F, GL.RG16F, GL.RGBA16F, GL.R32F, GL.RG32F, GL.RGBA32F, GL.R11F_G11F_B10F];
+const cubeFaces = [
+    GL.TEXTURE_CUBE_MAP_POSITIVE_X,
+    GL.TEXTURE_CUBE_MAP_NEGATIVE_X,
+    GL.TEXTURE_CUBE_MAP_POSITIVE_Y,
+    GL.TEXTURE_CUBE_MAP_NEGATIVE_Y,
+    GL.TEXTURE_CUBE_MAP_POSITIVE_Z,
+    GL.TEXTURE_CUBE_MAP_NEGATIVE_Z
+];
+const blendFactors = [
+    GL.ZERO,
+    GL.ONE,
+    GL.SRC_COLOR,
+    GL.ONE_MINUS_SRC_COLOR,
+    GL.SRC_ALPHA,
+    GL.ONE_MINUS_SRC_ALPHA,
+    GL.DST_ALPHA,
+    GL.ONE_MINUS_DST_ALPHA,
+    GL.DST_COLOR,
+    GL.ONE_MINUS_DST_COLOR,
+    GL.SRC_ALPHA_SATURATE,
+    GL.CONSTANT_COLOR,
+    GL.ONE_MINUS_CONSTANT_COLOR,
+    GL.CONSTANT_ALPHA,
+    GL.ONE_MINUS_CONSTANT_ALPHA
+];
+const compareFuncs = [GL.NEVER, GL.LESS, GL.EQUAL, GL.LEQUAL, GL.GREATER, GL.NOTEQUAL, GL.GEQUAL, GL.ALWAYS];
+const stencilOps = [GL.KEEP, GL.ZERO, GL.REPLACE, GL.INCR, GL.DECR, GL.INVERT, GL.INCR_WRAP, GL.DECR_WRAP];
+const faces = [GL.FRONT, GL.BACK, GL.FRONT_AND_BACK];
+const drawModes = [GL.POINTS, GL.LINES, GL.LINE_LOOP, GL.LINE_STRIP, GL.TRIANGLES, GL.TRIANGLE_STRIP, GL.TRIANGLE_FAN];
+const hex = (value) => `0x${value.toString(16)}`;
+function fail(gl, error, message) {
+    gl.errors.push({ call: gl.currentCall, error, message: `${gl.currentCall}: ${errorNames[error]}: ${message}` });
+    // WebGL reports one error at a time; later ones are dropped until getError clears the flag.
+    if (gl.state.error === GL.NO_ERROR)
+        gl.state.error = error;
+    return false;
+}
+function requireEnum(gl, value, allowed, what) {
+    return allowed.includes(value) || fail(gl, GL.INVALID_ENUM, `invalid ${what} ${hex(value)}`);
+}
+// Null is always acceptable; anything else must be a live object of this context generation.
+function checkObject(gl, object, type, what) {
+    if (object === null || object === undefined)
+        return true;
+    if (!(object instanceof type))
+        throw new TypeError(`${gl.currentCall}: argument is not a ${type.name}`);
+    const mock = object;
+    if (mock.context !== gl || mock.generation !== gl.state.generation) {
+        return fail(gl, GL.INVALID_OPERATION, `${what} belongs to another context`);
+    }
+    return !mock.deleted || fail(gl, GL.INVALID_OPERATION, `${what} was deleted`);
+}
+function isLive(gl, object, type) {
+    const mock = object;
+    return object instanceof type && mock.context === gl && mock.generation === gl.state.generation && !mock.deleted;
+}
+function extensionEnabled(gl, name) {
+    return gl.state.enabledExtensions.has(name);
+}
+function bufferTargets(gl) {
+    const targets = [GL.ARRAY_BUFFER, GL.ELEMENT_ARRAY_BUFFER];
+    if (gl.isWebGL2) {
+        targets.push(GL.COPY_READ_BUFFER, GL.COPY_WRITE_BUFFER, GL.PIXEL_PACK_BUFFER, GL.PIXEL_UNPACK_BUFFER, GL.TRANSFORM_FEEDBACK_BUFFER, GL.UNIFORM_BUFFER);
+    }
+    return targets;
+}
+function textureTargets(gl) {
+    return gl.isWebGL2 ? [GL.TEXTURE_2D, GL.TEXTURE_CUBE_MAP, GL.TEXTURE_3D, GL.TEXTURE_2D_ARRAY] : [GL.TEXTURE_2D, GL.TEXTURE_CUBE_MAP];
+}
+function capabilities(gl) {
+    const caps = [
+        GL.BLEND,
+        GL.CULL_FACE,
+        GL.DEPTH_TEST,
+        GL.DITHER,
+        GL.POLYGON_OFFSET_FILL,
+        GL.SAMPLE_ALPHA_TO_COVERAGE,
+        GL.SAMPLE_COVERAGE,
+        GL.SCISSOR_TEST,
+        GL.STENCIL_TEST
+    ];
+    if (gl.isWebGL2)
+        caps.push(GL.RASTERIZER_DISCARD);
+    return caps;
+}
+function blendEquations(gl) {
+    const modes = [GL.FUNC_ADD, GL.FUNC_SUBTRACT, GL.FUNC_REVERSE_SUBTRACT];
+    if (gl.isWebGL2 || extensionEnabled(gl, "EXT_blend_minmax"))
+        modes.push(GL.MIN, GL.MAX);
+    return modes;
+}
+function indexTypes(gl) {
+    const types = [GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT];
+    if (gl.isWebGL2 || extensionEnabled(gl, "OES_element_index_uint"))
+        types.push(GL.UNSIGNED_INT);
+    return types;
+}
+function boundBuffer(gl, target) {
+    return target === GL.ELEMENT_ARRAY_BUFFER ? gl.state.vertexArray.elementBuffer : gl.state.buffers.get(target) ?? null;
+}
+// The texture a texImage/texParameter target addresses, with cube faces resolving to the cube map binding.
+function boundTexture(gl, target) {
+    const binding = cubeFaces.includes(target) ? GL.TEXTURE_CUBE_MAP : target;
+    return gl.state.textureUnits[gl.state.activeTexture].get(binding) ?? null;
+}
+function framebufferTargets(gl) {
+    return gl.isWebGL2 ? [GL.FRAMEBUFFER, GL.DRAW_FRAMEBUFFER, GL.READ_FRAMEBUFFER] : [GL.FRAMEBUFFER];
+}
+function boundFramebuffer(gl, target) {
+    return target === GL.READ_FRAMEBUFFER ? gl.state.readFramebuffer : gl.state.drawFramebuffer;
+}
+function attachmentPoints(gl) {
+    const points = [GL.DEPTH_ATTACHMENT, GL.STENCIL_ATTACHMENT, GL.DEPTH_STENCIL_ATTACHMENT];
+    const colorAttachments = gl.isWebGL2 || extensionEnabled(gl, "WEBGL_draw_buffers") ? limits.maxDrawBuffers : 1;
+    for (let i = 0; i < colorAttachments; i++)
+        points.push(GL.COLOR_ATTACHMENT0 + i);
+    return points;
+}
+function attachmentImage(attachment) {
+    if (attachment.renderbuffer) {
+        const rb = attachment.renderbuffer;
+        return rb.width > 0 ? { width: rb.width, height: rb.height, depth: 1, internalFormat: rb.internalFormat } : null;
+    }
+    const texture = attachment.texture;
+    if (!texture)
+        return null;
+    const target = attachment.target === GL.TEXTURE_CUBE_MAP ? GL.TEXTURE_CUBE_MAP_POSITIVE_X : attachment.target;
+    return texture.levels.get(`${target}:${attachment.level}`) ?? null;
+}
+function framebufferStatus(gl, fb) {
+    if (!fb)
+        return GL.FRAMEBUFFER_COMPLETE;
+    if (fb.attachments.size === 0)
+        return GL.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT;
+    let size = null;
+    for (const attachment of fb.attachments.values()) {
+        const image = attachmentImage(attachment);
+        if (!image || image.width === 0 || image.height === 0)
+            return GL.FRAMEBUFFER_INCOMPLETE_ATTACHMENT;
+        // WebGL2 renders into the intersection of differently sized attachments.
+        if (size && !gl.isWebGL2 && (size.width !== image.width || size.height !== image.height)) {
+            return GL.FRAMEBUFFER_INCOMPLETE_DIMENSIONS;
+        }
+        size = image;
+    }
+    return GL.FRAMEBUFFER_COMPLETE;
+}
+function framebufferSize(gl, fb) {
+    if (!fb)
+        return { width: gl.drawingBufferWidth, height: gl.drawingBufferHeight };
+    let width = Infinity;
+    let height = Infinity;
+    for (const attachment of fb.attachments.values()) {
+        const image = attachmentImage(attachment);
+        width = Math.min(width, image?.width ?? 0);
+        height = Math.min(height, image?.height ?? 0);
+    }
+    return { width: width === Infinity ? 0 : width, height: height === Infinity ? 0 : height };
+}
+function requireCompleteFramebuffer(gl, fb) {
+    const status = framebufferStatus(gl, fb);
+    return status === GL.FRAMEBUFFER_COMPLETE || fail(gl, GL.INVALID_FRAMEBUFFER_OPERATION, `framebuffer is incomplete (${hex(status)})`);
+}
+// Shared by draw calls: a linked program, buffers behind every enabled attribute and in-range reads.
+function validateDraw(gl, mode, first, count, instances, maxIndex) {
+    if (!requireEnum(gl, mode, drawModes, "draw mode"))
+        return false;
+    if (first < 0 || count < 0 || instances < 0)
+        return fail(gl, GL.INVALID_VALUE, "first, count and instance count must not be negative");
+    const program = gl.state.program;
+    if (!program)
+        return fail(gl, GL.INVALID_OPERATION, "no program is in use");
+    if (!program.linked)
+        return fail(gl, GL.INVALID_OPERATION, "the current program is not linked");
+    const attribs = gl.state.vertexArray.attribs;
+    for (let index = 0; index < attribs.length; index++) {
+        const attrib = attribs[index];
+        if (!attrib.enabled)
+            continue;
+        if (!attrib.buffer)
+            return fail(gl, GL.INVALID_OPERATION, `vertex attribute ${index} is enabled without a buffer`);
+        if (count === 0 || instances === 0)
+            continue;
+        const elementSize = attrib.size * typeBytes(attrib.type);
+        const stride = attrib.stride || elementSize;
+        const last = attrib.divisor > 0 ? Math.ceil(instances / attrib.divisor) - 1 : maxIndex;
+        if (attrib.offset + last * stride + elementSize > attrib.buffer.data.byteLength) {
+            return fail(gl, GL.INVALID_OPERATION, `vertex attribute ${index} reads past the end of its buffer`);
+        }
+    }
+    if (!requireCompleteFramebuffer(gl, gl.state.drawFramebuffer))
+        return false;
+    for (const query of gl.state.activeQueries.values())
+        query.draws++;
+    return true;
+}
+function drawArraysImpl(gl, mode, first, count, instances) {
+    validateDraw(gl, mode, first, count, instances, first + count - 1);
+}
+function drawElementsImpl(gl, mode, count, type, offset, instances) {
+    if (!requireEnum(gl, type, indexTypes(gl), "index type"))
+        return;
+    if (offset < 0)
+        return fail(gl, GL.INVALID_VALUE, "offset must not be negative");
+    const buffer = gl.state.vertexArray.elementBuffer;
+    if (!buffer)
+        return fail(gl, GL.INVALID_OPERATION, "no ELEMENT_ARRAY_BUFFER is bound");
+    const size = type === GL.UNSIGNED_BYTE ? 1 : type === GL.UNSIGNED_SHORT ? 2 : 4;
+    if (offset % size !== 0)
+        return fail(gl, GL.INVALID_OPERATION, `offset ${offset} is not a multiple of the index size ${size}`);
+    if (offset + count * size > buffer.data.byteLength)
+        return fail(gl, GL.INVALID_OPERATION, "indices read past the end of the element buffer");
+    const data = buffer.data;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let maxIndex = -1;
+    for (let i = 0; i < count; i++) {
+        const at = offset + i * size;
+        const index = size === 1 ? view.getUint8(at) : size === 2 ? view.getUint16(at, true) : view.getUint32(at, true);
+        maxIndex = Math.max(maxIndex, index);
+    }
+    validateDraw(gl, mode, 0, count, instances, maxIndex);
+}
+function vertexAttribDivisorImpl(gl, index, divisor) {
+    if (index < 0 || index >= limits.maxVertexAttribs)
+        return fail(gl, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+    gl.state.vertexArray.attribs[index].divisor = divisor;
+}
+function bindVertexArrayImpl(gl, vao) {
+    if (!checkObject(gl, vao, WebGLVertexArrayObject, "vertex array"))
+        return;
+    if (vao)
+        vao.bound = true;
+    gl.state.vertexArray = vao ?? gl.state.defaultVertexArray;
+}
+function deleteVertexArrayImpl(gl, vao) {
+    if (!vao || vao.deleted || !checkObject(gl, vao, WebGLVertexArrayObject, "vertex array"))
+        return;
+    if (gl.state.vertexArray === vao)
+        gl.state.vertexArray = gl.state.defaultVertexArray;
+    release(gl, vao);
+}
+function drawBuffersImpl(gl, buffers) {
+    if (buffers.length > limits.maxDrawBuffers)
+        return fail(gl, GL.INVALID_VALUE, `more than ${limits.maxDrawBuffers} draw buffers`);
+    if (!gl.state.drawFramebuffer) {
+        if (buffers.length !== 1 || (buffers[0] !== GL.BACK && buffers[0] !== GL.NONE)) {
+            return fail(gl, GL.INVALID_OPERATION, "the default framebuffer only accepts [BACK] or [NONE]");
+        }
+    }
+    else {
+        for (let i = 0; i < buffers.length; i++) {
+            if (buffers[i] !== GL.NONE && buffers[i] !== GL.COLOR_ATTACHMENT0 + i) {
+                return fail(gl, GL.INVALID_OPERATION, `draw buffer ${i} must be COLOR_ATTACHMENT${i} or NONE`);
+            }
+        }
+    }
+    gl.state.drawBuffers = [...buffers];
+}
+function create(gl, object) {
+    gl.objects.add(object);
+    return object;
+}
+function release(gl, object) {
+    object.deleted = true;
+    gl.objects.delete(object);
+}
+// Mirrors the WebGL rule that deleting an attached image detaches it from the bound framebuffers only.
+function detachFromBoundFramebuffers(gl, image) {
+    for (const fb of new Set([gl.state.drawFramebuffer, gl.state.readFramebuffer])) {
+        if (!fb)
+            continue;
+        for (const [point, attachment] of fb.attachments) {
+            if (attachment.texture === image || attachment.renderbuffer === image)
+                fb.attachments.delete(point);
+        }
+    }
+}
+// Checks client formats and types the way WebGL does for texImage uploads.
+function validatePixelFormat(gl, internalFormat, format, type) {
+    if (!gl.isWebGL2) {
+        const formats = [GL.ALPHA, GL.RGB, GL.RGBA, GL.LUMINANCE, GL.LUMINANCE_ALPHA];
+        const types = [GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT_5_6_5, GL.UNSIGNED_SHORT_4_4_4_4, GL.UNSIGNED_SHORT_5_5_5_1];
+        if (extensionEnabled(gl, "WEBGL_depth_texture")) {
+            formats.push(GL.DEPTH_COMPONENT, GL.DEPTH_STENCIL);
+            types.push(GL.UNSIGNED_SHORT, GL.UNSIGNED_INT, GL.UNSIGNED_INT_24_8);
+        }
+        if (extensionEnabled(gl, "OES_texture_float"))
+            types.push(GL.FLOAT);
+        if (extensionEnabled(gl, "OES_texture_half_float"))
+            types.push(HALF_FLOAT_OES);
+        if (!requireEnum(gl, format, formats, "format") || !requireEnum(gl, type, types, "type"))
+            return false;
+        return internalFormat === format || fail(gl, GL.INVALID_OPERATION, "WebGL1 requires internalformat to equal format");
+    }
+    const formats = [
+        GL.RED,
+        GL.RED_INTEGER,
+        GL.RG,
+        GL.RG_INTEGER,
+        GL.RGB,
+        GL.RGB_INTEGER,
+        GL.RGBA,
+        GL.RGBA_INTEGER,
+        GL.ALPHA,
+        GL.LUMINANCE,
+        GL.LUMINANCE_ALPHA,
+        GL.DEPTH_COMPONENT,
+        GL.DEPTH_STENCIL
+    ];
+    const types = [
+        GL.BYTE,
+        GL.UNSIGNED_BYTE,
+        GL.SHORT,
+        GL.UNSIGNED_SHORT,
+        GL.INT,
+        GL.UNSIGNED_INT,
+        GL.FLOAT,
+        GL.HALF_FLOAT,
+        GL.UNSIGNED_SHORT_5_6_5,
+        GL.UNSIGNED_SHORT_4_4_4_4,
+        GL.UNSIGNED_SHORT_5_5_5_1,
+        GL.UNSIGNED_INT_2_10_10_10_REV,
+        GL.UNSIGNED_INT_10F_11F_11F_REV,
+        GL.UNSIGNED_INT_5_9_9_9_REV,
+        GL.UNSIGNED_INT_24_8,
+        GL.FLOAT_32_UNSIGNED_INT_24_8_REV
+    ];
+    if (!requireEnum(gl, format, formats, "format") || !requireEnum(gl, type, types, "type"))
+        return false;
+    const unsized = [GL.ALPHA, GL.RGB, GL.RGBA, GL.LUMINANCE, GL.LUMINANCE_ALPHA];
+    if (unsized.includes(internalFormat)) {
+        return internalFormat === format || fail(gl, GL.INVALID_OPERATION, "unsized internalformat must equal format");
+    }
+    const expected = sizedFormats.get(internalFormat);
+    if (expected === undefined)
+        return fail(gl, GL.INVALID_VALUE, `invalid internalformat ${hex(internalFormat)}`);
+    return expected === format || fail(gl, GL.INVALID_OPERATION, `internalformat ${hex(internalFormat)} cannot be uploaded as format ${hex(format)}`);
+}
+// Validates client pixel data for an upload of the given size: an ArrayBufferView of the right class
+// and length, a pixel-unpack buffer offset, or (dimensions already taken from it) an image source.
+function validatePixels(gl, pixels, srcOffset, width, height, depth, format, type) {
+    const unpackBuffer = gl.state.buffers.get(GL.PIXEL_UNPACK_BUFFER) ?? null;
+    if (typeof pixels === "number") {
+        if (!unpackBuffer)
+            return fail(gl, GL.INVALID_OPERATION, "an offset needs a PIXEL_UNPACK_BUFFER bound");
+        const needed = pixels + imageByteLength(width, height, depth, format, type, gl.state.pixelStore.get(GL.UNPACK_ALIGNMENT));
+        return needed <= unpackBuffer.data.byteLength || fail(gl, GL.INVALID_OPERATION, "upload reads past the end of the PIXEL_UNPACK_BUFFER");
+    }
+    if (unpackBuffer)
+        return fail(gl, GL.INVALID_OPERATION, "client data cannot be used while a PIXEL_UNPACK_BUFFER is bound");
+    if (pixels === null || pixels === undefined || !ArrayBuffer.isView(pixels))
+        return true;
+    if (!pixelArrayType(type).includes(pixels.constructor.name)) {
+        return fail(gl, GL.INVALID_OPERATION, `${pixels.constructor.name} does not match type ${hex(type)}`);
+    }
+    const elementSize = pixels.BYTES_PER_ELEMENT ?? 1;
+    const available = pixels.byteLength - srcOffset * elementSize;
+    const needed = imageByteLength(width, height, depth, format, type, gl.state.pixelStore.get(GL.UNPACK_ALIGNMENT));
+    return available >= needed || fail(gl, GL.INVALID_OPERATION, `pixel data holds ${available} bytes, the upload needs ${needed}`);
+}
+// Texture and level that a texImage/texStorage call on target defines, after target validation.
+function textureForImage(gl, target, dimensions) {
+    const targets = dimensions === 2 ? [GL.TEXTURE_2D, ...cubeFaces] : [GL.TEXTURE_3D, GL.TEXTURE_2D_ARRAY];
+    if (!requireEnum(gl, target, targets, "texture target"))
+        return null;
+    const texture = boundTexture(gl, target);
+    if (!texture) {
+        fail(gl, GL.INVALID_OPERATION, `no texture is bound to ${hex(target)}`);
+        return null;
+    }
+    return texture;
+}
+function defineImage(gl, target, level, internalFormat, width, height, depth, border, format, type, pixels, srcOffset) {
+    const texture = textureForImage(gl, target, target === GL.TEXTURE_3D || target === GL.TEXTURE_2D_ARRAY ? 3 : 2);
+    if (!texture)
+        return;
+    if (texture.immutable)
+        return fail(gl, GL.INVALID_OPERATION, "the texture has immutable storage");
+    if (level < 0 || width < 0 || height < 0 || depth < 0)
+        return fail(gl, GL.INVALID_VALUE, "level and size must not be negative");
+    if (border !== 0)
+        return fail(gl, GL.INVALID_VALUE, "border must be 0");
+    if (Math.max(width, height) > gl.maxTextureSize >> level)
+        return fail(gl, GL.INVALID_VALUE, "size exceeds MAX_TEXTURE_SIZE for the level");
+    if (cubeFaces.includes(target) && width !== height)
+        return fail(gl, GL.INVALID_VALUE, "cube map faces must be square");
+    if (!validatePixelFormat(gl, internalFormat, format, type))
+        return;
+    if (!validatePixels(gl, pixels, srcOffset, width, height, depth, format, type))
+        return;
+    texture.levels.set(`${target}:${level}`, { width, height, depth, internalFormat });
+}
+function updateImage(gl, target, level, x, y, z, width, height, depth, format, type, pixels, srcOffset) {
+    const texture = textureForImage(gl, target, target === GL.TEXTURE_3D || target === GL.TEXTURE_2D_ARRAY ? 3 : 2);
+    if (!texture)
+        return;
+    const image = texture.levels.get(`${target}:${level}`);
+    if (!image)
+        return fail(gl, GL.INVALID_OPERATION, `level ${level} of the texture is not defined`);
+    if (x < 0 || y < 0 || z < 0 || width < 0 || height < 0 || depth < 0)
+        return fail(gl, GL.INVALID_VALUE, "offset and size must not be negative");
+    if (x + width > image.width || y + height > image.height || z + depth > image.depth) {
+        return fail(gl, GL.INVALID_VALUE, "the region lies outside the texture level");
+    }
+    if (!validatePixels(gl, pixels, srcOffset, width, height, depth, format, type))
+        return;
+}
+function defineStorage(gl, target, levels, internalFormat, width, height, depth) {
+    const dimensions = target === GL.TEXTURE_3D || target === GL.TEXTURE_2D_ARRAY ? 3 : 2;
+    const targets = dimensions === 2 ? [GL.TEXTURE_2D, GL.TEXTURE_CUBE_MAP] : [GL.TEXTURE_3D, GL.TEXTURE_2D_ARRAY];
+    if (!requireEnum(gl, target, targets, "texture target"))
+        return;
+    const texture = boundTexture(gl, target);
+    if (!texture)
+        return fail(gl, GL.INVALID_OPERATION, `no texture is bound to ${hex(target)}`);
+    if (texture.immutable)
+        return fail(gl, GL.INVALID_OPERATION, "the texture already has immutable storage");
+    if (!sizedFormats.has(internalFormat))
+        return fail(gl, GL.INVALID_ENUM, `internalformat ${hex(internalFormat)} is not a sized format`);
+    if (levels < 1 || width < 1 || height < 1 || depth < 1)
+        return fail(gl, GL.INVALID_VALUE, "levels and size must be at least 1");
+    const largest = target === GL.TEXTURE_2D_ARRAY ? Math.max(width, height) : Math.max(width, height, depth);
+    if (levels > Math.floor(Math.log2(largest)) + 1)
+        return fail(gl, GL.INVALID_OPERATION, `${levels} levels do not fit a ${largest} texel texture`);
+    const images = target === GL.TEXTURE_CUBE_MAP ? cubeFaces : [target];
+    for (let level = 0; level < levels; level++) {
+        const levelDepth = target === GL.TEXTURE_3D ? Math.max(1, depth >> level) : depth;
+        for (const image of images) {
+            texture.levels.set(`${image}:${level}`, {
+                width: Math.max(1, width >> level),
+                height: Math.max(1, height >> level),
+                depth: levelDepth,
+                internalFormat
+            });
+        }
+    }
+    texture.immutable = true;
+}
+function parseUniformMethod(name) {
+    const match = /^uniform(Matrix)?(\d)(?:x(\d))?(f|i|ui)(v?)$/.exec(name);
+    const columns = Number(match[2]);
+    return {
+        matrix: !!match[1],
+        columns,
+        rows: match[3] ? Number(match[3]) : columns,
+        kind: match[4],
+        vector: match[5] === "v"
+    };
+}
+function writeUniform(gl, method, location, values, transpose) {
+    // A null location is silently ignored, so shaders can drop unused uniforms.
+    if (location === null || location === undefined)
+        return;
+    if (!(location instanceof WebGLUniformLocation))
+        throw new TypeError(`${gl.currentCall}: argument is not a WebGLUniformLocation`);
+    const program = gl.state.program;
+    if (!program)
+        return fail(gl, GL.INVALID_OPERATION, "no program is in use");
+    if (location.program !== program || location.linkCount !== program.linkCount) {
+        return fail(gl, GL.INVALID_OPERATION, "the location does not belong to the current program");
+    }
+    const uniform = program.uniforms[location.uniform];
+    const info = uniformTypeInfo(uniform.type);
+    const components = method.matrix ? method.columns * method.rows : method.columns;
+    const matches = method.matrix
+        ? info.columns === method.columns && info.components === components
+        : info.columns === 0 &&
+            info.components === components &&
+            (info.kind === "bool" ||
+                (method.kind === "f" && info.kind === "float") ||
+                (method.kind === "i" && (info.kind === "int" || (info.kind === "sampler" && components === 1))) ||
+                (method.kind === "ui" && info.kind === "uint"));
+    if (!matches)
+        return fail(gl, GL.INVALID_OPERATION, `${gl.currentCall} does not match the type of uniform '${uniform.name}'`);
+    if (transpose && !gl.isWebGL2)
+        return fail(gl, GL.INVALID_VALUE, "WebGL1 does not support transposed matrices");
+    if (values.length === 0 || values.length % components !== 0) {
+        return fail(gl, GL.INVALID_VALUE, `expected a multiple of ${components} values, got ${values.length}`);
+    }
+    if (uniform.size === 1 && values.length > components)
+        return fail(gl, GL.INVALID_OPERATION, `uniform '${uniform.name}' is not an array`);
+    if (info.kind === "sampler") {
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < 0 || values[i] >= limits.maxCombinedTextureUnits)
+                return fail(gl, GL.INVALID_VALUE, `texture unit ${values[i]} is out of range`);
+        }
+    }
+    const stored = program.uniformValues[location.uniform];
+    const start = location.element * components;
+    const count = Math.min(values.length, stored.length - start);
+    for (let i = 0; i < count; i++) {
+        const value = Number(values[i]);
+        stored[start + i] =
+            info.kind === "float" ? Math.fround(value) : info.kind === "uint" ? value >>> 0 : info.kind === "bool" ? (value ? 1 : 0) : value | 0;
+    }
+}
+const uniformMethods = {
+    webgl: [
+        "uniform1f", "uniform2f", "uniform3f", "uniform4f", "uniform1i", "uniform2i", "uniform3i", "uniform4i",
+        "uniform1fv", "uniform2fv", "uniform3fv", "uniform4fv", "uniform1iv", "uniform2iv", "uniform3iv", "uniform4iv",
+        "uniformMatrix2fv", "uniformMatrix3fv", "uniformMatrix4fv"
+    ],
+    webgl2: [
+        "uniform1ui", "uniform2ui", "uniform3ui", "uniform4ui", "uniform1uiv", "uniform2uiv", "uniform3uiv", "uniform4uiv",
+        "uniformMatrix2x3fv", "uniformMatrix2x4fv", "uniformMatrix3x2fv", "uniformMatrix3x4fv", "uniformMatrix4x2fv", "uniformMatrix4x3fv"
+    ]
+};
+function defineUniformMethods(prototype, names) {
+    for (const name of names) {
+        const method = parseUniformMethod(name);
+        let body;
+        if (method.matrix) {
+            body = function (location, transpose, data, srcOffset = 0, srcLength = 0) {
+                writeUniform(this, method, location, sliceSource(data, srcOffset, srcLength), transpose);
+            };
+        }
+        else if (method.vector) {
+            body = function (location, data, srcOffset = 0, srcLength = 0) {
+                writeUniform(this, method, location, sliceSource(data, srcOffset, srcLength), false);
+            };
+        }
+        else {
+            body = function (location, ...values) {
+                writeUniform(this, method, location, values, false);
+            };
+        }
+        Object.defineProperty(prototype, name, { value: body, writable: true, configurable: true });
+    }
+}
+// WebGL2 srcOffset/srcLength arguments, in elements; a zero length means "to the end".
+function sliceSource(data, srcOffset, srcLength) {
+    if (srcOffset === 0 && srcLength === 0)
+        return data;
+    return Array.prototype.slice.call(data, srcOffset, srcLength > 0 ? srcOffset + srcLength : undefined);
+}
+// Non-nullable object arguments throw in browsers, as the WebIDL binding rejects null.
+function requireObject(gl, object, type, what) {
+    if (object === null || object === undefined)
+        throw new TypeError(`${gl.currentCall}: ${what} must not be null`);
+    return checkObject(gl, object, type, what);
+}
+function stencilFaces(gl, face) {
+    const { front, back } = gl.state.stencil;
+    return face === GL.FRONT ? [front] : face === GL.BACK ? [back] : [front, back];
+}
+// Bytes of an ArrayBuffer or view, narrowed by WebGL2 srcOffset/length (in elements); null when out of range.
+function viewBytes(data, srcOffset, length) {
+    if (!ArrayBuffer.isView(data))
+        return srcOffset === 0 && length === 0 ? new Uint8Array(data) : null;
+    const elementSize = data.BYTES_PER_ELEMENT ?? 1;
+    const start = srcOffset * elementSize;
+    const byteLength = length > 0 ? length * elementSize : data.byteLength - start;
+    if (start < 0 || byteLength < 0 || start + byteLength > data.byteLength)
+        return null;
+    return new Uint8Array(data.buffer, data.byteOffset + start, byteLength);
+}
+function setAttribPointer(gl, index, size, type, normalized, stride, offset, integer, types) {
+    if (index < 0 || index >= limits.maxVertexAttribs)
+        return fail(gl, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+    if (!requireEnum(gl, type, types, "attribute type"))
+        return;
+    if (size < 1 || size > 4)
+        return fail(gl, GL.INVALID_VALUE, `size must be 1 to 4, got ${size}`);
+    if (stride < 0 || stride > 255 || offset < 0)
+        return fail(gl, GL.INVALID_VALUE, "stride must be 0 to 255 and offset not negative");
+    const bytes = typeBytes(type);
+    if (offset % bytes !== 0 || stride % bytes !== 0) {
+        return fail(gl, GL.INVALID_OPERATION, `offset and stride must be multiples of the ${bytes} byte component size`);
+    }
+    const buffer = gl.state.buffers.get(GL.ARRAY_BUFFER) ?? null;
+    // Pointing at client memory is not allowed, though offset 0 without a buffer resets the attribute.
+    if (!buffer && offset !== 0)
+        return fail(gl, GL.INVALID_OPERATION, "no ARRAY_BUFFER is bound");
+    Object.assign(gl.state.vertexArray.attribs[index], { buffer, size, type, normalized, stride, offset, integer });
+}
+const texParameterNames = {
+    webgl: [GL.TEXTURE_MIN_FILTER, GL.TEXTURE_MAG_FILTER, GL.TEXTURE_WRAP_S, GL.TEXTURE_WRAP_T],
+    webgl2: [
+        GL.TEXTURE_WRAP_R,
+        GL.TEXTURE_BASE_LEVEL,
+        GL.TEXTURE_MAX_LEVEL,
+        GL.TEXTURE_MIN_LOD,
+        GL.TEXTURE_MAX_LOD,
+        GL.TEXTURE_COMPARE_MODE,
+        GL.TEXTURE_COMPARE_FUNC
+    ]
+};
+function setTexParameter(gl, target, pname, param) {
+    if (!requireEnum(gl, target, textureTargets(gl), "texture target"))
+        return;
+    const texture = boundTexture(gl, target);
+    if (!texture)
+        return fail(gl, GL.INVALID_OPERATION, `no texture is bound to ${hex(target)}`);
+    const names = [...texParameterNames.webgl, ...(gl.isWebGL2 ? texParameterNames.webgl2 : [])];
+    if (extensionEnabled(gl, "EXT_texture_filter_anisotropic"))
+        names.push(TEXTURE_MAX_ANISOTROPY_EXT);
+    if (!requireEnum(gl, pname, names, "texture parameter"))
+        return;
+    const wraps = [GL.REPEAT, GL.CLAMP_TO_EDGE, GL.MIRRORED_REPEAT];
+    const magFilters = [GL.NEAREST, GL.LINEAR];
+    const minFilters = [...magFilters, GL.NEAREST_MIPMAP_NEAREST, GL.LINEAR_MIPMAP_NEAREST, GL.NEAREST_MIPMAP_LINEAR, GL.LINEAR_MIPMAP_LINEAR];
+    switch (pname) {
+        case GL.TEXTURE_WRAP_S:
+        case GL.TEXTURE_WRAP_T:
+        case GL.TEXTURE_WRAP_R:
+            if (!requireEnum(gl, param, wraps, "wrap mode"))
+                return;
+            break;
+        case GL.TEXTURE_MAG_FILTER:
+            if (!requireEnum(gl, param, magFilters, "filter"))
+                return;
+            break;
+        case GL.TEXTURE_MIN_FILTER:
+            if (!requireEnum(gl, param, minFilters, "filter"))
+                return;
+            break;
+        case GL.TEXTURE_COMPARE_MODE:
+            if (!requireEnum(gl, param, [GL.NONE, GL.COMPARE_REF_TO_TEXTURE], "compare mode"))
+                return;
+            break;
+        case GL.TEXTURE_COMPARE_FUNC:
+            if (!requireEnum(gl, param, compareFuncs, "compare function"))
+                return;
+            break;
+        case GL.TEXTURE_BASE_LEVEL:
+        case GL.TEXTURE_MAX_LEVEL:
+            if (param < 0)
+                return fail(gl, GL.INVALID_VALUE, "level must not be negative");
+            break;
+        case TEXTURE_MAX_ANISOTROPY_EXT:
+            if (param < 1)
+                return fail(gl, GL.INVALID_VALUE, "anisotropy must be at least 1");
+            break;
+    }
+    texture.parameters.set(pname, param);
+}
+function defaultTexParameter(pname) {
+    switch (pname) {
+        case GL.TEXTURE_MIN_FILTER:
+            return GL.NEAREST_MIPMAP_LINEAR;
+        case GL.TEXTURE_MAG_FILTER:
+            return GL.LINEAR;
+        case GL.TEXTURE_WRAP_S:
+        case GL.TEXTURE_WRAP_T:
+        case GL.TEXTURE_WRAP_R:
+            return GL.REPEAT;
+        case GL.TEXTURE_BASE_LEVEL:
+            return 0;
+        case GL.TEXTURE_MAX_LEVEL:
+            return 1000;
+        case GL.TEXTURE_MIN_LOD:
+            return -1000;
+        case GL.TEXTURE_MAX_LOD:
+            return 1000;
+        case GL.TEXTURE_COMPARE_MODE:
+            return GL.NONE;
+        case GL.TEXTURE_COMPARE_FUNC:
+            return GL.LEQUAL;
+        case TEXTURE_MAX_ANISOTROPY_EXT:
+            return 1;
+    }
+    return null;
+}
+// The framebuffer an attach call modifies, or undefined after raising the error. Attaching to the
+// default framebuffer is an error.
+function framebufferForAttachment(gl, target, attachment) {
+    if (!requireEnum(gl, target, framebufferTargets(gl), "framebuffer target"))
+        return undefined;
+    if (!requireEnum(gl, attachment, attachmentPoints(gl), "attachment"))
+        return undefined;
+    const fb = boundFramebuffer(gl, target);
+    if (!fb) {
+        fail(gl, GL.INVALID_OPERATION, "the default framebuffer cannot have attachments");
+        return undefined;
+    }
+    return fb;
+}
+// A DEPTH_STENCIL_ATTACHMENT replaces separate depth and stencil attachments, and the other way round.
+function setAttachment(fb, attachment, value) {
+    if (attachment === GL.DEPTH_STENCIL_ATTACHMENT) {
+        fb.attachments.delete(GL.DEPTH_ATTACHMENT);
+        fb.attachments.delete(GL.STENCIL_ATTACHMENT);
+    }
+    else if (attachment === GL.DEPTH_ATTACHMENT || attachment === GL.STENCIL_ATTACHMENT) {
+        fb.attachments.delete(GL.DEPTH_STENCIL_ATTACHMENT);
+    }
+    if (value)
+        fb.attachments.set(attachment, value);
+    else
+        fb.attachments.delete(attachment);
+}
+const renderbufferFormats = {
+    webgl: [GL.RGBA4, GL.RGB565, GL.RGB5_A1, GL.DEPTH_COMPONENT16, GL.STENCIL_INDEX8, GL.DEPTH_STENCIL],
+    webgl2: [
+        GL.R8,
+        GL.RG8,
+        GL.RGB8,
+        GL.RGBA8,
+        GL.SRGB8_ALPHA8,
+        GL.RGB10_A2,
+        GL.R8I,
+        GL.R8UI,
+        GL.R16I,
+        GL.R16UI,
+        GL.R32I,
+        GL.R32UI,
+        GL.RG8I,
+        GL.RG8UI,
+        GL.RG16I,
+        GL.RG16UI,
+        GL.RG32I,
+        GL.RG32UI,
+        GL.RGBA8I,
+        GL.RGBA8UI,
+        GL.RGBA16I,
+        GL.RGBA16UI,
+        GL.RGBA32I,
+        GL.RGBA32UI,
+        GL.DEPTH_COMPONENT24,
+        GL.DEPTH_COMPONENT32F,
+        GL.DEPTH24_STENCIL8,
+        GL.DEPTH32F_STENCIL8
+    ]
+};
+function setRenderbufferStorage(gl, target, samples, internalFormat, width, height) {
+    if (!requireEnum(gl, target, [GL.RENDERBUFFER], "renderbuffer target"))
+        return;
+    const formats = [...renderbufferFormats.webgl, ...(gl.isWebGL2 ? renderbufferFormats.webgl2 : [])];
+    if (extensionEnabled(gl, gl.isWebGL2 ? "EXT_color_buffer_float" : "WEBGL_color_buffer_float")) {
+        formats.push(...(gl.isWebGL2 ? floatRenderFormats : [GL.RGBA32F]));
+    }
+    if (extensionEnabled(gl, "EXT_color_buffer_half_float"))
+        formats.push(GL.RGBA16F, GL.RGB16F);
+    if (!requireEnum(gl, internalFormat, formats, "renderbuffer format"))
+        return;
+    const rb = gl.state.renderbuffer;
+    if (!rb)
+        return fail(gl, GL.INVALID_OPERATION, "no renderbuffer is bound");
+    if (width < 0 || height < 0 || samples < 0)
+        return fail(gl, GL.INVALID_VALUE, "size and samples must not be negative");
+    if (width > gl.maxTextureSize || height > gl.maxTextureSize)
+        return fail(gl, GL.INVALID_VALUE, "size exceeds MAX_RENDERBUFFER_SIZE");
+    if (samples > limits.maxSamples)
+        return fail(gl, GL.INVALID_OPERATION, `samples exceed MAX_SAMPLES (${limits.maxSamples})`);
+    Object.assign(rb, { width, height, internalFormat, samples });
+}
+function getParameterImpl(gl, pname) {
+    const state = gl.state;
+    const webgl2 = gl.isWebGL2;
+    switch (pname) {
+        case GL.ARRAY_BUFFER_BINDING:
+            return state.buffers.get(GL.ARRAY_BUFFER) ?? null;
+        case GL.ELEMENT_ARRAY_BUFFER_BINDING:
+            return state.vertexArray.elementBuffer;
+        case GL.CURRENT_PROGRAM:
+            return state.program;
+        case GL.FRAMEBUFFER_BINDING:
+            return state.drawFramebuffer;
+        case GL.RENDERBUFFER_BINDING:
+            return state.renderbuffer;
+        case GL.ACTIVE_TEXTURE:
+            return GL.TEXTURE0 + state.activeTexture;
+        case GL.TEXTURE_BINDING_2D:
+            return state.textureUnits[state.activeTexture].get(GL.TEXTURE_2D) ?? null;
+        case GL.TEXTURE_BINDING_CUBE_MAP:
+            return state.textureUnits[state.activeTexture].get(GL.TEXTURE_CUBE_MAP) ?? null;
+        case GL.VIEWPORT:
+            return new Int32Array(state.viewport);
+        case GL.SCISSOR_BOX:
+            return new Int32Array(state.scissor);
+        case GL.COLOR_CLEAR_VALUE:
+            return new Float32Array(state.clearColor);
+        case GL.DEPTH_CLEAR_VALUE:
+            return state.clearDepth;
+        case GL.STENCIL_CLEAR_VALUE:
+            return state.clearStencil;
+        case GL.COLOR_WRITEMASK:
+            return [...state.colorMask];
+        case GL.BLEND_SRC_RGB:
+            return state.blendFunc[0];
+        case GL.BLEND_DST_RGB:
+            return state.blendFunc[1];
+        case GL.BLEND_SRC_ALPHA:
+            return state.blendFunc[2];
+        case GL.BLEND_DST_ALPHA:
+            return state.blendFunc[3];
+        case GL.BLEND_EQUATION_RGB:
+            return state.blendEquation[0];
+        case GL.BLEND_EQUATION_ALPHA:
+            return state.blendEquation[1];
+        case GL.BLEND_COLOR:
+            return new Float32Array(state.blendColor);
+        case GL.DEPTH_FUNC:
+            return state.depthFunc;
+        case GL.DEPTH_WRITEMASK:
+            return state.depthMask;
+        case GL.DEPTH_RANGE:
+            return new Float32Array(state.depthRange);
+        case GL.CULL_FACE_MODE:
+            return state.cullFace;
+        case GL.FRONT_FACE:
+            return state.frontFace;
+        case GL.POLYGON_OFFSET_FACTOR:
+            return state.polygonOffset[0];
+        case GL.POLYGON_OFFSET_UNITS:
+            return state.polygonOffset[1];
+        case GL.LINE_WIDTH:
+            return state.lineWidth;
+        case GL.STENCIL_FUNC:
+            return state.stencil.front.func;
+        case GL.STENCIL_REF:
+            return state.stencil.front.ref;
+        case GL.STENCIL_VALUE_MASK:
+            return state.stencil.front.valueMask;
+        case GL.STENCIL_WRITEMASK:
+            return state.stencil.front.writeMask;
+        case GL.STENCIL_FAIL:
+            return state.stencil.front.fail;
+        case GL.STENCIL_PASS_DEPTH_FAIL:
+            return state.stencil.front.zfail;
+        case GL.STENCIL_PASS_DEPTH_PASS:
+            return state.stencil.front.zpass;
+        case GL.STENCIL_BACK_FUNC:
+            return state.stencil.back.func;
+        case GL.STENCIL_BACK_REF:
+            return state.stencil.back.ref;
+        case GL.STENCIL_BACK_VALUE_MASK:
+            return state.stencil.back.valueMask;
+        case GL.STENCIL_BACK_WRITEMASK:
+            return state.stencil.back.writeMask;
+        case GL.STENCIL_BACK_FAIL:
+            return state.stencil.back.fail;
+        case GL.STENCIL_BACK_PASS_DEPTH_FAIL:
+            return state.stencil.back.zfail;
+        case GL.STENCIL_BACK_PASS_DEPTH_PASS:
+            return state.stencil.back.zpass;
+        case GL.PACK_ALIGNMENT:
+        case GL.UNPACK_ALIGNMENT:
+        case GL.UNPACK_FLIP_Y_WEBGL:
+        case GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL:
+        case GL.UNPACK_COLORSPACE_CONVERSION_WEBGL:
+            return state.pixelStore.get(pname);
+        case GL.MAX_TEXTURE_SIZE:
+        case GL.MAX_CUBE_MAP_TEXTURE_SIZE:
+        case GL.MAX_RENDERBUFFER_SIZE:
+            return gl.maxTextureSize;
+        case GL.MAX_VIEWPORT_DIMS:
+            return new Int32Array([gl.maxTextureSize, gl.maxTextureSize]);
+        case GL.MAX_VERTEX_ATTRIBS:
+            return limits.maxVertexAttribs;
+        case GL.MAX_TEXTURE_IMAGE_UNITS:
+        case GL.MAX_VERTEX_TEXTURE_IMAGE_UNITS:
+            return limits.maxTextureUnits;
+        case GL.MAX_COMBINED_TEXTURE_IMAGE_UNITS:
+            return limits.maxCombinedTextureUnits;
+        case GL.MAX_VERTEX_UNIFORM_VECTORS:
+        case GL.MAX_FRAGMENT_UNIFORM_VECTORS:
+            return 1024;
+        case GL.MAX_VARYING_VECTORS:
+            return 16;
+        case GL.ALIASED_LINE_WIDTH_RANGE:
+        case GL.ALIASED_POINT_SIZE_RANGE:
+            return new Float32Array([1, pname === GL.ALIASED_LINE_WIDTH_RANGE ? 1 : 1024]);
+        case GL.SAMPLES:
+            return gl.getContextAttributes().antialias ? limits.maxSamples : 0;
+        case GL.IMPLEMENTATION_COLOR_READ_FORMAT:
+            return GL.RGBA;
+        case GL.IMPLEMENTATION_COLOR_READ_TYPE:
+            return GL.UNSIGNED_BYTE;
+        case GL.VENDOR:
+        case GL.RENDERER:
+            return "BlazorGL mock";
+        case GL.VERSION:
+            return webgl2 ? "WebGL 2.0 (BlazorGL mock)" : "WebGL 1.0 (BlazorGL mock)";
+        case GL.SHADING_LANGUAGE_VERSION:
+            return webgl2 ? "WebGL GLSL ES 3.00 (BlazorGL mock)" : "WebGL GLSL ES 1.0 (BlazorGL mock)";
+        case MAX_TEXTURE_MAX_ANISOTROPY_EXT:
+            if (extensionEnabled(gl, "EXT_texture_filter_anisotropic"))
+                return 16;
+            break;
+        case GPU_DISJOINT_EXT:
+            if (extensionEnabled(gl, "EXT_disjoint_timer_query_webgl2")) {
+                const disjoint = state.disjoint;
+                state.disjoint = false;
+                return disjoint;
+            }
+            break;
+        case GL.MAX_DRAW_BUFFERS:
+        case GL.MAX_COLOR_ATTACHMENTS:
+            // Also MAX_DRAW_BUFFERS_WEBGL / MAX_COLOR_ATTACHMENTS_WEBGL, which share the values.
+            if (webgl2 || extensionEnabled(gl, "WEBGL_draw_buffers"))
+                return limits.maxDrawBuffers;
+            break;
+        case GL.VERTEX_ARRAY_BINDING:
+            // Also VERTEX_ARRAY_BINDING_OES.
+            if (webgl2 || extensionEnabled(gl, "OES_vertex_array_object"))
+                return state.vertexArray === state.defaultVertexArray ? null : state.vertexArray;
+            break;
+    }
+    if (pname >= GL.DRAW_BUFFER0 && pname < GL.DRAW_BUFFER0 + limits.maxDrawBuffers && (webgl2 || extensionEnabled(gl, "WEBGL_draw_buffers"))) {
+        return state.drawBuffers[pname - GL.DRAW_BUFFER0] ?? GL.NONE;
+    }
+    if (capabilities(gl).includes(pname))
+        return !!state.capabilities.get(pname);
+    if (webgl2) {
+        const value = getParameter2(gl, pname);
+        if (value !== undefined)
+            return value;
+    }
+    fail(gl, GL.INVALID_ENUM, `invalid parameter ${hex(pname)}`);
+    return null;
+}
+// WebGL2-only getParameter names; undefined for anything else.
+function getParameter2(gl, pname) {
+    const state = gl.state;
+    const unit = state.textureUnits[state.activeTexture];
+    switch (pname) {
+        case GL.COPY_READ_BUFFER_BINDING:
+            return state.buffers.get(GL.COPY_READ_BUFFER) ?? null;
+        case GL.COPY_WRITE_BUFFER_BINDING:
+            return state.buffers.get(GL.COPY_WRITE_BUFFER) ?? null;
+        case GL.PIXEL_PACK_BUFFER_BINDING:
+            return state.buffers.get(GL.PIXEL_PACK_BUFFER) ?? null;
+        case GL.PIXEL_UNPACK_BUFFER_BINDING:
+            return state.buffers.get(GL.PIXEL_UNPACK_BUFFER) ?? null;
+        case GL.TRANSFORM_FEEDBACK_BUFFER_BINDING:
+            return state.buffers.get(GL.TRANSFORM_FEEDBACK_BUFFER) ?? null;
+        case GL.UNIFORM_BUFFER_BINDING:
+            return state.buffers.get(GL.UNIFORM_BUFFER) ?? null;
+        case GL.READ_FRAMEBUFFER_BINDING:
+            return state.readFramebuffer;
+        case GL.TRANSFORM_FEEDBACK_BINDING:
+            return state.transformFeedback;
+        case GL.TEXTURE_BINDING_3D:
+            return unit.get(GL.TEXTURE_3D) ?? null;
+        case GL.TEXTURE_BINDING_2D_ARRAY:
+            return unit.get(GL.TEXTURE_2D_ARRAY) ?? null;
+        case GL.READ_BUFFER:
+            return state.readBuffer;
+        case GL.PACK_ROW_LENGTH:
+        case GL.PACK_SKIP_PIXELS:
+        case GL.PACK_SKIP_ROWS:
+        case GL.UNPACK_ROW_LENGTH:
+        case GL.UNPACK_IMAGE_HEIGHT:
+        case GL.UNPACK_SKIP_PIXELS:
+        case GL.UNPACK_SKIP_ROWS:
+        case GL.UNPACK_SKIP_IMAGES:
+            return state.pixelStore.get(pname) ?? 0;
+        case GL.MAX_3D_TEXTURE_SIZE:
+            return 2048;
+        case GL.MAX_ARRAY_TEXTURE_LAYERS:
+            return 2048;
+        case GL.MAX_SAMPLES:
+            return limits.maxSamples;
+        case GL.MAX_UNIFORM_BUFFER_BINDINGS:
+            return limits.maxUniformBufferBindings;
+        case GL.MAX_UNIFORM_BLOCK_SIZE:
+            return 65536;
+        case GL.MAX_VERTEX_UNIFORM_BLOCKS:
+        case GL.MAX_FRAGMENT_UNIFORM_BLOCKS:
+            return 12;
+        case GL.MAX_COMBINED_UNIFORM_BLOCKS:
+            return 24;
+        case GL.UNIFORM_BUFFER_OFFSET_ALIGNMENT:
+            return limits.uniformBufferOffsetAlignment;
+        case GL.MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS:
+            return limits.maxTransformFeedbackBuffers;
+        case GL.MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS:
+            return 64;
+        case GL.MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS:
+            return 4;
+        case GL.MAX_ELEMENTS_INDICES:
+        case GL.MAX_ELEMENTS_VERTICES:
+            return 0x7fffffff;
+        case GL.MAX_SERVER_WAIT_TIMEOUT:
+            return 0;
+        case GL.MAX_CLIENT_WAIT_TIMEOUT_WEBGL:
+            return 0;
+    }
+    return undefined;
+}
+/**
+ * Recording WebGL1 context. Every call lands in calls, every GL error it raises in errors (with the
+ * reason), and live objects in objects. getError behaves as in browsers: one error at a time.
+ */
+export class MockWebGLRenderingContext {
+    constructor(canvas, options = {}, attributes = {}) {
+        this.calls = [];
+        this.errors = [];
+        // Objects created and not yet deleted, in creation order.
+        this.objects = new Set();
+        this.currentCall = "";
+        this.contextLost = false;
+        // Set when the webglcontextlost event was cancelled, which is what allows a restore.
+        this.restorable = false;
+        this.extensions = new Map();
+        this.canvas = canvas;
+        this.options = options;
+        this.maxTextureSize = options.maxTextureSize ?? 4096;
+        this.attributes = {
+            alpha: true,
+            antialias: true,
+            depth: true,
+            desynchronized: false,
+            failIfMajorPerformanceCaveat: false,
+            powerPreference: "default",
+            premultipliedAlpha: true,
+            preserveDrawingBuffer: false,
+            stencil: false,
+            ...attributes
+        };
+        this.state = createState(this, 1);
+        this.state.disjoint = !!options.disjoint;
+    }
+    get isWebGL2() {
+        return false;
+    }
+    get drawingBufferWidth() {
+        return this.canvas.width;
+    }
+    get drawingBufferHeight() {
+        return this.canvas.height;
+    }
+    /** Names of the calls made so far, optionally only those matching a name. */
+    callsTo(name) {
+        return this.calls.filter((call) => call.name === name);
+    }
+    /** Forgets recorded calls and errors, keeping all GL state. */
+    clearCalls() {
+        this.calls.length = 0;
+        this.errors.length = 0;
+    }
+    /** Live objects of one class, e.g. liveObjects("WebGLBuffer"). */
+    liveObjects(kind) {
+        return [...this.objects].filter((object) => !kind || object.constructor.name === kind);
+    }
+    getContextAttributes() {
+        return { ...this.attributes };
+    }
+    isContextLost() {
+        return this.contextLost;
+    }
+    getSupportedExtensions() {
+        return [...(this.options.extensions ?? knownExtensions[this.isWebGL2 ? "webgl2" : "webgl"])];
+    }
+    getExtension(name) {
+        if (!this.getSupportedExtensions().includes(name))
+            return null;
+        let ext = this.extensions.get(name);
+        if (!ext) {
+            ext = createExtension(this, name);
+            this.extensions.set(name, ext);
+        }
+        this.state.enabledExtensions.add(name);
+        return ext;
+    }
+    getError() {
+        const error = this.state.error;
+        this.state.error = GL.NO_ERROR;
+        return error;
+    }
+    finish() { }
+    flush() { }
+    hint(target, mode) {
+        const targets = this.isWebGL2 ? [GL.GENERATE_MIPMAP_HINT, GL.FRAGMENT_SHADER_DERIVATIVE_HINT] : [GL.GENERATE_MIPMAP_HINT];
+        if (requireEnum(this, target, targets, "hint target"))
+            requireEnum(this, mode, [GL.DONT_CARE, GL.FASTEST, GL.NICEST], "hint mode");
+    }
+    enable(cap) {
+        if (requireEnum(this, cap, capabilities(this), "capability"))
+            this.state.capabilities.set(cap, true);
+    }
+    disable(cap) {
+        if (requireEnum(this, cap, capabilities(this), "capability"))
+            this.state.capabilities.set(cap, false);
+    }
+    isEnabled(cap) {
+        return requireEnum(this, cap, capabilities(this), "capability") && !!this.state.capabilities.get(cap);
+    }
+    viewport(x, y, width, height) {
+        if (width < 0 || height < 0)
+            return fail(this, GL.INVALID_VALUE, "viewport size must not be negative");
+        this.state.viewport = [x, y, width, height];
+    }
+    scissor(x, y, width, height) {
+        if (width < 0 || height < 0)
+            return fail(this, GL.INVALID_VALUE, "scissor size must not be negative");
+        this.state.scissor = [x, y, width, height];
+    }
+    clearColor(r, g, b, a) {
+        this.state.clearColor = [r, g, b, a];
+    }
+    clearDepth(depth) {
+        this.state.clearDepth = Math.min(1, Math.max(0, depth));
+    }
+    clearStencil(s) {
+        this.state.clearStencil = s;
+    }
+    // Clears are the only thing the mock "renders": the color buffer takes the clear color (through the
+    // color mask), so readPixels afterwards returns it. Scissor is not applied.
+    clear(mask) {
+        const all = GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT | GL.STENCIL_BUFFER_BIT;
+        if ((mask & ~all) !== 0)
+            return fail(this, GL.INVALID_VALUE, `invalid clear mask ${hex(mask)}`);
+        const fb = this.state.drawFramebuffer;
+        if (!requireCompleteFramebuffer(this, fb))
+            return;
+        if (mask & GL.COLOR_BUFFER_BIT) {
+            const color = fb ? fb.color : this.state.defaultColor;
+            for (let i = 0; i < 4; i++) {
+                if (this.state.colorMask[i])
+                    color[i] = this.state.clearColor[i];
+            }
+        }
+    }
+    colorMask(r, g, b, a) {
+        this.state.colorMask = [!!r, !!g, !!b, !!a];
+    }
+    cullFace(mode) {
+        if (requireEnum(this, mode, faces, "cull face"))
+            this.state.cullFace = mode;
+    }
+    frontFace(mode) {
+        if (requireEnum(this, mode, [GL.CW, GL.CCW], "front face"))
+            this.state.frontFace = mode;
+    }
+    blendFunc(src, dst) {
+        this.blendFuncSeparate(src, dst, src, dst);
+    }
+    blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha) {
+        for (const factor of [srcRGB, dstRGB, srcAlpha, dstAlpha]) {
+            if (!requireEnum(this, factor, blendFactors, "blend factor"))
+                return;
+        }
+        // WebGL forbids mixing constant color and constant alpha factors between source and destination.
+        const color = [GL.CONSTANT_COLOR, GL.ONE_MINUS_CONSTANT_COLOR];
+        const alpha = [GL.CONSTANT_ALPHA, GL.ONE_MINUS_CONSTANT_ALPHA];
+        if ((color.includes(srcRGB) && alpha.includes(dstRGB)) || (alpha.includes(srcRGB) && color.includes(dstRGB))) {
+            return fail(this, GL.INVALID_OPERATION, "constant color and constant alpha factors cannot be combined");
+        }
+        this.state.blendFunc = [srcRGB, dstRGB, srcAlpha, dstAlpha];
+    }
+    blendEquation(mode) {
+        this.blendEquationSeparate(mode, mode);
+    }
+    blendEquationSeparate(modeRGB, modeAlpha) {
+        const modes = blendEquations(this);
+        if (requireEnum(this, modeRGB, modes, "blend equation") && requireEnum(this, modeAlpha, modes, "blend equation")) {
+            this.state.blendEquation = [modeRGB, modeAlpha];
+        }
+    }
+    blendColor(r, g, b, a) {
+        this.state.blendColor = [r, g, b, a];
+    }
+    depthFunc(func) {
+        if (requireEnum(this, func, compareFuncs, "depth function"))
+            this.state.depthFunc = func;
+    }
+    depthMask(flag) {
+        this.state.depthMask = !!flag;
+    }
+    depthRange(zNear, zFar) {
+        if (zNear > zFar)
+            return fail(this, GL.INVALID_OPERATION, "zNear must not be greater than zFar");
+        this.state.depthRange = [Math.min(1, Math.max(0, zNear)), Math.min(1, Math.max(0, zFar))];
+    }
+    stencilFunc(func, ref, mask) {
+        this.stencilFuncSeparate(GL.FRONT_AND_BACK, func, ref, mask);
+    }
+    stencilFuncSeparate(face, func, ref, mask) {
+        if (!requireEnum(this, face, faces, "face") || !requireEnum(this, func, compareFuncs, "stencil function"))
+            return;
+        for (const side of stencilFaces(this, face))
+            Object.assign(side, { func, ref, valueMask: mask >>> 0 });
+    }
+    stencilOp(fail, zfail, zpass) {
+        this.stencilOpSeparate(GL.FRONT_AND_BACK, fail, zfail, zpass);
+    }
+    stencilOpSeparate(face, sfail, zfail, zpass) {
+        if (!requireEnum(this, face, faces, "face"))
+            return;
+        for (const op of [sfail, zfail, zpass]) {
+            if (!requireEnum(this, op, stencilOps, "stencil operation"))
+                return;
+        }
+        for (const side of stencilFaces(this, face))
+            Object.assign(side, { fail: sfail, zfail, zpass });
+    }
+    stencilMask(mask) {
+        this.stencilMaskSeparate(GL.FRONT_AND_BACK, mask);
+    }
+    stencilMaskSeparate(face, mask) {
+        if (!requireEnum(this, face, faces, "face"))
+            return;
+        for (const side of stencilFaces(this, face))
+            side.writeMask = mask >>> 0;
+    }
+    polygonOffset(factor, units) {
+        this.state.polygonOffset = [factor, units];
+    }
+    lineWidth(width) {
+        if (!(width > 0))
+            return fail(this, GL.INVALID_VALUE, "line width must be positive");
+        this.state.lineWidth = width;
+    }
+    sampleCoverage(value, invert) { }
+    pixelStorei(pname, param) {
+        const pnames = [
+            GL.PACK_ALIGNMENT,
+            GL.UNPACK_ALIGNMENT,
+            GL.UNPACK_FLIP_Y_WEBGL,
+            GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL,
+            GL.UNPACK_COLORSPACE_CONVERSION_WEBGL
+        ];
+        if (this.isWebGL2) {
+            pnames.push(GL.PACK_ROW_LENGTH, GL.PACK_SKIP_PIXELS, GL.PACK_SKIP_ROWS, GL.UNPACK_ROW_LENGTH, GL.UNPACK_IMAGE_HEIGHT, GL.UNPACK_SKIP_PIXELS, GL.UNPACK_SKIP_ROWS, GL.UNPACK_SKIP_IMAGES);
+        }
+        if (!requireEnum(this, pname, pnames, "pixel store parameter"))
+            return;
+        if ((pname === GL.PACK_ALIGNMENT || pname === GL.UNPACK_ALIGNMENT) && ![1, 2, 4, 8].includes(Number(param))) {
+            return fail(this, GL.INVALID_VALUE, `alignment must be 1, 2, 4 or 8, got ${param}`);
+        }
+        const flag = pname === GL.UNPACK_FLIP_Y_WEBGL || pname === GL.UNPACK_PREMULTIPLY_ALPHA_WEBGL;
+        this.state.pixelStore.set(pname, flag ? !!param : Number(param));
+    }
+    // Buffers
+    createBuffer() {
+        return create(this, new WebGLBuffer(this, this.state.generation));
+    }
+    isBuffer(buffer) {
+        return isLive(this, buffer, WebGLBuffer) && buffer.bound;
+    }
+    bindBuffer(target, buffer) {
+        if (!requireEnum(this, target, bufferTargets(this), "buffer target") || !checkObject(this, buffer, WebGLBuffer, "buffer"))
+            return;
+        if (buffer) {
+            // WebGL keeps index data and other data in separate buffers.
+            const kind = target === GL.ELEMENT_ARRAY_BUFFER ? GL.ELEMENT_ARRAY_BUFFER : GL.ARRAY_BUFFER;
+            if (buffer.kind && buffer.kind !== kind) {
+                return fail(this, GL.INVALID_OPERATION, "a buffer cannot switch between ELEMENT_ARRAY_BUFFER and other targets");
+            }
+            buffer.kind = kind;
+            buffer.bound = true;
+        }
+        if (target === GL.ELEMENT_ARRAY_BUFFER)
+            this.state.vertexArray.elementBuffer = buffer;
+        else
+            this.state.buffers.set(target, buffer);
+    }
+    bufferData(target, sizeOrData, usage, srcOffset = 0, length = 0) {
+        if (!requireEnum(this, target, bufferTargets(this), "buffer target"))
+            return;
+        const usages = [GL.STREAM_DRAW, GL.STATIC_DRAW, GL.DYNAMIC_DRAW];
+        if (this.isWebGL2)
+            usages.push(GL.STREAM_READ, GL.STREAM_COPY, GL.STATIC_READ, GL.STATIC_COPY, GL.DYNAMIC_READ, GL.DYNAMIC_COPY);
+        if (!requireEnum(this, usage, usages, "buffer usage"))
+            return;
+        const buffer = boundBuffer(this, target);
+        if (!buffer)
+            return fail(this, GL.INVALID_OPERATION, `no buffer is bound to ${hex(target)}`);
+        if (typeof sizeOrData === "number") {
+            if (sizeOrData < 0)
+                return fail(this, GL.INVALID_VALUE, "size must not be negative");
+            buffer.data = new Uint8Array(sizeOrData);
+        }
+        else if (sizeOrData === null || sizeOrData === undefined) {
+            return fail(this, GL.INVALID_VALUE, "data must not be null");
+        }
+        else {
+            const bytes = viewBytes(sizeOrData, srcOffset, length);
+            if (!bytes)
+                return fail(this, GL.INVALID_VALUE, "srcOffset and length lie outside the source array");
+            buffer.data = bytes.slice();
+        }
+        buffer.usage = usage;
+    }
+    bufferSubData(target, dstByteOffset, srcData, srcOffset = 0, length = 0) {
+        if (!requireEnum(this, target, bufferTargets(this), "buffer target"))
+            return;
+        const buffer = boundBuffer(this, target);
+        if (!buffer)
+            return fail(this, GL.INVALID_OPERATION, `no buffer is bound to ${hex(target)}`);
+        const bytes = viewBytes(srcData, srcOffset, length);
+        if (!bytes)
+            return fail(this, GL.INVALID_VALUE, "srcOffset and length lie outside the source array");
+        if (dstByteOffset < 0 || dstByteOffset + bytes.byteLength > buffer.data.byteLength) {
+            return fail(this, GL.INVALID_VALUE, `writing ${bytes.byteLength} bytes at ${dstByteOffset} overflows the ${buffer.data.byteLength} byte buffer`);
+        }
+        buffer.data.set(bytes, dstByteOffset);
+    }
+    getBufferParameter(target, pname) {
+        if (!requireEnum(this, target, bufferTargets(this), "buffer target"))
+            return null;
+        const buffer = boundBuffer(this, target);
+        if (!buffer) {
+            fail(this, GL.INVALID_OPERATION, `no buffer is bound to ${hex(target)}`);
+            return null;
+        }
+        if (pname === GL.BUFFER_SIZE)
+            return buffer.data.byteLength;
+        if (pname === GL.BUFFER_USAGE)
+            return buffer.usage;
+        fail(this, GL.INVALID_ENUM, `invalid buffer parameter ${hex(pname)}`);
+        return null;
+    }
+    deleteBuffer(buffer) {
+        if (!buffer || buffer.deleted || !checkObject(this, buffer, WebGLBuffer, "buffer"))
+            return;
+        const state = this.state;
+        for (const [target, bound] of state.buffers) {
+            if (bound === buffer)
+                state.buffers.set(target, null);
+        }
+        for (const bindings of state.indexedBuffers.values()) {
+            bindings.forEach((bound, index) => {
+                if (bound === buffer)
+                    bindings[index] = null;
+            });
+        }
+        // Only the bound vertex array lets go of the buffer; others keep referring to it, as in WebGL.
+        if (state.vertexArray.elementBuffer === buffer)
+            state.vertexArray.elementBuffer = null;
+        for (const attrib of state.vertexArray.attribs) {
+            if (attrib.buffer === buffer)
+                attrib.buffer = null;
+        }
+        release(this, buffer);
+    }
+    // Vertex attributes
+    enableVertexAttribArray(index) {
+        if (index < 0 || index >= limits.maxVertexAttribs)
+            return fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+        this.state.vertexArray.attribs[index].enabled = true;
+    }
+    disableVertexAttribArray(index) {
+        if (index < 0 || index >= limits.maxVertexAttribs)
+            return fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+        this.state.vertexArray.attribs[index].enabled = false;
+    }
+    vertexAttribPointer(index, size, type, normalized, stride, offset) {
+        const types = [GL.BYTE, GL.UNSIGNED_BYTE, GL.SHORT, GL.UNSIGNED_SHORT, GL.FLOAT];
+        if (this.isWebGL2)
+            types.push(GL.INT, GL.UNSIGNED_INT, GL.HALF_FLOAT, GL.INT_2_10_10_10_REV, GL.UNSIGNED_INT_2_10_10_10_REV);
+        setAttribPointer(this, index, size, type, !!normalized, stride, offset, false, types);
+    }
+    getVertexAttrib(index, pname) {
+        if (index < 0 || index >= limits.maxVertexAttribs) {
+            fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+            return null;
+        }
+        const attrib = this.state.vertexArray.attribs[index];
+        switch (pname) {
+            case GL.VERTEX_ATTRIB_ARRAY_ENABLED:
+                return attrib.enabled;
+            case GL.VERTEX_ATTRIB_ARRAY_SIZE:
+                return attrib.size;
+            case GL.VERTEX_ATTRIB_ARRAY_STRIDE:
+                return attrib.stride;
+            case GL.VERTEX_ATTRIB_ARRAY_TYPE:
+                return attrib.type;
+            case GL.VERTEX_ATTRIB_ARRAY_NORMALIZED:
+                return attrib.normalized;
+            case GL.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING:
+                return attrib.buffer;
+            case GL.VERTEX_ATTRIB_ARRAY_DIVISOR:
+                if (this.isWebGL2 || extensionEnabled(this, "ANGLE_instanced_arrays"))
+                    return attrib.divisor;
+                break;
+            case GL.VERTEX_ATTRIB_ARRAY_INTEGER:
+                if (this.isWebGL2)
+                    return attrib.integer;
+                break;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid vertex attribute parameter ${hex(pname)}`);
+        return null;
+    }
+    getVertexAttribOffset(index, pname) {
+        if (pname !== GL.VERTEX_ATTRIB_ARRAY_POINTER) {
+            fail(this, GL.INVALID_ENUM, `invalid vertex attribute parameter ${hex(pname)}`);
+            return 0;
+        }
+        if (index < 0 || index >= limits.maxVertexAttribs) {
+            fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+            return 0;
+        }
+        return this.state.vertexArray.attribs[index].offset;
+    }
+    // Textures
+    createTexture() {
+        return create(this, new WebGLTexture(this, this.state.generation));
+    }
+    isTexture(texture) {
+        return isLive(this, texture, WebGLTexture) && texture.bound;
+    }
+    activeTexture(unit) {
+        const index = unit - GL.TEXTURE0;
+        if (index < 0 || index >= this.state.textureUnits.length)
+            return fail(this, GL.INVALID_ENUM, `invalid texture unit ${hex(unit)}`);
+        this.state.activeTexture = index;
+    }
+    bindTexture(target, texture) {
+        if (!requireEnum(this, target, textureTargets(this), "texture target") || !checkObject(this, texture, WebGLTexture, "texture"))
+            return;
+        if (texture) {
+            if (texture.target && texture.target !== target) {
+                return fail(this, GL.INVALID_OPERATION, `texture was first bound to ${hex(texture.target)}, not ${hex(target)}`);
+            }
+            texture.target = target;
+            texture.bound = true;
+        }
+        this.state.textureUnits[this.state.activeTexture].set(target, texture);
+    }
+    texParameteri(target, pname, param) {
+        setTexParameter(this, target, pname, param);
+    }
+    texParameterf(target, pname, param) {
+        setTexParameter(this, target, pname, param);
+    }
+    getTexParameter(target, pname) {
+        if (!requireEnum(this, target, textureTargets(this), "texture target"))
+            return null;
+        const texture = boundTexture(this, target);
+        if (!texture) {
+            fail(this, GL.INVALID_OPERATION, `no texture is bound to ${hex(target)}`);
+            return null;
+        }
+        return texture.parameters.get(pname) ?? defaultTexParameter(pname);
+    }
+    texImage2D(target, level, internalFormat, ...rest) {
+        if (rest.length === 3) {
+            // (target, level, internalformat, format, type, source)
+            const [format, type, source] = rest;
+            const { width, height } = sourceDimensions(source);
+            defineImage(this, target, level, internalFormat, width, height, 1, 0, format, type, source, 0);
+            return;
+        }
+        const [width, height, border, format, type, pixels, srcOffset = 0] = rest;
+        const source = pixels !== null && typeof pixels === "object" && !ArrayBuffer.isView(pixels) ? sourceDimensions(pixels) : null;
+        defineImage(this, target, level, internalFormat, source?.width ?? width, source?.height ?? height, 1, border, format, type, pixels, srcOffset);
+    }
+    texSubImage2D(target, level, x, y, ...rest) {
+        if (rest.length === 3) {
+            const [format, type, source] = rest;
+            const { width, height } = sourceDimensions(source);
+            updateImage(this, target, level, x, y, 0, width, height, 1, format, type, source, 0);
+            return;
+        }
+        const [width, height, format, type, pixels, srcOffset = 0] = rest;
+        updateImage(this, target, level, x, y, 0, width, height, 1, format, type, pixels, srcOffset);
+    }
+    compressedTexImage2D(target, level, internalFormat, width, height, border, data) {
+        const texture = textureForImage(this, target, 2);
+        if (!texture)
+            return;
+        if (texture.immutable)
+            return fail(this, GL.INVALID_OPERATION, "the texture has immutable storage");
+        const format = compressedFormat(this, internalFormat);
+        if (!format)
+            return fail(this, GL.INVALID_ENUM, `internalformat ${hex(internalFormat)} is not an enabled compressed format`);
+        if (level < 0 || width < 0 || height < 0)
+            return fail(this, GL.INVALID_VALUE, "level and size must not be negative");
+        if (border !== 0)
+            return fail(this, GL.INVALID_VALUE, "border must be 0");
+        if (Math.max(width, height) > this.maxTextureSize >> level)
+            return fail(this, GL.INVALID_VALUE, "size exceeds MAX_TEXTURE_SIZE for the level");
+        if (cubeFaces.includes(target) && width !== height)
+            return fail(this, GL.INVALID_VALUE, "cube map faces must be square");
+        const needed = compressedByteLength(format, width, height);
+        if (data.byteLength !== needed) {
+            return fail(this, GL.INVALID_VALUE, `compressed data holds ${data.byteLength} bytes, a ${width}x${height} image needs ${needed}`);
+        }
+        texture.levels.set(`${target}:${level}`, { width, height, depth: 1, internalFormat });
+    }
+    compressedTexSubImage2D(target, level, x, y, width, height, format, data) {
+        const texture = textureForImage(this, target, 2);
+        if (!texture)
+            return;
+        const image = texture.levels.get(`${target}:${level}`);
+        if (!image)
+            return fail(this, GL.INVALID_OPERATION, `level ${level} of the texture is not defined`);
+        const info = compressedFormat(this, format);
+        if (!info)
+            return fail(this, GL.INVALID_ENUM, `format ${hex(format)} is not an enabled compressed format`);
+        if (format !== image.internalFormat)
+            return fail(this, GL.INVALID_OPERATION, "format does not match the internal format of the level");
+        if (!info.subImage)
+            return fail(this, GL.INVALID_OPERATION, `images in format ${hex(format)} can only be replaced whole`);
+        if (x < 0 || y < 0 || width < 0 || height < 0)
+            return fail(this, GL.INVALID_VALUE, "offset and size must not be negative");
+        if (x + width > image.width || y + height > image.height)
+            return fail(this, GL.INVALID_VALUE, "the region lies outside the texture level");
+        const aligned = x % info.blockWidth === 0 &&
+            y % info.blockHeight === 0 &&
+            (width % info.blockWidth === 0 || x + width === image.width) &&
+            (height % info.blockHeight === 0 || y + height === image.height);
+        if (!aligned)
+            return fail(this, GL.INVALID_OPERATION, "the region is not aligned to the blocks of the format");
+        const needed = compressedByteLength(info, width, height);
+        if (data.byteLength !== needed) {
+            return fail(this, GL.INVALID_VALUE, `compressed data holds ${data.byteLength} bytes, a ${width}x${height} region needs ${needed}`);
+        }
+    }
+    generateMipmap(target) {
+        if (!requireEnum(this, target, textureTargets(this), "texture target"))
+            return;
+        const texture = boundTexture(this, target);
+        if (!texture)
+            return fail(this, GL.INVALID_OPERATION, `no texture is bound to ${hex(target)}`);
+        const images = target === GL.TEXTURE_CUBE_MAP ? cubeFaces : [target];
+        const base = texture.levels.get(`${images[0]}:0`);
+        if (!base)
+            return fail(this, GL.INVALID_OPERATION, "level 0 of the texture is not defined");
+        const powerOfTwo = (n) => (n & (n - 1)) === 0;
+        if (!this.isWebGL2 && !(powerOfTwo(base.width) && powerOfTwo(base.height))) {
+            return fail(this, GL.INVALID_OPERATION, "WebGL1 cannot generate mipmaps for non-power-of-two textures");
+        }
+        const levels = Math.floor(Math.log2(Math.max(base.width, base.height, target === GL.TEXTURE_3D ? base.depth : 1))) + 1;
+        for (let level = 1; level < levels; level++) {
+            for (const image of images) {
+                texture.levels.set(`${image}:${level}`, {
+                    width: Math.max(1, base.width >> level),
+                    height: Math.max(1, base.height >> level),
+                    depth: target === GL.TEXTURE_3D ? Math.max(1, base.depth >> level) : base.depth,
+                    internalFormat: base.internalFormat
+                });
+            }
+        }
+    }
+    deleteTexture(texture) {
+        if (!texture || texture.deleted || !checkObject(this, texture, WebGLTexture, "texture"))
+            return;
+        for (const unit of this.state.textureUnits) {
+            for (const [target, bound] of unit) {
+                if (bound === texture)
+                    unit.set(target, null);
+            }
+        }
+        detachFromBoundFramebuffers(this, texture);
+        release(this, texture);
+    }
+    // Framebuffers and renderbuffers
+    createFramebuffer() {
+        return create(this, new WebGLFramebuffer(this, this.state.generation));
+    }
+    isFramebuffer(fb) {
+        return isLive(this, fb, WebGLFramebuffer) && fb.bound;
+    }
+    bindFramebuffer(target, fb) {
+        if (!requireEnum(this, target, framebufferTargets(this), "framebuffer target") || !checkObject(this, fb, WebGLFramebuffer, "framebuffer")) {
+            return;
+        }
+        if (fb)
+            fb.bound = true;
+        if (target !== GL.READ_FRAMEBUFFER)
+            this.state.drawFramebuffer = fb;
+        if (target !== GL.DRAW_FRAMEBUFFER)
+            this.state.readFramebuffer = fb;
+    }
+    checkFramebufferStatus(target) {
+        if (!requireEnum(this, target, framebufferTargets(this), "framebuffer target"))
+            return 0;
+        return framebufferStatus(this, boundFramebuffer(this, target));
+    }
+    framebufferTexture2D(target, attachment, textarget, texture, level) {
+        const fb = framebufferForAttachment(this, target, attachment);
+        if (fb === undefined || !checkObject(this, texture, WebGLTexture, "texture"))
+            return;
+        if (!requireEnum(this, textarget, [GL.TEXTURE_2D, ...cubeFaces], "texture target"))
+            return;
+        if (texture) {
+            const expected = textarget === GL.TEXTURE_2D ? GL.TEXTURE_2D : GL.TEXTURE_CUBE_MAP;
+            if (texture.target !== expected)
+                return fail(this, GL.INVALID_OPERATION, "textarget does not match the texture's target");
+            if (level < 0 || (!this.isWebGL2 && level !== 0))
+                return fail(this, GL.INVALID_VALUE, `invalid level ${level}`);
+        }
+        setAttachment(fb, attachment, texture ? { texture, renderbuffer: null, target: textarget, level, layer: 0 } : null);
+    }
+    framebufferRenderbuffer(target, attachment, renderbufferTarget, renderbuffer) {
+        const fb = framebufferForAttachment(this, target, attachment);
+        if (fb === undefined || !checkObject(this, renderbuffer, WebGLRenderbuffer, "renderbuffer"))
+            return;
+        if (!requireEnum(this, renderbufferTarget, [GL.RENDERBUFFER], "renderbuffer target"))
+            return;
+        if (renderbuffer && !renderbuffer.bound)
+            return fail(this, GL.INVALID_OPERATION, "the renderbuffer was never bound");
+        setAttachment(fb, attachment, renderbuffer ? { texture: null, renderbuffer, target: GL.RENDERBUFFER, level: 0, layer: 0 } : null);
+    }
+    deleteFramebuffer(fb) {
+        if (!fb || fb.deleted || !checkObject(this, fb, WebGLFramebuffer, "framebuffer"))
+            return;
+        if (this.state.drawFramebuffer === fb)
+            this.state.drawFramebuffer = null;
+        if (this.state.readFramebuffer === fb)
+            this.state.readFramebuffer = null;
+        release(this, fb);
+    }
+    createRenderbuffer() {
+        return create(this, new WebGLRenderbuffer(this, this.state.generation));
+    }
+    isRenderbuffer(rb) {
+        return isLive(this, rb, WebGLRenderbuffer) && rb.bound;
+    }
+    bindRenderbuffer(target, rb) {
+        if (!requireEnum(this, target, [GL.RENDERBUFFER], "renderbuffer target") || !checkObject(this, rb, WebGLRenderbuffer, "renderbuffer"))
+            return;
+        if (rb)
+            rb.bound = true;
+        this.state.renderbuffer = rb;
+    }
+    renderbufferStorage(target, internalFormat, width, height) {
+        setRenderbufferStorage(this, target, 0, internalFormat, width, height);
+    }
+    getRenderbufferParameter(target, pname) {
+        if (!requireEnum(this, target, [GL.RENDERBUFFER], "renderbuffer target"))
+            return null;
+        const rb = this.state.renderbuffer;
+        if (!rb) {
+            fail(this, GL.INVALID_OPERATION, "no renderbuffer is bound");
+            return null;
+        }
+        switch (pname) {
+            case GL.RENDERBUFFER_WIDTH:
+                return rb.width;
+            case GL.RENDERBUFFER_HEIGHT:
+                return rb.height;
+            case GL.RENDERBUFFER_INTERNAL_FORMAT:
+                return rb.internalFormat;
+            case GL.RENDERBUFFER_SAMPLES:
+                if (this.isWebGL2)
+                    return rb.samples;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid renderbuffer parameter ${hex(pname)}`);
+        return null;
+    }
+    deleteRenderbuffer(rb) {
+        if (!rb || rb.deleted || !checkObject(this, rb, WebGLRenderbuffer, "renderbuffer"))
+            return;
+        if (this.state.renderbuffer === rb)
+            this.state.renderbuffer = null;
+        detachFromBoundFramebuffers(this, rb);
+        release(this, rb);
+    }
+    // Reads the solid color the framebuffer was last cleared to. Pixels outside it are left untouched.
+    readPixels(x, y, width, height, format, type, dst, dstOffset = 0) {
+        if (width < 0 || height < 0)
+            return fail(this, GL.INVALID_VALUE, "size must not be negative");
+        const allowed = (format === GL.RGBA && (type === GL.UNSIGNED_BYTE || type === GL.FLOAT)) ||
+            (this.isWebGL2 && format === GL.RGBA_INTEGER && (type === GL.INT || type === GL.UNSIGNED_INT));
+        if (!allowed)
+            return fail(this, GL.INVALID_OPERATION, `format ${hex(format)} and type ${hex(type)} cannot be read`);
+        const fb = this.state.readFramebuffer;
+        if (!requireCompleteFramebuffer(this, fb))
+            return;
+        const packBuffer = this.state.buffers.get(GL.PIXEL_PACK_BUFFER) ?? null;
+        const byteLength = imageByteLength(width, height, 1, format, type, this.state.pixelStore.get(GL.PACK_ALIGNMENT));
+        let bytes;
+        let start;
+        if (packBuffer) {
+            if (typeof dst !== "number")
+                return fail(this, GL.INVALID_OPERATION, "a PIXEL_PACK_BUFFER is bound, pass an offset");
+            if (dst + byteLength > packBuffer.data.byteLength)
+                return fail(this, GL.INVALID_OPERATION, "the read overflows the PIXEL_PACK_BUFFER");
+            bytes = packBuffer.data;
+            start = dst;
+        }
+        else {
+            if (!ArrayBuffer.isView(dst))
+                return fail(this, GL.INVALID_OPERATION, "no PIXEL_PACK_BUFFER is bound, pass an array");
+            const expected = format === GL.RGBA_INTEGER ? (type === GL.INT ? "Int32Array" : "Uint32Array") : pixelArrayType(type)[0];
+            if (dst.constructor.name !== expected)
+                return fail(this, GL.INVALID_OPERATION, `${dst.constructor.name} does not match type ${hex(type)}`);
+            bytes = new Uint8Array(dst.buffer, dst.byteOffset, dst.byteLength);
+            start = dstOffset * dst.BYTES_PER_ELEMENT;
+            if (start + byteLength > bytes.byteLength)
+                return fail(this, GL.INVALID_OPERATION, "the destination array is too small");
+        }
+        const color = fb ? fb.color : this.state.defaultColor;
+        const pixel = new Uint8Array(pixelBytes(format, type));
+        const view = new DataView(pixel.buffer);
+        for (let i = 0; i < 4; i++) {
+            if (type === GL.UNSIGNED_BYTE)
+                pixel[i] = Math.round(Math.min(1, Math.max(0, color[i])) * 255);
+            else if (type === GL.FLOAT)
+                view.setFloat32(i * 4, color[i], true);
+            else
+                view.setInt32(i * 4, color[i], true);
+        }
+        const size = framebufferSize(this, fb);
+        const rowBytes = width * pixel.length;
+        const stride = Math.ceil(rowBytes / this.state.pixelStore.get(GL.PACK_ALIGNMENT)) * this.state.pixelStore.get(GL.PACK_ALIGNMENT);
+        for (let row = 0; row < height; row++) {
+            if (y + row < 0 || y + row >= size.height)
+                continue;
+            for (let col = 0; col < width; col++) {
+                if (x + col < 0 || x + col >= size.width)
+                    continue;
+                bytes.set(pixel, start + row * stride + col * pixel.length);
+            }
+        }
+    }
+    // Shaders and programs
+    createShader(type) {
+        if (!requireEnum(this, type, [GL.VERTEX_SHADER, GL.FRAGMENT_SHADER], "shader type"))
+            return null;
+        return create(this, new WebGLShader(this, this.state.generation, type));
+    }
+    isShader(shader) {
+        return isLive(this, shader, WebGLShader);
+    }
+    shaderSource(shader, source) {
+        if (requireObject(this, shader, WebGLShader, "shader"))
+            shader.source = String(source);
+    }
+    getShaderSource(shader) {
+        return requireObject(this, shader, WebGLShader, "shader") ? shader.source : null;
+    }
+    compileShader(shader) {
+        if (!requireObject(this, shader, WebGLShader, "shader"))
+            return;
+        const { log, info } = compileShaderSource(this, shader);
+        shader.log = log;
+        shader.info = info;
+        shader.compiled = info !== null;
+    }
+    getShaderParameter(shader, pname) {
+        if (!requireObject(this, shader, WebGLShader, "shader"))
+            return null;
+        switch (pname) {
+            case GL.SHADER_TYPE:
+                return shader.type;
+            case GL.DELETE_STATUS:
+                return shader.deleted;
+            case GL.COMPILE_STATUS:
+                return shader.compiled;
+            case COMPLETION_STATUS_KHR:
+                if (extensionEnabled(this, "KHR_parallel_shader_compile"))
+                    return true;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid shader parameter ${hex(pname)}`);
+        return null;
+    }
+    getShaderInfoLog(shader) {
+        return requireObject(this, shader, WebGLShader, "shader") ? shader.log : null;
+    }
+    getShaderPrecisionFormat(shaderType, precisionType) {
+        if (!requireEnum(this, shaderType, [GL.VERTEX_SHADER, GL.FRAGMENT_SHADER], "shader type"))
+            return null;
+        if (!requireEnum(this, precisionType, [GL.LOW_FLOAT, GL.MEDIUM_FLOAT, GL.HIGH_FLOAT, GL.LOW_INT, GL.MEDIUM_INT, GL.HIGH_INT], "precision")) {
+            return null;
+        }
+        const isFloat = precisionType <= GL.HIGH_FLOAT;
+        return isFloat ? { rangeMin: 127, rangeMax: 127, precision: 23 } : { rangeMin: 31, rangeMax: 30, precision: 0 };
+    }
+    deleteShader(shader) {
+        if (!shader || shader.deleted || !checkObject(this, shader, WebGLShader, "shader"))
+            return;
+        release(this, shader);
+    }
+    createProgram() {
+        return create(this, new WebGLProgram(this, this.state.generation));
+    }
+    isProgram(program) {
+        return isLive(this, program, WebGLProgram);
+    }
+    attachShader(program, shader) {
+        if (!requireObject(this, program, WebGLProgram, "program") || !requireObject(this, shader, WebGLShader, "shader"))
+            return;
+        if (program.shaders.some((attached) => attached === shader || attached.type === shader.type)) {
+            return fail(this, GL.INVALID_OPERATION, "a shader of this type is already attached");
+        }
+        program.shaders.push(shader);
+    }
+    detachShader(program, shader) {
+        if (!requireObject(this, program, WebGLProgram, "program") || !checkObject(this, shader, WebGLShader, "shader") || !shader)
+            return;
+        const index = program.shaders.indexOf(shader);
+        if (index < 0)
+            return fail(this, GL.INVALID_OPERATION, "the shader is not attached to the program");
+        program.shaders.splice(index, 1);
+    }
+    getAttachedShaders(program) {
+        return requireObject(this, program, WebGLProgram, "program") ? [...program.shaders] : null;
+    }
+    bindAttribLocation(program, index, name) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return;
+        if (index < 0 || index >= limits.maxVertexAttribs)
+            return fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+        if (name.startsWith("gl_"))
+            return fail(this, GL.INVALID_OPERATION, "names starting with gl_ are reserved");
+        program.attribBindings.set(name, index);
+    }
+    linkProgram(program) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return;
+        if (this.state.transformFeedback?.active && this.state.program === program) {
+            return fail(this, GL.INVALID_OPERATION, "the program is in use by active transform feedback");
+        }
+        const error = linkProgramShaders(this, program);
+        program.log = error ?? "";
+        program.linked = error === null;
+        program.validated = false;
+        if (program.linked)
+            program.linkCount++;
+    }
+    validateProgram(program) {
+        if (requireObject(this, program, WebGLProgram, "program"))
+            program.validated = program.linked;
+    }
+    getProgramParameter(program, pname) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        switch (pname) {
+            case GL.DELETE_STATUS:
+                return program.deleted;
+            case GL.LINK_STATUS:
+                return program.linked;
+            case GL.VALIDATE_STATUS:
+                return program.validated;
+            case GL.ATTACHED_SHADERS:
+                return program.shaders.length;
+            case GL.ACTIVE_ATTRIBUTES:
+                return program.linked ? program.attributes.length : 0;
+            case GL.ACTIVE_UNIFORMS:
+                return program.linked ? program.uniforms.length : 0;
+            case COMPLETION_STATUS_KHR:
+                if (extensionEnabled(this, "KHR_parallel_shader_compile"))
+                    return true;
+                break;
+            case GL.ACTIVE_UNIFORM_BLOCKS:
+                if (this.isWebGL2)
+                    return program.linked ? program.blocks.length : 0;
+                break;
+            case GL.TRANSFORM_FEEDBACK_BUFFER_MODE:
+                if (this.isWebGL2)
+                    return program.feedbackMode;
+                break;
+            case GL.TRANSFORM_FEEDBACK_VARYINGS:
+                if (this.isWebGL2)
+                    return program.feedbackVaryings.length;
+                break;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid program parameter ${hex(pname)}`);
+        return null;
+    }
+    getProgramInfoLog(program) {
+        return requireObject(this, program, WebGLProgram, "program") ? program.log : null;
+    }
+    useProgram(program) {
+        if (!checkObject(this, program, WebGLProgram, "program"))
+            return;
+        if (program && !program.linked)
+            return fail(this, GL.INVALID_OPERATION, "the program is not linked");
+        if (this.state.transformFeedback?.active && !this.state.transformFeedback.paused) {
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is active");
+        }
+        this.state.program = program;
+    }
+    deleteProgram(program) {
+        if (!program || program.deleted || !checkObject(this, program, WebGLProgram, "program"))
+            return;
+        // A program in use stays usable until it is replaced; only the handle becomes invalid.
+        release(this, program);
+    }
+    getActiveAttrib(program, index) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        const attribute = program.linked ? program.attributes[index] : undefined;
+        if (!attribute) {
+            fail(this, GL.INVALID_VALUE, `attribute index ${index} is out of range`);
+            return null;
+        }
+        return new WebGLActiveInfo(attribute.name, attribute.size, attribute.type);
+    }
+    getAttribLocation(program, name) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return -1;
+        if (!program.linked) {
+            fail(this, GL.INVALID_OPERATION, "the program is not linked");
+            return -1;
+        }
+        return program.attributes.find((attribute) => attribute.name === name)?.location ?? -1;
+    }
+    getActiveUniform(program, index) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        const uniform = program.linked ? program.uniforms[index] : undefined;
+        if (!uniform) {
+            fail(this, GL.INVALID_VALUE, `uniform index ${index} is out of range`);
+            return null;
+        }
+        return new WebGLActiveInfo(uniform.name, uniform.size, uniform.type);
+    }
+    getUniformLocation(program, name) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        if (!program.linked) {
+            fail(this, GL.INVALID_OPERATION, "the program is not linked");
+            return null;
+        }
+        const match = /^(.*?)(?:\[(\d+)\])?$/.exec(name);
+        const base = match[1];
+        const element = match[2] !== undefined ? Number(match[2]) : 0;
+        const index = program.uniforms.findIndex((uniform) => uniform.blockIndex < 0 && uniform.name.replace(/\[0\]$/, "") === base);
+        if (index < 0)
+            return null;
+        const uniform = program.uniforms[index];
+        // Only arrays accept a subscript, and only within their size.
+        if (match[2] !== undefined && (uniform.size === 1 ? element !== 0 : element >= uniform.size))
+            return null;
+        return new WebGLUniformLocation(program, program.linkCount, index, element);
+    }
+    getUniform(program, location) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        if (!(location instanceof WebGLUniformLocation))
+            throw new TypeError("getUniform: argument is not a WebGLUniformLocation");
+        if (location.program !== program || location.linkCount !== program.linkCount) {
+            fail(this, GL.INVALID_OPERATION, "the location does not belong to the program");
+            return null;
+        }
+        const uniform = program.uniforms[location.uniform];
+        const info = uniformTypeInfo(uniform.type);
+        const start = location.element * info.components;
+        const values = program.uniformValues[location.uniform].slice(start, start + info.components);
+        if (info.kind === "bool")
+            return info.components === 1 ? values[0] !== 0 : values.map((value) => value !== 0);
+        if (info.components === 1)
+            return values[0];
+        if (info.kind === "float")
+            return new Float32Array(values);
+        return info.kind === "uint" ? new Uint32Array(values) : new Int32Array(values);
+    }
+    // Draws
+    drawArrays(mode, first, count) {
+        drawArraysImpl(this, mode, first, count, 1);
+    }
+    drawElements(mode, count, type, offset) {
+        drawElementsImpl(this, mode, count, type, offset, 1);
+    }
+    getParameter(pname) {
+        return getParameterImpl(this, pname);
+    }
+}
+/** Recording WebGL2 context; see MockWebGLRenderingContext. */
+export class MockWebGL2RenderingContext extends MockWebGLRenderingContext {
+    get isWebGL2() {
+        return true;
+    }
+    // Buffers
+    bindBufferBase(target, index, buffer) {
+        this.bindBufferRange(target, index, buffer, 0, 0);
+    }
+    bindBufferRange(target, index, buffer, offset, size) {
+        if (!requireEnum(this, target, [GL.UNIFORM_BUFFER, GL.TRANSFORM_FEEDBACK_BUFFER], "indexed buffer target"))
+            return;
+        if (!checkObject(this, buffer, WebGLBuffer, "buffer"))
+            return;
+        const bindings = this.state.indexedBuffers.get(target);
+        if (index < 0 || index >= bindings.length)
+            return fail(this, GL.INVALID_VALUE, `binding point ${index} is out of range`);
+        if (this.currentCall === "bindBufferRange" && buffer) {
+            if (size <= 0)
+                return fail(this, GL.INVALID_VALUE, "size must be positive");
+            if (target === GL.UNIFORM_BUFFER && offset % limits.uniformBufferOffsetAlignment !== 0) {
+                return fail(this, GL.INVALID_VALUE, `offset must be a multiple of UNIFORM_BUFFER_OFFSET_ALIGNMENT (${limits.uniformBufferOffsetAlignment})`);
+            }
+        }
+        if (buffer) {
+            if (buffer.kind === GL.ELEMENT_ARRAY_BUFFER)
+                return fail(this, GL.INVALID_OPERATION, "an element array buffer cannot be bound here");
+            buffer.kind = GL.ARRAY_BUFFER;
+            buffer.bound = true;
+        }
+        // Like in GL, the indexed bind also sets the generic binding.
+        bindings[index] = buffer;
+        this.state.buffers.set(target, buffer);
+    }
+    copyBufferSubData(readTarget, writeTarget, readOffset, writeOffset, size) {
+        if (!requireEnum(this, readTarget, bufferTargets(this), "buffer target") || !requireEnum(this, writeTarget, bufferTargets(this), "buffer target"))
+            return;
+        const source = boundBuffer(this, readTarget);
+        const destination = boundBuffer(this, writeTarget);
+        if (!source || !destination)
+            return fail(this, GL.INVALID_OPERATION, "both targets need a buffer bound");
+        if (readOffset < 0 || writeOffset < 0 || size < 0)
+            return fail(this, GL.INVALID_VALUE, "offsets and size must not be negative");
+        if (readOffset + size > source.data.byteLength || writeOffset + size > destination.data.byteLength) {
+            return fail(this, GL.INVALID_VALUE, "the copy lies outside a buffer");
+        }
+        if (source === destination && Math.abs(readOffset - writeOffset) < size)
+            return fail(this, GL.INVALID_VALUE, "source and destination ranges overlap");
+        destination.data.set(source.data.subarray(readOffset, readOffset + size), writeOffset);
+    }
+    getBufferSubData(target, srcByteOffset, dst, dstOffset = 0, length = 0) {
+        if (!requireEnum(this, target, bufferTargets(this), "buffer target"))
+            return;
+        const buffer = boundBuffer(this, target);
+        if (!buffer)
+            return fail(this, GL.INVALID_OPERATION, `no buffer is bound to ${hex(target)}`);
+        if (this.state.transformFeedback?.active && target === GL.TRANSFORM_FEEDBACK_BUFFER) {
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is active");
+        }
+        const bytes = viewBytes(dst, dstOffset, length);
+        if (!bytes)
+            return fail(this, GL.INVALID_VALUE, "dstOffset and length lie outside the destination array");
+        if (srcByteOffset < 0 || srcByteOffset + bytes.byteLength > buffer.data.byteLength) {
+            return fail(this, GL.INVALID_VALUE, "the read lies outside the buffer");
+        }
+        bytes.set(buffer.data.subarray(srcByteOffset, srcByteOffset + bytes.byteLength));
+    }
+    getIndexedParameter(target, index) {
+        const bindings = target === GL.UNIFORM_BUFFER_BINDING
+            ? this.state.indexedBuffers.get(GL.UNIFORM_BUFFER)
+            : target === GL.TRANSFORM_FEEDBACK_BUFFER_BINDING
+                ? this.state.indexedBuffers.get(GL.TRANSFORM_FEEDBACK_BUFFER)
+                : null;
+        if (!bindings) {
+            fail(this, GL.INVALID_ENUM, `invalid indexed parameter ${hex(target)}`);
+            return null;
+        }
+        if (index < 0 || index >= bindings.length) {
+            fail(this, GL.INVALID_VALUE, `binding point ${index} is out of range`);
+            return null;
+        }
+        return bindings[index];
+    }
+    // Vertex arrays and instancing
+    createVertexArray() {
+        return create(this, new WebGLVertexArrayObject(this, this.state.generation));
+    }
+    isVertexArray(vao) {
+        return isLive(this, vao, WebGLVertexArrayObject) && vao.bound;
+    }
+    bindVertexArray(vao) {
+        bindVertexArrayImpl(this, vao);
+    }
+    deleteVertexArray(vao) {
+        deleteVertexArrayImpl(this, vao);
+    }
+    vertexAttribDivisor(index, divisor) {
+        vertexAttribDivisorImpl(this, index, divisor);
+    }
+    vertexAttribIPointer(index, size, type, stride, offset) {
+        const types = [GL.BYTE, GL.UNSIGNED_BYTE, GL.SHORT, GL.UNSIGNED_SHORT, GL.INT, GL.UNSIGNED_INT];
+        setAttribPointer(this, index, size, type, false, stride, offset, true, types);
+    }
+    drawArraysInstanced(mode, first, count, instanceCount) {
+        drawArraysImpl(this, mode, first, count, instanceCount);
+    }
+    drawElementsInstanced(mode, count, type, offset, instanceCount) {
+        drawElementsImpl(this, mode, count, type, offset, instanceCount);
+    }
+    drawRangeElements(mode, start, end, count, type, offset) {
+        if (end < start)
+            return fail(this, GL.INVALID_VALUE, "end must not be less than start");
+        drawElementsImpl(this, mode, count, type, offset, 1);
+    }
+    // Framebuffers
+    drawBuffers(buffers) {
+        drawBuffersImpl(this, buffers);
+    }
+    readBuffer(src) {
+        const fb = this.state.readFramebuffer;
+        const valid = fb ? src === GL.NONE || (src >= GL.COLOR_ATTACHMENT0 && src < GL.COLOR_ATTACHMENT0 + limits.maxDrawBuffers) : src === GL.NONE || src === GL.BACK;
+        if (!valid)
+            return fail(this, GL.INVALID_OPERATION, `invalid read buffer ${hex(src)} for the bound framebuffer`);
+        this.state.readBuffer = src;
+    }
+    framebufferTextureLayer(target, attachment, texture, level, layer) {
+        const fb = framebufferForAttachment(this, target, attachment);
+        if (fb === undefined || !checkObject(this, texture, WebGLTexture, "texture"))
+            return;
+        if (texture) {
+            if (texture.target !== GL.TEXTURE_3D && texture.target !== GL.TEXTURE_2D_ARRAY) {
+                return fail(this, GL.INVALID_OPERATION, "framebufferTextureLayer needs a 3D or 2D array texture");
+            }
+            if (level < 0 || layer < 0)
+                return fail(this, GL.INVALID_VALUE, "level and layer must not be negative");
+        }
+        setAttachment(fb, attachment, texture ? { texture, renderbuffer: null, target: texture.target, level, layer } : null);
+    }
+    renderbufferStorageMultisample(target, samples, internalFormat, width, height) {
+        setRenderbufferStorage(this, target, samples, internalFormat, width, height);
+    }
+    // Only the color buffer carries data in the mock, so that is all a blit copies.
+    blitFramebuffer(srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, mask, filter) {
+        const all = GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT | GL.STENCIL_BUFFER_BIT;
+        if ((mask & ~all) !== 0)
+            return fail(this, GL.INVALID_VALUE, `invalid blit mask ${hex(mask)}`);
+        if (!requireEnum(this, filter, [GL.NEAREST, GL.LINEAR], "blit filter"))
+            return;
+        if (filter === GL.LINEAR && (mask & (GL.DEPTH_BUFFER_BIT | GL.STENCIL_BUFFER_BIT)) !== 0) {
+            return fail(this, GL.INVALID_OPERATION, "depth and stencil blits must use NEAREST");
+        }
+        const { readFramebuffer: read, drawFramebuffer: draw } = this.state;
+        if (!requireCompleteFramebuffer(this, read) || !requireCompleteFramebuffer(this, draw))
+            return;
+        if (read === draw)
+            return fail(this, GL.INVALID_OPERATION, "source and destination framebuffers are the same");
+        if (mask & GL.COLOR_BUFFER_BIT) {
+            const color = read ? read.color : this.state.defaultColor;
+            const target = draw ? draw.color : this.state.defaultColor;
+            target.splice(0, 4, ...color);
+        }
+    }
+    // Textures
+    texImage3D(target, level, internalFormat, width, height, depth, border, format, type, pixels, srcOffset = 0) {
+        defineImage(this, target, level, internalFormat, width, height, depth, border, format, type, pixels, srcOffset);
+    }
+    texSubImage3D(target, level, x, y, z, width, height, depth, format, type, pixels, srcOffset = 0) {
+        updateImage(this, target, level, x, y, z, width, height, depth, format, type, pixels, srcOffset);
+    }
+    texStorage2D(target, levels, internalFormat, width, height) {
+        defineStorage(this, target, levels, internalFormat, width, height, 1);
+    }
+    texStorage3D(target, levels, internalFormat, width, height, depth) {
+        defineStorage(this, target, levels, internalFormat, width, height, depth);
+    }
+    getTexParameter(target, pname) {
+        if (pname === GL.TEXTURE_IMMUTABLE_FORMAT || pname === GL.TEXTURE_IMMUTABLE_LEVELS) {
+            const texture = requireEnum(this, target, textureTargets(this), "texture target") ? boundTexture(this, target) : null;
+            if (!texture)
+                return null;
+            if (pname === GL.TEXTURE_IMMUTABLE_FORMAT)
+                return texture.immutable;
+            return texture.immutable ? new Set([...texture.levels.keys()].map((key) => key.split(":")[1])).size : 0;
+        }
+        return super.getTexParameter(target, pname);
+    }
+    // Queries
+    createQuery() {
+        return create(this, new WebGLQuery(this, this.state.generation));
+    }
+    isQuery(query) {
+        return isLive(this, query, WebGLQuery) && query.target !== 0;
+    }
+    deleteQuery(query) {
+        if (!query || query.deleted || !checkObject(this, query, WebGLQuery, "query"))
+            return;
+        if (query.active) {
+            query.active = false;
+            this.state.activeQueries.delete(query.target);
+        }
+        release(this, query);
+    }
+    beginQuery(target, query) {
+        const targets = [GL.ANY_SAMPLES_PASSED, GL.ANY_SAMPLES_PASSED_CONSERVATIVE, GL.TRANSFORM_FEEDBACK_PRIMITIVES_WRITTEN];
+        if (extensionEnabled(this, "EXT_disjoint_timer_query_webgl2"))
+            targets.push(TIME_ELAPSED_EXT);
+        if (!requireEnum(this, target, targets, "query target") || !requireObject(this, query, WebGLQuery, "query"))
+            return;
+        // Both occlusion targets share one slot.
+        const slot = target === GL.ANY_SAMPLES_PASSED_CONSERVATIVE ? GL.ANY_SAMPLES_PASSED : target;
+        if (this.state.activeQueries.has(slot))
+            return fail(this, GL.INVALID_OPERATION, "a query is already active for this target");
+        if (query.active)
+            return fail(this, GL.INVALID_OPERATION, "the query is already active");
+        if (query.target && query.target !== target)
+            return fail(this, GL.INVALID_OPERATION, "the query was used with a different target");
+        Object.assign(query, { target, active: true, available: false, result: 0, draws: 0 });
+        this.state.activeQueries.set(slot, query);
+    }
+    // Results become available as soon as the query ends; there is no GPU to wait for.
+    endQuery(target) {
+        const slot = target === GL.ANY_SAMPLES_PASSED_CONSERVATIVE ? GL.ANY_SAMPLES_PASSED : target;
+        const query = this.state.activeQueries.get(slot);
+        if (!query)
+            return fail(this, GL.INVALID_OPERATION, `no query is active for ${hex(target)}`);
+        this.state.activeQueries.delete(slot);
+        query.active = false;
+        query.available = true;
+        query.result = target === TIME_ELAPSED_EXT ? this.options.timeElapsed ?? 0 : target === GL.TRANSFORM_FEEDBACK_PRIMITIVES_WRITTEN ? 0 : query.draws > 0 ? 1 : 0;
+    }
+    getQuery(target, pname) {
+        if (pname !== GL.CURRENT_QUERY) {
+            fail(this, GL.INVALID_ENUM, `invalid query parameter ${hex(pname)}`);
+            return null;
+        }
+        const slot = target === GL.ANY_SAMPLES_PASSED_CONSERVATIVE ? GL.ANY_SAMPLES_PASSED : target;
+        return this.state.activeQueries.get(slot) ?? null;
+    }
+    getQueryParameter(query, pname) {
+        if (!requireObject(this, query, WebGLQuery, "query"))
+            return null;
+        if (query.active) {
+            fail(this, GL.INVALID_OPERATION, "the query is still active");
+            return null;
+        }
+        if (pname === GL.QUERY_RESULT_AVAILABLE)
+            return query.available;
+        if (pname === GL.QUERY_RESULT)
+            return query.target === GL.ANY_SAMPLES_PASSED || query.target === GL.ANY_SAMPLES_PASSED_CONSERVATIVE ? !!query.result : query.result;
+        fail(this, GL.INVALID_ENUM, `invalid query parameter ${hex(pname)}`);
+        return null;
+    }
+    // Syncs are signaled as soon as they are created.
+    fenceSync(condition, flags) {
+        if (!requireEnum(this, condition, [GL.SYNC_GPU_COMMANDS_COMPLETE], "sync condition"))
+            return null;
+        if (flags !== 0) {
+            fail(this, GL.INVALID_VALUE, "flags must be 0");
+            return null;
+        }
+        return create(this, new WebGLSync(this, this.state.generation));
+    }
+    isSync(sync) {
+        return isLive(this, sync, WebGLSync);
+    }
+    clientWaitSync(sync, flags, timeout) {
+        if (!requireObject(this, sync, WebGLSync, "sync"))
+            return GL.WAIT_FAILED;
+        if ((flags & ~GL.SYNC_FLUSH_COMMANDS_BIT) !== 0) {
+            fail(this, GL.INVALID_VALUE, "invalid flags");
+            return GL.WAIT_FAILED;
+        }
+        if (timeout > 0) {
+            fail(this, GL.INVALID_OPERATION, "timeout exceeds MAX_CLIENT_WAIT_TIMEOUT_WEBGL (0)");
+            return GL.WAIT_FAILED;
+        }
+        return GL.ALREADY_SIGNALED;
+    }
+    waitSync(sync, flags, timeout) {
+        if (!requireObject(this, sync, WebGLSync, "sync"))
+            return;
+        if (flags !== 0 || timeout !== GL.TIMEOUT_IGNORED)
+            fail(this, GL.INVALID_VALUE, "flags must be 0 and timeout TIMEOUT_IGNORED");
+    }
+    getSyncParameter(sync, pname) {
+        if (!requireObject(this, sync, WebGLSync, "sync"))
+            return null;
+        switch (pname) {
+            case GL.OBJECT_TYPE:
+                return GL.SYNC_FENCE;
+            case GL.SYNC_STATUS:
+                return GL.SIGNALED;
+            case GL.SYNC_CONDITION:
+                return GL.SYNC_GPU_COMMANDS_COMPLETE;
+            case GL.SYNC_FLAGS:
+                return 0;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid sync parameter ${hex(pname)}`);
+        return null;
+    }
+    deleteSync(sync) {
+        if (!sync || sync.deleted || !checkObject(this, sync, WebGLSync, "sync"))
+            return;
+        release(this, sync);
+    }
+    // Transform feedback
+    createTransformFeedback() {
+        return create(this, new WebGLTransformFeedback(this, this.state.generation));
+    }
+    isTransformFeedback(tf) {
+        return isLive(this, tf, WebGLTransformFeedback) && tf.bound;
+    }
+    bindTransformFeedback(target, tf) {
+        if (!requireEnum(this, target, [GL.TRANSFORM_FEEDBACK], "transform feedback target"))
+            return;
+        if (!checkObject(this, tf, WebGLTransformFeedback, "transform feedback"))
+            return;
+        if (this.state.transformFeedback?.active && !this.state.transformFeedback.paused) {
+            return fail(this, GL.INVALID_OPERATION, "the bound transform feedback is active");
+        }
+        if (tf)
+            tf.bound = true;
+        this.state.transformFeedback = tf;
+    }
+    deleteTransformFeedback(tf) {
+        if (!tf || tf.deleted || !checkObject(this, tf, WebGLTransformFeedback, "transform feedback"))
+            return;
+        if (tf.active)
+            return fail(this, GL.INVALID_OPERATION, "the transform feedback is active");
+        if (this.state.transformFeedback === tf)
+            this.state.transformFeedback = null;
+        release(this, tf);
+    }
+    transformFeedbackVaryings(program, varyings, bufferMode) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return;
+        if (!requireEnum(this, bufferMode, [GL.INTERLEAVED_ATTRIBS, GL.SEPARATE_ATTRIBS], "buffer mode"))
+            return;
+        if (bufferMode === GL.SEPARATE_ATTRIBS && varyings.length > limits.maxTransformFeedbackBuffers) {
+            return fail(this, GL.INVALID_VALUE, `more than ${limits.maxTransformFeedbackBuffers} separate varyings`);
+        }
+        program.feedbackVaryings = [...varyings];
+        program.feedbackMode = bufferMode;
+    }
+    beginTransformFeedback(primitiveMode) {
+        if (!requireEnum(this, primitiveMode, [GL.POINTS, GL.LINES, GL.TRIANGLES], "primitive mode"))
+            return;
+        const tf = this.state.transformFeedback;
+        if (!tf)
+            return fail(this, GL.INVALID_OPERATION, "the default transform feedback cannot be used by the mock");
+        if (tf.active)
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is already active");
+        const program = this.state.program;
+        if (!program || program.feedbackVaryings.length === 0)
+            return fail(this, GL.INVALID_OPERATION, "the current program captures no varyings");
+        const buffers = this.state.indexedBuffers.get(GL.TRANSFORM_FEEDBACK_BUFFER);
+        const needed = program.feedbackMode === GL.SEPARATE_ATTRIBS ? program.feedbackVaryings.length : 1;
+        for (let i = 0; i < needed; i++) {
+            if (!buffers[i])
+                return fail(this, GL.INVALID_OPERATION, `no buffer is bound to transform feedback binding ${i}`);
+        }
+        tf.active = true;
+        tf.paused = false;
+    }
+    pauseTransformFeedback() {
+        const tf = this.state.transformFeedback;
+        if (!tf?.active || tf.paused)
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is not active or already paused");
+        tf.paused = true;
+    }
+    resumeTransformFeedback() {
+        const tf = this.state.transformFeedback;
+        if (!tf?.active || !tf.paused)
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is not paused");
+        tf.paused = false;
+    }
+    endTransformFeedback() {
+        const tf = this.state.transformFeedback;
+        if (!tf?.active)
+            return fail(this, GL.INVALID_OPERATION, "transform feedback is not active");
+        tf.active = false;
+        tf.paused = false;
+    }
+    // Uniform blocks
+    getUniformBlockIndex(program, name) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return GL.INVALID_INDEX;
+        const index = program.linked ? program.blocks.findIndex((block) => block.name === name) : -1;
+        return index < 0 ? GL.INVALID_INDEX : index;
+    }
+    getActiveUniformBlockName(program, index) {
+        const block = this.activeBlock(program, index);
+        return block ? block.name : null;
+    }
+    getActiveUniformBlockParameter(program, index, pname) {
+        const block = this.activeBlock(program, index);
+        if (!block)
+            return null;
+        switch (pname) {
+            case GL.UNIFORM_BLOCK_BINDING:
+                return block.binding;
+            case GL.UNIFORM_BLOCK_DATA_SIZE:
+                return block.dataSize;
+            case GL.UNIFORM_BLOCK_ACTIVE_UNIFORMS:
+                return block.members.length;
+            case GL.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES:
+                return new Uint32Array(program.uniforms.flatMap((uniform, i) => (uniform.blockIndex === index ? [i] : [])));
+            case GL.UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER:
+            case GL.UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER:
+                return true;
+        }
+        fail(this, GL.INVALID_ENUM, `invalid uniform block parameter ${hex(pname)}`);
+        return null;
+    }
+    uniformBlockBinding(program, index, binding) {
+        const block = this.activeBlock(program, index);
+        if (!block)
+            return;
+        if (binding < 0 || binding >= limits.maxUniformBufferBindings)
+            return fail(this, GL.INVALID_VALUE, `binding point ${binding} is out of range`);
+        block.binding = binding;
+    }
+    getActiveUniforms(program, indices, pname) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        const uniforms = indices.map((index) => program.uniforms[index]);
+        if (!program.linked || uniforms.includes(undefined)) {
+            fail(this, GL.INVALID_VALUE, "a uniform index is out of range");
+            return null;
+        }
+        switch (pname) {
+            case GL.UNIFORM_TYPE:
+                return uniforms.map((uniform) => uniform.type);
+            case GL.UNIFORM_SIZE:
+                return uniforms.map((uniform) => uniform.size);
+            case GL.UNIFORM_BLOCK_INDEX:
+                return uniforms.map((uniform) => uniform.blockIndex);
+            case GL.UNIFORM_OFFSET:
+                return uniforms.map((uniform) => uniform.offset);
+            case GL.UNIFORM_ARRAY_STRIDE:
+                return uniforms.map((uniform) => (uniform.blockIndex < 0 || uniform.size === 1 ? -1 : std140Layout(uniform.type, 1).alignment < 16 ? 16 : std140Layout(uniform.type, 1).byteSize));
+            case GL.UNIFORM_MATRIX_STRIDE:
+                return uniforms.map((uniform) => (uniform.blockIndex >= 0 && uniformTypeInfo(uniform.type).columns > 0 ? 16 : -1));
+            case GL.UNIFORM_IS_ROW_MAJOR:
+                return uniforms.map(() => false);
+        }
+        fail(this, GL.INVALID_ENUM, `invalid uniform parameter ${hex(pname)}`);
+        return null;
+    }
+    activeBlock(program, index) {
+        if (!requireObject(this, program, WebGLProgram, "program"))
+            return null;
+        const block = program.linked ? program.blocks[index] : undefined;
+        if (!block) {
+            fail(this, GL.INVALID_VALUE, `uniform block index ${index} is out of range`);
+            return null;
+        }
+        return block;
+    }
+}
+for (let i = 1; i < 16; i++) {
+    Object.defineProperty(MockWebGL2RenderingContext.prototype, `COLOR_ATTACHMENT${i}`, { value: GL.COLOR_ATTACHMENT0 + i });
+    Object.defineProperty(MockWebGL2RenderingContext.prototype, `DRAW_BUFFER${i}`, { value: GL.DRAW_BUFFER0 + i });
+}
+for (const [name, value] of Object.entries(webgl1Constants)) {
+    Object.defineProperty(MockWebGLRenderingContext.prototype, name, { value });
+}
+for (const [name, value] of Object.entries(webgl2Constants)) {
+    Object.defineProperty(MockWebGL2RenderingContext.prototype, name, { value });
+}
+defineUniformMethods(MockWebGLRenderingContext.prototype, uniformMethods.webgl);
+defineUniformMethods(MockWebGL2RenderingContext.prototype, uniformMethods.webgl2);
+// Mock-only members that are neither recorded nor affected by context loss.
+const unrecorded = new Set(["constructor", "callsTo", "clearCalls", "liveObjects", "activeBlock", "isContextLost", "getContextAttributes"]);
+// What a lost context returns instead of running the call; anything unlisted returns undefined.
+function lostResult(gl, name) {
+    if (name === "getError") {
+        // CONTEXT_LOST_WEBGL is reported once per loss.
+        const error = gl.state.error;
+        gl.state.error = GL.NO_ERROR;
+        return error;
+    }
+    if (name === "getSupportedExtensions" || name === "getExtension")
+        return null;
+    if (name === "checkFramebufferStatus")
+        return GL.FRAMEBUFFER_UNSUPPORTED;
+    if (name === "clientWaitSync")
+        return GL.WAIT_FAILED;
+    if (name === "getAttribLocation" || name === "getFragDataLocation")
+        return -1;
+    if (name === "getUniformBlockIndex")
+        return GL.INVALID_INDEX;
+    if (/^is[A-Z]/.test(name))
+        return false;
+    if (/^(create|get)[A-Z]/.test(name) || name === "fenceSync")
+        return null;
+    return undefined;
+}
+// Wraps each own method of prototype so calls are recorded and become no-ops while the context is lost.
+function instrument(prototype) {
+    for (const name of Object.getOwnPropertyNames(prototype)) {
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, name);
+        if (unrecorded.has(name) || typeof descriptor.value !== "function")
+            continue;
+        const method = descriptor.value;
+        Object.defineProperty(prototype, name, {
+            ...descriptor,
+            value: function (...args) {
+                // Nested calls (blendFunc -> blendFuncSeparate) are neither recorded nor named in errors.
+                const outer = this.currentCall;
+                if (!outer) {
+                    this.calls.push({ name, args });
+                    this.currentCall = name;
+                }
+                try {
+                    return this.contextLost ? lostResult(this, name) : method.apply(this, args);
+                }
+                finally {
+                    this.currentCall = outer;
+                }
+            }
+        });
+    }
+}
+instrument(MockWebGLRenderingContext.prototype);
+instrument(MockWebGL2RenderingContext.prototype);
+// Calls made through extension objects are recorded as "EXTENSION_NAME.method".
+function extensionMethods(gl, name, constants, methods) {
+    const ext = { ...constants };
+    for (const [method, body] of Object.entries(methods)) {
+        ext[method] = (...args) => {
+            const outer = gl.currentCall;
+            if (!outer) {
+                gl.calls.push({ name: `${name}.${method}`, args });
+                gl.currentCall = `${name}.${method}`;
+            }
+            try {
+                // WEBGL_lose_context keeps working while lost; it is how the context comes back.
+                return gl.contextLost && name !== "WEBGL_lose_context" ? lostResult(gl, method) : body(...args);
+            }
+            finally {
+                gl.currentCall = outer;
+            }
+        };
+    }
+    return ext;
+}
+function createExtension(gl, name) {
+    switch (name) {
+        case "ANGLE_instanced_arrays":
+            return extensionMethods(gl, name, { VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: GL.VERTEX_ATTRIB_ARRAY_DIVISOR }, {
+                drawArraysInstancedANGLE: (mode, first, count, instances) => drawArraysImpl(gl, mode, first, count, instances),
+                drawElementsInstancedANGLE: (mode, count, type, offset, instances) => drawElementsImpl(gl, mode, count, type, offset, instances),
+                vertexAttribDivisorANGLE: (index, divisor) => vertexAttribDivisorImpl(gl, index, divisor)
+            });
+        case "OES_vertex_array_object":
+            return extensionMethods(gl, name, { VERTEX_ARRAY_BINDING_OES: GL.VERTEX_ARRAY_BINDING }, {
+                createVertexArrayOES: () => create(gl, new WebGLVertexArrayObjectOES(gl, gl.state.generation)),
+                bindVertexArrayOES: (vao) => bindVertexArrayImpl(gl, vao),
+                deleteVertexArrayOES: (vao) => deleteVertexArrayImpl(gl, vao),
+                isVertexArrayOES: (vao) => isLive(gl, vao, WebGLVertexArrayObjectOES) && vao.bound
+            });
+        case "WEBGL_draw_buffers": {
+            const constants = {
+                MAX_DRAW_BUFFERS_WEBGL: GL.MAX_DRAW_BUFFERS,
+                MAX_COLOR_ATTACHMENTS_WEBGL: GL.MAX_COLOR_ATTACHMENTS
+            };
+            for (let i = 0; i < 16; i++) {
+                constants[`COLOR_ATTACHMENT${i}_WEBGL`] = GL.COLOR_ATTACHMENT0 + i;
+                constants[`DRAW_BUFFER${i}_WEBGL`] = GL.DRAW_BUFFER0 + i;
+            }
+            return extensionMethods(gl, name, constants, { drawBuffersWEBGL: (buffers) => drawBuffersImpl(gl, buffers) });
+        }
+        case "WEBGL_lose_context":
+            return extensionMethods(gl, name, {}, {
+                loseContext: () => loseContext(gl),
+                restoreContext: () => restoreContext(gl)
+            });
+        case "WEBGL_multi_draw":
+            return extensionMethods(gl, name, {}, {
+                multiDrawArraysWEBGL: (mode, firsts, firstsOffset, counts, countsOffset, drawCount) => multiDraw(gl, drawCount, [firsts, firstsOffset, counts, countsOffset], (i) => drawArraysImpl(gl, mode, firsts[firstsOffset + i], counts[countsOffset + i], 1)),
+                multiDrawArraysInstancedWEBGL: (mode, firsts, firstsOffset, counts, countsOffset, instances, instancesOffset, drawCount) => multiDraw(gl, drawCount, [firsts, firstsOffset, counts, countsOffset, instances, instancesOffset], (i) => drawArraysImpl(gl, mode, firsts[firstsOffset + i], counts[countsOffset + i], instances[instancesOffset + i])),
+                multiDrawElementsWEBGL: (mode, counts, countsOffset, type, offsets, offsetsOffset, drawCount) => multiDraw(gl, drawCount, [counts, countsOffset, offsets, offsetsOffset], (i) => drawElementsImpl(gl, mode, counts[countsOffset + i], type, offsets[offsetsOffset + i], 1)),
+                multiDrawElementsInstancedWEBGL: (mode, counts, countsOffset, type, offsets, offsetsOffset, instances, instancesOffset, drawCount) => multiDraw(gl, drawCount, [counts, countsOffset, offsets, offsetsOffset, instances, instancesOffset], (i) => drawElementsImpl(gl, mode, counts[countsOffset + i], type, offsets[offsetsOffset + i], instances[instancesOffset + i]))
+            });
+        case "EXT_blend_minmax":
+            return { MIN_EXT: GL.MIN, MAX_EXT: GL.MAX };
+        case "EXT_texture_filter_anisotropic":
+            return { TEXTURE_MAX_ANISOTROPY_EXT, MAX_TEXTURE_MAX_ANISOTROPY_EXT };
+        case "EXT_disjoint_timer_query_webgl2":
+            return {
+                QUERY_COUNTER_BITS_EXT: 0x8864,
+                TIME_ELAPSED_EXT,
+                TIMESTAMP_EXT: 0x8e28,
+                GPU_DISJOINT_EXT,
+                queryCounterEXT: () => fail(gl, GL.INVALID_OPERATION, "timestamp queries are not supported")
+            };
+        case "KHR_parallel_shader_compile":
+            return { COMPLETION_STATUS_KHR };
+        case "OES_texture_half_float":
+            return { HALF_FLOAT_OES };
+        case "WEBGL_depth_texture":
+            return { UNSIGNED_INT_24_8_WEBGL: GL.UNSIGNED_INT_24_8 };
+        case "WEBGL_color_buffer_float":
+            return { RGBA32F_EXT: GL.RGBA32F, UNSIGNED_NORMALIZED_EXT: 0x8c17 };
+        case "EXT_color_buffer_half_float":
+            return { RGBA16F_EXT: GL.RGBA16F, RGB16F_EXT: GL.RGB16F, UNSIGNED_NORMALIZED_EXT: 0x8c17 };
+        case "OES_standard_derivatives":
+            return { FRAGMENT_SHADER_DERIVATIVE_HINT_OES: GL.FRAGMENT_SHADER_DERIVATIVE_HINT };
+    }
+    if (name in compressedTextureExtensions) {
+        const constants = {};
+        for (const [constant, format] of Object.entries(compressedTextureExtensions[name]))
+            constants[constant] = format.value;
+        if (name === "WEBGL_compressed_texture_astc")
+            constants.getSupportedProfiles = () => ["ldr"];
+        return constants;
+    }
+    return {};
+}
+// Runs a WEBGL_multi_draw list as single draws, after checking every (list, offset) pair holds
+// drawCount entries. Validation stops at the first draw that fails, as it records the error.
+function multiDraw(gl, drawCount, lists, draw) {
+    if (drawCount < 0)
+        return fail(gl, GL.INVALID_VALUE, "drawcount must not be negative");
+    for (let i = 0; i < lists.length; i += 2) {
+        const list = lists[i];
+        const offset = lists[i + 1];
+        if (offset < 0 || offset + drawCount > list.length) {
+            return fail(gl, GL.INVALID_OPERATION, `a list holds ${list.length} entries, too few for offset ${offset} and drawcount ${drawCount}`);
+        }
+    }
+    const errors = gl.errors.length;
+    for (let i = 0; i < drawCount && gl.errors.length === errors; i++)
+        draw(i);
+}
+// The lost event fires synchronously, unlike in browsers, so tests do not need to wait for it.
+function loseContext(gl) {
+    if (gl.contextLost)
+        return fail(gl, GL.INVALID_OPERATION, "the context is already lost");
+    gl.contextLost = true;
+    gl.state.error = GL.CONTEXT_LOST_WEBGL;
+    const event = createContextEvent("webglcontextlost");
+    gl.restorable = !gl.canvas.dispatchEvent(event);
+}
+function restoreContext(gl) {
+    if (!gl.contextLost)
+        return fail(gl, GL.INVALID_OPERATION, "the context is not lost");
+    if (!gl.restorable)
+        return fail(gl, GL.INVALID_OPERATION, "the webglcontextlost event was not cancelled");
+    for (const object of gl.objects)
+        object.deleted = true;
+    gl.objects.clear();
+    const disjoint = gl.state.disjoint;
+    gl.state = createState(gl, gl.state.generation + 1);
+    gl.state.disjoint = disjoint;
+    gl.contextLost = false;
+    gl.restorable = false;
+    gl.canvas.dispatchEvent(createContextEvent("webglcontextrestored"));
+}
+function createContextEvent(type) {
+    const event = new Event(type, { cancelable: true });
+    Object.defineProperty(event, "statusMessage", { value: "" });
+    return event;
+}
+/**
+ * Creates a mock context of the given type for canvas, or null when the canvas already holds a
+ * context of the other type. Use as createContext's contextFactory.
+ */
+export function createMockContext(canvas, type, options = {}, attributes = {}) {
+    const existing = mockContexts.get(canvas);
+    if (existing)
+        return existing.isWebGL2 === (type === "webgl2") ? existing : null;
+    const gl = type === "webgl2" ? new MockWebGL2RenderingContext(canvas, options, attributes) : new MockWebGLRenderingContext(canvas, options, attributes);
+    mockContexts.set(canvas, gl);
+    return gl;
+}
+const mockContexts = new WeakMap();
+/**
+ * Creates an event-dispatching stand-in for a canvas element whose getContext returns mock
+ * contexts. Pass options.type to make "webgl2" unavailable, as on WebGL1-only devices.
+ */
+export function createMockCanvas(width = 300, height = 150, options = {}) {
+    const canvas = new EventTarget();
+    Object.assign(canvas, {
+        width,
+        height,
+        clientWidth: width,
+        clientHeight: height,
+        style: {},
+        getBoundingClientRect: () => ({ x: 0, y: 0, left: 0, top: 0, width: canvas.clientWidth, height: canvas.clientHeight, right: canvas.clientWidth, bottom: canvas.clientHeight }),
+        getContext: (type, attributes) => {
+            if (type !== "webgl" && type !== "webgl2")
+                return null;
+            if (options.type && type !== options.type)
+                return null;
+            return createMockContext(canvas, type, options, attributes);
+        }
+    });
+    return canvas;
+}
@@ -0,0 +1,300 @@
+import * as bridge from "./blazorgl.webgl.js";
+// Exports that return a handle. The proxy picks it, so the call can be queued like a void one.
+// getUniformLocation therefore never returns -1 here: a missing uniform gets a handle that acts
+// as a null location, and only the program's reflection tells whether the uniform exists.
+const handleExports = new Set([
+    "createVertexArray",
+    "createBuffer",
+    "createTexture",
+    "createFramebuffer",
+    "createRenderbuffer",
+    "createTransformFeedback",
+    "createQuery",
+    "createShader",
+    "createProgram",
+    "getUniformLocation"
+]);
+// Exports that already return a promise; it settles when the worker replies.
+const asyncExports = new Set(["loadTextureFromUrl", "readPixelsAsync", "createProgramFromSourcesAsync", "submitCommandsAsync"]);
+// Exports that return a value the worker cannot deliver synchronously. They throw, naming the
+// async export that covers the same ground where there is one.
+const valueExports = {
+    getCallTrace: null,
+    getMaxAnisotropy: null,
+    getPixelStore: null,
+    updateVideoTextures: null,
+    getRenderTargetSupport: null,
+    checkFramebufferStatus: null,
+    readPixels: "readPixelsAsync",
+    pickObjectId: null,
+    getQueryResult: null,
+    isTimerQuerySupported: null,
+    collectTimerResults: null,
+    getStats: null,
+    getShaderInfoLog: "createProgramFromSourcesAsync",
+    getProgramInfoLog: "createProgramFromSourcesAsync",
+    getProgramParameter: "createProgramFromSourcesAsync",
+    getActiveUniform: "createProgramFromSourcesAsync",
+    getActiveAttrib: "createProgramFromSourcesAsync",
+    getAttribLocation: "createProgramFromSourcesAsync",
+    getUniformBlockIndex: "createProgramFromSourcesAsync",
+    createProgramFromSources: "createProgramFromSourcesAsync",
+    stopCapture: null,
+    replayCapture: null,
+    submitCommands: "submitCommandsAsync"
+};
+// Exports that take DOM elements, which cannot be posted to a worker.
+const elementExports = new Set(["texImageFromSource", "attachVideoTexture"]);
+// Helpers the proxy itself uses on this thread; they are not part of its surface.
+const helperExports = new Set(["withHandle", "watchCanvasSize", "createFrameLoop"]);
+// Well above anything the worker's own counter reaches (createProgramFromSourcesAsync issues
+// handles there), so the two never collide.
+const FIRST_PROXY_HANDLE = 0x40000000;
+/** Whether this browser can move a canvas into a worker; createWorkerBridge falls back to the main thread otherwise. */
+export function isWorkerRenderingSupported() {
+    return (typeof Worker !== "undefined" &&
+        typeof OffscreenCanvas !== "undefined" &&
+        typeof HTMLCanvasElement !== "undefined" &&
+        "transferControlToOffscreen" in HTMLCanvasElement.prototype);
+}
+/**
+ * Starts a render worker and returns an object with the same exports as blazorgl.webgl.js that
+ * forwards them to it. Each bridge hosts one context. Without OffscreenCanvas support the
+ * blazorgl.webgl.js module itself is returned. port replaces the worker, for tests.
+ */
+export function createWorkerBridge(port = null) {
+    if (!port && !isWorkerRenderingSupported())
+        return bridge;
+    const worker = port ?? new Worker(new URL("./blazorgl.webgl.worker.js", import.meta.url), { type: "module" });
+    let ctxId = 0;
+    let started = false;
+    let closed = false;
+    let lost = false;
+    let consts = {};
+    let capabilities = null;
+    let dotNetRef = null;
+    let placeholder = null;
+    let maxPixelRatio = null;
+    let stopSizeWatch = null;
+    // Replayed to a .NET object registered after the first report.
+    let lastSize = null;
+    let renderLoop = null;
+    let nextHandle = FIRST_PROXY_HANDLE;
+    let nextReply = 1;
+    const replies = new Map();
+    let queue = [];
+    let transfer = [];
+    let flushScheduled = false;
+    const send = (message, transferList = []) => worker.postMessage(message, transferList);
+    function flush() {
+        flushScheduled = false;
+        if (queue.length === 0)
+            return;
+        send({ type: "batch", calls: queue }, transfer);
+        queue = [];
+        transfer = [];
+    }
+    function enqueue(call) {
+        if (closed)
+            throw new Error(`${call.fn}: the render worker has been closed.`);
+        queue.push(call);
+        for (const arg of call.args) {
+            const buffer = ArrayBuffer.isView(arg) ? arg.buffer : arg;
+            // Only whole buffers move; a view into a larger buffer is copied with the rest of the message.
+            const whole = !ArrayBuffer.isView(arg) || (arg.byteOffset === 0 && arg.byteLength === arg.buffer.byteLength);
+            if (buffer instanceof ArrayBuffer && whole && !transfer.includes(buffer))
+                transfer.push(buffer);
+        }
+        if (!flushScheduled) {
+            flushScheduled = true;
+            queueMicrotask(flush);
+        }
+    }
+    function expectReply() {
+        const reply = nextReply++;
+        return [reply, new Promise((resolve, reject) => replies.set(reply, { resolve, reject }))];
+    }
+    function settle(reply, error, value) {
+        const pending = replies.get(reply);
+        if (!pending)
+            return;
+        replies.delete(reply);
+        if (error !== undefined) {
+            pending.reject(new Error(error));
+        }
+        else {
+            pending.resolve(value);
+        }
+    }
+    function close(reason) {
+        closed = true;
+        stopSizeWatch?.();
+        stopSizeWatch = null;
+        renderLoop?.stop();
+        renderLoop = null;
+        for (const pending of replies.values())
+            pending.reject(new Error(reason));
+        replies.clear();
+        worker.onmessage = null;
+    }
+    // The placeholder canvas can no longer be resized on the main thread, and the worker has no
+    // ResizeObserver, so the drawing buffer always follows the placeholder's size from here.
+    function observeSize() {
+        stopSizeWatch?.();
+        stopSizeWatch = bridge.watchCanvasSize(placeholder, maxPixelRatio, (size) => {
+            if (closed)
+                return;
+            lastSize = [size.cssWidth, size.cssHeight, size.pixelWidth, size.pixelHeight];
+            enqueue({ fn: "setDrawingBufferSize", args: [ctxId, size.pixelWidth, size.pixelHeight] });
+            dotNetRef?.invokeMethodAsync("OnCanvasResized", ...lastSize);
+        });
+    }
+    worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case "ready":
+                ctxId = message.ctxId;
+                consts = message.consts;
+                capabilities = message.capabilities;
+                settle(message.reply, undefined, message.ctxId);
+                break;
+            case "reply":
+                settle(message.reply, message.error, message.value);
+                break;
+            case "event":
+                if (message.method === "OnContextLost")
+                    lost = true;
+                if (message.method === "OnContextRestored")
+                    lost = false;
+                dotNetRef?.invokeMethodAsync(message.method, ...message.args);
+                break;
+            case "frame":
+                dotNetRef?.invokeMethodAsync("OnFrameCompleted", message.frame);
+                break;
+            case "error":
+                // The caller has moved on, so the error is logged like an uncaught one and forwarded.
+                console.error(`${message.fn}: ${message.message}`);
+                dotNetRef?.invokeMethodAsync("OnWorkerError", message.fn, message.message);
+                break;
+        }
+    };
+    if (!port) {
+        worker.onerror = (event) => {
+            event.preventDefault();
+            close(`The render worker failed: ${event.message || "it could not be loaded"}`);
+        };
+    }
+    const surface = {};
+    for (const [name, value] of Object.entries(bridge)) {
+        if (typeof value !== "function" || helperExports.has(name))
+            continue;
+        if (handleExports.has(name)) {
+            surface[name] = (...args) => {
+                const handle = nextHandle++;
+                enqueue({ fn: name, args, handle });
+                return handle;
+            };
+        }
+        else if (asyncExports.has(name)) {
+            surface[name] = (...args) => {
+                // The worker would resolve a relative URL against its own script, not the page.
+                if (name === "loadTextureFromUrl")
+                    args[2] = new URL(args[2], document.baseURI).href;
+                const [reply, result] = expectReply();
+                enqueue({ fn: name, args, reply });
+                return result;
+            };
+        }
+        else if (name in valueExports) {
+            surface[name] = () => {
+                const alternative = valueExports[name];
+                throw new Error(`${name} returns a value, which a worker context cannot deliver synchronously` +
+                    (alternative ? `; use ${alternative} instead.` : "."));
+            };
+        }
+        else if (elementExports.has(name)) {
+            surface[name] = () => {
+                throw new Error(`${name} needs DOM elements, which cannot be sent to the render worker; use loadTextureFromUrl instead.`);
+            };
+        }
+        else {
+            surface[name] = (...args) => {
+                enqueue({ fn: name, args });
+            };
+        }
+    }
+    return Object.assign(surface, {
+        /** Resolves with the context id once the worker has created the context. */
+        createContext(canvas, options = null) {
+            if (started)
+                throw new Error("A worker bridge hosts a single context; create another bridge for another canvas.");
+            if (options?.contextFactory)
+                throw new Error("contextFactory cannot be sent to the render worker.");
+            started = true;
+            maxPixelRatio = options?.maxPixelRatio ?? null;
+            const offscreen = canvas.transferControlToOffscreen();
+            const [reply, ready] = expectReply();
+            send({ type: "init", canvas: offscreen, options, reply }, [offscreen]);
+            return ready.then((id) => {
+                placeholder = canvas;
+                observeSize();
+                return id;
+            }, (err) => {
+                // Nothing will dispose a context that was never created, so the worker goes now.
+                send({ type: "close" });
+                close("The render worker was closed.");
+                throw err;
+            });
+        },
+        registerContextCallbacks(_ctxId, ref) {
+            dotNetRef = ref;
+            if (lastSize)
+                dotNetRef?.invokeMethodAsync("OnCanvasResized", ...lastSize);
+        },
+        // The size is always watched here; these only change the cap or stop it.
+        observeCanvasSize(_ctxId, ratio = null) {
+            maxPixelRatio = ratio;
+            if (placeholder && !closed)
+                observeSize();
+        },
+        unobserveCanvasSize(_ctxId) {
+            stopSizeWatch?.();
+            stopSizeWatch = null;
+        },
+        // The loop runs here, where .NET is; the calls a frame makes go to the worker as one batch.
+        startRenderLoop(_ctxId, ref, options = null) {
+            if (!placeholder || closed)
+                throw new Error("startRenderLoop: the render worker has no context yet.");
+            const method = options?.method ?? "OnRenderFrame";
+            renderLoop?.stop();
+            renderLoop = null;
+            renderLoop = bridge.createFrameLoop(placeholder, (timestamp, delta) => ref.invokeMethod ? ref.invokeMethod(method, timestamp, delta) : ref.invokeMethodAsync(method, timestamp, delta), options, () => lost);
+        },
+        stopRenderLoop(_ctxId) {
+            renderLoop?.stop();
+            renderLoop = null;
+        },
+        invalidate(_ctxId) {
+            renderLoop?.invalidate();
+        },
+        isContextLost(_ctxId) {
+            return lost;
+        },
+        getConstants(_ctxId) {
+            return { ...consts };
+        },
+        // Reported once the worker has created the context.
+        getCapabilities(_ctxId) {
+            return capabilities;
+        },
+        // Formatting needs no context, so it stays on this thread.
+        dumpCapture: bridge.dumpCapture,
+        /** Disposes the context, then the worker closes itself. */
+        disposeContext(id) {
+            enqueue({ fn: "disposeContext", args: [id] });
+            flush();
+            send({ type: "close" });
+            close("The render worker was closed.");
+        }
+    });
+}
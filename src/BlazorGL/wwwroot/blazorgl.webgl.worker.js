@@ -0,0 +1,84 @@
+import * as bridge from "./blazorgl.webgl.js";
+function messageOf(err) {
+    return err instanceof Error ? err.message : String(err);
+}
+// Results are fresh arrays (readPixelsAsync), so their storage can move instead of being copied.
+function transferablesOf(value) {
+    if (!ArrayBuffer.isView(value))
+        return [];
+    const buffer = value.buffer;
+    return buffer instanceof ArrayBuffer && value.byteOffset === 0 && value.byteLength === buffer.byteLength ? [buffer] : [];
+}
+/**
+ * Serves the bridge exports to a blazorgl.webgl.offscreen.js proxy over port. A module worker
+ * loading this file serves its own global scope; tests pass one end of a MessageChannel.
+ */
+export function hostBridge(port) {
+    const exports = bridge;
+    let frame = 0;
+    const post = (message, transfer = []) => port.postMessage(message, transfer);
+    // Stands in for the .NET object reference, which cannot cross into the worker.
+    const relay = {
+        invokeMethodAsync(method, ...args) {
+            post({ type: "event", method, args });
+            return Promise.resolve();
+        }
+    };
+    function run(call) {
+        let result;
+        try {
+            const fn = exports[call.fn];
+            if (typeof fn !== "function")
+                throw new Error(`Unknown bridge export '${call.fn}'`);
+            result = call.handle ? bridge.withHandle(call.handle, () => fn(...call.args)) : fn(...call.args);
+        }
+        catch (err) {
+            if (call.reply) {
+                post({ type: "reply", reply: call.reply, error: messageOf(err) });
+            }
+            else {
+                post({ type: "error", fn: call.fn, message: messageOf(err) });
+            }
+            return;
+        }
+        if (call.reply) {
+            Promise.resolve(result).then((value) => post({ type: "reply", reply: call.reply, value }, transferablesOf(value)), (err) => post({ type: "reply", reply: call.reply, error: messageOf(err) }));
+        }
+    }
+    port.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case "init":
+                try {
+                    const ctxId = bridge.createContext(message.canvas, message.options);
+                    bridge.registerContextCallbacks(ctxId, relay);
+                    post({
+                        type: "ready",
+                        reply: message.reply,
+                        ctxId,
+                        consts: bridge.getConstants(ctxId),
+                        capabilities: bridge.getCapabilities(ctxId)
+                    });
+                }
+                catch (err) {
+                    post({ type: "reply", reply: message.reply, error: messageOf(err) });
+                }
+                break;
+            case "batch":
+                for (const call of message.calls)
+                    run(call);
+                // An OffscreenCanvas presents what was drawn once this task returns.
+                post({ type: "frame", frame: ++frame });
+                break;
+            case "close":
+                port.onmessage = null;
+                port.close?.();
+                break;
+        }
+    };
+}
+// Started with new Worker(url, { type: "module" }): serve the worker's own global scope.
+const scope = globalThis;
+if (typeof scope.WorkerGlobalScope === "function" && scope instanceof scope.WorkerGlobalScope) {
+    hostBridge(scope);
+}
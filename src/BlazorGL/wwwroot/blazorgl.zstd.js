@@ -0,0 +1,671 @@
+/**
+ * BlazorGL Zstandard Decoder - JavaScript Module
+ * Decompresses Zstandard frames (RFC 8878) for KTX2 supercompression scheme 2
+ */
+
+const ZSTD_MAGIC = 0xFD2FB528;
+const SKIPPABLE_MAGIC_MASK = 0xFFFFFFF0;
+const SKIPPABLE_MAGIC = 0x184D2A50;
+
+const highBit = value => 31 - Math.clz32(value);
+
+function corrupt(message) {
+    return new Error(`Zstandard data is corrupt: ${message}`);
+}
+
+const BlockType = { Raw: 0, RLE: 1, Compressed: 2 };
+const LiteralsType = { Raw: 0, RLE: 1, Compressed: 2, Treeless: 3 };
+const TableMode = { Predefined: 0, RLE: 1, FSE: 2, Repeat: 3 };
+
+// Literal length and match length codes: [baseline, extra bits] (RFC 8878 3.1.1.3.2.1.1).
+const literalLengthCodes = [
+    ...Array.from({ length: 16 }, (_, code) => [code, 0]),
+    [16, 1], [18, 1], [20, 1], [22, 1], [24, 2], [28, 2], [32, 3], [40, 3], [48, 4], [64, 6],
+    [128, 7], [256, 8], [512, 9], [1024, 10], [2048, 11], [4096, 12], [8192, 13], [16384, 14],
+    [32768, 15], [65536, 16]
+];
+
+const matchLengthCodes = [
+    ...Array.from({ length: 32 }, (_, code) => [code + 3, 0]),
+    [35, 1], [37, 1], [39, 1], [41, 1], [43, 2], [47, 2], [51, 3], [59, 3], [67, 4], [83, 4],
+    [99, 5], [131, 7], [259, 8], [515, 9], [1027, 10], [2051, 11], [4099, 12], [8195, 13],
+    [16387, 14], [32771, 15], [65539, 16]
+];
+
+// Default distributions for the Predefined mode, with their accuracy logs.
+const predefinedLiteralLengths = [
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+    -1, -1, -1, -1
+];
+const predefinedMatchLengths = [
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1
+];
+const predefinedOffsets = [
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+];
+
+// Per symbol type: largest symbol, largest accuracy log and the predefined table.
+const sequenceTables = {
+    literalLength: { maxSymbol: 35, maxAccuracyLog: 9, predefined: buildFSETable(predefinedLiteralLengths, 6) },
+    offset: { maxSymbol: 31, maxAccuracyLog: 8, predefined: buildFSETable(predefinedOffsets, 5) },
+    matchLength: { maxSymbol: 52, maxAccuracyLog: 9, predefined: buildFSETable(predefinedMatchLengths, 6) }
+};
+
+// Reads a little-endian bit stream from its first bit on; used for FSE table descriptions.
+class ForwardBitReader {
+    constructor(data, offset, end) {
+        this.data = data;
+        this.bit = offset * 8;
+        this.end = end * 8;
+    }
+
+    peek(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const at = this.bit + i;
+            if (at >= this.end) {
+                throw corrupt('an FSE table description runs past its block');
+            }
+            value |= ((this.data[at >>> 3] >>> (at & 7)) & 1) << i;
+        }
+        return value;
+    }
+
+    read(count) {
+        const value = this.peek(count);
+        this.bit += count;
+        return value;
+    }
+
+    // Byte offset just past the bits read so far.
+    get offset() {
+        return (this.bit + 7) >>> 3;
+    }
+}
+
+// Reads a bit stream backwards from its end, where the highest set bit of the last byte marks
+// the start. Reading past the beginning yields zero bits and leaves `remaining` negative, which
+// is how the FSE and Huffman decoders notice the end of their streams.
+class BackwardBitReader {
+    constructor(data, start, end) {
+        if (end <= start || data[end - 1] === 0) {
+            throw corrupt('a bit stream has no end marker');
+        }
+        this.data = data;
+        this.start = start;
+        this.remaining = (end - 1 - start) * 8 + highBit(data[end - 1]);
+    }
+
+    // The count bits below the read position, without consuming them; count is at most 31.
+    peek(count) {
+        const position = this.remaining - count;
+        if (position >= 0) {
+            return this.bits(position, count);
+        }
+        // Past the beginning: the missing low bits read as zeros.
+        return count + position > 0 ? this.bits(0, count + position) * 2 ** -position : 0;
+    }
+
+    read(count) {
+        if (count === 0) {
+            return 0;
+        }
+        const value = this.peek(count);
+        this.remaining -= count;
+        return value;
+    }
+
+    bits(position, count) {
+        const data = this.data;
+        const at = this.start + (position >>> 3);
+        const shift = position & 7;
+        const low = (data[at] | (data[at + 1] << 8) | (data[at + 2] << 16) | (data[at + 3] << 24)) >>> 0;
+        if (shift + count <= 32) {
+            return count === 32 ? low >>> shift : (low >>> shift) & ((2 ** count) - 1);
+        }
+        return (low >>> shift) + (data[at + 4] & ((1 << (shift + count - 32)) - 1)) * 2 ** (32 - shift);
+    }
+}
+
+// FSE table description (RFC 8878 4.1.1): normalized probabilities, -1 meaning "less than 1".
+function readFSEDistribution(data, offset, end, maxSymbol, maxAccuracyLog) {
+    const reader = new ForwardBitReader(data, offset, end);
+    const accuracyLog = reader.read(4) + 5;
+    if (accuracyLog > maxAccuracyLog) {
+        throw corrupt(`FSE accuracy log ${accuracyLog} exceeds ${maxAccuracyLog}`);
+    }
+
+    const probabilities = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let bitCount = accuracyLog + 1;
+    while (remaining > 1) {
+        if (probabilities.length > maxSymbol) {
+            throw corrupt(`an FSE table describes more than ${maxSymbol + 1} symbols`);
+        }
+        const max = 2 * threshold - 1 - remaining;
+        let value;
+        const low = reader.peek(bitCount - 1);
+        if (low < max) {
+            value = low;
+            reader.read(bitCount - 1);
+        } else {
+            value = reader.read(bitCount);
+            if (value >= threshold) {
+                value -= max;
+            }
+        }
+        const probability = value - 1;
+        remaining -= Math.abs(probability);
+        probabilities.push(probability);
+
+        if (probability === 0) {
+            // Runs of zero probabilities are written as 2-bit repeat counts; 3 means "and more".
+            let repeat;
+            do {
+                repeat = reader.read(2);
+                for (let i = 0; i < repeat; i++) {
+                    probabilities.push(0);
+                }
+            } while (repeat === 3);
+        }
+        while (remaining < threshold) {
+            bitCount--;
+            threshold >>= 1;
+        }
+    }
+    if (remaining !== 1 || probabilities.length > maxSymbol + 1) {
+        throw corrupt('FSE probabilities do not add up to the table size');
+    }
+    return { probabilities, accuracyLog, byteLength: reader.offset - offset };
+}
+
+// Decoding table: for each state its symbol, the bits to read and the baseline they add to.
+function buildFSETable(probabilities, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = new Uint8Array(size);
+    const bitCounts = new Uint8Array(size);
+    const baselines = new Uint16Array(size);
+    const next = [];
+
+    let highThreshold = size - 1;
+    probabilities.forEach((probability, symbol) => {
+        if (probability === -1) {
+            symbols[highThreshold--] = symbol;
+            next[symbol] = 1;
+        } else {
+            next[symbol] = probability;
+        }
+    });
+
+    const step = (size >>> 1) + (size >>> 3) + 3;
+    let position = 0;
+    probabilities.forEach((probability, symbol) => {
+        for (let i = 0; i < probability; i++) {
+            symbols[position] = symbol;
+            do {
+                position = (position + step) & (size - 1);
+            } while (position > highThreshold);
+        }
+    });
+    if (position !== 0) {
+        throw corrupt('FSE probabilities do not spread over the table');
+    }
+
+    for (let state = 0; state < size; state++) {
+        const nextState = next[symbols[state]]++;
+        const bits = accuracyLog - highBit(nextState);
+        bitCounts[state] = bits;
+        baselines[state] = (nextState << bits) - size;
+    }
+    return { accuracyLog, symbols, bitCounts, baselines };
+}
+
+function rleTable(symbol) {
+    return { accuracyLog: 0, symbols: Uint8Array.of(symbol), bitCounts: new Uint8Array(1), baselines: new Uint16Array(1) };
+}
+
+// Huffman tree description (RFC 8878 4.2.1): weights, either FSE-compressed or 4 bits each.
+function readHuffmanTable(data, offset, end) {
+    const header = data[offset];
+    const weights = [];
+    let byteLength;
+    if (header < 128) {
+        byteLength = 1 + header;
+        if (offset + byteLength > end) {
+            throw corrupt('the Huffman tree description runs past its block');
+        }
+        const distribution = readFSEDistribution(data, offset + 1, offset + byteLength, 255, 6);
+        const table = buildFSETable(distribution.probabilities, distribution.accuracyLog);
+        const reader = new BackwardBitReader(data, offset + 1 + distribution.byteLength, offset + byteLength);
+        // Two interleaved states share the stream; the one that sees it run dry emits last.
+        const states = [reader.read(table.accuracyLog), reader.read(table.accuracyLog)];
+        for (let which = 0; ; which ^= 1) {
+            const state = states[which];
+            weights.push(table.symbols[state]);
+            states[which] = table.baselines[state] + reader.read(table.bitCounts[state]);
+            if (reader.remaining < 0) {
+                weights.push(table.symbols[states[which ^ 1]]);
+                break;
+            }
+            if (weights.length > 255) {
+                throw corrupt('the Huffman tree has more than 256 symbols');
+            }
+        }
+    } else {
+        const count = header - 127;
+        byteLength = 1 + Math.ceil(count / 2);
+        if (offset + byteLength > end) {
+            throw corrupt('the Huffman tree description runs past its block');
+        }
+        for (let i = 0; i < count; i++) {
+            const byte = data[offset + 1 + (i >>> 1)];
+            weights.push(i % 2 === 0 ? byte >>> 4 : byte & 15);
+        }
+    }
+
+    // The last weight is implied: it completes the total to the next power of two.
+    let total = 0;
+    for (const weight of weights) {
+        if (weight > 11) {
+            throw corrupt(`Huffman weight ${weight} is too large`);
+        }
+        total += weight ? 1 << (weight - 1) : 0;
+    }
+    if (total === 0) {
+        throw corrupt('the Huffman tree has no weights');
+    }
+    const maxBits = highBit(total) + 1;
+    const rest = (1 << maxBits) - total;
+    if (rest & (rest - 1)) {
+        throw corrupt('Huffman weights do not form a complete tree');
+    }
+    weights.push(highBit(rest) + 1);
+    if (maxBits > 11 || weights.length > 256) {
+        throw corrupt('the Huffman tree is too deep');
+    }
+
+    // Codes go to symbols by ascending weight, then symbol; each fills 2^(weight-1) slots.
+    const size = 1 << maxBits;
+    const symbols = new Uint8Array(size);
+    const bitCounts = new Uint8Array(size);
+    let position = 0;
+    for (let weight = 1; weight <= maxBits; weight++) {
+        weights.forEach((symbolWeight, symbol) => {
+            if (symbolWeight !== weight) {
+                return;
+            }
+            const slots = 1 << (weight - 1);
+            symbols.fill(symbol, position, position + slots);
+            bitCounts.fill(maxBits + 1 - weight, position, position + slots);
+            position += slots;
+        });
+    }
+    return { table: { maxBits, symbols, bitCounts }, byteLength };
+}
+
+function decodeHuffmanStream(table, data, start, end, output, outputStart, outputEnd) {
+    const reader = new BackwardBitReader(data, start, end);
+    for (let at = outputStart; at < outputEnd; at++) {
+        const index = reader.peek(table.maxBits);
+        output[at] = table.symbols[index];
+        reader.remaining -= table.bitCounts[index];
+    }
+    if (reader.remaining !== 0) {
+        throw corrupt('a Huffman stream does not end where its literals do');
+    }
+}
+
+function readLiterals(frame, data, offset, end) {
+    const b0 = data[offset];
+    const type = b0 & 3;
+    const sizeFormat = (b0 >>> 2) & 3;
+
+    if (type === LiteralsType.Raw || type === LiteralsType.RLE) {
+        let size;
+        let headerLength;
+        if (sizeFormat === 0 || sizeFormat === 2) {
+            size = b0 >>> 3;
+            headerLength = 1;
+        } else if (sizeFormat === 1) {
+            size = (b0 >>> 4) + (data[offset + 1] << 4);
+            headerLength = 2;
+        } else {
+            size = (b0 >>> 4) + (data[offset + 1] << 4) + (data[offset + 2] << 12);
+            headerLength = 3;
+        }
+        const start = offset + headerLength;
+        if (type === LiteralsType.Raw) {
+            if (start + size > end) {
+                throw corrupt('raw literals run past their block');
+            }
+            return { literals: data.subarray(start, start + size), byteLength: headerLength + size };
+        }
+        if (start >= end) {
+            throw corrupt('RLE literals run past their block');
+        }
+        return { literals: new Uint8Array(size).fill(data[start]), byteLength: headerLength + 1 };
+    }
+
+    let regeneratedSize;
+    let compressedSize;
+    let headerLength;
+    const streams = sizeFormat === 0 ? 1 : 4;
+    if (sizeFormat < 2) {
+        const header = b0 | (data[offset + 1] << 8) | (data[offset + 2] << 16);
+        regeneratedSize = (header >>> 4) & 0x3FF;
+        compressedSize = (header >>> 14) & 0x3FF;
+        headerLength = 3;
+    } else if (sizeFormat === 2) {
+        const header = (b0 | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+        regeneratedSize = (header >>> 4) & 0x3FFF;
+        compressedSize = (header >>> 18) & 0x3FFF;
+        headerLength = 4;
+    } else {
+        const header = (b0 | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+        regeneratedSize = (header >>> 4) & 0x3FFFF;
+        compressedSize = (header >>> 22) + (data[offset + 4] << 10);
+        headerLength = 5;
+    }
+
+    let start = offset + headerLength;
+    const streamsEnd = start + compressedSize;
+    if (streamsEnd > end) {
+        throw corrupt('compressed literals run past their block');
+    }
+    if (type === LiteralsType.Compressed) {
+        const huffman = readHuffmanTable(data, start, streamsEnd);
+        frame.huffmanTable = huffman.table;
+        start += huffman.byteLength;
+    } else if (!frame.huffmanTable) {
+        throw corrupt('treeless literals come before any Huffman table');
+    }
+
+    const literals = new Uint8Array(regeneratedSize);
+    if (streams === 1) {
+        decodeHuffmanStream(frame.huffmanTable, data, start, streamsEnd, literals, 0, regeneratedSize);
+    } else {
+        const lengths = [0, 2, 4].map(i => data[start + i] | (data[start + i + 1] << 8));
+        const segment = Math.ceil(regeneratedSize / 4);
+        let streamStart = start + 6;
+        for (let i = 0; i < 4; i++) {
+            const streamEnd = i < 3 ? streamStart + lengths[i] : streamsEnd;
+            if (streamEnd > streamsEnd) {
+                throw corrupt('a Huffman stream runs past its literals');
+            }
+            decodeHuffmanStream(frame.huffmanTable, data, streamStart, streamEnd, literals,
+                Math.min(i * segment, regeneratedSize), Math.min((i + 1) * segment, regeneratedSize));
+            streamStart = streamEnd;
+        }
+    }
+    return { literals, byteLength: headerLength + compressedSize };
+}
+
+function readSequenceTable(frame, kind, mode, data, offset, end) {
+    const spec = sequenceTables[kind];
+    switch (mode) {
+        case TableMode.Predefined:
+            frame.tables[kind] = spec.predefined;
+            return 0;
+        case TableMode.RLE:
+            if (offset >= end || data[offset] > spec.maxSymbol) {
+                throw corrupt(`the ${kind} RLE symbol is missing or out of range`);
+            }
+            frame.tables[kind] = rleTable(data[offset]);
+            return 1;
+        case TableMode.FSE: {
+            const distribution = readFSEDistribution(data, offset, end, spec.maxSymbol, spec.maxAccuracyLog);
+            frame.tables[kind] = buildFSETable(distribution.probabilities, distribution.accuracyLog);
+            return distribution.byteLength;
+        }
+        default:
+            if (!frame.tables[kind]) {
+                throw corrupt(`the ${kind} table repeats one that was never sent`);
+            }
+            return 0;
+    }
+}
+
+function decodeCompressedBlock(frame, data, offset, end, output) {
+    const { literals, byteLength } = readLiterals(frame, data, offset, end);
+    let at = offset + byteLength;
+    if (at >= end) {
+        throw corrupt('a compressed block has no sequences section');
+    }
+
+    let sequenceCount = data[at];
+    if (sequenceCount < 128) {
+        at += 1;
+    } else if (sequenceCount < 255) {
+        sequenceCount = ((sequenceCount - 128) << 8) + data[at + 1];
+        at += 2;
+    } else {
+        sequenceCount = data[at + 1] + (data[at + 2] << 8) + 0x7F00;
+        at += 3;
+    }
+    if (sequenceCount === 0) {
+        output.append(literals, 0, literals.length);
+        return;
+    }
+
+    const modes = data[at++];
+    if (modes & 3) {
+        throw corrupt('the reserved bits of the compression modes are set');
+    }
+    at += readSequenceTable(frame, 'literalLength', modes >>> 6, data, at, end);
+    at += readSequenceTable(frame, 'offset', (modes >>> 4) & 3, data, at, end);
+    at += readSequenceTable(frame, 'matchLength', (modes >>> 2) & 3, data, at, end);
+
+    const { literalLength: llTable, offset: ofTable, matchLength: mlTable } = frame.tables;
+    const reader = new BackwardBitReader(data, at, end);
+    let llState = reader.read(llTable.accuracyLog);
+    let ofState = reader.read(ofTable.accuracyLog);
+    let mlState = reader.read(mlTable.accuracyLog);
+    const repeats = frame.repeatOffsets;
+    let literalAt = 0;
+
+    for (let i = 0; i < sequenceCount; i++) {
+        const ofCode = ofTable.symbols[ofState];
+        const [mlBaseline, mlBits] = matchLengthCodes[mlTable.symbols[mlState]];
+        const [llBaseline, llBits] = literalLengthCodes[llTable.symbols[llState]];
+        if (ofCode > 31) {
+            throw corrupt(`offset code ${ofCode} is out of range`);
+        }
+        const offsetValue = 2 ** ofCode + reader.read(ofCode);
+        const matchLength = mlBaseline + reader.read(mlBits);
+        const literalLength = llBaseline + reader.read(llBits);
+
+        // Offset values 1-3 pick from the three most recent offsets (RFC 8878 3.1.1.5).
+        let matchOffset;
+        if (offsetValue > 3) {
+            matchOffset = offsetValue - 3;
+            repeats[2] = repeats[1];
+            repeats[1] = repeats[0];
+        } else {
+            const index = offsetValue - 1 + (literalLength === 0 ? 1 : 0);
+            if (index === 0) {
+                matchOffset = repeats[0];
+            } else {
+                matchOffset = index === 3 ? repeats[0] - 1 : repeats[index];
+                if (index > 1) {
+                    repeats[2] = repeats[1];
+                }
+                repeats[1] = repeats[0];
+            }
+        }
+        repeats[0] = matchOffset;
+
+        if (literalAt + literalLength > literals.length) {
+            throw corrupt(`sequence ${i} uses more literals than the block has`);
+        }
+        output.append(literals, literalAt, literalAt + literalLength);
+        literalAt += literalLength;
+        output.copyMatch(matchOffset, matchLength);
+
+        if (i < sequenceCount - 1) {
+            llState = llTable.baselines[llState] + reader.read(llTable.bitCounts[llState]);
+            mlState = mlTable.baselines[mlState] + reader.read(mlTable.bitCounts[mlState]);
+            ofState = ofTable.baselines[ofState] + reader.read(ofTable.bitCounts[ofState]);
+        }
+    }
+    if (reader.remaining !== 0) {
+        throw corrupt('the sequences bit stream does not end with its last sequence');
+    }
+    output.append(literals, literalAt, literals.length);
+}
+
+// Output buffer that grows as frames are decoded; matches copy from what is already there.
+class OutputBuffer {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(capacity, 64));
+        this.length = 0;
+        this.frameStart = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count > this.bytes.length) {
+            const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+        }
+    }
+
+    append(source, start, end) {
+        this.reserve(end - start);
+        this.bytes.set(source.subarray(start, end), this.length);
+        this.length += end - start;
+    }
+
+    fill(value, count) {
+        this.reserve(count);
+        this.bytes.fill(value, this.length, this.length + count);
+        this.length += count;
+    }
+
+    copyMatch(offset, length) {
+        if (offset === 0 || offset > this.length - this.frameStart) {
+            throw corrupt(`a match refers ${offset} bytes back, before the start of the frame`);
+        }
+        this.reserve(length);
+        const bytes = this.bytes;
+        let from = this.length - offset;
+        let to = this.length;
+        // Matches may overlap their own output, so copy forwards byte by byte.
+        for (const end = to + length; to < end;) {
+            bytes[to++] = bytes[from++];
+        }
+        this.length = to;
+    }
+}
+
+function readFrameHeader(data, offset) {
+    const descriptor = data[offset];
+    const contentSizeFlag = descriptor >>> 6;
+    const singleSegment = (descriptor & 0x20) !== 0;
+    if (descriptor & 0x08) {
+        throw corrupt('the reserved frame header bit is set');
+    }
+    const hasChecksum = (descriptor & 0x04) !== 0;
+    const dictionaryIdBytes = [0, 1, 2, 4][descriptor & 3];
+    const contentSizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag];
+
+    let at = offset + 1 + (singleSegment ? 0 : 1);
+    let dictionaryId = 0;
+    for (let i = 0; i < dictionaryIdBytes; i++) {
+        dictionaryId += data[at + i] * 2 ** (8 * i);
+    }
+    if (dictionaryId !== 0) {
+        throw new Error(`Zstandard frame needs dictionary ${dictionaryId}; dictionaries are not supported`);
+    }
+    at += dictionaryIdBytes;
+
+    let contentSize = null;
+    if (contentSizeBytes > 0) {
+        contentSize = 0;
+        for (let i = 0; i < contentSizeBytes; i++) {
+            contentSize += data[at + i] * 2 ** (8 * i);
+        }
+        if (contentSizeBytes === 2) {
+            contentSize += 256;
+        }
+    }
+    at += contentSizeBytes;
+    return { byteLength: at - offset, contentSize, hasChecksum };
+}
+
+/**
+ * Decompress one or more Zstandard frames. expectedSize, when known (a KTX2 level's
+ * uncompressedByteLength), sizes the output up front and is checked against the result.
+ * Dictionaries are not supported and content checksums are skipped, not verified.
+ */
+export function decompressZstd(input, expectedSize = null) {
+    const data = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const output = new OutputBuffer(expectedSize ?? data.length * 4);
+    let at = 0;
+
+    while (at < data.length) {
+        if (at + 4 > data.length) {
+            throw corrupt(`${data.length - at} stray bytes after the last frame`);
+        }
+        const magic = view.getUint32(at, true);
+        if ((magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+            at += 8 + view.getUint32(at + 4, true);
+            continue;
+        }
+        if (magic !== ZSTD_MAGIC) {
+            throw new Error(`Not a Zstandard frame: magic number 0x${magic.toString(16)} at byte ${at}`);
+        }
+        at += 4;
+
+        const header = readFrameHeader(data, at);
+        at += header.byteLength;
+        output.frameStart = output.length;
+        // Repeat offsets, the Huffman table and sequence tables carry over between blocks.
+        const frame = { huffmanTable: null, tables: {}, repeatOffsets: [1, 4, 8] };
+
+        for (let last = false; !last;) {
+            if (at + 3 > data.length) {
+                throw corrupt('a block header runs past the end of the data');
+            }
+            const blockHeader = data[at] | (data[at + 1] << 8) | (data[at + 2] << 16);
+            last = (blockHeader & 1) !== 0;
+            const type = (blockHeader >>> 1) & 3;
+            const size = blockHeader >>> 3;
+            at += 3;
+
+            if (type === BlockType.RLE) {
+                if (at >= data.length) {
+                    throw corrupt('an RLE block runs past the end of the data');
+                }
+                output.fill(data[at], size);
+                at += 1;
+                continue;
+            }
+            if (at + size > data.length) {
+                throw corrupt(`a ${size}-byte block runs past the end of the data`);
+            }
+            if (type === BlockType.Raw) {
+                output.append(data, at, at + size);
+            } else if (type === BlockType.Compressed) {
+                decodeCompressedBlock(frame, data, at, at + size, output);
+            } else {
+                throw corrupt('a block has the reserved block type');
+            }
+            at += size;
+        }
+
+        if (header.contentSize !== null && output.length - output.frameStart !== header.contentSize) {
+            throw corrupt(`a frame decoded to ${output.length - output.frameStart} bytes but declares ${header.contentSize}`);
+        }
+        if (header.hasChecksum) {
+            at += 4;
+        }
+    }
+
+    if (expectedSize !== null && output.length !== expectedSize) {
+        throw corrupt(`decoded ${output.length} bytes where ${expectedSize} were expected`);
+    }
+    return output.bytes.length === output.length ? output.bytes : output.bytes.slice(0, output.length);
+}
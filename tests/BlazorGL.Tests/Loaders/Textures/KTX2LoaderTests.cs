@@ -46,6 +46,133 @@ public class KTX2LoaderTests
             .WithMessage("*not initialized*");
     }
 
+    [Fact]
+    public async Task LoadAsync_PlainFormat_ReadsLevelsWithoutTranscoder()
+    {
+        // Arrange
+        var (loader, moduleMock) = CreateLoader();
+
+        moduleMock
+            .Setup(m => m.InvokeAsync<KTX2ContainerInfo>("parseKTX2", It.IsAny<object[]>()))
+            .ReturnsAsync(new KTX2ContainerInfo { Width = 4, Height = 2, Levels = 2, VkFormat = 97, FaceCount = 1 });
+
+        moduleMock
+            .Setup(m => m.InvokeAsync<KTX2LevelData>("readLevels", It.IsAny<CancellationToken>(), It.IsAny<object[]>()))
+            .ReturnsAsync(new KTX2LevelData
+            {
+                VkFormat = 97,
+                InternalFormat = "RGBA16F",
+                Mipmaps = new List<TranscodedMipmap>
+                {
+                    new TranscodedMipmap { Data = new byte[64], Width = 4, Height = 2, Level = 0 },
+                    new TranscodedMipmap { Data = new byte[16], Width = 2, Height = 1, Level = 1 }
+                }
+            });
+
+        // Act
+        var texture = await loader.LoadAsync("http://test.com/sky.ktx2");
+
+        // Assert
+        texture.CompressionFormat.Should().Be(BlazorGL.Core.Textures.CompressedTextureFormat.RGBA16F);
+        texture.Mipmaps.Select(m => m.Width).Should().Equal(4, 2);
+        moduleMock.Verify(
+            m => m.InvokeAsync<List<TranscodedMipmap>>("transcode", It.IsAny<CancellationToken>(), It.IsAny<object[]>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task LoadAsync_PlainFormatWithoutEnumMember_KeepsWebGLFormatNames()
+    {
+        // Arrange
+        var (loader, moduleMock) = CreateLoader();
+
+        moduleMock
+            .Setup(m => m.InvokeAsync<KTX2ContainerInfo>("parseKTX2", It.IsAny<object[]>()))
+            .ReturnsAsync(new KTX2ContainerInfo { Width = 2, Height = 2, Levels = 1, VkFormat = 83, FaceCount = 1 });
+
+        moduleMock
+            .Setup(m => m.InvokeAsync<KTX2LevelData>("readLevels", It.IsAny<CancellationToken>(), It.IsAny<object[]>()))
+            .ReturnsAsync(new KTX2LevelData
+            {
+                VkFormat = 83,
+                InternalFormat = "RG16F",
+                Format = "RG",
+                Type = "HALF_FLOAT",
+                Mipmaps = new List<TranscodedMipmap>
+                {
+                    new TranscodedMipmap { Data = new byte[16], Width = 2, Height = 2, Level = 0 }
+                }
+            });
+
+        // Act
+        var texture = await loader.LoadAsync("http://test.com/flow.ktx2");
+
+        // Assert
+        texture.CompressionFormat.Should().Be(BlazorGL.Core.Textures.CompressedTextureFormat.Other);
+        texture.InternalFormatName.Should().Be("RG16F");
+        texture.PixelFormatName.Should().Be("RG");
+        texture.PixelTypeName.Should().Be("HALF_FLOAT");
+        texture.Mipmaps.Should().ContainSingle();
+    }
+
+    [Fact]
+    public async Task LoadAsync_BasisFileWithoutContext_TranscodesToUncompressedFormat()
+    {
+        // Arrange
+        var (loader, moduleMock) = CreateLoader();
+        await loader.InitializeAsync();
+
+        // Act
+        var texture = await loader.LoadAsync("http://test.com/test.ktx2");
+
+        // Assert
+        texture.CompressionFormat.Should().Be(BlazorGL.Core.Textures.CompressedTextureFormat.RGBA32);
+        moduleMock.Verify(
+            m => m.InvokeAsync<List<TranscodedMipmap>>("transcode", It.IsAny<CancellationToken>(),
+                It.Is<object[]>(args => (string)args[1] == "RGBA32")),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task LoadAsync_Cancelled_CancelsJavaScriptJob()
+    {
+        // Arrange
+        var (loader, moduleMock) = CreateLoader();
+        await loader.InitializeAsync();
+        using var cts = new CancellationTokenSource();
+        string? jobId = null;
+
+        moduleMock
+            .Setup(m => m.InvokeAsync<List<TranscodedMipmap>>("transcode", It.IsAny<CancellationToken>(), It.IsAny<object[]>()))
+            .Returns((string _, CancellationToken token, object[] args) =>
+            {
+                jobId = (string)args[^1];
+                cts.Cancel();
+                return new ValueTask<List<TranscodedMipmap>>(Task.FromCanceled<List<TranscodedMipmap>>(token));
+            });
+
+        // Act
+        Func<Task> act = async () => await loader.LoadAsync("http://test.com/test.ktx2", cts.Token);
+
+        // Assert
+        await act.Should().ThrowAsync<OperationCanceledException>();
+        jobId.Should().NotBeNullOrEmpty();
+        moduleMock.Verify(
+            m => m.InvokeAsync<bool>("cancel", It.Is<object[]>(args => (string)args[0] == jobId)),
+            Times.Once);
+    }
+
+    [Fact]
+    public void Constructor_WithNegativeWorkers_ThrowsArgumentOutOfRangeException()
+    {
+        // Arrange & Act
+        Action act = () => new KTX2Loader(Mock.Of<IJSRuntime>(), Mock.Of<HttpClient>(), workers: -1);
+
+        // Assert
+        act.Should().Throw<ArgumentOutOfRangeException>()
+            .WithParameterName("workers");
+    }
+
     [Fact]
     public async Task InitializeAsync_LoadsJavaScriptModule()
     {
@@ -177,16 +304,6 @@ public class KTX2LoaderTests
             .Setup(m => m.InvokeAsync<IJSObjectReference>("initialize", It.IsAny<object[]>()))
             .Returns(new ValueTask<IJSObjectReference>((IJSObjectReference)null!));
 
-        moduleMock
-            .Setup(m => m.InvokeAsync<TextureCapabilities>("getCapabilities", It.IsAny<object[]>()))
-            .ReturnsAsync(new TextureCapabilities
-            {
-                ASTC = true,
-                BC7 = false,
-                ETC2 = true,
-                PVRTC = false
-            });
-
         moduleMock
             .Setup(m => m.InvokeAsync<KTX2ContainerInfo>("parseKTX2", It.IsAny<object[]>()))
             .ReturnsAsync(new KTX2ContainerInfo
@@ -200,7 +317,7 @@ public class KTX2LoaderTests
             });
 
         moduleMock
-            .Setup(m => m.InvokeAsync<List<TranscodedMipmap>>("transcode", It.IsAny<object[]>()))
+            .Setup(m => m.InvokeAsync<List<TranscodedMipmap>>("transcode", It.IsAny<CancellationToken>(), It.IsAny<object[]>()))
             .ReturnsAsync(new List<TranscodedMipmap>
             {
                 new TranscodedMipmap { Data = new byte[64], Width = 512, Height = 512, Level = 0 }